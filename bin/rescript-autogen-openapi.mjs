@@ -0,0 +1,598 @@
+#!/usr/bin/env node
+// rescript-autogen-openapi.mjs - Command-line interface for the code generator
+// Reads openapi-codegen.config.{mjs,json}; command-line flags override config values
+
+import { auditDocOverrides, check, compareSpecs, createDefaultConfig, formatDiffReport, generate, generateDocOverrideFiles, hasDrift, lint } from '../lib/es6/src/Codegen.mjs';
+import { resolve as resolveSpec } from '../lib/es6/src/core/SchemaRefResolver.mjs';
+import { breakingChanges } from '../lib/es6/src/core/SpecDiffer.mjs';
+import { describe as describeChange } from '../lib/es6/src/core/CompatibilityAnalyzer.mjs';
+import { describe as describeLintIssue, ruleNames as LINT_RULES } from '../lib/es6/src/core/SpecLinter.mjs';
+import { writeFiles } from '../lib/es6/src/core/FileSystem.mjs';
+import { Warning, toString as errorToString } from '../lib/es6/src/types/CodegenError.mjs';
+import { existsSync, readFileSync } from 'fs';
+import { dirname, isAbsolute, join, relative, resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1; // Generation failed, output out of date (check), breaking changes under 'Error' handling, lint errors, or warnings with --strict
+const EXIT_USAGE = 2;   // Bad arguments or configuration
+
+const CONFIG_FILES = ['openapi-codegen.config.mjs', 'openapi-codegen.config.json'];
+const STRATEGIES = ['Separate', 'SharedBase', 'CommonCore'];
+const BREAKING_CHANGE_HANDLING = ['Error', 'Warn', 'Ignore'];
+const LINT_LEVELS = ['Error', 'Warn', 'Ignore'];
+const TARGETS = ['rescriptApi', 'rescriptWrapper', 'typescriptDts', 'typescriptWrapper', 'zodSchemas', 'valibotSchemas', 'conformanceTests', 'mockServer'];
+const VALIDATION_LIBRARIES = ['Zod', 'Valibot'];
+const REPORT_FORMATS = ['Markdown', 'Json', 'Sarif', 'Html'];
+const REPORT_EXTENSIONS = { Markdown: 'md', Json: 'json', Sarif: 'sarif', Html: 'html' };
+const CREDENTIAL_LOCATIONS = ['header', 'query', 'cookie', 'body'];
+
+const HELP_TEXT = `
+rescript-autogen-openapi - Generate ReScript code with Sury schemas from OpenAPI specs
+
+Usage:
+  rescript-autogen-openapi <command> [options]
+
+Commands:
+  generate               Generate code and write it to the output directory
+  check                  Fail when the output on disk differs from what the spec generates (writes nothing)
+  lint                   Report name collisions, missing operationIds, unresolved $refs and schemas that become S.json
+  diff                   Compare the base spec with each fork spec
+  docs init              Create documentation override files for every endpoint
+  docs status            List stale, orphaned and customized documentation override files
+
+Options:
+  --config <path>        Config file (default: ${CONFIG_FILES.join(' or ')} in the current directory)
+  --spec <path|url>      OpenAPI spec (specPath)
+  --output <dir>         Output directory (outputDir)
+  --fork <name=spec>     Fork spec; repeat for several forks (replaces forkSpecs)
+  --strategy <name>      ${STRATEGIES.join(' | ')}
+  --base-name <name>     Subdirectory for the base instance (baseInstanceName)
+  --base-prefix <name>   Module prefix for the base instance (baseModulePrefix)
+  --common-name <name>   Subdirectory for the layer all forks share with CommonCore (commonInstanceName)
+  --include-tags <list>  Comma-separated tags to generate
+  --exclude-tags <list>  Comma-separated tags to skip
+  --targets <list>       Comma-separated targets: ${TARGETS.join(', ')}
+  --dts-output <dir>     Output directory for .d.ts files
+  --wrapper-output <dir> Output directory for TypeScript wrapper files
+  --docs-dir <dir>       Documentation override directory (docOverrideDir)
+  --doc-overrides        Also write documentation override files when generating
+  --host <name>          Host shown in documentation override files (docs init)
+  --flat                 Generate one flat module instead of one module per tag
+  --no-diff-report       Skip the diff reports for forks
+  --report-formats <list> Comma-separated diff report formats: ${REPORT_FORMATS.join(', ')} (reportFormats)
+  --response-variants    Return a result over every declared response status
+  --client-name <name>   Class name of the TypeScript client (clientName)
+  --wrapper-validation <library> Validate TypeScript wrapper responses: ${VALIDATION_LIBRARIES.join(' | ')} (wrapperValidation)
+  --template-dir <dir>   Template overrides, partials and helpers (templateDir)
+  --force                Overwrite existing documentation override files (docs init), or also
+                         prune orphaned files with custom documentation (docs status --prune)
+  --restamp              Update stale documentation override files, keeping their documentation (docs status)
+  --prune                Delete documentation override files of endpoints that no longer exist (docs status)
+  --dry-run              Show what generate would add, remove and change without writing
+  --name-only            Only list drifted files, without their diffs (check, --dry-run)
+  --strict               Exit with an error when generation reports warnings, or docs status
+                         leaves stale or orphaned files
+  --help                 Show this help message
+
+Exit codes:
+  0  Success
+  1  Generation failed, check found drift, breaking changes were found with
+     breakingChangeHandling 'Error', lint found issues of rules set to 'Error'
+     (see lintRules), or warnings were reported with --strict
+  2  Invalid arguments or configuration
+
+Examples:
+  rescript-autogen-openapi generate
+  rescript-autogen-openapi generate --spec ./openapi.json --output ./src/api --flat
+  rescript-autogen-openapi check --strict
+  rescript-autogen-openapi lint --spec ./openapi.json
+  rescript-autogen-openapi generate --dry-run --name-only
+  rescript-autogen-openapi diff --spec ./base.json --fork extended=./extended.json --output ./reports
+  rescript-autogen-openapi docs init --docs-dir ./docs/api-overrides
+  rescript-autogen-openapi docs status --restamp --prune
+`;
+
+class UsageError extends Error {}
+
+const isUrl = value => /^https?:\/\//.test(value);
+
+const splitList = value => value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+
+function parseFork(value) {
+  const separator = value.indexOf('=');
+  if (separator <= 0 || separator === value.length - 1) {
+    throw new UsageError(`--fork expects <name>=<spec>, got '${value}'`);
+  }
+  return { name: value.slice(0, separator), specPath: value.slice(separator + 1) };
+}
+
+// Parse command line arguments into a command and config overrides
+function parseArgs(args) {
+  const command = [];
+  const options = { configPath: null, overrides: {}, forks: null, host: null, outputPath: null, force: false, restamp: false, prune: false, strict: false, dryRun: false, nameOnly: false };
+
+  const next = (i, flag) => {
+    if (i + 1 >= args.length || args[i + 1].startsWith('--')) {
+      throw new UsageError(`${flag} expects a value`);
+    }
+    return args[i + 1];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--config':
+        options.configPath = next(i++, arg);
+        break;
+      case '--spec':
+        options.overrides.specPath = next(i++, arg);
+        break;
+      case '--output':
+        options.outputPath = next(i++, arg);
+        break;
+      case '--fork':
+        options.forks = [...(options.forks ?? []), parseFork(next(i++, arg))];
+        break;
+      case '--strategy':
+        options.overrides.strategy = next(i++, arg);
+        break;
+      case '--base-name':
+        options.overrides.baseInstanceName = next(i++, arg);
+        break;
+      case '--common-name':
+        options.overrides.commonInstanceName = next(i++, arg);
+        break;
+      case '--base-prefix':
+        options.overrides.baseModulePrefix = next(i++, arg);
+        break;
+      case '--include-tags':
+        options.overrides.includeTags = splitList(next(i++, arg));
+        break;
+      case '--exclude-tags':
+        options.overrides.excludeTags = splitList(next(i++, arg));
+        break;
+      case '--targets': {
+        const names = splitList(next(i++, arg));
+        const unknown = names.filter(name => !TARGETS.includes(name));
+        if (unknown.length > 0) {
+          throw new UsageError(`Unknown target(s): ${unknown.join(', ')}. Must be: ${TARGETS.join(', ')}`);
+        }
+        options.overrides.targets = Object.fromEntries(TARGETS.map(name => [name, names.includes(name)]));
+        break;
+      }
+      case '--report-formats': {
+        const names = splitList(next(i++, arg));
+        const formats = names.map(name => REPORT_FORMATS.find(format => format.toLowerCase() === name.toLowerCase()));
+        if (formats.includes(undefined)) {
+          throw new UsageError(`Unknown report format(s): ${names.filter((_, i) => !formats[i]).join(', ')}. Must be: ${REPORT_FORMATS.join(', ')}`);
+        }
+        options.overrides.reportFormats = formats;
+        break;
+      }
+      case '--dts-output':
+        options.overrides.dtsOutputDir = next(i++, arg);
+        break;
+      case '--wrapper-output':
+        options.overrides.wrapperOutputDir = next(i++, arg);
+        break;
+      case '--docs-dir':
+        options.overrides.docOverrideDir = next(i++, arg);
+        break;
+      case '--doc-overrides':
+        options.overrides.generateDocOverrides = true;
+        break;
+      case '--host':
+        options.host = next(i++, arg);
+        break;
+      case '--flat':
+        options.overrides.modulePerTag = false;
+        break;
+      case '--no-diff-report':
+        options.overrides.generateDiffReport = false;
+        break;
+      case '--response-variants':
+        options.overrides.responseVariants = true;
+        break;
+      case '--client-name':
+        options.overrides.clientName = next(i++, arg);
+        break;
+      case '--wrapper-validation': {
+        const name = next(i++, arg);
+        options.overrides.wrapperValidation = VALIDATION_LIBRARIES.find(library => library.toLowerCase() === name.toLowerCase()) ?? name;
+        break;
+      }
+      case '--template-dir':
+        options.overrides.templateDir = next(i++, arg);
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--restamp':
+        options.restamp = true;
+        break;
+      case '--prune':
+        options.prune = true;
+        break;
+      case '--strict':
+        options.strict = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--name-only':
+        options.nameOnly = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new UsageError(`Unknown option: ${arg}`);
+        }
+        command.push(arg);
+    }
+  }
+
+  return { command: command.join(' '), options };
+}
+
+// Load the config file named by --config, or the first default config file found
+async function loadConfigFile(configPath) {
+  const path = configPath
+    ? resolve(configPath)
+    : CONFIG_FILES.map(name => resolve(name)).find(candidate => existsSync(candidate));
+
+  if (!path) {
+    return { config: {}, baseDir: process.cwd() };
+  }
+  if (!existsSync(path)) {
+    throw new UsageError(`Config file not found: ${configPath}`);
+  }
+
+  let config;
+  try {
+    if (path.endsWith('.json')) {
+      config = JSON.parse(readFileSync(path, 'utf8'));
+    } else {
+      const module = await import(pathToFileURL(path).href);
+      config = await (module.default ?? module.config);
+    }
+  } catch (error) {
+    throw new UsageError(`Failed to load config file ${path}: ${error.message}`);
+  }
+
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    throw new UsageError(`Config file ${path} must provide a config object`);
+  }
+  return { config, baseDir: dirname(path) };
+}
+
+// Paths in a config file are relative to the config file, not to the current directory
+function resolveConfigPaths(config, baseDir) {
+  const resolvePath = value => (typeof value === 'string' && !isUrl(value) && !isAbsolute(value) ? join(baseDir, value) : value);
+  const resolved = { ...config };
+  for (const key of ['specPath', 'outputDir', 'docOverrideDir', 'dtsOutputDir', 'wrapperOutputDir', 'templateDir']) {
+    if (resolved[key] !== undefined) {
+      resolved[key] = resolvePath(resolved[key]);
+    }
+  }
+  if (Array.isArray(resolved.forkSpecs)) {
+    resolved.forkSpecs = resolved.forkSpecs.map(fork => ({ ...fork, specPath: resolvePath(fork.specPath) }));
+  }
+  return resolved;
+}
+
+// Merge defaults, config file and command-line flags into a Config.t
+function buildConfig(fileConfig, options, { requireOutput }) {
+  const config = { ...fileConfig, ...options.overrides };
+  if (options.outputPath && requireOutput) {
+    config.outputDir = options.outputPath;
+  }
+  if (options.forks) {
+    config.forkSpecs = options.forks;
+  }
+
+  if (!config.specPath) {
+    throw new UsageError('No spec given: set specPath in the config file or pass --spec');
+  }
+  if (requireOutput && !config.outputDir) {
+    throw new UsageError('No output directory given: set outputDir in the config file or pass --output');
+  }
+  if (config.strategy !== undefined && !STRATEGIES.includes(config.strategy)) {
+    throw new UsageError(`Invalid strategy '${config.strategy}'. Must be: ${STRATEGIES.join(', ')}`);
+  }
+  if (config.breakingChangeHandling !== undefined && !BREAKING_CHANGE_HANDLING.includes(config.breakingChangeHandling)) {
+    throw new UsageError(`Invalid breakingChangeHandling '${config.breakingChangeHandling}'. Must be: ${BREAKING_CHANGE_HANDLING.join(', ')}`);
+  }
+  if (config.reportFormats !== undefined &&
+      (!Array.isArray(config.reportFormats) || !config.reportFormats.every(format => REPORT_FORMATS.includes(format)))) {
+    throw new UsageError(`Invalid reportFormats. Must be a list of: ${REPORT_FORMATS.join(', ')}`);
+  }
+  if (config.clientName !== undefined && !/^[A-Za-z_$][\w$]*$/.test(config.clientName)) {
+    throw new UsageError(`Invalid clientName '${config.clientName}'. Must be a JavaScript identifier`);
+  }
+  if (config.wrapperValidation !== undefined && !VALIDATION_LIBRARIES.includes(config.wrapperValidation)) {
+    throw new UsageError(`Invalid wrapperValidation '${config.wrapperValidation}'. Must be: ${VALIDATION_LIBRARIES.join(', ')}`);
+  }
+  for (const [scheme, location] of Object.entries(config.credentialLocations ?? {})) {
+    if (!location || !CREDENTIAL_LOCATIONS.includes(location.in) || typeof location.name !== 'string') {
+      throw new UsageError(`Invalid credentialLocations.${scheme}. Needs a name and 'in' set to one of: ${CREDENTIAL_LOCATIONS.join(', ')}`);
+    }
+  }
+  if (config.plugins !== undefined &&
+      (!Array.isArray(config.plugins) || !config.plugins.every(plugin => plugin && typeof plugin.name === 'string'))) {
+    throw new UsageError('Invalid plugins. Must be a list of objects with a name');
+  }
+  for (const [rule, level] of Object.entries(config.lintRules ?? {})) {
+    if (!LINT_RULES.includes(rule)) {
+      throw new UsageError(`Unknown lint rule '${rule}'. Must be: ${LINT_RULES.join(', ')}`);
+    }
+    if (!LINT_LEVELS.includes(level)) {
+      throw new UsageError(`Invalid level '${level}' for lint rule '${rule}'. Must be: ${LINT_LEVELS.join(', ')}`);
+    }
+  }
+  if (config.mockSeed !== undefined && !Number.isSafeInteger(config.mockSeed)) {
+    throw new UsageError(`Invalid mockSeed '${config.mockSeed}'. Must be an integer`);
+  }
+  for (const fork of config.forkSpecs ?? []) {
+    if (!fork || typeof fork.name !== 'string' || typeof fork.specPath !== 'string') {
+      throw new UsageError('Each entry in forkSpecs needs a name and a specPath');
+    }
+  }
+
+  const merged = { ...createDefaultConfig(config.specPath, config.outputDir ?? '.'), ...config };
+  if ((merged.forkSpecs ?? []).length > 0 && ['SharedBase', 'CommonCore'].includes(merged.strategy) && !merged.baseInstanceName) {
+    throw new UsageError(`The ${merged.strategy} strategy with forks needs baseInstanceName (or --base-name)`);
+  }
+  return merged;
+}
+
+// Print warnings, folding repeated ones into a count
+function printWarnings(warnings) {
+  if (warnings.length === 0) {
+    return;
+  }
+  const counts = new Map();
+  warnings.map(Warning.toString).forEach(line => counts.set(line, (counts.get(line) ?? 0) + 1));
+
+  console.warn(`\n${warnings.length} warning(s):`);
+  counts.forEach((count, line) => console.warn(count > 1 ? `${line} (x${count})` : line));
+}
+
+function finish(warnings, strict) {
+  printWarnings(warnings);
+  return strict && warnings.length > 0 ? EXIT_FAILURE : EXIT_OK;
+}
+
+// Print a drift report as a file list followed by unified diffs
+function printDrift(report, options) {
+  const entries = [
+    ...report.added.map(file => ['A', file]),
+    ...report.removed.map(file => ['D', file]),
+    ...report.changed.map(file => ['M', file]),
+  ];
+  entries.forEach(([status, file]) => console.log(`  ${status} ${file.path}`));
+  if (!options.nameOnly) {
+    entries.forEach(([, file]) => process.stdout.write(`\n${file.diff}`));
+  }
+}
+
+async function runGenerate(config, options) {
+  if (options.dryRun) {
+    return runDryRun(config, options);
+  }
+  const result = await generate(config);
+  if (result.TAG !== 'Ok') {
+    console.error(`❌ ${errorToString(result._0)}`);
+    return EXIT_FAILURE;
+  }
+  const { generatedFiles, unchangedFiles, deletedFiles, warnings } = result._0;
+  console.log(`✅ Generated ${generatedFiles.length} file(s) in ${config.outputDir} (${generatedFiles.length - unchangedFiles.length} written, ${unchangedFiles.length} unchanged)`);
+  if (deletedFiles.length > 0) {
+    console.log(`🧹 Removed ${deletedFiles.length} stale file(s):`);
+    deletedFiles.forEach(file => console.log(`  - ${file}`));
+  }
+  return finish(warnings, options.strict);
+}
+
+async function runCheck(config, options) {
+  const result = await check(config);
+  if (result.TAG !== 'Ok') {
+    console.error(`❌ ${errorToString(result._0)}`);
+    return EXIT_FAILURE;
+  }
+
+  const report = result._0;
+  if (!hasDrift(report)) {
+    console.log(`✅ ${config.outputDir} is up to date with the spec`);
+    return finish(report.warnings, options.strict);
+  }
+  console.log(`❌ ${config.outputDir} is out of date: ${report.added.length} added, ${report.removed.length} removed, ${report.changed.length} changed`);
+  printDrift(report, options);
+  console.log('\nRun `rescript-autogen-openapi generate` to update it.');
+  printWarnings(report.warnings);
+  return EXIT_FAILURE;
+}
+
+async function runLint(config, options) {
+  const result = await lint(config);
+  if (result.TAG !== 'Ok') {
+    console.error(`❌ ${errorToString(result._0)}`);
+    return EXIT_FAILURE;
+  }
+
+  const issues = result._0;
+  if (issues.length === 0) {
+    console.log(`✅ No lint issues in ${config.specPath}`);
+    return EXIT_OK;
+  }
+  const errors = issues.filter(issue => issue.severity === 'Error');
+  issues.forEach(issue => console.log(`${issue.severity === 'Error' ? '❌' : '⚠️ '} ${describeLintIssue(issue)}`));
+  console.log(`\n${errors.length} error(s), ${issues.length - errors.length} warning(s)`);
+  return errors.length > 0 || (options.strict && issues.length > 0) ? EXIT_FAILURE : EXIT_OK;
+}
+
+async function runDryRun(config, options) {
+  const result = await check(config);
+  if (result.TAG !== 'Ok') {
+    console.error(`❌ ${errorToString(result._0)}`);
+    return EXIT_FAILURE;
+  }
+
+  const report = result._0;
+  console.log(`📝 Dry run: generate would add ${report.added.length}, remove ${report.removed.length} and change ${report.changed.length} file(s) in ${config.outputDir}`);
+  printDrift(report, options);
+  return finish(report.warnings, options.strict);
+}
+
+async function runDiff(config, options) {
+  const forks = config.forkSpecs ?? [];
+  if (forks.length === 0) {
+    throw new UsageError('Nothing to compare: set forkSpecs in the config file or pass --fork <name>=<spec>');
+  }
+
+  const baseResult = await resolveSpec(config.specPath);
+  if (baseResult.TAG !== 'Ok') {
+    console.error(`❌ Failed to resolve spec from '${config.specPath}': ${baseResult._0}`);
+    return EXIT_FAILURE;
+  }
+
+  let exitCode = EXIT_OK;
+  for (const fork of forks) {
+    const forkResult = await resolveSpec(fork.specPath);
+    if (forkResult.TAG !== 'Ok') {
+      console.error(`❌ Failed to resolve spec from '${fork.specPath}': ${forkResult._0}`);
+      exitCode = EXIT_FAILURE;
+      continue;
+    }
+
+    const diff = await compareSpecs(baseResult._0, forkResult._0, 'base', fork.name);
+    const specUri = isUrl(fork.specPath) ? fork.specPath : relative(process.cwd(), fork.specPath);
+    const reports = options.outputPath
+      ? (config.reportFormats ?? ['Markdown']).map(format => ({
+          path: join(options.outputPath, `${fork.name}-diff.${REPORT_EXTENSIONS[format]}`),
+          content: formatDiffReport(diff, format, 'base', fork.name, specUri),
+        }))
+      : [];
+    const written = writeFiles(reports);
+    if (written.TAG !== 'Ok') {
+      written._0.forEach(message => console.error(`❌ ${message}`));
+      exitCode = EXIT_FAILURE;
+    }
+
+    console.log(`\n🔍 base → ${fork.name}`);
+    console.log(`  Endpoints: +${diff.addedEndpoints.length} -${diff.removedEndpoints.length} ~${diff.modifiedEndpoints.length}`);
+    console.log(`  Schemas:   +${diff.addedSchemas.length} -${diff.removedSchemas.length} ~${diff.modifiedSchemas.length}`);
+    const breaking = breakingChanges(diff);
+    if (breaking.length > 0) {
+      console.log(`  ⚠️  Contains ${breaking.length} breaking change(s):`);
+      breaking.forEach(change => console.log(`    - ${describeChange(change)}`));
+      if (config.breakingChangeHandling === 'Error') {
+        exitCode = EXIT_FAILURE;
+      }
+    }
+    reports.forEach(report => console.log(`  Report: ${report.path}`));
+  }
+  return exitCode;
+}
+
+async function runDocsInit(config, options) {
+  const specResult = await resolveSpec(config.specPath);
+  if (specResult.TAG !== 'Ok') {
+    console.error(`❌ Failed to resolve spec from '${config.specPath}': ${specResult._0}`);
+    return EXIT_FAILURE;
+  }
+
+  const docsConfig = { ...config, docOverrideDir: config.docOverrideDir ?? './docs' };
+  const files = generateDocOverrideFiles(specResult._0, docsConfig, options.host ?? undefined);
+  const toWrite = options.force ? files : files.filter(file => !existsSync(file.path));
+
+  const result = writeFiles(toWrite);
+  if (result.TAG !== 'Ok') {
+    result._0.forEach(message => console.error(`❌ ${message}`));
+    return EXIT_FAILURE;
+  }
+  console.log(`✅ Wrote ${result._0.length} documentation override file(s) to ${docsConfig.docOverrideDir}`);
+  if (toWrite.length < files.length) {
+    console.log(`   Kept ${files.length - toWrite.length} existing file(s); pass --force to overwrite them`);
+  }
+  return EXIT_OK;
+}
+
+async function runDocsStatus(config, options) {
+  const specResult = await resolveSpec(config.specPath);
+  if (specResult.TAG !== 'Ok') {
+    console.error(`❌ Failed to resolve spec from '${config.specPath}': ${specResult._0}`);
+    return EXIT_FAILURE;
+  }
+
+  const docsConfig = { ...config, docOverrideDir: config.docOverrideDir ?? './docs' };
+  const result = auditDocOverrides(specResult._0, docsConfig, options.restamp, options.prune, options.force);
+  if (result.TAG !== 'Ok') {
+    console.error(`❌ ${errorToString(result._0)}`);
+    return EXIT_FAILURE;
+  }
+
+  const report = result._0;
+  const customized = file => (file.customized ? ' [customized]' : '');
+  const section = (title, lines) => {
+    if (lines.length > 0) {
+      console.log(`\n${title} (${lines.length}):`);
+      lines.forEach(line => console.log(`  ${line}`));
+    }
+  };
+  console.log(`📝 Documentation overrides in ${docsConfig.docOverrideDir}: ${report.customized.length} customized, ${report.stale.length} stale, ${report.orphaned.length} orphaned, ${report.missing.length} missing`);
+  section('Stale, written for an earlier version of their endpoint', report.stale.map(file =>
+    `${file.path} (${file.endpoint})${customized(file)}${report.restamped.includes(file.path) ? ' - re-stamped' : ''}`));
+  section('Orphaned, their endpoint is no longer generated', report.orphaned.map(file =>
+    `${file.path} (${file.endpoint})${customized(file)}${report.pruned.includes(file.path) ? ' - pruned' : ''}`));
+  section('Customized', report.customized);
+  section('Missing, run `docs init` to create them', report.missing);
+
+  const remaining = report.stale.length - report.restamped.length + report.orphaned.length - report.pruned.length;
+  if (remaining > 0 && !options.restamp && !options.prune) {
+    console.log('\nRun with --restamp to update stale files and --prune to delete orphaned ones.');
+  }
+  return options.strict && remaining > 0 ? EXIT_FAILURE : EXIT_OK;
+}
+
+const COMMANDS = {
+  generate: { run: runGenerate, requireOutput: true },
+  check: { run: runCheck, requireOutput: true },
+  lint: { run: runLint, requireOutput: false },
+  diff: { run: runDiff, requireOutput: false },
+  'docs init': { run: runDocsInit, requireOutput: false },
+  'docs status': { run: runDocsStatus, requireOutput: false },
+};
+
+async function main(args) {
+  try {
+    const { command, options } = parseArgs(args);
+    if (options.help || command === '' || command === 'help') {
+      console.log(HELP_TEXT);
+      return command === '' && !options.help ? EXIT_USAGE : EXIT_OK;
+    }
+
+    const selected = COMMANDS[command];
+    if (!selected) {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+
+    const { config: fileConfig, baseDir } = await loadConfigFile(options.configPath);
+    const config = buildConfig(resolveConfigPaths(fileConfig, baseDir), options, selected);
+    return await selected.run(config, options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}`);
+      console.error('Use --help for usage information');
+      return EXIT_USAGE;
+    }
+    console.error('💥 Fatal error:', error);
+    return EXIT_FAILURE;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
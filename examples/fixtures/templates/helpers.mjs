@@ -0,0 +1,2 @@
+// Helpers for the template fixture: every exported function becomes a Handlebars helper
+export const shout = value => String(value).toUpperCase();
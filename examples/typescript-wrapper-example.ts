@@ -1,10 +1,22 @@
 // Example: Using the new TypeScript wrapper
 // This demonstrates the client-first ergonomic API for TypeScript
 
-import { MisskeyClient, Notes } from './wrapper';
+// Generated with clientName: 'MisskeyClient' (the default would be MisskeyApiClient, from the spec title)
+import { ApiError, MisskeyClient, Notes } from './wrapper';
 
 // Create a client instance
-const client = new MisskeyClient('https://misskey.io', 'your-token-here');
+const client = new MisskeyClient('https://misskey.io', 'your-token-here', {
+  timeout: 10_000,
+  retry: { retries: 2, statuses: [429, 503] },
+  headers: { 'User-Agent': 'my-bot/1.0' },
+  middleware: [
+    {
+      onResponse(response, request) {
+        console.log(`${request.init.method} ${request.url} -> ${response.status}`);
+      },
+    },
+  ],
+});
 
 // Example 1: Create a note
 async function createNote() {
@@ -75,11 +87,19 @@ async function createNoteWithErrorHandling() {
     console.log('✅ Success:', note.id);
     return note;
   } catch (error) {
-    console.error('❌ Failed:', error);
+    if (error instanceof ApiError) {
+      // Non-2xx responses carry their status and decoded body
+      console.error('❌ Failed with status', error.status, error.body);
+    }
     throw error;
   }
 }
 
+// Example 6b: Cancelling a request
+async function getTimelineWithCancel(signal: AbortSignal) {
+  return Notes.postNotes(client, { limit: 20 }, { signal, timeout: 5_000 });
+}
+
 // Example 7: Multiple clients
 const publicClient = new MisskeyClient('https://misskey.io');
 const privateClient = new MisskeyClient('https://misskey.io', 'secret-token');
@@ -5,33 +5,71 @@
 
 import * as CodegenJS from './Codegen.mjs';
 
+import type {auditReport as DocOverride_auditReport} from '../src/core/DocOverride.gen';
+
 import type {codegenError as Types_codegenError} from './Types.gen';
 
+import type {driftReport as Types_driftReport} from './Types.gen';
+
+import type {fileToWrite as FileSystem_fileToWrite} from '../src/core/FileSystem.gen';
+
 import type {forkSpec as Types_forkSpec} from './Types.gen';
 
 import type {generationConfig as Types_generationConfig} from './Types.gen';
 
 import type {generationResult as Types_generationResult} from './Types.gen';
 
+import type {lintIssue as Types_lintIssue} from './Types.gen';
+
 import type {openAPISpec as Types_openAPISpec} from './Types.gen';
 
+import type {reportFormat as Types_reportFormat} from './Types.gen';
+
 import type {specDiff as Types_specDiff} from './Types.gen';
 
 import type {t as Pipeline_t} from '../src/core/Pipeline.gen';
 
+import type {warning as Types_warning} from './Types.gen';
+
 export const generateSingleSpecPure: (spec:Types_openAPISpec, config:Types_generationConfig) => 
     { TAG: "Ok"; _0: Pipeline_t }
   | { TAG: "Error"; _0: Types_codegenError } = CodegenJS.generateSingleSpecPure as any;
 
-export const generateSingleSpec: (spec:Types_openAPISpec, config:Types_generationConfig) => Promise<Types_generationResult> = CodegenJS.generateSingleSpec as any;
+export const generateDocOverrideFiles: (spec:Types_openAPISpec, config:Types_generationConfig, host:(undefined | string)) => FileSystem_fileToWrite[] = CodegenJS.generateDocOverrideFiles as any;
+
+export const auditDocOverrides: (spec:Types_openAPISpec, config:Types_generationConfig, restamp:(undefined | boolean), prune:(undefined | boolean), force:(undefined | boolean)) => 
+    { TAG: "Ok"; _0: DocOverride_auditReport }
+  | { TAG: "Error"; _0: Types_codegenError } = CodegenJS.auditDocOverrides as any;
+
+export const generateSingleSpec: (spec:Types_openAPISpec, config:Types_generationConfig, specWarnings:(undefined | Types_warning[])) => Promise<Types_generationResult> = CodegenJS.generateSingleSpec as any;
 
 export const generateMultiSpecPure: (baseSpec:Types_openAPISpec, forkSpecs:Types_forkSpec[], config:Types_generationConfig) => 
     { TAG: "Ok"; _0: Pipeline_t }
   | { TAG: "Error"; _0: Types_codegenError } = CodegenJS.generateMultiSpecPure as any;
 
-export const generateMultiSpec: (baseSpec:Types_openAPISpec, forkSpecs:Types_forkSpec[], config:Types_generationConfig) => Promise<Types_generationResult> = CodegenJS.generateMultiSpec as any;
+export const generateMultiSpec: (baseSpec:Types_openAPISpec, forkSpecs:Types_forkSpec[], config:Types_generationConfig, specWarnings:(undefined | Types_warning[])) => Promise<Types_generationResult> = CodegenJS.generateMultiSpec as any;
+
+export const formatDiffReport: (diff:Types_specDiff, format:Types_reportFormat, baseName:(undefined | string), forkName:(undefined | string), specUri:(undefined | string)) => string = CodegenJS.formatDiffReport as any;
+
+export const compareSpecs: (baseSpec:Types_openAPISpec, forkSpec:Types_openAPISpec, baseName:(undefined | string), forkName:(undefined | string), outputPath:(undefined | string), format:(undefined | Types_reportFormat), specUri:(undefined | string)) => Promise<Types_specDiff> = CodegenJS.compareSpecs as any;
+
+export const lintSpecs: (baseSpec:Types_openAPISpec, forkSpecs:(undefined | Types_forkSpec[]), config:Types_generationConfig) => Types_lintIssue[] = CodegenJS.lintSpecs as any;
+
+export const lint: (config:Types_generationConfig) => Promise<
+    { TAG: "Ok"; _0: Types_lintIssue[] }
+  | { TAG: "Error"; _0: Types_codegenError }> = CodegenJS.lint as any;
+
+export const generatePure: (config:Types_generationConfig) => Promise<
+    { TAG: "Ok"; _0: Pipeline_t }
+  | { TAG: "Error"; _0: Types_codegenError }> = CodegenJS.generatePure as any;
+
+export const checkOutput: (config:Types_generationConfig, output:Pipeline_t) => Types_driftReport = CodegenJS.checkOutput as any;
+
+export const hasDrift: (report:Types_driftReport) => boolean = CodegenJS.hasDrift as any;
 
-export const compareSpecs: (baseSpec:Types_openAPISpec, forkSpec:Types_openAPISpec, baseName:(undefined | string), forkName:(undefined | string), outputPath:(undefined | string)) => Promise<Types_specDiff> = CodegenJS.compareSpecs as any;
+export const check: (config:Types_generationConfig) => Promise<
+    { TAG: "Ok"; _0: Types_driftReport }
+  | { TAG: "Error"; _0: Types_codegenError }> = CodegenJS.check as any;
 
 export const generate: (config:Types_generationConfig) => Promise<Types_generationResult> = CodegenJS.generate as any;
 
@@ -6,12 +6,25 @@ open Types
 // Promise bindings
 @val external promiseAll: array<promise<'a>> => promise<array<'a>> = "Promise.all"
 
+let withDeprecationWarnings = (output: Pipeline.t): Pipeline.t => {
+  ...output,
+  files: CodegenUtils.disableDeprecationWarnings(output.files),
+}
+
 // Generate code from a single spec (pure - returns data)
 @genType
 let generateSingleSpecPure = (~spec: openAPISpec, ~config: generationConfig): result<Pipeline.t, codegenError> => {
   try {
+    let spec = Plugin.transformSpec(config, spec)
     let targets = config.targets->Option.getOr(Config.defaultTargets())
-    let allEndpoints = OpenAPIParser.getAllEndpoints(spec)
+    let responseVariants = config.responseVariants->Option.getOr(false)
+    let mediaTypePreference = config.mediaTypePreference
+    let formatMappings = config.formatMappings
+    let transformIR = Plugin.transformIR(config)
+    let securitySchemes = spec.components->Option.flatMap(c => c.securitySchemes)
+    let inputSchemas = spec.components->Option.flatMap(c => c.schemas)->Option.mapOr([], SchemaIRParser.splitSchemaNames)
+    let credentialLocations = config.credentialLocations
+    let allEndpoints = Plugin.endpointsOf(config, spec)
     let endpoints = switch config.includeTags {
     | None => allEndpoints
     | Some(includeTags) => OpenAPIParser.filterByTags(~endpoints=allEndpoints, ~includeTags, ~excludeTags=config.excludeTags->Option.getOr([]))
@@ -19,122 +32,305 @@ let generateSingleSpecPure = (~spec: openAPISpec, ~config: generationConfig): re
     
     let baseOutput = targets.rescriptApi 
       ? Pipeline.combine([
-          ComponentSchemaGenerator.generate(~spec, ~outputDir=config.outputDir),
+          ComponentSchemaGenerator.generate(~spec, ~outputDir=config.outputDir, ~formatMappings?, ~transformIR?),
           config.modulePerTag
             ? ModuleGenerator.generateTagModuleFiles(
                 ~endpoints,
                 ~outputDir=config.outputDir,
                 ~overrideDir=?config.docOverrideDir,
+                ~responseVariants,
+                ~mediaTypePreference?,
+                ~formatMappings?,
+                ~inputSchemas,
+                ~securitySchemes?,
+                ~credentialLocations?,
+                ~servers=OpenAPIParser.getServers(spec),
               )
             : ModuleGenerator.generateFlatModuleFile(
                 ~moduleName="API",
                 ~endpoints,
                 ~outputDir=config.outputDir,
                 ~overrideDir=?config.docOverrideDir,
+                ~responseVariants,
+                ~mediaTypePreference?,
+                ~formatMappings?,
+                ~inputSchemas,
+                ~securitySchemes?,
+                ~credentialLocations?,
+                ~servers=OpenAPIParser.getServers(spec),
               ),
         ])
       : Pipeline.empty
 
     let wrapperOutput = targets.rescriptWrapper
-      ? ThinWrapperGenerator.generateWrapper(~spec, ~endpoints, ~outputDir=config.outputDir, ~wrapperModuleName=CodegenUtils.toPascalCase(spec.info.title) ++ "Wrapper", ~generatedModulePrefix="")
+      ? ThinWrapperGenerator.generateWrapper(~spec, ~endpoints, ~outputDir=config.outputDir, ~wrapperModuleName=CodegenUtils.toPascalCase(spec.info.title) ++ "Wrapper", ~generatedModulePrefix="", ~responseVariants, ~securitySchemes?, ~servers=OpenAPIParser.getServers(spec))
       : Pipeline.empty
 
+    let clientName = TypeScriptDtsGenerator.clientClassName(~clientName=?config.clientName, spec.info.title)
     let dtsOutput = targets.typescriptDts
-      ? TypeScriptDtsGenerator.generate(~spec, ~endpoints, ~outputDir=config.dtsOutputDir->Option.getOr(config.outputDir))
+      ? TypeScriptDtsGenerator.generate(~spec, ~endpoints, ~outputDir=config.dtsOutputDir->Option.getOr(config.outputDir), ~clientName, ~responseVariants, ~mediaTypePreference?, ~formatMappings?, ~transformIR?, ~securitySchemes?)
       : Pipeline.empty
 
     let tsWrapperOutput = targets.typescriptWrapper
-      ? TypeScriptWrapperGenerator.generate(~endpoints, ~outputDir=config.wrapperOutputDir->Option.getOr(config.outputDir), ~generatedModulePath="../generated")
+      ? TypeScriptWrapperGenerator.generate(~endpoints, ~outputDir=config.wrapperOutputDir->Option.getOr(config.outputDir), ~clientName, ~generatedModulePath="../generated", ~responseVariants, ~securitySchemes?, ~validation=?config.wrapperValidation, ~mediaTypePreference?)
+      : Pipeline.empty
+
+    let validatorOutput =
+      ValidatorSchemaGenerator.libraries(~targets, ~wrapperValidation=config.wrapperValidation)
+      ->Array.map(library =>
+        ValidatorSchemaGenerator.generate(~library, ~spec, ~endpoints, ~outputDir=config.dtsOutputDir->Option.getOr(config.outputDir), ~mediaTypePreference?, ~transformIR?)
+      )
+      ->Pipeline.combine
+
+    // The tests exercise the schemas of the ReScript API
+    let conformanceOutput = targets.conformanceTests && targets.rescriptApi
+      ? ConformanceTestGenerator.generate(~spec, ~endpoints, ~outputDir=config.outputDir, ~modulePerTag=config.modulePerTag, ~responseVariants, ~mediaTypePreference?)
+      : Pipeline.empty
+
+    let mockOutput = targets.mockServer
+      ? MockServerGenerator.generate(~spec, ~endpoints, ~outputDir=config.outputDir, ~seed=?config.mockSeed, ~mediaTypePreference?)
       : Pipeline.empty
 
-    Result.Ok(Pipeline.combine([baseOutput, wrapperOutput, dtsOutput, tsWrapperOutput]))
+    let pluginOutput = Plugin.generateFiles(config, {name: None, spec, endpoints, outputDir: config.outputDir})
+
+    Result.Ok(Plugin.transformFiles(config, Pipeline.combine([baseOutput, wrapperOutput, dtsOutput, tsWrapperOutput, validatorOutput, conformanceOutput, mockOutput, pluginOutput])->withDeprecationWarnings))
   } catch {
   | JsExn(err) => Result.Error(UnknownError({message: err->JsExn.message->Option.getOr("Unknown error"), context: None}))
   | _ => Result.Error(UnknownError({message: "Unknown error", context: None}))
   }
 }
 
-// Generate code from a single spec (with side effects)
+// The spec (after plugins) and the endpoints documentation override files are written for
+let docEndpoints = (~spec: openAPISpec, ~config: generationConfig) => {
+  let spec = Plugin.transformSpec(config, spec)
+  let allEndpoints = Plugin.endpointsOf(config, spec)
+  let endpoints = switch config.includeTags {
+  | None => allEndpoints
+  | Some(includeTags) => OpenAPIParser.filterByTags(~endpoints=allEndpoints, ~includeTags, ~excludeTags=config.excludeTags->Option.getOr([]))
+  }
+  (spec, endpoints)
+}
+
+// Documentation override files for a spec (pure - returns data)
 @genType
-let generateSingleSpec = async (~spec: openAPISpec, ~config: generationConfig): generationResult => {
-  switch generateSingleSpecPure(~spec, ~config) {
+let generateDocOverrideFiles = (~spec: openAPISpec, ~config: generationConfig, ~host=?): array<FileSystem.fileToWrite> => {
+  let (spec, endpoints) = docEndpoints(~spec, ~config)
+  DocOverride.generateOverrideFiles(~spec, ~endpoints, ~outputDir=config.docOverrideDir->Option.getOr("./docs"), ~host=host->Option.getOr(spec.info.title), ~groupByTag=config.modulePerTag, ())
+}
+
+// Report stale, orphaned and customized documentation override files of a spec. With restamp,
+// stale files are rewritten for the current endpoints, keeping their custom documentation; with
+// prune, orphaned files are deleted (ones with custom documentation only when forced).
+@genType
+let auditDocOverrides = (~spec: openAPISpec, ~config: generationConfig, ~restamp=false, ~prune=false, ~force=false): result<DocOverride.auditReport, codegenError> => {
+  let (spec, endpoints) = docEndpoints(~spec, ~config)
+  let overrideDir = config.docOverrideDir->Option.getOr("./docs")
+  let groupByTag = config.modulePerTag
+  let report = DocOverride.audit(~endpoints, ~overrideDir, ~groupByTag)
+  let restampFiles =
+    restamp
+      ? DocOverride.restamp(~endpoints, ~overrideDir, ~schemas=?spec.components->Option.flatMap(c => c.schemas), ~groupByTag, report)
+      : []
+  switch FileSystem.writeFiles(restampFiles) {
+  | Result.Error(errors) => Result.Error(UnknownError({message: `Failed to write files: ${Array.join(errors, ", ")}`, context: None}))
+  | Result.Ok(restamped) =>
+    (prune ? DocOverride.prune(~overrideDir, ~force, report) : Result.Ok([]))
+    ->Result.map(pruned => {...report, restamped, pruned})
+    ->Result.mapError(errors => UnknownError({message: `Failed to delete files: ${Array.join(errors, ", ")}`, context: None}))
+  }
+}
+
+// Directories generated files are written under; each keeps a manifest of its own
+let outputDirs = (config: generationConfig) => [Some(config.outputDir), config.dtsOutputDir, config.wrapperOutputDir]->Array.keepSome
+
+// Write generated files incrementally, removing stale files recorded in the output manifests
+let writeOutput = (~config: generationConfig, output: Pipeline.t): generationResult =>
+  FileSystem.syncFiles(~outputDirs=outputDirs(config), output.files)
+  ->Result.map(({written, unchanged, deleted, kept}): generationSuccess => {
+    generatedFiles: Array.concat(written, unchanged),
+    unchangedFiles: unchanged,
+    deletedFiles: deleted,
+    diff: None,
+    warnings: Array.concat(output.warnings, kept->Array.map(path => StaleFileKept({path: path}))),
+  })
+  ->Result.mapError(errors => UnknownError({message: `Failed to write files: ${Array.join(errors, ", ")}`, context: None}))
+
+// Warnings for documentation override files with custom documentation that no longer match their
+// endpoint (reads the override directory)
+let docOverrideWarnings = (~spec: openAPISpec, ~config: generationConfig): array<warning> =>
+  config.docOverrideDir->Option.mapOr([], overrideDir => {
+    let (_, endpoints) = docEndpoints(~spec, ~config)
+    DocOverride.audit(~endpoints, ~overrideDir, ~groupByTag=config.modulePerTag)->DocOverride.warnings
+  })
+
+// Render everything written for a single spec: the generated output and, with generateDocOverrides,
+// the documentation override files (pure - returns data)
+let renderSingleSpec = (~spec: openAPISpec, ~config: generationConfig) =>
+  generateSingleSpecPure(~spec, ~config)->Result.map(output => (
+    output,
+    config.generateDocOverrides == Some(true) ? generateDocOverrideFiles(~spec, ~config) : [],
+  ))
+
+// Write a rendered single spec; specWarnings come from resolving the spec
+let writeSingleSpec = async (~spec: openAPISpec, ~config: generationConfig, ~specWarnings, (output: Pipeline.t, overrideFiles)): generationResult => {
+  let output = {...output, warnings: Array.flat([specWarnings, output.warnings, docOverrideWarnings(~spec, ~config)])}
+  switch writeOutput(~config, output) {
   | Result.Error(err) => Result.Error(err)
-  | Result.Ok(output) =>
-    switch FileSystem.writeFiles(output.files) {
-    | Result.Error(errors) => Result.Error(UnknownError({message: `Failed to write files: ${Array.join(errors, ", ")}`, context: None}))
-    | Result.Ok(filePaths) =>
-      let overrideFiles = switch config.generateDocOverrides {
-      | Some(true) =>
-          let allEndpoints = OpenAPIParser.getAllEndpoints(spec)
-          let endpoints = switch config.includeTags {
-          | None => allEndpoints
-          | Some(includeTags) => OpenAPIParser.filterByTags(~endpoints=allEndpoints, ~includeTags, ~excludeTags=config.excludeTags->Option.getOr([]))
-          }
-          let files = DocOverride.generateOverrideFiles(~spec, ~endpoints, ~outputDir=config.docOverrideDir->Option.getOr("./docs"), ~host=spec.info.title, ~groupByTag=config.modulePerTag, ())
-          FileSystem.writeFiles(files)->Result.getOr([])
-      | _ => []
-      }
-      Result.Ok({generatedFiles: Array.concat(filePaths, overrideFiles), diff: None, warnings: output.warnings})
+  | Result.Ok(success) =>
+    switch FileSystem.writeFiles(overrideFiles) {
+    | Result.Error(errors) =>
+      Result.Error(UnknownError({message: `Failed to write documentation override files: ${Array.join(errors, ", ")}`, context: None}))
+    | Result.Ok(written) => await Plugin.afterWrite(config, {...success, generatedFiles: Array.concat(success.generatedFiles, written)})
     }
   }
 }
 
-// Process a single fork (pure - returns data)
-let processForkPure = (~baseSpec: openAPISpec, ~baseEndpoints: array<endpoint>, ~fork: forkSpec, ~config: generationConfig): result<Pipeline.t, codegenError> => {
+// Generate code from a single spec (with side effects); specWarnings come from resolving the spec
+@genType
+let generateSingleSpec = async (~spec: openAPISpec, ~config: generationConfig, ~specWarnings=[]): generationResult =>
+  switch renderSingleSpec(~spec, ~config) {
+  | Result.Error(err) => Result.Error(err)
+  | Result.Ok(rendered) => await writeSingleSpec(~spec, ~config, ~specWarnings, rendered)
+  }
+
+// Apply breakingChangeHandling to a fork diff: Error fails generation, Warn reports each breaking change as a warning
+let enforceBreakingChanges = (~config: generationConfig, ~forkName, diff: specDiff): result<array<warning>, codegenError> => {
+  let breaking = SpecDiffer.breakingChanges(diff)
+  switch Config.breakingChangeHandlingOf(config) {
+  | Config.Error if Array.length(breaking) > 0 =>
+    Result.Error(BreakingChangeError({forkName, changes: breaking->Array.map(CompatibilityAnalyzer.describe)}))
+  | Config.Warn =>
+    Result.Ok(breaking->Array.map(change => BreakingChange({
+      location: change.pointer,
+      message: `${change.message} (${CompatibilityAnalyzer.directionName(change.direction)})`,
+    })))
+  | Config.Error | Config.Ignore => Result.Ok([])
+  }
+}
+
+// Subdirectory and module prefix of the layer shared by all forks (CommonCore strategy)
+let commonLayer = (config: generationConfig) => {
+  let name = config.commonInstanceName->Option.getOr("common")
+  (name, CodegenUtils.toPascalCase(name))
+}
+
+// Process a single fork (pure - returns data); with a multi-way merge, what all forks share is left to the common layer
+let processForkPure = (~baseSpec: openAPISpec, ~baseEndpoints: array<endpoint>, ~fork: forkSpec, ~config: generationConfig, ~multiWay: option<SpecMerger.multiWayMerge>=?): result<Pipeline.t, codegenError> => {
   try {
-    let forkEndpoints = OpenAPIParser.getAllEndpoints(fork.spec)
+    let forkEndpoints = Plugin.endpointsOf(config, fork.spec)
     let diff = SpecDiffer.generateDiff(~baseSpec, ~forkSpec=fork.spec, ~baseEndpoints, ~forkEndpoints)
+    let breakingCheck = enforceBreakingChanges(~config, ~forkName=fork.name, diff)
     
-    let diffReportFile: option<FileSystem.fileToWrite> = config.generateDiffReport 
-      ? Some({path: FileSystem.makePath(config.outputDir, `${fork.name}-diff.md`), content: DiffReportGenerator.generateMarkdownReport(~diff, ~baseName="base", ~forkName=fork.name)})
-      : None
+    let reportFormats = config.reportFormats->Option.getOr([Markdown])
+    let stats = SpecMerger.getMergeStats(~baseEndpoints, ~forkEndpoints, ~baseSchemas=baseSpec.components->Option.flatMap(c => c.schemas), ~forkSchemas=fork.spec.components->Option.flatMap(c => c.schemas))
+    let specUri = config.forkSpecs
+      ->Option.flatMap(forks => forks->Array.find(f => f.name == fork.name))
+      ->Option.map(f => StructuredReportGenerator.specUri(f.specPath))
+
+    let diffReportFiles: array<FileSystem.fileToWrite> = config.generateDiffReport 
+      ? reportFormats->Array.map((format): FileSystem.fileToWrite => {
+          path: FileSystem.makePath(config.outputDir, DiffReportGenerator.reportFileName(~forkName=fork.name, format)),
+          content: DiffReportGenerator.generateReport(~format, ~diff, ~stats, ~baseName="base", ~forkName=fork.name, ~specUri?),
+        })
+      : []
 
     let (sharedSpec, extensionsSpec) = SpecMerger.mergeSpecs(~baseSpec, ~forkSpec=fork.spec, ~baseEndpoints, ~forkEndpoints, ~strategy=config.strategy)
-    let sharedEndpoints = OpenAPIParser.getAllEndpoints(sharedSpec)
-    let extensionEndpoints = OpenAPIParser.getAllEndpoints(extensionsSpec)
-    
-    let mergeReportFile: FileSystem.fileToWrite = {
-      path: FileSystem.makePath(config.outputDir, `${fork.name}-merge.md`),
-      content: DiffReportGenerator.generateMergeReport(~stats=SpecMerger.getMergeStats(~baseEndpoints, ~forkEndpoints, ~baseSchemas=baseSpec.components->Option.flatMap(c => c.schemas), ~forkSchemas=fork.spec.components->Option.flatMap(c => c.schemas)), ~baseName="base", ~forkName=fork.name)
+    let sharedEndpoints = Plugin.endpointsOf(config, sharedSpec)
+    let extensionEndpoints = switch multiWay {
+    | Some(merge) => Plugin.endpointsOf(config, extensionsSpec)->Array.filter(endpoint => !SpecMerger.isCommonEndpoint(merge, endpoint))
+    | None => Plugin.endpointsOf(config, extensionsSpec)
     }
+    let commonEndpoints = multiWay->Option.mapOr([], merge => merge.commonEndpoints)
+    
+    // The JSON and HTML diff reports carry the merge stats themselves
+    let mergeReportFiles: array<FileSystem.fileToWrite> = reportFormats->Array.includes(Markdown)
+      ? [{
+          path: FileSystem.makePath(config.outputDir, `${fork.name}-merge.md`),
+          content: DiffReportGenerator.generateMergeReport(~stats, ~baseName="base", ~forkName=fork.name)
+        }]
+      : []
 
+    let responseVariants = config.responseVariants->Option.getOr(false)
+    let mediaTypePreference = config.mediaTypePreference
+    let formatMappings = config.formatMappings
+    let transformIR = Plugin.transformIR(config)
+    let credentialLocations = config.credentialLocations
+    let forkSecuritySchemes = fork.spec.components->Option.flatMap(c => c.securitySchemes)
+    let targets = config.targets->Option.getOr(Config.defaultTargets())
+    // Each instance gets tests for the modules it owns
+    let conformanceTests = targets.conformanceTests && targets.rescriptApi
     let codeOutput = switch config.strategy {
     | Separate =>
-      Pipeline.fromFile({
-        path: FileSystem.makePath(config.outputDir, `${fork.name}.res`),
-        content: ModuleGenerator.generateFlatModuleCode(
-          ~moduleName=CodegenUtils.toPascalCase(fork.name),
-          ~endpoints=forkEndpoints,
-          ~overrideDir=?config.docOverrideDir,
-        ),
-      })
-    | SharedBase =>
+      // Forks share the output directory, so each one gets its own prefixed support modules
+      // (e.g., "ExtendedApiSecurity") instead of overwriting the others'
+      let forkPrefix = CodegenUtils.toPascalCase(fork.name)
+      Pipeline.combine([
+        ComponentSchemaGenerator.generate(~spec=fork.spec, ~outputDir=config.outputDir, ~modulePrefix=forkPrefix, ~formatMappings?, ~transformIR?),
+        Pipeline.fromFile({
+          path: FileSystem.makePath(config.outputDir, `${fork.name}.res`),
+          content: ModuleGenerator.generateFlatModuleCode(
+            ~moduleName=forkPrefix,
+            ~endpoints=forkEndpoints,
+            ~modulePrefix=forkPrefix,
+            ~overrideDir=?config.docOverrideDir,
+            ~responseVariants,
+            ~mediaTypePreference?,
+            ~formatMappings?,
+            ~inputSchemas=?fork.spec.components->Option.flatMap(c => c.schemas)->Option.map(SchemaIRParser.splitSchemaNames),
+          ),
+        }),
+        ApiRuntimeGenerator.generate(~outputDir=config.outputDir, ~modulePrefix=forkPrefix),
+        ApiSecurityGenerator.generate(~outputDir=config.outputDir, ~modulePrefix=forkPrefix, ~schemes=forkSecuritySchemes, ~credentialLocations?),
+        ServersGenerator.generate(~outputDir=config.outputDir, ~modulePrefix=forkPrefix, ~servers=OpenAPIParser.getServers(fork.spec), ~endpoints=forkEndpoints),
+        conformanceTests
+          ? ConformanceTestGenerator.generate(~spec=fork.spec, ~endpoints=forkEndpoints, ~outputDir=config.outputDir, ~modulePerTag=false, ~modulePrefix=forkPrefix, ~flatModulePath=`${forkPrefix}.${forkPrefix}`, ~responseVariants, ~mediaTypePreference?)
+          : Pipeline.empty,
+      ])
+    | SharedBase | CommonCore =>
         let baseName = config.baseInstanceName->Option.getOrThrow(~message="baseInstanceName required")
         let basePrefix = config.baseModulePrefix->Option.getOr(CodegenUtils.toPascalCase(baseName))
-        ModuleGenerator.generateSeparatePerTagModules(~baseName, ~basePrefix, ~forkName=fork.name, ~sharedEndpoints, ~extensionEndpoints, ~sharedSchemas=sharedSpec.components->Option.flatMap(c => c.schemas), ~extensionSchemas=fork.spec.components->Option.flatMap(c => c.schemas), ~outputDir=config.outputDir, ~overrideDir=?config.docOverrideDir)
+        ModuleGenerator.generateSeparatePerTagModules(~baseName, ~basePrefix, ~forkName=fork.name, ~sharedEndpoints, ~extensionEndpoints, ~sharedSchemas=sharedSpec.components->Option.flatMap(c => c.schemas), ~extensionSchemas=fork.spec.components->Option.flatMap(c => c.schemas), ~outputDir=config.outputDir, ~overrideDir=?config.docOverrideDir, ~responseVariants, ~mediaTypePreference?, ~formatMappings?, ~transformIR?, ~sharedSecuritySchemes=?baseSpec.components->Option.flatMap(c => c.securitySchemes), ~extensionSecuritySchemes=?forkSecuritySchemes, ~credentialLocations?, ~sharedServers=OpenAPIParser.getServers(baseSpec), ~extensionServers=OpenAPIParser.getServers(fork.spec), ~conformanceTests)
     }
 
-    let targets = config.targets->Option.getOr({rescriptApi: true, rescriptWrapper: false, typescriptDts: false, typescriptWrapper: false})
     let (wSpec, wShared, wExt, wBasePrefix) = switch config.strategy {
     | Separate => (fork.spec, forkEndpoints, [], "")
-    | SharedBase => (sharedSpec, sharedEndpoints, extensionEndpoints, config.baseModulePrefix->Option.getOr(config.baseInstanceName->Option.map(CodegenUtils.toPascalCase)->Option.getOr("")))
+    | SharedBase | CommonCore => (sharedSpec, sharedEndpoints, extensionEndpoints, config.baseModulePrefix->Option.getOr(config.baseInstanceName->Option.map(CodegenUtils.toPascalCase)->Option.getOr("")))
     }
 
+    let (_, commonModulePrefix) = commonLayer(config)
     let wrapperOutput = targets.rescriptWrapper 
-      ? ThinWrapperGenerator.generateWrapper(~spec=wSpec, ~endpoints=wShared, ~extensionEndpoints=wExt, ~outputDir=FileSystem.makePath(config.outputDir, fork.name), ~wrapperModuleName=CodegenUtils.toPascalCase(fork.name) ++ "Wrapper", ~generatedModulePrefix=CodegenUtils.toPascalCase(fork.name), ~baseModulePrefix=wBasePrefix)
+      ? ThinWrapperGenerator.generateWrapper(~spec=wSpec, ~endpoints=wShared, ~extensionEndpoints=wExt, ~outputDir=FileSystem.makePath(config.outputDir, fork.name), ~wrapperModuleName=CodegenUtils.toPascalCase(fork.name) ++ "Wrapper", ~generatedModulePrefix=CodegenUtils.toPascalCase(fork.name), ~baseModulePrefix=wBasePrefix, ~commonEndpoints, ~commonModulePrefix, ~responseVariants, ~securitySchemes=?forkSecuritySchemes, ~servers=OpenAPIParser.getServers(fork.spec))
       : Pipeline.empty
 
-    let allWEndpoints = Array.concat(wShared, wExt)
+    let allWEndpoints = [wShared, commonEndpoints, wExt]->Array.flat
+    let clientName = TypeScriptDtsGenerator.clientClassName(fork.name)
     let dtsOutput = targets.typescriptDts 
-      ? TypeScriptDtsGenerator.generate(~spec=wSpec, ~endpoints=allWEndpoints, ~outputDir=FileSystem.makePath(config.dtsOutputDir->Option.getOr(config.outputDir), fork.name))
+      ? TypeScriptDtsGenerator.generate(~spec=wSpec, ~endpoints=allWEndpoints, ~outputDir=FileSystem.makePath(config.dtsOutputDir->Option.getOr(config.outputDir), fork.name), ~clientName, ~responseVariants, ~mediaTypePreference?, ~formatMappings?, ~transformIR?, ~securitySchemes=?forkSecuritySchemes)
       : Pipeline.empty
 
     let tsWrapperOutput = targets.typescriptWrapper 
-      ? TypeScriptWrapperGenerator.generate(~endpoints=allWEndpoints, ~outputDir=FileSystem.makePath(config.wrapperOutputDir->Option.getOr(config.outputDir), fork.name), ~generatedModulePath=`../../generated/${fork.name}`)
+      ? TypeScriptWrapperGenerator.generate(~endpoints=allWEndpoints, ~outputDir=FileSystem.makePath(config.wrapperOutputDir->Option.getOr(config.outputDir), fork.name), ~clientName, ~generatedModulePath=`../../generated/${fork.name}`, ~responseVariants, ~securitySchemes=?forkSecuritySchemes, ~validation=?config.wrapperValidation, ~mediaTypePreference?)
       : Pipeline.empty
 
-    let reports = Pipeline.fromFiles([mergeReportFile, ...diffReportFile->Option.map(f => [f])->Option.getOr([])])
-    Result.Ok(Pipeline.combine([reports, codeOutput, wrapperOutput, dtsOutput, tsWrapperOutput]))
+    // The fork's own spec holds every schema its endpoints reference
+    let validatorOutput =
+      ValidatorSchemaGenerator.libraries(~targets, ~wrapperValidation=config.wrapperValidation)
+      ->Array.map(library =>
+        ValidatorSchemaGenerator.generate(~library, ~spec=fork.spec, ~endpoints=allWEndpoints, ~outputDir=FileSystem.makePath(config.dtsOutputDir->Option.getOr(config.outputDir), fork.name), ~mediaTypePreference?, ~transformIR?)
+      )
+      ->Pipeline.combine
+
+    // The mock serves the fork's whole spec
+    let mockOutput = targets.mockServer
+      ? MockServerGenerator.generate(~spec=fork.spec, ~endpoints=forkEndpoints, ~outputDir=FileSystem.makePath(config.outputDir, fork.name), ~seed=?config.mockSeed, ~mediaTypePreference?)
+      : Pipeline.empty
+
+    let pluginOutput = Plugin.generateFiles(config, {name: Some(fork.name), spec: fork.spec, endpoints: forkEndpoints, outputDir: FileSystem.makePath(config.outputDir, fork.name)})
+
+    let reports = Pipeline.fromFiles(Array.concat(mergeReportFiles, diffReportFiles))
+    breakingCheck->Result.map(breakingWarnings =>
+      Pipeline.combine([Pipeline.fromWarnings(breakingWarnings), reports, codeOutput, wrapperOutput, dtsOutput, tsWrapperOutput, validatorOutput, mockOutput, pluginOutput])
+    )
   } catch {
   | JsExn(err) => Result.Error(UnknownError({message: err->JsExn.message->Option.getOr("Unknown error"), context: None}))
   | _ => Result.Error(UnknownError({message: "Unknown error", context: None}))
@@ -145,25 +341,74 @@ let processForkPure = (~baseSpec: openAPISpec, ~baseEndpoints: array<endpoint>,
 @genType
 let generateMultiSpecPure = (~baseSpec: openAPISpec, ~forkSpecs: array<forkSpec>, ~config: generationConfig): result<Pipeline.t, codegenError> => {
   try {
-    let baseEndpoints = OpenAPIParser.getAllEndpoints(baseSpec)
-    let forkResults = forkSpecs->Array.map(fork => processForkPure(~baseSpec, ~baseEndpoints, ~fork, ~config))
+    let baseSpec = Plugin.transformSpec(config, baseSpec)
+    let forkSpecs = forkSpecs->Array.map(fork => {...fork, spec: Plugin.transformSpec(config, fork.spec)})
+    let baseEndpoints = Plugin.endpointsOf(config, baseSpec)
+    let baseName = config.baseInstanceName->Option.getOrThrow(~message="baseInstanceName required")
+    let multiWay = config.strategy == CommonCore
+      ? Some(SpecMerger.mergeMultiWay(~baseName, ~baseSpec, ~baseEndpoints, ~forks=forkSpecs, ~getEndpoints=spec => Plugin.endpointsOf(config, spec)))
+      : None
+    let forkResults = forkSpecs->Array.map(fork => processForkPure(~baseSpec, ~baseEndpoints, ~fork, ~config, ~multiWay?))
     
     switch forkResults->Array.find(Result.isError) {
     | Some(Result.Error(err)) => Result.Error(err)
     | _ =>
         let outputs = forkResults->Array.filterMap(res => switch res { | Ok(v) => Some(v) | Error(_) => None })
         let targets = config.targets->Option.getOr(Config.defaultTargets())
-        let baseName = config.baseInstanceName->Option.getOrThrow(~message="baseInstanceName required")
         let basePrefix = config.baseModulePrefix->Option.getOr(CodegenUtils.toPascalCase(baseName))
         let baseOutputDir = FileSystem.makePath(config.outputDir, baseName)
+        let baseSecuritySchemes = baseSpec.components->Option.flatMap(c => c.securitySchemes)
+        let transformIR = Plugin.transformIR(config)
+        
+        let responseVariants = config.responseVariants->Option.getOr(false)
+        let mediaTypePreference = config.mediaTypePreference
+        let formatMappings = config.formatMappings
         
+        // The base modules are generated like a fork's, so its wrappers take the same options
         let baseWrappers = Pipeline.combine([
-          targets.rescriptWrapper ? ThinWrapperGenerator.generateWrapper(~spec=baseSpec, ~endpoints=baseEndpoints, ~outputDir=baseOutputDir, ~wrapperModuleName=basePrefix ++ "Wrapper", ~generatedModulePrefix=basePrefix) : Pipeline.empty,
-          targets.typescriptDts ? TypeScriptDtsGenerator.generate(~spec=baseSpec, ~endpoints=baseEndpoints, ~outputDir=FileSystem.makePath(config.dtsOutputDir->Option.getOr(config.outputDir), baseName)) : Pipeline.empty,
-          targets.typescriptWrapper ? TypeScriptWrapperGenerator.generate(~endpoints=baseEndpoints, ~outputDir=FileSystem.makePath(config.wrapperOutputDir->Option.getOr(config.outputDir), baseName), ~generatedModulePath=`../../generated/${baseName}`) : Pipeline.empty
+          targets.rescriptWrapper ? ThinWrapperGenerator.generateWrapper(~spec=baseSpec, ~endpoints=baseEndpoints, ~outputDir=baseOutputDir, ~wrapperModuleName=basePrefix ++ "Wrapper", ~generatedModulePrefix=basePrefix, ~responseVariants, ~securitySchemes=?baseSecuritySchemes, ~servers=OpenAPIParser.getServers(baseSpec)) : Pipeline.empty,
+          targets.typescriptDts ? TypeScriptDtsGenerator.generate(~spec=baseSpec, ~endpoints=baseEndpoints, ~outputDir=FileSystem.makePath(config.dtsOutputDir->Option.getOr(config.outputDir), baseName), ~clientName=TypeScriptDtsGenerator.clientClassName(baseName), ~responseVariants, ~mediaTypePreference?, ~formatMappings?, ~transformIR?, ~securitySchemes=?baseSecuritySchemes) : Pipeline.empty,
+          targets.typescriptWrapper ? TypeScriptWrapperGenerator.generate(~endpoints=baseEndpoints, ~outputDir=FileSystem.makePath(config.wrapperOutputDir->Option.getOr(config.outputDir), baseName), ~clientName=TypeScriptDtsGenerator.clientClassName(baseName), ~generatedModulePath=`../../generated/${baseName}`, ~responseVariants, ~securitySchemes=?baseSecuritySchemes, ~validation=?config.wrapperValidation, ~mediaTypePreference?) : Pipeline.empty,
+          ...ValidatorSchemaGenerator.libraries(~targets, ~wrapperValidation=config.wrapperValidation)->Array.map(library =>
+            ValidatorSchemaGenerator.generate(~library, ~spec=baseSpec, ~endpoints=baseEndpoints, ~outputDir=FileSystem.makePath(config.dtsOutputDir->Option.getOr(config.outputDir), baseName), ~mediaTypePreference?, ~transformIR?)
+          ),
+          targets.mockServer ? MockServerGenerator.generate(~spec=baseSpec, ~endpoints=baseEndpoints, ~outputDir=baseOutputDir, ~seed=?config.mockSeed, ~mediaTypePreference?) : Pipeline.empty,
+          Plugin.generateFiles(config, {name: Some(baseName), spec: baseSpec, endpoints: baseEndpoints, outputDir: baseOutputDir}),
         ])
         
-        Result.Ok(Pipeline.combine(Array.concat(outputs, [baseWrappers])))
+        let commonOutput = multiWay->Option.mapOr(Pipeline.empty, merge => {
+          let (commonName, commonPrefix) = commonLayer(config)
+          Pipeline.combine([
+            Array.length(merge.commonEndpoints) > 0 || Array.length(merge.commonSchemaNames) > 0
+              ? ModuleGenerator.generateInstanceTagModules(
+                  ~instanceName=commonName,
+                  ~modulePrefix=commonPrefix,
+                  ~endpoints=merge.commonEndpoints,
+                  ~schemas=merge.commonSchemas,
+                  ~outputDir=config.outputDir,
+                  ~overrideDir=?config.docOverrideDir,
+                  ~responseVariants,
+                  ~mediaTypePreference?,
+                  ~formatMappings?,
+                  ~transformIR?,
+                  // Common endpoints come from the forks, so they may use any fork's schemes
+                  ~securitySchemes=forkSpecs
+                  ->Array.flatMap(fork => OpenAPIParser.getSecuritySchemes(fork.spec)->Dict.toArray)
+                  ->Dict.fromArray,
+                  ~credentialLocations=?config.credentialLocations,
+                  ~conformanceTests=targets.conformanceTests && targets.rescriptApi,
+                )
+              : Pipeline.empty,
+            config.generateDiffReport
+              ? Pipeline.fromFile({
+                  path: FileSystem.makePath(config.outputDir, "instance-matrix.md"),
+                  content: DiffReportGenerator.generateMatrixReport(~matrix=merge.matrix, ~commonName),
+                })
+              : Pipeline.empty,
+          ])
+        })
+
+        Result.Ok(Plugin.transformFiles(config, Pipeline.combine(Array.concat(outputs, [commonOutput, baseWrappers]))->withDeprecationWarnings))
     }
   } catch {
   | JsExn(err) => Result.Error(UnknownError({message: err->JsExn.message->Option.getOr("Unknown error"), context: None}))
@@ -171,55 +416,191 @@ let generateMultiSpecPure = (~baseSpec: openAPISpec, ~forkSpecs: array<forkSpec>
   }
 }
 
+// Write the rendered output of multiple specs; specWarnings come from resolving the specs
+let writeMultiSpec = async (~config: generationConfig, ~specWarnings, output: Pipeline.t): generationResult =>
+  switch writeOutput(~config, {...output, warnings: Array.concat(specWarnings, output.warnings)}) {
+  | Result.Error(err) => Result.Error(err)
+  | Result.Ok(success) => await Plugin.afterWrite(config, success)
+  }
+
 // Generate code from multiple specs (with side effects)
 @genType
-let generateMultiSpec = async (~baseSpec: openAPISpec, ~forkSpecs: array<forkSpec>, ~config: generationConfig): generationResult =>
+let generateMultiSpec = async (~baseSpec: openAPISpec, ~forkSpecs: array<forkSpec>, ~config: generationConfig, ~specWarnings=[]): generationResult =>
   switch generateMultiSpecPure(~baseSpec, ~forkSpecs, ~config) {
   | Result.Error(err) => Result.Error(err)
-  | Result.Ok(output) =>
-      FileSystem.writeFiles(output.files)
-      ->Result.map(filePaths => ({generatedFiles: filePaths, diff: None, warnings: output.warnings}: generationSuccess))
-      ->Result.mapError(errors => UnknownError({message: `Failed to write files: ${Array.join(errors, ", ")}`, context: None}))
+  | Result.Ok(output) => await writeMultiSpec(~config, ~specWarnings, output)
   }
 
+// Render a diff report (Markdown, JSON, SARIF or HTML); specUri is the fork spec location used by SARIF results
+@genType
+let formatDiffReport = (~diff: specDiff, ~format: reportFormat, ~baseName="base", ~forkName="fork", ~specUri=?) =>
+  DiffReportGenerator.generateReport(~format, ~diff, ~baseName, ~forkName, ~specUri?)
+
 // Compare two specs and generate diff report
 @genType
-let compareSpecs = async (~baseSpec, ~forkSpec, ~baseName="base", ~forkName="fork", ~outputPath=?) => {
+let compareSpecs = async (~baseSpec, ~forkSpec, ~baseName="base", ~forkName="fork", ~outputPath=?, ~format=Markdown, ~specUri=?) => {
   let diff = SpecDiffer.generateDiff(~baseSpec, ~forkSpec, ~baseEndpoints=OpenAPIParser.getAllEndpoints(baseSpec), ~forkEndpoints=OpenAPIParser.getAllEndpoints(forkSpec))
   outputPath->Option.forEach(path => {
-    let _ = FileSystem.writeFile({path, content: DiffReportGenerator.generateMarkdownReport(~diff, ~baseName, ~forkName)})
+    let _ = FileSystem.writeFile({path, content: formatDiffReport(~diff, ~format, ~baseName, ~forkName, ~specUri?)})
   })
   diff
 }
 
-// Main generation function
-@genType
-let generate = async (config: generationConfig): generationResult => {
-  switch await SchemaRefResolver.resolve(config.specPath) {
+// Resolve the base spec and the fork specs named in a config, with the warnings of up-converting them to OpenAPI 3.1
+let resolveSpecs = async (config: generationConfig): result<((openAPISpec, array<forkSpec>), array<warning>), codegenError> => {
+  switch await SchemaRefResolver.resolveWithWarnings(config.specPath) {
   | Result.Error(message) => Result.Error(SpecResolutionError({url: config.specPath, message}))
-  | Result.Ok(baseSpec) =>
+  | Result.Ok((baseSpec, baseWarnings)) =>
       switch config.forkSpecs {
-      | None | Some([]) => await generateSingleSpec(~spec=baseSpec, ~config)
+      | None | Some([]) => Result.Ok(((baseSpec, []), baseWarnings))
       | Some(forkConfigs) =>
           let forkResults = await forkConfigs
-            ->Array.map(async f => (await SchemaRefResolver.resolve(f.specPath))->Result.map(spec => ({name: f.name, spec}: forkSpec)))
+            ->Array.map(async f => (await SchemaRefResolver.resolveWithWarnings(f.specPath))->Result.map(((spec, warnings)) => (({name: f.name, spec}: forkSpec), warnings)))
             ->promiseAll
           
           switch forkResults->Array.find(Result.isError) {
           | Some(Result.Error(err)) => Result.Error(SpecResolutionError({url: "", message: err}))
-          | _ => await generateMultiSpec(~baseSpec, ~forkSpecs=forkResults->Array.filterMap(res => switch res { | Ok(v) => Some(v) | Error(_) => None }), ~config)
+          | _ =>
+            let forks = forkResults->Array.filterMap(res => switch res { | Ok(v) => Some(v) | Error(_) => None })
+            let forkSpecs = forks->Array.map(((fork, _)) => fork)
+            Result.Ok(((baseSpec, forkSpecs), Array.concat(baseWarnings, forks->Array.flatMap(((_, warnings)) => warnings))))
           }
       }
   }
 }
 
+// Lint specs as they will be generated: transformed by the plugins and narrowed to the included tags
+@genType
+let lintSpecs = (~baseSpec: openAPISpec, ~forkSpecs: array<forkSpec>=[], ~config: generationConfig): array<lintIssue> => {
+  let lintSpec = (~specName=?, spec) => {
+    let spec = Plugin.transformSpec(config, spec)
+    let allEndpoints = Plugin.endpointsOf(config, spec)
+    let endpoints = switch config.includeTags {
+    | None => allEndpoints
+    | Some(includeTags) => OpenAPIParser.filterByTags(~endpoints=allEndpoints, ~includeTags, ~excludeTags=config.excludeTags->Option.getOr([]))
+    }
+    // Support modules generated next to the tag modules
+    let reservedModules = [
+      Some(ApiRuntimeGenerator.moduleName()),
+      Some("ComponentSchemas"),
+      spec.components->Option.flatMap(c => c.securitySchemes)->Option.map(_ => ApiSecurityGenerator.moduleName()),
+      spec.servers->Option.map(_ => ServersGenerator.moduleName()),
+    ]->Array.filterMap(name => name)
+    SpecLinter.lint(~lintRules=?config.lintRules, ~modulePerTag=config.modulePerTag, ~reservedModules, ~specName?, ~spec, ~endpoints)
+  }
+  Array.concat(lintSpec(baseSpec), forkSpecs->Array.flatMap(fork => lintSpec(~specName=fork.name, fork.spec)))
+}
+
+// Fail on lint issues at Error level; the others are reported as warnings
+let enforceLint = (issues: array<lintIssue>): result<array<warning>, codegenError> =>
+  switch issues->Array.filter(issue => issue.severity == Config.Error) {
+  | [] => Result.Ok(issues->Array.map(issue => LintIssue({rule: issue.rule, location: issue.location, message: issue.message})))
+  | errors => Result.Error(LintError({issues: errors->Array.map(SpecLinter.describe)}))
+  }
+
+// Lint the specs named in a config without generating anything
+@genType
+let lint = async (config: generationConfig): result<array<lintIssue>, codegenError> =>
+  (await resolveSpecs(config))->Result.map((((baseSpec, forkSpecs), _)) => lintSpecs(~baseSpec, ~forkSpecs, ~config))
+
+// Resolve and lint the specs and load the template customization named in a config
+let resolveInputs = async (config: generationConfig) =>
+  switch await resolveSpecs(config) {
+  | Result.Error(err) => Result.Error(err)
+  | Result.Ok(((baseSpec, forkSpecs), specWarnings)) =>
+    switch enforceLint(lintSpecs(~baseSpec, ~forkSpecs, ~config)) {
+    | Result.Error(err) => Result.Error(err)
+    | Result.Ok(lintWarnings) =>
+      (await TemplateCustomization.load(config.templateDir))
+      ->Result.map(templates => (((baseSpec, forkSpecs), Array.concat(specWarnings, lintWarnings)), templates))
+    }
+  }
+
+// Main generation function without writing anything (pure - returns data)
+@genType
+let generatePure = async (config: generationConfig): result<Pipeline.t, codegenError> =>
+  switch await resolveInputs(config) {
+  | Result.Error(err) => Result.Error(err)
+  | Result.Ok((((spec, []), specWarnings), templates)) =>
+    TemplateCustomization.apply(templates, () => generateSingleSpecPure(~spec, ~config))
+    ->Result.map(output => {...output, warnings: Array.concat(specWarnings, output.warnings)})
+  | Result.Ok((((baseSpec, forkSpecs), specWarnings), templates)) =>
+    TemplateCustomization.apply(templates, () => generateMultiSpecPure(~baseSpec, ~forkSpecs, ~config))
+    ->Result.map(output => {...output, warnings: Array.concat(specWarnings, output.warnings)})
+  }
+
+// Compare generated output with the files on disk without writing anything
+@genType
+let checkOutput = (~config: generationConfig, output: Pipeline.t): driftReport => {
+  let plan = FileSystem.planSync(~outputDirs=outputDirs(config), output.files)
+  // None for `before` or `after` means the file does not exist on that side
+  let drift = (~path, ~before, ~after): fileDrift => {
+    let shown = FileSystem.displayPath(path)
+    {
+      path,
+      diff: TextDiff.unified(
+        ~oldPath=?before->Option.map(_ => shown),
+        ~newPath=?after->Option.map(_ => shown),
+        ~before=before->Option.getOr(""),
+        ~after=after->Option.getOr(""),
+      ),
+    }
+  }
+  let onDisk = path => Some(FileSystem.readFileSync(path, "utf8"))
+
+  {
+    added: plan.created->Array.map(file => drift(~path=file.path, ~before=None, ~after=Some(file.content))),
+    removed: plan.stale->Array.map(path => drift(~path, ~before=onDisk(path), ~after=None)),
+    changed: plan.changed->Array.map(file => drift(~path=file.path, ~before=onDisk(file.path), ~after=Some(file.content))),
+    warnings: Array.concat(output.warnings, plan.kept->Array.map(path => StaleFileKept({path: path}))),
+  }
+}
+
+// Whether a drift report has any added, removed or changed file
+@genType
+let hasDrift = (report: driftReport): bool =>
+  Array.length(report.added) + Array.length(report.removed) + Array.length(report.changed) > 0
+
+// Report drift between the spec and the generated output on disk (dry run - writes nothing)
+@genType
+let check = async (config: generationConfig): result<driftReport, codegenError> =>
+  (await generatePure(config))->Result.map(output => checkOutput(~config, output))
+
+// Main generation function
+// Everything is rendered with the user templates in effect before anything is written
+@genType
+let generate = async (config: generationConfig): generationResult =>
+  switch await resolveInputs(config) {
+  | Result.Error(err) => Result.Error(err)
+  | Result.Ok((((spec, []), specWarnings), templates)) =>
+    switch TemplateCustomization.apply(templates, () => renderSingleSpec(~spec, ~config)) {
+    | Result.Error(err) => Result.Error(err)
+    | Result.Ok(rendered) => await writeSingleSpec(~spec, ~config, ~specWarnings, rendered)
+    }
+  | Result.Ok((((baseSpec, forkSpecs), specWarnings), templates)) =>
+    switch TemplateCustomization.apply(templates, () => generateMultiSpecPure(~baseSpec, ~forkSpecs, ~config)) {
+    | Result.Error(err) => Result.Error(err)
+    | Result.Ok(output) => await writeMultiSpec(~config, ~specWarnings, output)
+    }
+  }
+
 @genType
 let createDefaultConfig = (url, outputDir): generationConfig => ({
   specPath: url, outputDir, strategy: SharedBase, includeTags: None, excludeTags: None,
   modulePerTag: true, generateDiffReport: true, breakingChangeHandling: Warn,
   forkSpecs: None, generateDocOverrides: None, docOverrideDir: None,
   targets: None, dtsOutputDir: None, wrapperOutputDir: None,
-  baseInstanceName: None, baseModulePrefix: None,
+  baseInstanceName: None, baseModulePrefix: None, commonInstanceName: None, responseVariants: None,
+  mediaTypePreference: None,
+  formatMappings: None,
+  reportFormats: None,
+  credentialLocations: None,
+  clientName: None,
+  wrapperValidation: None,
+  templateDir: None,
+  plugins: None,
+  lintRules: None,
+  mockSeed: None,
 })
 
 @genType
@@ -0,0 +1,377 @@
+/* TypeScript file generated from Types.res by genType. */
+
+/* eslint-disable */
+/* tslint:disable */
+
+import type {lintLevel as Config_lintLevel} from '../src/types/Config.gen';
+
+import type {t as Config_t} from '../src/types/Config.gen';
+
+export type jsonSchemaType = 
+    "String"
+  | "Number"
+  | "Integer"
+  | "Boolean"
+  | "Object"
+  | "Null"
+  | "Unknown"
+  | { TAG: "Array"; _0: jsonSchemaType };
+
+export type jsonSchema = {
+  readonly type: (undefined | jsonSchemaType); 
+  readonly properties: (undefined | {[id: string]: jsonSchema}); 
+  readonly items: (undefined | jsonSchema); 
+  readonly required: (undefined | string[]); 
+  readonly enum: (undefined | unknown[]); 
+  readonly "$ref": (undefined | string); 
+  readonly allOf: (undefined | jsonSchema[]); 
+  readonly oneOf: (undefined | jsonSchema[]); 
+  readonly anyOf: (undefined | jsonSchema[]); 
+  readonly description: (undefined | string); 
+  readonly format: (undefined | string); 
+  readonly minLength: (undefined | number); 
+  readonly maxLength: (undefined | number); 
+  readonly minimum: (undefined | number); 
+  readonly maximum: (undefined | number); 
+  readonly multipleOf: (undefined | number); 
+  readonly pattern: (undefined | string); 
+  readonly minItems: (undefined | number); 
+  readonly maxItems: (undefined | number); 
+  readonly uniqueItems: (undefined | boolean); 
+  readonly nullable: (undefined | boolean); 
+  readonly readOnly: (undefined | boolean); 
+  readonly writeOnly: (undefined | boolean); 
+  readonly additionalProperties: (undefined | additionalProperties); 
+  readonly patternProperties: (undefined | {[id: string]: jsonSchema}); 
+  readonly discriminator: (undefined | discriminator); 
+  readonly const: (undefined | unknown); 
+  readonly title: (undefined | string); 
+  readonly default: (undefined | unknown); 
+  readonly deprecated: (undefined | boolean); 
+  readonly example: (undefined | unknown); 
+  readonly examples: (undefined | unknown)
+};
+
+export type additionalProperties = boolean | jsonSchema;
+
+export type discriminator = { readonly propertyName: string; readonly mapping: (undefined | {[id: string]: string}) };
+
+export type httpMethod = 
+    "GET"
+  | "POST"
+  | "PUT"
+  | "PATCH"
+  | "DELETE"
+  | "HEAD"
+  | "OPTIONS";
+
+export type mediaType = {
+  readonly schema: (undefined | jsonSchema); 
+  readonly example: (undefined | unknown); 
+  readonly examples: (undefined | {[id: string]: unknown})
+};
+
+export type requestBody = {
+  readonly description: (undefined | string); 
+  readonly content: {[id: string]: mediaType}; 
+  readonly required: (undefined | boolean)
+};
+
+export type response = { readonly description: string; readonly content: (undefined | {[id: string]: mediaType}) };
+
+export type parameter = {
+  readonly name: string; 
+  readonly in: string; 
+  readonly description: (undefined | string); 
+  readonly required: (undefined | boolean); 
+  readonly schema: (undefined | jsonSchema); 
+  readonly style: (undefined | string); 
+  readonly explode: (undefined | boolean)
+};
+
+export type oauthFlow = {
+  readonly authorizationUrl: (undefined | string); 
+  readonly tokenUrl: (undefined | string); 
+  readonly refreshUrl: (undefined | string); 
+  readonly scopes: {[id: string]: string}
+};
+
+export type oauthFlows = {
+  readonly implicit: (undefined | oauthFlow); 
+  readonly password: (undefined | oauthFlow); 
+  readonly clientCredentials: (undefined | oauthFlow); 
+  readonly authorizationCode: (undefined | oauthFlow)
+};
+
+export type securityScheme = {
+  readonly type: string; 
+  readonly description: (undefined | string); 
+  readonly name: (undefined | string); 
+  readonly in: (undefined | string); 
+  readonly scheme: (undefined | string); 
+  readonly bearerFormat: (undefined | string); 
+  readonly flows: (undefined | oauthFlows); 
+  readonly openIdConnectUrl: (undefined | string)
+};
+
+export type securityRequirement = {[id: string]: string[]};
+
+export type serverVariable = {
+  readonly enum: (undefined | string[]); 
+  readonly default: (undefined | string); 
+  readonly description: (undefined | string)
+};
+
+export type server = {
+  readonly url: string; 
+  readonly description: (undefined | string); 
+  readonly variables: (undefined | {[id: string]: serverVariable})
+};
+
+export type operation = {
+  readonly operationId: (undefined | string); 
+  readonly summary: (undefined | string); 
+  readonly description: (undefined | string); 
+  readonly tags: (undefined | string[]); 
+  readonly requestBody: (undefined | requestBody); 
+  readonly responses: {[id: string]: response}; 
+  readonly parameters: (undefined | parameter[]); 
+  readonly security: (undefined | securityRequirement[]); 
+  readonly servers: (undefined | server[]); 
+  readonly deprecated: (undefined | boolean)
+};
+
+export type endpoint = {
+  readonly path: string; 
+  readonly method: string; 
+  readonly operationId: (undefined | string); 
+  readonly summary: (undefined | string); 
+  readonly description: (undefined | string); 
+  readonly tags: (undefined | string[]); 
+  readonly requestBody: (undefined | requestBody); 
+  readonly responses: {[id: string]: response}; 
+  readonly parameters: (undefined | parameter[]); 
+  readonly security: (undefined | securityRequirement[]); 
+  readonly servers: (undefined | server[]); 
+  readonly deprecated: (undefined | boolean)
+};
+
+export type pathItem = {
+  readonly get: (undefined | operation); 
+  readonly post: (undefined | operation); 
+  readonly put: (undefined | operation); 
+  readonly patch: (undefined | operation); 
+  readonly delete: (undefined | operation); 
+  readonly head: (undefined | operation); 
+  readonly options: (undefined | operation); 
+  readonly parameters: (undefined | parameter[]); 
+  readonly servers: (undefined | server[])
+};
+
+export type components = { readonly schemas: (undefined | {[id: string]: jsonSchema}); readonly securitySchemes: (undefined | {[id: string]: securityScheme}) };
+
+export type info = {
+  readonly title: string; 
+  readonly version: string; 
+  readonly description: (undefined | string)
+};
+
+export type openAPISpec = {
+  readonly openapi: string; 
+  readonly info: info; 
+  readonly paths: {[id: string]: pathItem}; 
+  readonly components: (undefined | components); 
+  readonly security: (undefined | securityRequirement[]); 
+  readonly servers: (undefined | server[])
+};
+
+export type generationStrategy = "Separate" | "SharedBase" | "CommonCore";
+
+export type breakingChangeHandling = "Error" | "Warn" | "Ignore";
+
+export type reportFormat = "Markdown" | "Json" | "Sarif" | "Html";
+
+export type validationLibrary = "Zod" | "Valibot";
+
+export type forkSpecConfig = { readonly name: string; readonly specPath: string };
+
+export type credentialLocation = { readonly in: string; readonly name: string };
+
+export type generationTargets = {
+  readonly rescriptApi: boolean; 
+  readonly rescriptWrapper: boolean; 
+  readonly typescriptDts: boolean; 
+  readonly typescriptWrapper: boolean; 
+  readonly zodSchemas: boolean; 
+  readonly valibotSchemas: boolean; 
+  readonly conformanceTests: boolean; 
+  readonly mockServer: boolean
+};
+
+export type lintLevel = Config_lintLevel;
+
+export type generationConfig = Config_t;
+
+export type forkSpec = { readonly name: string; readonly spec: openAPISpec };
+
+export type errorContext = {
+  readonly path: string; 
+  readonly operation: string; 
+  readonly schema: (undefined | unknown)
+};
+
+export type codegenError = 
+    { TAG: "SpecResolutionError"; readonly url: string; readonly message: string }
+  | { TAG: "SchemaParseError"; readonly context: errorContext; readonly reason: string }
+  | { TAG: "ReferenceError"; readonly ref: string; readonly context: errorContext }
+  | { TAG: "ValidationError"; readonly schema: string; readonly input: unknown; readonly issues: string[] }
+  | { TAG: "CircularSchemaError"; readonly ref: string; readonly depth: number; readonly path: string }
+  | { TAG: "FileWriteError"; readonly filePath: string; readonly message: string }
+  | { TAG: "InvalidConfigError"; readonly field: string; readonly message: string }
+  | { TAG: "BreakingChangeError"; readonly forkName: string; readonly changes: string[] }
+  | { TAG: "LintError"; readonly issues: string[] }
+  | { TAG: "UnknownError"; readonly message: string; readonly context: (undefined | errorContext) };
+
+export type warning = 
+    { TAG: "FallbackToJson"; readonly reason: string; readonly context: errorContext }
+  | { TAG: "UnsupportedFeature"; readonly feature: string; readonly fallback: string; readonly location: string }
+  | { TAG: "DepthLimitReached"; readonly depth: number; readonly path: string }
+  | { TAG: "MissingSchema"; readonly ref: string; readonly location: string }
+  | { TAG: "IntersectionNotFullySupported"; readonly location: string; readonly note: string }
+  | { TAG: "ComplexUnionSimplified"; readonly location: string; readonly types: string }
+  | { TAG: "StaleFileKept"; readonly path: string }
+  | { TAG: "BreakingChange"; readonly location: string; readonly message: string }
+  | { TAG: "LintIssue"; readonly rule: string; readonly location: string; readonly message: string }
+  | { TAG: "StaleDocOverride"; readonly path: string; readonly message: string };
+
+export type lintIssue = {
+  readonly rule: string; 
+  readonly severity: Config_lintLevel; 
+  readonly location: string; 
+  readonly message: string
+};
+
+export type changeDirection = "Request" | "Response";
+
+export type changeKind = 
+    "EndpointAdded"
+  | "EndpointRemoved"
+  | "ParameterAdded"
+  | "ParameterRemoved"
+  | "ParameterBecameRequired"
+  | "ParameterBecameOptional"
+  | "RequestBodyAdded"
+  | "RequestBodyRemoved"
+  | "RequestBodyBecameRequired"
+  | "RequestBodyBecameOptional"
+  | "MediaTypeAdded"
+  | "MediaTypeRemoved"
+  | "StatusCodeAdded"
+  | "StatusCodeRemoved"
+  | "SchemaAdded"
+  | "SchemaRemoved"
+  | "PropertyAdded"
+  | "PropertyRemoved"
+  | "PropertyBecameRequired"
+  | "PropertyBecameOptional"
+  | "EnumValueAdded"
+  | "EnumValueRemoved"
+  | "TypeWidened"
+  | "TypeNarrowed"
+  | "TypeChanged"
+  | "NullableAdded"
+  | "NullableRemoved"
+  | "FormatChanged"
+  | "ConstraintWidened"
+  | "ConstraintNarrowed"
+  | "ConstraintChanged";
+
+export type apiChange = {
+  readonly pointer: string; 
+  readonly kind: changeKind; 
+  readonly direction: changeDirection; 
+  readonly breaking: boolean; 
+  readonly message: string
+};
+
+export type endpointDiff = {
+  readonly path: string; 
+  readonly method: string; 
+  readonly tags: (undefined | string[]); 
+  readonly parametersChanged: boolean; 
+  readonly requestBodyChanged: boolean; 
+  readonly responseChanged: boolean; 
+  readonly breakingChange: boolean; 
+  readonly changes: apiChange[]
+};
+
+export type schemaDiff = {
+  readonly name: string; 
+  readonly breakingChange: boolean; 
+  readonly changes: apiChange[]
+};
+
+export type specDiff = {
+  readonly addedEndpoints: endpoint[]; 
+  readonly removedEndpoints: endpoint[]; 
+  readonly modifiedEndpoints: endpointDiff[]; 
+  readonly addedSchemas: string[]; 
+  readonly removedSchemas: string[]; 
+  readonly modifiedSchemas: schemaDiff[]; 
+  readonly changes: apiChange[]
+};
+
+export type generationSuccess = {
+  readonly generatedFiles: string[]; 
+  readonly unchangedFiles: string[]; 
+  readonly deletedFiles: string[]; 
+  readonly diff: (undefined | specDiff); 
+  readonly warnings: warning[]
+};
+
+export type generationResult = 
+    { TAG: "Ok"; _0: generationSuccess }
+  | { TAG: "Error"; _0: codegenError };
+
+export type fileDrift = { readonly path: string; readonly diff: string };
+
+export type driftReport = {
+  readonly added: fileDrift[]; 
+  readonly removed: fileDrift[]; 
+  readonly changed: fileDrift[]; 
+  readonly warnings: warning[]
+};
+
+export type CodegenError_context = {
+  readonly path: string; 
+  readonly operation: string; 
+  readonly schema: (undefined | unknown)
+};
+
+export type CodegenError_t = 
+    { TAG: "SpecResolutionError"; readonly url: string; readonly message: string }
+  | { TAG: "SchemaParseError"; readonly context: CodegenError_context; readonly reason: string }
+  | { TAG: "ReferenceError"; readonly ref: string; readonly context: CodegenError_context }
+  | { TAG: "ValidationError"; readonly schema: string; readonly input: unknown; readonly issues: string[] }
+  | { TAG: "CircularSchemaError"; readonly ref: string; readonly depth: number; readonly path: string }
+  | { TAG: "FileWriteError"; readonly filePath: string; readonly message: string }
+  | { TAG: "InvalidConfigError"; readonly field: string; readonly message: string }
+  | { TAG: "BreakingChangeError"; readonly forkName: string; readonly changes: string[] }
+  | { TAG: "LintError"; readonly issues: string[] }
+  | { TAG: "UnknownError"; readonly message: string; readonly context: (undefined | CodegenError_context) };
+
+export type Warning_t = 
+    { TAG: "FallbackToJson"; readonly reason: string; readonly context: CodegenError_context }
+  | { TAG: "UnsupportedFeature"; readonly feature: string; readonly fallback: string; readonly location: string }
+  | { TAG: "DepthLimitReached"; readonly depth: number; readonly path: string }
+  | { TAG: "MissingSchema"; readonly ref: string; readonly location: string }
+  | { TAG: "IntersectionNotFullySupported"; readonly location: string; readonly note: string }
+  | { TAG: "ComplexUnionSimplified"; readonly location: string; readonly types: string }
+  | { TAG: "StaleFileKept"; readonly path: string }
+  | { TAG: "BreakingChange"; readonly location: string; readonly message: string }
+  | { TAG: "LintIssue"; readonly rule: string; readonly location: string; readonly message: string }
+  | { TAG: "StaleDocOverride"; readonly path: string; readonly message: string };
+
+export type CodegenError_context = CodegenError_context;
+
+export type CodegenError_t = CodegenError_t;
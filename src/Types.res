@@ -31,8 +31,36 @@ and jsonSchema = {
   maxLength: option<int>,
   minimum: option<float>,
   maximum: option<float>,
+  multipleOf: option<float>,
   pattern: option<string>,
+  minItems: option<int>,
+  maxItems: option<int>,
+  uniqueItems: option<bool>,
   nullable: option<bool>,
+  readOnly: option<bool>, // Sent by the server only: left out of request types
+  writeOnly: option<bool>, // Sent by the client only: left out of response types
+  additionalProperties: option<additionalProperties>,
+  patternProperties: option<dict<jsonSchema>>,
+  discriminator: option<discriminator>,
+  @as("const") const_: option<JSON.t>,
+  title: option<string>,
+  @as("default") default_: option<JSON.t>,
+  deprecated: option<bool>,
+  example: option<JSON.t>, // OpenAPI's single example
+  examples: option<JSON.t>, // JSON Schema's array of examples
+}
+
+// additionalProperties is either a boolean or a schema for the extra keys
+@genType @unboxed
+and additionalProperties =
+  | Allowed(bool)
+  | Schema(jsonSchema)
+
+// Names the property that tells oneOf/anyOf members apart; mapping goes from tag value to $ref
+@genType
+and discriminator = {
+  propertyName: string,
+  mapping: option<dict<string>>,
 }
 
 // ============= OpenAPI 3.1 Types =============
@@ -66,6 +94,57 @@ type parameter = {
   description: option<string>,
   required: option<bool>,
   schema: option<jsonSchema>,
+  style: option<string>,
+  explode: option<bool>,
+}
+
+// OAuth 2 flow; scopes map each scope name to its description
+@genType
+type oauthFlow = {
+  authorizationUrl: option<string>,
+  tokenUrl: option<string>,
+  refreshUrl: option<string>,
+  scopes: dict<string>,
+}
+
+@genType
+type oauthFlows = {
+  implicit: option<oauthFlow>,
+  password: option<oauthFlow>,
+  clientCredentials: option<oauthFlow>,
+  authorizationCode: option<oauthFlow>,
+}
+
+@genType
+type securityScheme = {
+  @as("type") type_: string, // apiKey, http, mutualTLS, oauth2 or openIdConnect
+  description: option<string>,
+  name: option<string>, // apiKey: header, query parameter or cookie name
+  @as("in") in_: option<string>, // apiKey: header, query or cookie
+  scheme: option<string>, // http: bearer, basic, ...
+  bearerFormat: option<string>,
+  flows: option<oauthFlows>,
+  openIdConnectUrl: option<string>,
+}
+
+// Scheme name to required scopes; an operation may be called with any one of its requirements,
+// and an empty requirement means no authentication
+@genType
+type securityRequirement = dict<array<string>>
+
+// Substitution for a {name} placeholder in a server URL
+@genType
+type serverVariable = {
+  enum: option<array<string>>,
+  default: option<string>, // Required by OpenAPI, but missing in some specs
+  description: option<string>,
+}
+
+@genType
+type server = {
+  url: string, // May hold {name} placeholders for the variables
+  description: option<string>,
+  variables: option<dict<serverVariable>>,
 }
 
 @genType
@@ -77,6 +156,9 @@ type operation = {
   requestBody: option<requestBody>,
   responses: dict<response>,
   parameters: option<array<parameter>>,
+  security: option<array<securityRequirement>>,
+  servers: option<array<server>>,
+  deprecated: option<bool>,
 }
 
 @genType
@@ -90,6 +172,9 @@ type endpoint = {
   requestBody: option<requestBody>,
   responses: dict<response>,
   parameters: option<array<parameter>>,
+  security: option<array<securityRequirement>>, // The operation's requirements, or else the spec's
+  servers: option<array<server>>, // Servers overriding the spec's for this operation (its own, or else its path's)
+  deprecated: option<bool>,
 }
 
 @genType
@@ -102,10 +187,14 @@ type pathItem = {
   head: option<operation>,
   options: option<operation>,
   parameters: option<array<parameter>>,
+  servers: option<array<server>>,
 }
 
 @genType
-type components = {schemas: option<dict<jsonSchema>>}
+type components = {
+  schemas: option<dict<jsonSchema>>,
+  securitySchemes: option<dict<securityScheme>>,
+}
 
 @genType
 type info = {
@@ -120,6 +209,8 @@ type openAPISpec = {
   info: info,
   paths: dict<pathItem>,
   components: option<components>,
+  security: option<array<securityRequirement>>,
+  servers: option<array<server>>,
 }
 
 // ============= Re-exports from focused modules =============
@@ -128,19 +219,32 @@ type openAPISpec = {
 type generationStrategy = Config.generationStrategy =
   | Separate
   | SharedBase
+  | CommonCore
 
 @genType
 type breakingChangeHandling = Config.breakingChangeHandling = | Error | Warn | Ignore
 @genType
+type reportFormat = Config.reportFormat = | Markdown | Json | Sarif | Html
+@genType
+type validationLibrary = Config.validationLibrary = | Zod | Valibot
+@genType
 type forkSpecConfig = Config.forkSpecConfig = {name: string, specPath: string}
 @genType
+type credentialLocation = Config.credentialLocation = {@as("in") in_: string, name: string}
+@genType
 type generationTargets = Config.generationTargets = {
   rescriptApi: bool,
   rescriptWrapper: bool,
   typescriptDts: bool,
   typescriptWrapper: bool,
+  zodSchemas: bool,
+  valibotSchemas: bool,
+  conformanceTests: bool,
+  mockServer: bool,
 }
 @genType
+type lintLevel = Config.lintLevel
+@genType
 type generationConfig = Config.t
 
 @genType
@@ -166,6 +270,8 @@ type codegenError = CodegenError.t =
   | CircularSchemaError({ref: string, depth: int, path: string})
   | FileWriteError({filePath: string, message: string})
   | InvalidConfigError({field: string, message: string})
+  | BreakingChangeError({forkName: string, changes: array<string>})
+  | LintError({issues: array<string>})
   | UnknownError({message: string, context: option<errorContext>})
 
 @genType
@@ -176,21 +282,86 @@ type warning = CodegenError.Warning.t =
   | MissingSchema({ref: string, location: string})
   | IntersectionNotFullySupported({location: string, note: string})
   | ComplexUnionSimplified({location: string, types: string})
+  | StaleFileKept({path: string})
+  | BreakingChange({location: string, message: string})
+  | LintIssue({rule: string, location: string, message: string})
+  | StaleDocOverride({path: string, message: string})
+
+// A problem SpecLinter found; severity is Error or Warn (rules set to Ignore report nothing)
+@genType
+type lintIssue = {
+  rule: string, // e.g. "operation-name-collision"
+  severity: Config.lintLevel,
+  location: string, // JSON pointer into the spec, prefixed with "<fork name>:" for fork specs
+  message: string,
+}
 
 // ============= Diff Types =============
+// Whether a change affects what clients send or what they receive
+@genType
+type changeDirection = Request | Response
+
+@genType
+type changeKind =
+  | EndpointAdded
+  | EndpointRemoved
+  | ParameterAdded
+  | ParameterRemoved
+  | ParameterBecameRequired
+  | ParameterBecameOptional
+  | RequestBodyAdded
+  | RequestBodyRemoved
+  | RequestBodyBecameRequired
+  | RequestBodyBecameOptional
+  | MediaTypeAdded
+  | MediaTypeRemoved
+  | StatusCodeAdded
+  | StatusCodeRemoved
+  | SchemaAdded
+  | SchemaRemoved
+  | PropertyAdded
+  | PropertyRemoved
+  | PropertyBecameRequired
+  | PropertyBecameOptional
+  | EnumValueAdded
+  | EnumValueRemoved
+  | TypeWidened
+  | TypeNarrowed
+  | TypeChanged
+  | NullableAdded
+  | NullableRemoved
+  | FormatChanged
+  | ConstraintWidened
+  | ConstraintNarrowed
+  | ConstraintChanged
+
+// One compatibility-relevant change between two specs
+@genType
+type apiChange = {
+  pointer: string, // JSON pointer (RFC 6901) to the changed location
+  kind: changeKind,
+  direction: changeDirection,
+  breaking: bool, // Whether existing clients can break in this direction
+  message: string,
+}
+
 @genType
 type endpointDiff = {
   path: string,
   method: string,
+  tags: option<array<string>>,
+  parametersChanged: bool,
   requestBodyChanged: bool,
   responseChanged: bool,
   breakingChange: bool,
+  changes: array<apiChange>,
 }
 
 @genType
 type schemaDiff = {
   name: string,
   breakingChange: bool,
+  changes: array<apiChange>,
 }
 
 @genType
@@ -201,12 +372,15 @@ type specDiff = {
   addedSchemas: array<string>,
   removedSchemas: array<string>,
   modifiedSchemas: array<schemaDiff>,
+  changes: array<apiChange>, // Every classified change, including added and removed endpoints and schemas
 }
 
 // ============= Generation Result Types =============
 @genType
 type generationSuccess = {
   generatedFiles: array<string>,
+  unchangedFiles: array<string>, // Generated files that already had the same content (not rewritten)
+  deletedFiles: array<string>,   // Previously generated files removed because they are no longer produced
   diff: option<specDiff>,
   warnings: array<warning>,
 }
@@ -214,6 +388,21 @@ type generationSuccess = {
 @genType
 type generationResult = result<generationSuccess, codegenError>
 
+// ============= Drift Check Types =============
+@genType
+type fileDrift = {
+  path: string,
+  diff: string, // Unified diff from the file on disk to the generated content
+}
+
+@genType
+type driftReport = {
+  added: array<fileDrift>,   // Generated files missing on disk
+  removed: array<fileDrift>, // Previously generated files that are no longer produced
+  changed: array<fileDrift>, // Files on disk whose content differs from the generated content
+  warnings: array<warning>,
+}
+
 // ============= Re-export helper modules =============
 module CodegenError = CodegenError
 
@@ -7,37 +7,84 @@
 
 let _require = createRequire(importMetaUrl)
 
-// Internal: render with untyped data (JSON.t used as universal type at boundary)
-let _render: (string, JSON.t) => string = {
+// User-supplied templates, helpers and partials (see TemplateCustomization)
+type customization = {
+  templates: Map.t<string, string>, // Built-in template source -> replacement source
+  helpers: dict<unknown>, // Helper name -> function
+  partials: dict<string>, // Partial name -> source
+}
+
+type binding = {
+  render: (string, JSON.t) => string,
+  // Throws on a syntax error
+  parse: string => unit,
+  // Render with a customization until the returned function is called
+  customize: customization => unit => unit,
+}
+
+let _binding: binding = {
   let handlebars: 'a = _require("handlebars")
   let convert: 'a = _require("js-convert-case")
 
   %raw(`
     (function(Handlebars, convert) {
-      var instance = Handlebars.create();
-
-      instance.registerHelper('indent', function(content, level) {
-        if (typeof content !== 'string') return '';
-        var spaces = '  '.repeat(typeof level === 'number' ? level : 1);
-        return content.split('\n').map(function(line) {
-          return line.trim() === '' ? '' : spaces + line;
-        }).join('\n');
-      });
-      instance.registerHelper('pascalCase', function(s) { return typeof s === 'string' ? convert.toPascalCase(s) : ''; });
-      instance.registerHelper('camelCase', function(s) { return typeof s === 'string' ? convert.toCamelCase(s) : ''; });
-      instance.registerHelper('upperCase', function(s) { return typeof s === 'string' ? s.toUpperCase() : ''; });
-      instance.registerHelper('eq', function(a, b) { return a === b; });
-      instance.registerHelper('ne', function(a, b) { return a !== b; });
-
-      var cache = {};
-      return function render(template, data) {
-        if (!cache[template]) cache[template] = instance.compile(template, { noEscape: true });
-        return cache[template](data);
+      function createInstance() {
+        var instance = Handlebars.create();
+
+        instance.registerHelper('indent', function(content, level) {
+          if (typeof content !== 'string') return '';
+          var spaces = '  '.repeat(typeof level === 'number' ? level : 1);
+          return content.split('\n').map(function(line) {
+            return line.trim() === '' ? '' : spaces + line;
+          }).join('\n');
+        });
+        instance.registerHelper('pascalCase', function(s) { return typeof s === 'string' ? convert.toPascalCase(s) : ''; });
+        instance.registerHelper('camelCase', function(s) { return typeof s === 'string' ? convert.toCamelCase(s) : ''; });
+        instance.registerHelper('upperCase', function(s) { return typeof s === 'string' ? s.toUpperCase() : ''; });
+        instance.registerHelper('eq', function(a, b) { return a === b; });
+        instance.registerHelper('ne', function(a, b) { return a !== b; });
+        return instance;
+      }
+
+      var current = { instance: createInstance(), templates: new Map(), cache: {} };
+
+      return {
+        render: function render(template, data) {
+          var source = current.templates.get(template) ?? template;
+          if (!current.cache[source]) current.cache[source] = current.instance.compile(source, { noEscape: true });
+          return current.cache[source](data);
+        },
+        parse: function parse(source) { Handlebars.parse(source); },
+        customize: function customize(customization) {
+          var instance = createInstance();
+          instance.registerHelper(customization.helpers);
+          instance.registerPartial(customization.partials);
+          var previous = current;
+          current = { instance: instance, templates: customization.templates, cache: {} };
+          return function restore() { current = previous; };
+        },
       };
     })
   `)(handlebars, convert)
 }
 
+// Internal: render with untyped data (JSON.t used as universal type at boundary)
+let _render = _binding.render
+
 // Public render: accepts any ReScript record/object via Obj.magic
 let render = (template: string, data: 'a): string =>
   _render(template, Obj.magic(data))
+
+// Run a synchronous function with user templates, helpers and partials in effect
+let withCustomization = (customization: customization, run: unit => 'a): 'a => {
+  let restore = _binding.customize(customization)
+  try {
+    let result = run()
+    restore()
+    result
+  } catch {
+  | error =>
+    restore()
+    throw(error)
+  }
+}
@@ -147,14 +147,23 @@ let generateDocComment = (~summary=?, ~description=?, ()): string =>
     {"summary": summary->Null.fromOption, "description": description->Null.fromOption},
   )
 
-// Generate DocString comment (multi-line /** ... */ format) from markdown
-let generateDocString = (~summary=?, ~description=?, ()): string => {
+// `@example` tags for doc comments, one compact JSON value each
+let exampleTags = (examples: array<JSON.t>): array<string> =>
+  examples->Array.map(example => `@example ${JSON.stringify(example)->String.replaceAll("*/", "*\\/")}`)
+
+// Generate DocString comment (multi-line /** ... */ format) from markdown, followed by any examples
+let generateDocString = (~summary=?, ~description=?, ~examples=[], ()): string => {
   let content = switch (summary, description) {
   | (None, None) => None
   | (Some(s), None) => Some(s)
   | (None, Some(d)) => Some(d)
   | (Some(s), Some(d)) => Some(s == d ? s : s ++ "\n\n" ++ d)
   }
+  let content = switch (content, exampleTags(examples)) {
+  | (content, []) => content
+  | (Some(text), tags) => Some(Array.concat([text], tags)->Array.join("\n"))
+  | (None, tags) => Some(tags->Array.join("\n"))
+  }
   
   content->Option.map(text => {
     let lines = text->String.trim->String.split("\n")->Array.map(String.trim)
@@ -168,8 +177,108 @@ let generateDocString = (~summary=?, ~description=?, ()): string => {
   })->Option.getOr("")
 }
 
-// Shared type signature for the fetch function used in generated code
-let fetchTypeSignature = "(~url: string, ~method_: string, ~body: option<JSON.t>) => Promise.t<JSON.t>"
+// JSDoc block from lines, indented; blank lines stay as bare asterisks
+let jsDoc = (~indent="", lines: array<string>): string =>
+  switch lines {
+  | [] => ""
+  | [line] => `${indent}/** ${line} */`
+  | lines =>
+    let body = lines->Array.map(line => line == "" ? `${indent} *` : `${indent} * ${line}`)->Array.join("\n")
+    `${indent}/**\n${body}\n${indent} */`
+  }
+
+// Attribute for types, fields and functions the spec marks deprecated
+let deprecatedAttribute = `@deprecated("Deprecated in the OpenAPI spec")`
+let deprecatedAttributeWithNote = note => `@deprecated("${escapeString(note)}")`
+
+// Component modules whose types are deprecated, as paths like "ComponentSchemas.LegacySettings"
+let deprecatedComponentModules = (files: array<FileSystem.fileToWrite>): array<string> =>
+  files->Array.flatMap(file => {
+    let fileName = file.path->String.split("/")->Array.at(-1)->Option.getOr("")
+    fileName->String.endsWith("ComponentSchemas.res")
+      ? file.content
+        ->String.split("\nmodule ")
+        ->Array.slice(~start=1)
+        ->Array.filterMap(chunk =>
+          switch chunk->String.split(" = {")->Array.get(0) {
+          | Some(name) if chunk->String.includes(`\n  ${deprecatedAttribute}\n`) =>
+            Some(`${fileName->String.replace(".res", "")}.${name}`)
+          | _ => None
+          }
+        )
+      : []
+  })
+
+// Generated code declares and uses deprecated schemas and operations itself, so the files that do
+// turn off the deprecation warning (right after the header comment) and only consumers get it
+let disableDeprecationWarnings = (files: array<FileSystem.fileToWrite>): array<FileSystem.fileToWrite> => {
+  let deprecatedTypes = deprecatedComponentModules(files)->Array.map(path =>
+    RegExp.fromString(`\\b${path->String.replaceAll(".", "\\.")}\\.(t|input)\\b`)
+  )
+  files->Array.map(file => {
+    let usesDeprecated =
+      file.path->String.endsWith(".res") &&
+        (file.content->String.includes("@deprecated(") || deprecatedTypes->Array.some(re => re->RegExp.test(file.content)))
+    if usesDeprecated {
+      let lines = file.content->String.split("\n")
+      let headerEnd = lines->Array.findIndex(line => !(line->String.startsWith("//")))
+      let at = headerEnd < 0 ? Array.length(lines) : headerEnd
+      let content = Array.concat(Array.concat(lines->Array.slice(~start=0, ~end=at), [`@@warning("-3")`]), lines->Array.slice(~start=at))
+      {...file, content: content->Array.join("\n")}
+    } else {
+      file
+    }
+  })
+}
+
+// Doc comment and attributes written before a record field
+let fieldPrefix = (info: option<SchemaIR.fieldInfo>): string =>
+  switch info {
+  | None => ""
+  | Some({deprecated, examples}) =>
+    let doc = switch exampleTags(examples) {
+    | [] => ""
+    | tags => `/** ${tags->Array.join(" ")} */ `
+    }
+    doc ++ (deprecated ? `${deprecatedAttribute} ` : "")
+  }
+
+// ReScript literal for a `default` value of a plain type: strings (formats mapped to string
+// included), ints, floats and bools. Other types keep the field optional.
+let defaultValueCode = (~formatMappings=?, irType: SchemaIR.irType, value: JSON.t): option<string> => {
+  let keepsType = rescriptType =>
+    switch FormatMapping.forType(~overrides=?formatMappings, irType) {
+    | Some(mapping) => mapping.rescriptType == rescriptType
+    | None => true
+    }
+  switch (irType, value) {
+  | (String(_), String(s)) if keepsType("string") => Some(`"${escapeString(s)}"`)
+  | (Integer(_), Number(n)) if keepsType("int") && Float.toInt(n)->Int.toFloat == n => Some(Float.toInt(n)->Int.toString)
+  | (Number(_), Number(n)) if keepsType("float") =>
+    let literal = Float.toString(n)
+    Some(literal->String.includes(".") || literal->String.includes("e") ? literal : literal ++ ".")
+  | (Boolean, Boolean(b)) => Some(b ? "true" : "false")
+  | _ => None
+  }
+}
+
+// Default an optional property is decoded with (`s.fieldOr`), making its field non-optional.
+// Nullable properties are already options; callers pass their non-null type and keep the option.
+let fieldDefault = (~formatMappings=?, ~fieldInfo, ~name, ~isRequired, fieldType: SchemaIR.irType): option<string> =>
+  isRequired
+    ? None
+    : SchemaIR.fieldInfoFor(fieldInfo, name)
+      ->Option.flatMap(info => info.default)
+      ->Option.flatMap(value => defaultValueCode(~formatMappings?, fieldType, value))
+
+// Type signature for the fetch function used in generated code. Bodies use the runtime module's
+// request/response body types; with response variants it also resolves to the HTTP status code.
+let fetchTypeSignature = (~runtimeModule="ApiRuntime", ~responseVariants=false) => {
+  let result = responseVariants
+    ? `(int, ${runtimeModule}.responseBody)`
+    : `${runtimeModule}.responseBody`
+  `(~url: string, ~method_: string, ~body: option<${runtimeModule}.requestBody>, ~headers: dict<string>) => Promise.t<${result}>`
+}
 
 // Generate variant constructor name from an IR type
 let rec variantConstructorName = (irType: SchemaIR.irType): string => {
@@ -194,11 +303,21 @@ let rec variantConstructorName = (irType: SchemaIR.irType): string => {
   | Literal(NullLiteral) => "Null"
   | Option(inner) => variantConstructorName(inner)
   | Intersection(_) => "Intersection"
-  | Union(_) => "Union"
+  | Union(_) | TaggedUnion(_) => "Union"
+  | Binary => "Binary"
   | Unknown => "Unknown"
   }
 }
 
+// Variant constructor name for a discriminator tag value ("credit_card" -> "CreditCard")
+let tagConstructorName = (tag: string): string => {
+  let name = tag->sanitizeIdentifier->toPascalCase
+  switch name->String.charAt(0) {
+  | first if first >= "A" && first <= "Z" => name
+  | _ => "V" ++ name
+  }
+}
+
 // Deduplicate variant constructor names by appending counter suffix
 let deduplicateNames = (names: array<string>): array<string> => {
   let counts: Dict.t<int> = Dict.make()
@@ -220,3 +339,38 @@ let deduplicateNames = (names: array<string>): array<string> => {
   })
   result
 }
+
+// Names used by generated endpoint functions that parameters must not shadow
+let reservedParameterLabels = ["body", "credentialPlacements", "credentials", "fetch", "requestBody", "response", "server"]
+
+// Generate labeled argument names for endpoint parameters (reserved names get a "Param" suffix)
+let parameterLabels = (parameters: array<Types.parameter>): array<string> =>
+  parameters
+  ->Array.map(param => {
+    let label = toCamelCase(sanitizeIdentifier(param.name))
+    let label = reservedParameterLabels->Array.includes(label) ? label ++ "Param" : label
+    escapeKeyword(label)
+  })
+  ->deduplicateNames
+
+// Suffix used for per-status names (e.g., "200", "4XX", "Default")
+let statusSuffix = (match_: OpenAPIParser.statusMatch) =>
+  switch match_ {
+  | Exact(n) => Int.toString(n)
+  | Range(digit) => `${Int.toString(digit)}XX`
+  | Default => "Default"
+  }
+
+// Response variant constructor name for a status (e.g., "Status200", "Status4XX", "Default")
+let statusConstructorName = (match_: OpenAPIParser.statusMatch) =>
+  switch match_ {
+  | Default => "Default"
+  | _ => `Status${statusSuffix(match_)}`
+  }
+
+// Range and default responses also carry the actual status code
+let carriesStatusCode = (match_: OpenAPIParser.statusMatch) =>
+  switch match_ {
+  | Exact(_) => false
+  | Range(_) | Default => true
+  }
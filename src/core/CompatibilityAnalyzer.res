@@ -0,0 +1,540 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// CompatibilityAnalyzer.res - Classify changes between two specs as breaking or compatible for clients
+open Types
+
+// Which side of the API a change can break existing clients on
+type impact =
+  | Compatible
+  | BreaksRequest // Clients may now send something the server rejects
+  | BreaksResponse // Clients may now receive something they do not expect
+  | BreaksBoth
+
+// Component schemas of both specs (to compare a $ref with an inline schema) and the changes found so far
+type context = {
+  baseSchemas: dict<jsonSchema>,
+  forkSchemas: dict<jsonSchema>,
+  direction: changeDirection,
+  changes: array<apiChange>,
+}
+
+// Nesting depth after which schemas are no longer compared (guards against $ref cycles)
+let maxDepth = 32
+
+let makeContext = (~baseSchemas=Dict.make(), ~forkSchemas=Dict.make(), direction) => {
+  baseSchemas,
+  forkSchemas,
+  direction,
+  changes: [],
+}
+
+// Escape a JSON pointer segment (RFC 6901)
+let escapeSegment = segment => segment->String.replaceAll("~", "~0")->String.replaceAll("/", "~1")
+
+let pointerTo = (pointer, segment) => `${pointer}/${escapeSegment(segment)}`
+
+let endpointPointer = (endpoint: endpoint) => `/paths/${escapeSegment(endpoint.path)}/${endpoint.method}`
+
+let schemaPointer = name => pointerTo("/components/schemas", name)
+
+let directionName = direction =>
+  switch direction {
+  | Request => "request"
+  | Response => "response"
+  }
+
+let isBreaking = (impact, direction) =>
+  switch impact {
+  | Compatible => false
+  | BreaksBoth => true
+  | BreaksRequest => direction == Request
+  | BreaksResponse => direction == Response
+  }
+
+let report = (ctx, ~pointer, ~kind, ~impact, message) =>
+  ctx.changes->Array.push({
+    pointer,
+    kind,
+    direction: ctx.direction,
+    breaking: isBreaking(impact, ctx.direction),
+    message,
+  })
+
+let sortedKeys = dict => Dict.keysToArray(dict)->Array.toSorted(String.compare)
+
+// ============= Schemas =============
+
+// JSON type names a schema accepts (from `type` as a string or an array, plus `nullable`); empty means any type
+let typeNames = (schema: jsonSchema): array<string> => {
+  let declared = switch schema.type_->Option.map(t => (Obj.magic(t): JSON.t)) {
+  | Some(String(name)) => [name->String.toLowerCase]
+  | Some(Array(names)) => names->Array.filterMap(name => JSON.Decode.string(name)->Option.map(String.toLowerCase))
+  | _ => []
+  }
+  switch schema.nullable {
+  | Some(true) if declared->Array.length > 0 && !(declared->Array.includes("null")) => Array.concat(declared, ["null"])
+  | _ => declared
+  }
+}
+
+// Whether every value accepted by `inner` is accepted by `outer` (an integer is also a number)
+let coversTypes = (outer, inner) =>
+  Array.length(outer) == 0 ||
+    (Array.length(inner) > 0 &&
+      inner->Array.every(name => outer->Array.includes(name) || (name == "integer" && outer->Array.includes("number"))))
+
+let describeTypes = names => Array.length(names) == 0 ? "any" : names->Array.join(" | ")
+
+// Values a schema is restricted to by `enum` or `const`
+let allowedValues = (schema: jsonSchema) =>
+  switch (schema.enum, schema.const_) {
+  | (Some(values), _) => Some(values)
+  | (None, Some(value)) => Some([value])
+  | (None, None) => None
+  }
+
+let describeValue = (value: JSON.t) => JSON.stringify(value)
+
+// Compare `type` and `nullable`; returns false when the types are unrelated and the schemas should not be compared further
+let compareTypes = (ctx, ~pointer, base: jsonSchema, fork: jsonSchema): bool => {
+  let baseTypes = typeNames(base)
+  let forkTypes = typeNames(fork)
+  let widened = coversTypes(forkTypes, baseTypes)
+  let narrowed = coversTypes(baseTypes, forkTypes)
+  let pointer = pointerTo(pointer, "type")
+  let transition = `from ${describeTypes(baseTypes)} to ${describeTypes(forkTypes)}`
+
+  switch (widened, narrowed) {
+  | (true, true) => true
+  | (true, false) =>
+    let addedTypes = forkTypes->Array.filter(name => !coversTypes(baseTypes, [name]))
+    addedTypes == ["null"]
+      ? report(ctx, ~pointer, ~kind=NullableAdded, ~impact=BreaksResponse, "became nullable")
+      : report(ctx, ~pointer, ~kind=TypeWidened, ~impact=BreaksResponse, `type widened ${transition}`)
+    true
+  | (false, true) =>
+    let removedTypes = baseTypes->Array.filter(name => !coversTypes(forkTypes, [name]))
+    removedTypes == ["null"]
+      ? report(ctx, ~pointer, ~kind=NullableRemoved, ~impact=BreaksRequest, "is no longer nullable")
+      : report(ctx, ~pointer, ~kind=TypeNarrowed, ~impact=BreaksRequest, `type narrowed ${transition}`)
+    true
+  | (false, false) =>
+    report(ctx, ~pointer, ~kind=TypeChanged, ~impact=BreaksBoth, `type changed ${transition}`)
+    false
+  }
+}
+
+let compareValues = (ctx, ~pointer, base: jsonSchema, fork: jsonSchema) => {
+  let pointer = pointerTo(pointer, base.enum->Option.isSome || fork.enum->Option.isSome ? "enum" : "const")
+  switch (allowedValues(base), allowedValues(fork)) {
+  | (None, None) => ()
+  | (None, Some(values)) =>
+    let described = values->Array.map(describeValue)->Array.join(", ")
+    report(ctx, ~pointer, ~kind=ConstraintNarrowed, ~impact=BreaksRequest, `restricted to ${described}`)
+  | (Some(_), None) =>
+    report(ctx, ~pointer, ~kind=ConstraintWidened, ~impact=BreaksResponse, "no longer restricted to a set of values")
+  | (Some(baseValues), Some(forkValues)) =>
+    let baseKeys = baseValues->Array.map(describeValue)
+    let forkKeys = forkValues->Array.map(describeValue)
+    baseKeys->Array.forEach(value =>
+      if !(forkKeys->Array.includes(value)) {
+        report(ctx, ~pointer, ~kind=EnumValueRemoved, ~impact=BreaksRequest, `enum value ${value} was removed`)
+      }
+    )
+    forkKeys->Array.forEach(value =>
+      if !(baseKeys->Array.includes(value)) {
+        report(ctx, ~pointer, ~kind=EnumValueAdded, ~impact=BreaksResponse, `enum value ${value} was added`)
+      }
+    )
+  }
+}
+
+let compareFormat = (ctx, ~pointer, base: jsonSchema, fork: jsonSchema) => {
+  let pointer = pointerTo(pointer, "format")
+  switch (base.format, fork.format) {
+  | (None, Some(format)) =>
+    report(ctx, ~pointer, ~kind=FormatChanged, ~impact=BreaksRequest, `format '${format}' was added`)
+  | (Some(format), None) =>
+    report(ctx, ~pointer, ~kind=FormatChanged, ~impact=BreaksResponse, `format '${format}' was removed`)
+  | (Some(baseFormat), Some(forkFormat)) if baseFormat != forkFormat =>
+    report(ctx, ~pointer, ~kind=FormatChanged, ~impact=BreaksBoth, `format changed from '${baseFormat}' to '${forkFormat}'`)
+  | _ => ()
+  }
+}
+
+// A lower bound narrows when it is added or raised, an upper bound when it is added or lowered
+let compareBound = (ctx, ~pointer, ~keyword, ~lower, base: option<float>, fork: option<float>) => {
+  let pointer = pointerTo(pointer, keyword)
+  let narrowed = message => report(ctx, ~pointer, ~kind=ConstraintNarrowed, ~impact=BreaksRequest, message)
+  let widened = message => report(ctx, ~pointer, ~kind=ConstraintWidened, ~impact=BreaksResponse, message)
+  switch (base, fork) {
+  | (None, Some(value)) => narrowed(`${keyword} ${Float.toString(value)} was added`)
+  | (Some(value), None) => widened(`${keyword} ${Float.toString(value)} was removed`)
+  | (Some(baseValue), Some(forkValue)) if baseValue != forkValue =>
+    let message = `${keyword} changed from ${Float.toString(baseValue)} to ${Float.toString(forkValue)}`
+    forkValue > baseValue == lower ? narrowed(message) : widened(message)
+  | _ => ()
+  }
+}
+
+let compareConstraints = (ctx, ~pointer, base: jsonSchema, fork: jsonSchema) => {
+  compareBound(ctx, ~pointer, ~keyword="minLength", ~lower=true, base.minLength->Option.map(Int.toFloat), fork.minLength->Option.map(Int.toFloat))
+  compareBound(ctx, ~pointer, ~keyword="maxLength", ~lower=false, base.maxLength->Option.map(Int.toFloat), fork.maxLength->Option.map(Int.toFloat))
+  compareBound(ctx, ~pointer, ~keyword="minimum", ~lower=true, base.minimum, fork.minimum)
+  compareBound(ctx, ~pointer, ~keyword="maximum", ~lower=false, base.maximum, fork.maximum)
+
+  let patternPointer = pointerTo(pointer, "pattern")
+  switch (base.pattern, fork.pattern) {
+  | (None, Some(pattern)) =>
+    report(ctx, ~pointer=patternPointer, ~kind=ConstraintNarrowed, ~impact=BreaksRequest, `pattern '${pattern}' was added`)
+  | (Some(pattern), None) =>
+    report(ctx, ~pointer=patternPointer, ~kind=ConstraintWidened, ~impact=BreaksResponse, `pattern '${pattern}' was removed`)
+  | (Some(basePattern), Some(forkPattern)) if basePattern != forkPattern =>
+    report(ctx, ~pointer=patternPointer, ~kind=ConstraintChanged, ~impact=BreaksBoth, `pattern changed from '${basePattern}' to '${forkPattern}'`)
+  | _ => ()
+  }
+}
+
+let isClosed = (schema: jsonSchema) =>
+  switch schema.additionalProperties {
+  | Some(Allowed(false)) => true
+  | _ => false
+  }
+
+let rec compareSchema = (ctx, ~pointer, ~depth=0, base: jsonSchema, fork: jsonSchema) =>
+  if depth < maxDepth {
+    switch (base.ref, fork.ref) {
+    | (Some(baseRef), Some(forkRef)) =>
+      // The same component is compared once under /components/schemas
+      if baseRef != forkRef {
+        report(ctx, ~pointer, ~kind=TypeChanged, ~impact=BreaksBoth, `reference changed from '${SchemaIRParser.refName(baseRef)}' to '${SchemaIRParser.refName(forkRef)}'`)
+      }
+    | (Some(baseRef), None) =>
+      switch ctx.baseSchemas->Dict.get(SchemaIRParser.refName(baseRef)) {
+      | Some(resolved) => compareSchema(ctx, ~pointer, ~depth=depth + 1, resolved, fork)
+      | None =>
+        report(ctx, ~pointer, ~kind=TypeChanged, ~impact=BreaksBoth, `reference to '${SchemaIRParser.refName(baseRef)}' was replaced by an inline schema`)
+      }
+    | (None, Some(forkRef)) =>
+      switch ctx.forkSchemas->Dict.get(SchemaIRParser.refName(forkRef)) {
+      | Some(resolved) => compareSchema(ctx, ~pointer, ~depth=depth + 1, base, resolved)
+      | None =>
+        report(ctx, ~pointer, ~kind=TypeChanged, ~impact=BreaksBoth, `inline schema was replaced by a reference to '${SchemaIRParser.refName(forkRef)}'`)
+      }
+    | (None, None) =>
+      if compareTypes(ctx, ~pointer, base, fork) {
+        compareValues(ctx, ~pointer, base, fork)
+        compareFormat(ctx, ~pointer, base, fork)
+        compareConstraints(ctx, ~pointer, base, fork)
+        compareProperties(ctx, ~pointer, ~depth, base, fork)
+        compareAdditionalProperties(ctx, ~pointer, ~depth, base, fork)
+        switch (base.items, fork.items) {
+        | (Some(baseItems), Some(forkItems)) =>
+          compareSchema(ctx, ~pointer=pointerTo(pointer, "items"), ~depth=depth + 1, baseItems, forkItems)
+        | _ => ()
+        }
+        compareMembers(ctx, ~pointer, ~depth, ~keyword="allOf", base.allOf, fork.allOf)
+        compareMembers(ctx, ~pointer, ~depth, ~keyword="oneOf", base.oneOf, fork.oneOf)
+        compareMembers(ctx, ~pointer, ~depth, ~keyword="anyOf", base.anyOf, fork.anyOf)
+      }
+    }
+  }
+
+and compareProperties = (ctx, ~pointer, ~depth, base: jsonSchema, fork: jsonSchema) => {
+  let baseProperties = base.properties->Option.getOr(Dict.make())
+  let forkProperties = fork.properties->Option.getOr(Dict.make())
+  let baseRequired = base.required->Option.getOr([])
+  let forkRequired = fork.required->Option.getOr([])
+
+  sortedKeys(baseProperties)->Array.forEach(name => {
+    let propertyPointer = pointerTo(pointerTo(pointer, "properties"), name)
+    switch (baseProperties->Dict.get(name), forkProperties->Dict.get(name)) {
+    | (Some(_), None) =>
+      report(ctx, ~pointer=propertyPointer, ~kind=PropertyRemoved, ~impact=BreaksResponse, `property '${name}' was removed`)
+    | (Some(baseProperty), Some(forkProperty)) =>
+      switch (baseRequired->Array.includes(name), forkRequired->Array.includes(name)) {
+      | (false, true) =>
+        report(ctx, ~pointer=propertyPointer, ~kind=PropertyBecameRequired, ~impact=BreaksRequest, `property '${name}' became required`)
+      | (true, false) =>
+        report(ctx, ~pointer=propertyPointer, ~kind=PropertyBecameOptional, ~impact=BreaksResponse, `property '${name}' became optional`)
+      | _ => ()
+      }
+      compareSchema(ctx, ~pointer=propertyPointer, ~depth=depth + 1, baseProperty, forkProperty)
+    | _ => ()
+    }
+  })
+
+  sortedKeys(forkProperties)->Array.forEach(name =>
+    if baseProperties->Dict.get(name)->Option.isNone {
+      let propertyPointer = pointerTo(pointerTo(pointer, "properties"), name)
+      forkRequired->Array.includes(name)
+        ? report(ctx, ~pointer=propertyPointer, ~kind=PropertyAdded, ~impact=BreaksRequest, `required property '${name}' was added`)
+        : report(ctx, ~pointer=propertyPointer, ~kind=PropertyAdded, ~impact=Compatible, `optional property '${name}' was added`)
+    }
+  )
+}
+
+and compareAdditionalProperties = (ctx, ~pointer, ~depth, base: jsonSchema, fork: jsonSchema) => {
+  let pointer = pointerTo(pointer, "additionalProperties")
+  switch (base.additionalProperties, fork.additionalProperties) {
+  | (Some(Schema(baseExtra)), Some(Schema(forkExtra))) =>
+    compareSchema(ctx, ~pointer, ~depth=depth + 1, baseExtra, forkExtra)
+  | _ =>
+    switch (isClosed(base), isClosed(fork)) {
+    | (false, true) =>
+      report(ctx, ~pointer, ~kind=ConstraintNarrowed, ~impact=BreaksRequest, "additional properties are no longer allowed")
+    | (true, false) =>
+      report(ctx, ~pointer, ~kind=ConstraintWidened, ~impact=BreaksResponse, "additional properties are now allowed")
+    | _ => ()
+    }
+  }
+}
+
+// Members are matched by position; extra oneOf/anyOf members widen the schema, extra allOf members narrow it
+and compareMembers = (ctx, ~pointer, ~depth, ~keyword, base: option<array<jsonSchema>>, fork: option<array<jsonSchema>>) => {
+  let pointer = pointerTo(pointer, keyword)
+  switch (base, fork) {
+  | (None, None) => ()
+  | (None, Some(_)) => report(ctx, ~pointer, ~kind=TypeChanged, ~impact=BreaksBoth, `${keyword} was added`)
+  | (Some(_), None) => report(ctx, ~pointer, ~kind=TypeChanged, ~impact=BreaksBoth, `${keyword} was removed`)
+  | (Some(baseMembers), Some(forkMembers)) =>
+    let baseCount = Array.length(baseMembers)
+    let forkCount = Array.length(forkMembers)
+    for index in 0 to Math.Int.min(baseCount, forkCount) - 1 {
+      compareSchema(
+        ctx,
+        ~pointer=pointerTo(pointer, Int.toString(index)),
+        ~depth=depth + 1,
+        baseMembers->Array.getUnsafe(index),
+        forkMembers->Array.getUnsafe(index),
+      )
+    }
+    if baseCount != forkCount {
+      let message = `${keyword} went from ${Int.toString(baseCount)} to ${Int.toString(forkCount)} member(s)`
+      forkCount > baseCount == (keyword == "allOf")
+        ? report(ctx, ~pointer, ~kind=TypeNarrowed, ~impact=BreaksRequest, message)
+        : report(ctx, ~pointer, ~kind=TypeWidened, ~impact=BreaksResponse, message)
+    }
+  }
+}
+
+// ============= Endpoints =============
+
+let compareContent = (ctx, ~pointer, base: dict<mediaType>, fork: dict<mediaType>) => {
+  let pointer = pointerTo(pointer, "content")
+  sortedKeys(base)->Array.forEach(contentType =>
+    switch (base->Dict.get(contentType), fork->Dict.get(contentType)) {
+    | (Some(_), None) =>
+      report(ctx, ~pointer=pointerTo(pointer, contentType), ~kind=MediaTypeRemoved, ~impact=BreaksBoth, `media type '${contentType}' was removed`)
+    | (Some({schema: Some(baseSchema)}), Some({schema: Some(forkSchema)})) =>
+      compareSchema(ctx, ~pointer=pointerTo(pointerTo(pointer, contentType), "schema"), baseSchema, forkSchema)
+    | _ => ()
+    }
+  )
+  sortedKeys(fork)->Array.forEach(contentType =>
+    if base->Dict.get(contentType)->Option.isNone {
+      report(ctx, ~pointer=pointerTo(pointer, contentType), ~kind=MediaTypeAdded, ~impact=Compatible, `media type '${contentType}' was added`)
+    }
+  )
+}
+
+let isRequiredParameter = (parameter: parameter) => parameter.in_ == "path" || parameter.required == Some(true)
+
+// Parameters are addressed by location and name, since path-level and operation-level lists are merged
+let compareParameters = (ctx, ~pointer, base: array<parameter>, fork: array<parameter>) => {
+  let keyed = parameters => parameters->Array.map((p: parameter) => (`${p.in_}/${p.name}`, p))->Dict.fromArray
+  let baseParameters = keyed(base)
+  let forkParameters = keyed(fork)
+  let parameterPointer = (p: parameter) => pointerTo(pointerTo(pointerTo(pointer, "parameters"), p.in_), p.name)
+
+  sortedKeys(baseParameters)->Array.forEach(key =>
+    switch (baseParameters->Dict.get(key), forkParameters->Dict.get(key)) {
+    | (Some(p), None) =>
+      report(ctx, ~pointer=parameterPointer(p), ~kind=ParameterRemoved, ~impact=Compatible, `${p.in_} parameter '${p.name}' was removed`)
+    | (Some(baseParameter), Some(forkParameter)) =>
+      let pointer = parameterPointer(baseParameter)
+      switch (isRequiredParameter(baseParameter), isRequiredParameter(forkParameter)) {
+      | (false, true) =>
+        report(ctx, ~pointer, ~kind=ParameterBecameRequired, ~impact=BreaksRequest, `${baseParameter.in_} parameter '${baseParameter.name}' became required`)
+      | (true, false) =>
+        report(ctx, ~pointer, ~kind=ParameterBecameOptional, ~impact=Compatible, `${baseParameter.in_} parameter '${baseParameter.name}' became optional`)
+      | _ => ()
+      }
+      switch (baseParameter.schema, forkParameter.schema) {
+      | (Some(baseSchema), Some(forkSchema)) =>
+        compareSchema(ctx, ~pointer=pointerTo(pointer, "schema"), baseSchema, forkSchema)
+      | _ => ()
+      }
+    | _ => ()
+    }
+  )
+
+  sortedKeys(forkParameters)->Array.forEach(key =>
+    switch (baseParameters->Dict.get(key), forkParameters->Dict.get(key)) {
+    | (None, Some(p)) =>
+      isRequiredParameter(p)
+        ? report(ctx, ~pointer=parameterPointer(p), ~kind=ParameterAdded, ~impact=BreaksRequest, `required ${p.in_} parameter '${p.name}' was added`)
+        : report(ctx, ~pointer=parameterPointer(p), ~kind=ParameterAdded, ~impact=Compatible, `optional ${p.in_} parameter '${p.name}' was added`)
+    | _ => ()
+    }
+  )
+}
+
+let compareRequestBody = (ctx, ~pointer, base: option<requestBody>, fork: option<requestBody>) => {
+  let pointer = pointerTo(pointer, "requestBody")
+  switch (base, fork) {
+  | (None, None) => ()
+  | (None, Some({required: Some(true)})) =>
+    report(ctx, ~pointer, ~kind=RequestBodyAdded, ~impact=BreaksRequest, "required request body was added")
+  | (None, Some(_)) =>
+    report(ctx, ~pointer, ~kind=RequestBodyAdded, ~impact=Compatible, "optional request body was added")
+  | (Some(_), None) =>
+    report(ctx, ~pointer, ~kind=RequestBodyRemoved, ~impact=Compatible, "request body was removed")
+  | (Some(baseBody), Some(forkBody)) =>
+    switch (baseBody.required->Option.getOr(false), forkBody.required->Option.getOr(false)) {
+    | (false, true) => report(ctx, ~pointer, ~kind=RequestBodyBecameRequired, ~impact=BreaksRequest, "request body became required")
+    | (true, false) => report(ctx, ~pointer, ~kind=RequestBodyBecameOptional, ~impact=Compatible, "request body became optional")
+    | _ => ()
+    }
+    compareContent(ctx, ~pointer, baseBody.content, forkBody.content)
+  }
+}
+
+let compareResponses = (ctx, ~pointer, base: dict<response>, fork: dict<response>) => {
+  let pointer = pointerTo(pointer, "responses")
+  sortedKeys(base)->Array.forEach(status =>
+    switch (base->Dict.get(status), fork->Dict.get(status)) {
+    | (Some(_), None) =>
+      report(ctx, ~pointer=pointerTo(pointer, status), ~kind=StatusCodeRemoved, ~impact=BreaksResponse, `status code ${status} was removed`)
+    | (Some(baseResponse), Some(forkResponse)) =>
+      compareContent(
+        ctx,
+        ~pointer=pointerTo(pointer, status),
+        baseResponse.content->Option.getOr(Dict.make()),
+        forkResponse.content->Option.getOr(Dict.make()),
+      )
+    | _ => ()
+    }
+  )
+  sortedKeys(fork)->Array.forEach(status =>
+    if base->Dict.get(status)->Option.isNone {
+      report(ctx, ~pointer=pointerTo(pointer, status), ~kind=StatusCodeAdded, ~impact=Compatible, `status code ${status} was added`)
+    }
+  )
+}
+
+// Changes between two versions of the same endpoint; $refs to the same component are not followed
+let analyzeEndpoint = (~baseSchemas=?, ~forkSchemas=?, base: endpoint, fork: endpoint): array<apiChange> => {
+  let pointer = endpointPointer(base)
+  let request = makeContext(~baseSchemas?, ~forkSchemas?, Request)
+  compareParameters(request, ~pointer, base.parameters->Option.getOr([]), fork.parameters->Option.getOr([]))
+  compareRequestBody(request, ~pointer, base.requestBody, fork.requestBody)
+  let response = makeContext(~baseSchemas?, ~forkSchemas?, Response)
+  compareResponses(response, ~pointer, base.responses, fork.responses)
+  Array.concat(request.changes, response.changes)
+}
+
+let endpointAdded = (endpoint: endpoint): apiChange => {
+  pointer: endpointPointer(endpoint),
+  kind: EndpointAdded,
+  direction: Request,
+  breaking: false,
+  message: `${endpoint.method->String.toUpperCase} ${endpoint.path} was added`,
+}
+
+let endpointRemoved = (endpoint: endpoint): apiChange => {
+  pointer: endpointPointer(endpoint),
+  kind: EndpointRemoved,
+  direction: Request,
+  breaking: true,
+  message: `${endpoint.method->String.toUpperCase} ${endpoint.path} was removed`,
+}
+
+// ============= Component Schemas =============
+
+// Component schemas referenced from a schema, without following the references
+let rec directReferences = (schema: jsonSchema): array<string> => {
+  let nested = [
+    schema.properties->Option.mapOr([], Dict.valuesToArray),
+    schema.patternProperties->Option.mapOr([], Dict.valuesToArray),
+    schema.items->Option.mapOr([], items => [items]),
+    switch schema.additionalProperties {
+    | Some(Schema(extra)) => [extra]
+    | _ => []
+    },
+    schema.allOf->Option.getOr([]),
+    schema.oneOf->Option.getOr([]),
+    schema.anyOf->Option.getOr([]),
+  ]->Array.flat
+  Array.concat(
+    schema.ref->Option.mapOr([], ref => [SchemaIRParser.refName(ref)]),
+    nested->Array.flatMap(directReferences),
+  )
+}
+
+// Names of component schemas reachable from the given schemas
+let reachableSchemas = (~schemas: dict<jsonSchema>, roots: array<jsonSchema>): Set.t<string> => {
+  let reached = Set.make()
+  let pending = roots->Array.flatMap(directReferences)
+  while Array.length(pending) > 0 {
+    switch pending->Array.pop {
+    | Some(name) if !(reached->Set.has(name)) =>
+      reached->Set.add(name)
+      schemas->Dict.get(name)->Option.forEach(schema => pending->Array.pushMany(directReferences(schema)))
+    | _ => ()
+    }
+  }
+  reached
+}
+
+let contentSchemas = (content: dict<mediaType>) => content->Dict.valuesToArray->Array.filterMap(media => media.schema)
+
+// Component schemas used by requests and by responses of the given endpoints
+let schemaUsage = (~endpoints: array<endpoint>, ~schemas: dict<jsonSchema>): (Set.t<string>, Set.t<string>) => {
+  let requestRoots = endpoints->Array.flatMap(endpoint =>
+    Array.concat(
+      endpoint.parameters->Option.getOr([])->Array.filterMap(p => p.schema),
+      endpoint.requestBody->Option.mapOr([], body => contentSchemas(body.content)),
+    )
+  )
+  let responseRoots = endpoints->Array.flatMap(endpoint =>
+    endpoint.responses->Dict.valuesToArray->Array.flatMap(response => response.content->Option.mapOr([], contentSchemas))
+  )
+  (reachableSchemas(~schemas, requestRoots), reachableSchemas(~schemas, responseRoots))
+}
+
+// Directions a component schema is used in; a schema no endpoint uses is treated as used in both
+let usageDirections = ((requestSchemas, responseSchemas): (Set.t<string>, Set.t<string>), name) =>
+  switch (requestSchemas->Set.has(name), responseSchemas->Set.has(name)) {
+  | (true, false) => [Request]
+  | (false, true) => [Response]
+  | _ => [Request, Response]
+  }
+
+// Changes to a component schema, once for each direction it is used in
+let analyzeSchema = (~baseSchemas=?, ~forkSchemas=?, ~directions, ~pointer, base: jsonSchema, fork: jsonSchema): array<apiChange> =>
+  directions->Array.flatMap(direction => {
+    let ctx = makeContext(~baseSchemas?, ~forkSchemas?, direction)
+    compareSchema(ctx, ~pointer, base, fork)
+    ctx.changes
+  })
+
+let schemaAdded = (name): apiChange => {
+  pointer: schemaPointer(name),
+  kind: SchemaAdded,
+  direction: Response,
+  breaking: false,
+  message: `schema '${name}' was added`,
+}
+
+let schemaRemoved = (~directions, name): array<apiChange> =>
+  directions->Array.map(direction => {
+    pointer: schemaPointer(name),
+    kind: SchemaRemoved,
+    direction,
+    breaking: true,
+    message: `schema '${name}' was removed`,
+  })
+
+// Breaking change as a one-line description: "<pointer> (<direction>): <message>"
+let describe = (change: apiChange) => `${change.pointer} (${directionName(change.direction)}): ${change.message}`
@@ -0,0 +1,27 @@
+/* TypeScript file generated from DocOverride.res by genType. */
+
+/* eslint-disable */
+/* tslint:disable */
+
+export type staleOverride = {
+  readonly path: string; 
+  readonly endpoint: string; 
+  readonly expected: string; 
+  readonly found: string; 
+  readonly customized: boolean
+};
+
+export type orphanedOverride = {
+  readonly path: string; 
+  readonly endpoint: string; 
+  readonly customized: boolean
+};
+
+export type auditReport = {
+  readonly stale: staleOverride[]; 
+  readonly orphaned: orphanedOverride[]; 
+  readonly customized: string[]; 
+  readonly missing: string[]; 
+  readonly restamped: string[]; 
+  readonly pruned: string[]
+};
@@ -43,14 +43,89 @@ type validationResult =
   | MissingFile
   | ParseError(string)
 
+// Documentation a user can override, from the front-matter and the Override code block
+type endpointDocs = {
+  summary: option<string>,
+  description: option<string>,
+  deprecation: option<string>, // Deprecation note; also marks endpoints the spec doesn't deprecate
+  parameters: dict<string>, // By parameter name
+  fields: dict<string>, // By request body property name
+  examples: array<JSON.t>,
+}
+
+let emptyDocs = () => {
+  summary: None,
+  description: None,
+  deprecation: None,
+  parameters: Dict.make(),
+  fields: Dict.make(),
+  examples: [],
+}
+
+// Markdown list of documented parameters or fields, for a doc comment
+let listNote = (title, documented: dict<string>): option<string> =>
+  switch documented->Dict.toArray {
+  | [] => None
+  | entries => Some(`${title}:\n${entries->Array.map(((name, text)) => `- \`${name}\`: ${text}`)->Array.join("\n")}`)
+  }
+
+let hasDocs = (docs: endpointDocs) =>
+  docs.summary->Option.isSome ||
+  docs.description->Option.isSome ||
+  docs.deprecation->Option.isSome ||
+  Dict.size(docs.parameters) > 0 ||
+  Dict.size(docs.fields) > 0 ||
+  Array.length(docs.examples) > 0
+
 // Parse markdown override file
 type overrideContent = {
   metadata: endpointDocMetadata,
   defaultDescription: string,
   overrideDescription: option<string>,
+  docs: endpointDocs,
   hasOverride: bool, // Whether user provided custom documentation
 }
 
+// Front-matter "key: value" lines with a value; commented lines ("# key: value") are skipped
+let frontmatterEntries = (lines: array<string>): array<(string, string)> =>
+  lines->Array.filterMap(line =>
+    switch line->String.indexOf(":") {
+    | -1 => None
+    | index =>
+      let value = line->String.slice(~start=index + 1, ~end=String.length(line))->String.trim
+      value == "" || line->String.startsWith("#") ? None : Some((line->String.slice(~start=0, ~end=index)->String.trim, value))
+    }
+  )
+
+// Override keys of the front-matter (summary, deprecated, param.<name>, field.<name>, example)
+let parseDocs = (~description, lines: array<string>): endpointDocs => {
+  let entries = frontmatterEntries(lines)
+  let value = key => entries->Array.find(((entryKey, _)) => entryKey == key)->Option.map(((_, value)) => value)
+  let prefixed = prefix =>
+    entries
+    ->Array.filterMap(((key, value)) =>
+      key->String.startsWith(prefix) ? Some((key->String.slice(~start=String.length(prefix), ~end=String.length(key)), value)) : None
+    )
+    ->Dict.fromArray
+  {
+    summary: value("summary"),
+    description,
+    deprecation: value("deprecated"),
+    parameters: prefixed("param."),
+    fields: prefixed("field."),
+    // Examples are JSON when they parse as JSON, and strings otherwise
+    examples: entries->Array.filterMap(((key, value)) =>
+      key == "example"
+        ? Some(
+            try JSON.parseOrThrow(value) catch {
+            | _ => JSON.String(value)
+            },
+          )
+        : None
+    ),
+  }
+}
+
 // Extract code block content from markdown between ```
 let extractCodeBlock = (markdown: string): option<string> => {
   // Find the first ``` block manually
@@ -136,22 +211,76 @@ let parseOverrideMarkdown = (content: string): option<overrideContent> => {
       ->Array.join("## Override")
     
     let overrideDesc = extractCodeBlock(overrideSection)
-    let hasOverride = overrideDesc->Option.isSome
+    let docs = parseDocs(~description=overrideDesc, lines)
     
     Some({
       metadata,
       defaultDescription: defaultDescSection,
       overrideDescription: overrideDesc,
-      hasOverride,
+      docs,
+      hasOverride: hasDocs(docs),
     })
   }
 }
 
-// Generate markdown override file content
+// Top-level properties of the first request body media type with an object schema, following a
+// $ref to a component schema
+let bodyFields = (~schemas: option<dict<Types.jsonSchema>>=?, endpoint: Types.endpoint): array<(string, Types.jsonSchema)> =>
+  endpoint.requestBody
+  ->Option.mapOr([], body => body.content->Dict.valuesToArray)
+  ->Array.filterMap(media => media.schema)
+  ->Array.filterMap(schema =>
+    switch schema.ref->Option.map(ref => ref->String.split("/")) {
+    | Some(["#", "components", "schemas", name]) => schemas->Option.flatMap(schemas => schemas->Dict.get(name))
+    | _ => Some(schema)
+    }->Option.flatMap(schema => schema.properties)
+  )
+  ->Array.get(0)
+  ->Option.mapOr([], Dict.toArray)
+
+// Front-matter lines for the overridable docs: the ones set, then the others commented out as hints
+let docsFrontmatter = (~endpoint: Types.endpoint, ~schemas=?, docs: endpointDocs): array<string> => {
+  let line = (key, value) => `${key}: ${value->String.replaceAll("\n", " ")}`
+  let entry = (key, value, hint) =>
+    switch value {
+    | Some(value) => line(key, value)
+    | None => "# " ++ line(key, hint->Option.getOr(""))->String.trimEnd
+    }
+  let parameters =
+    endpoint.parameters
+    ->Option.getOr([])
+    ->Array.map(parameter => entry(`param.${parameter.name}`, docs.parameters->Dict.get(parameter.name), parameter.description))
+  let fields =
+    bodyFields(~schemas?, endpoint)->Array.map(((name, schema)) =>
+      entry(`field.${name}`, docs.fields->Dict.get(name), schema.description)
+    )
+  // Docs for parameters and fields the endpoint no longer has are kept rather than dropped
+  let extra = (prefix, documented, known) =>
+    documented
+    ->Dict.toArray
+    ->Array.filter(((name, _)) => !(known->Array.includes(name)))
+    ->Array.map(((name, value)) => line(prefix ++ name, value))
+  let examples = switch docs.examples {
+  | [] => ["# example:"]
+  | examples => examples->Array.map(example => line("example", JSON.stringify(example)))
+  }
+  Array.flat([
+    [entry("summary", docs.summary, endpoint.summary), entry("deprecated", docs.deprecation, None)],
+    parameters,
+    extra("param.", docs.parameters, endpoint.parameters->Option.getOr([])->Array.map(parameter => parameter.name)),
+    fields,
+    extra("field.", docs.fields, bodyFields(~schemas?, endpoint)->Array.map(((name, _)) => name)),
+    examples,
+  ])
+}
+
+// Generate markdown override file content; docs carry overrides over from an earlier file
 let generateOverrideMarkdown = (
   ~endpoint: Types.endpoint,
   ~host: option<string>=?,
   ~version: option<string>=?,
+  ~schemas: option<dict<Types.jsonSchema>>=?,
+  ~docs: endpointDocs=emptyDocs(),
   ()
 ): string => {
   let hash = generateEndpointHash(endpoint)
@@ -179,9 +308,8 @@ let generateOverrideMarkdown = (
       host->Option.map(h => `host: ${h}`),
       version->Option.map(v => `version: ${v}`),
       endpoint.operationId->Option.map(id => `operationId: ${id}`),
-      Some("---"),
     ]->Array.filterMap(x => x)
-  )
+  )->Array.concat(docsFrontmatter(~endpoint, ~schemas?, docs))->Array.concat(["---"])
   
   Handlebars.render(Templates.overrideMarkdown, {
       "metadataBlock": Array.join(metadata, "\n"),
@@ -190,6 +318,7 @@ let generateOverrideMarkdown = (
       "methodUpper": endpoint.method->String.toUpperCase,
       "operationName": operationName,
       "defaultDesc": defaultDesc,
+      "overrideDesc": docs.description->Option.getOr("<!-- Empty - no override -->"),
     },
   )
 }
@@ -213,8 +342,8 @@ let validateOverride = (
 // Read and validate override with hash checking
 type readResult =
   | NoOverride
-  | ValidOverride(string)
-  | InvalidHash({override: string, expected: string, found: string})
+  | ValidOverride(endpointDocs)
+  | InvalidHash({docs: endpointDocs, expected: string, found: string})
   | FileError(string)
 
 let readOverrideWithValidation = (
@@ -242,18 +371,8 @@ let readOverrideWithValidation = (
           } else {
             // Validate hash
             switch validateOverride(override, currentHash) {
-            | Valid => {
-                switch override.overrideDescription {
-                | None => NoOverride
-                | Some(desc) => ValidOverride(desc)
-                }
-              }
-            | HashMismatch({expected, found}) => {
-                switch override.overrideDescription {
-                | None => NoOverride
-                | Some(desc) => InvalidHash({override: desc, expected, found})
-                }
-              }
+            | Valid => ValidOverride(override.docs)
+            | HashMismatch({expected, found}) => InvalidHash({docs: override.docs, expected, found})
             | MissingFile => FileError("Override file missing")
             | ParseError(msg) => FileError(msg)
             }
@@ -312,6 +431,24 @@ let isFileCustomized = (filePath: string): bool => {
   }
 }
 
+// Module directory and file name of an endpoint's override file
+let overrideName = (~groupByTag, endpoint: Types.endpoint): (string, string) => {
+  let moduleName = if groupByTag {
+    switch endpoint.tags {
+    | Some(tags) => tags->Array.get(0)->Option.getOr("Default")
+    | None => "Default"
+    }
+  } else {
+    "API" // Flat structure - all in API module
+  }
+  (moduleName, CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method))
+}
+
+let overrideFilePath = (~overrideDir, ~groupByTag, endpoint: Types.endpoint): string => {
+  let (moduleName, functionName) = overrideName(~groupByTag, endpoint)
+  FileSystem.makePath(FileSystem.makePath(overrideDir, CodegenUtils.toPascalCase(moduleName)), functionName ++ ".md")
+}
+
 // Generate all override markdown files for an API spec
 // IMPORTANT: This will NOT overwrite files that already exist with custom content
 let generateOverrideFiles = (
@@ -328,25 +465,12 @@ let generateOverrideFiles = (
   | None => spec.info.description
   }
   
+  let schemas = spec.components->Option.flatMap(components => components.schemas)
+  
   endpoints
     ->Array.map(endpoint => {
-      let moduleName = if groupByTag {
-        switch endpoint.tags {
-        | Some(tags) => tags->Array.get(0)->Option.getOr("Default")
-        | None => "Default"
-        }
-      } else {
-        "API" // Flat structure - all in API module
-      }
-      
-      let functionName = CodegenUtils.generateOperationName(
-        endpoint.operationId,
-        endpoint.path,
-        endpoint.method,
-      )
-      
-      let modulePath = FileSystem.makePath(outputDir, CodegenUtils.toPascalCase(moduleName))
-      let filePath = FileSystem.makePath(modulePath, functionName ++ ".md")
+      let (moduleName, functionName) = overrideName(~groupByTag, endpoint)
+      let filePath = overrideFilePath(~overrideDir=outputDir, ~groupByTag, endpoint)
       
       // Check if file already exists with custom content
       if isFileCustomized(filePath) {
@@ -359,6 +483,7 @@ let generateOverrideFiles = (
           ~endpoint,
           ~host=?hostUrl,
           ~version=?version,
+          ~schemas?,
           ()
         )
         
@@ -379,12 +504,152 @@ let generateOverrideReadme = (~host: option<string>=?, ~version: option<string>=
   Handlebars.render(Templates.overrideReadme, {"hostInfo": hostInfo, "versionInfo": versionInfo})
 }
 
-// No automatic refresh - users should manually delete outdated files
-// This is safer and forces users to review changes via git diff
+// === Maintenance ===
 //
-// When an endpoint changes:
-// 1. User gets a hash mismatch warning
-// 2. User checks git diff to see their custom documentation
-// 3. User deletes the outdated override file
-// 4. User regenerates to get new template
-// 5. User re-adds their custom documentation (reviewing if it's still valid)
+// Override files are never refreshed during generation. When an endpoint changes, its file goes
+// stale (hash mismatch); when an endpoint disappears or is renamed, its file is orphaned. Stale and
+// orphaned files with custom documentation are reported as warnings on generation, and audit()
+// lists them so they can be reviewed, then re-stamped or pruned on request.
+
+let endpointLabel = (endpoint: Types.endpoint) => `${endpoint.method->String.toUpperCase} ${endpoint.path}`
+
+@genType
+type staleOverride = {
+  path: string,
+  endpoint: string, // e.g. "GET /pets"
+  expected: string, // Hash of the endpoint now
+  found: string, // Hash the file was written for
+  customized: bool,
+}
+
+@genType
+type orphanedOverride = {
+  path: string,
+  endpoint: string, // The endpoint the file was written for, from its front-matter
+  customized: bool,
+}
+
+@genType
+type auditReport = {
+  stale: array<staleOverride>,
+  orphaned: array<orphanedOverride>,
+  customized: array<string>, // Every file with custom documentation
+  missing: array<string>, // Endpoints without an override file
+  restamped: array<string>,
+  pruned: array<string>,
+}
+
+@module("fs") external readdirSync: string => array<string> = "readdirSync"
+@module("fs") external unlinkSync: string => unit = "unlinkSync"
+
+// Markdown files in the module directories of an override directory
+let listOverrideFiles = (overrideDir: string): array<string> => {
+  let entries = dir =>
+    try readdirSync(dir)->Array.toSorted(String.compare) catch {
+    | _ => []
+    }
+  entries(overrideDir)
+  ->Array.map(name => FileSystem.makePath(overrideDir, name))
+  ->Array.flatMap(moduleDir =>
+    entries(moduleDir)->Array.filter(name => name->String.endsWith(".md"))->Array.map(name => FileSystem.makePath(moduleDir, name))
+  )
+}
+
+let readParsed = (filePath: string): option<overrideContent> =>
+  try parseOverrideMarkdown(readFileSync(filePath, {"encoding": "utf8"})) catch {
+  | _ => None
+  }
+
+// Compare the override files on disk with the endpoints they document
+let audit = (~endpoints: array<Types.endpoint>, ~overrideDir: string, ~groupByTag: bool): auditReport => {
+  let expected = endpoints->Array.map(endpoint => (overrideFilePath(~overrideDir, ~groupByTag, endpoint), endpoint))->Dict.fromArray
+  let files = listOverrideFiles(overrideDir)->Array.filterMap(path => readParsed(path)->Option.map(parsed => (path, parsed)))
+  {
+    stale: files->Array.filterMap(((path, parsed)) =>
+      expected
+      ->Dict.get(path)
+      ->Option.flatMap(endpoint => {
+        let hash = generateEndpointHash(endpoint)
+        parsed.metadata.hash == hash
+          ? None
+          : Some({path, endpoint: endpointLabel(endpoint), expected: hash, found: parsed.metadata.hash, customized: parsed.hasOverride})
+      })
+    ),
+    orphaned: files->Array.filterMap(((path, parsed)) =>
+      expected->Dict.get(path)->Option.isSome
+        ? None
+        : Some({path, endpoint: `${parsed.metadata.method} ${parsed.metadata.endpoint}`, customized: parsed.hasOverride})
+    ),
+    customized: files->Array.filterMap(((path, parsed)) => parsed.hasOverride ? Some(path) : None),
+    missing: expected
+    ->Dict.toArray
+    ->Array.filterMap(((path, endpoint)) => existsSync(path) ? None : Some(endpointLabel(endpoint))),
+    restamped: [],
+    pruned: [],
+  }
+}
+
+// Rewrite stale files for the current endpoints, keeping their host, version and custom documentation
+let restamp = (
+  ~endpoints: array<Types.endpoint>,
+  ~overrideDir: string,
+  ~schemas: option<dict<Types.jsonSchema>>=?,
+  ~groupByTag: bool,
+  report: auditReport,
+): array<FileSystem.fileToWrite> => {
+  let byPath = endpoints->Array.map(endpoint => (overrideFilePath(~overrideDir, ~groupByTag, endpoint), endpoint))->Dict.fromArray
+  report.stale->Array.filterMap(stale =>
+    switch (byPath->Dict.get(stale.path), readParsed(stale.path)) {
+    | (Some(endpoint), Some(parsed)) =>
+      Some({
+        FileSystem.path: stale.path,
+        content: generateOverrideMarkdown(
+          ~endpoint,
+          ~host=?parsed.metadata.host,
+          ~version=?parsed.metadata.version,
+          ~schemas?,
+          ~docs=parsed.docs,
+          (),
+        ),
+      })
+    | _ => None
+    }
+  )
+}
+
+// Delete orphaned files; ones with custom documentation only when forced. Files that can't be
+// deleted make it an error, like writeFiles
+let prune = (~overrideDir: string, ~force=false, report: auditReport): result<array<string>, array<string>> => {
+  let pruned = []
+  let errors = []
+  report.orphaned->Array.forEach(orphaned =>
+    if !orphaned.customized || force {
+      try {
+        unlinkSync(orphaned.path)
+        pruned->Array.push(orphaned.path)
+        FileSystem.removeEmptyDirs(FileSystem.dirname(orphaned.path), ~root=overrideDir)
+      } catch {
+      | JsExn(exn) => errors->Array.push(`Failed to delete ${orphaned.path}: ${exn->JsExn.message->Option.getOr("Unknown error")}`)
+      | _ => errors->Array.push(`Failed to delete ${orphaned.path}: Unknown error`)
+      }
+    }
+  )
+  Array.length(errors) > 0 ? Error(errors) : Ok(pruned)
+}
+
+// Stale and orphaned files with custom documentation; the others don't change the generated code
+let warnings = (report: auditReport): array<Types.warning> =>
+  Array.concat(
+    report.stale
+    ->Array.filter(stale => stale.customized)
+    ->Array.map(stale => Types.StaleDocOverride({
+      path: stale.path,
+      message: `written for an earlier version of ${stale.endpoint} (hash ${stale.found}, now ${stale.expected}); review it and re-stamp`,
+    })),
+    report.orphaned
+    ->Array.filter(orphaned => orphaned.customized)
+    ->Array.map(orphaned => Types.StaleDocOverride({
+      path: orphaned.path,
+      message: `documents ${orphaned.endpoint}, which is no longer generated; move or prune it`,
+    })),
+  )
@@ -0,0 +1,374 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// FakeData.res - Deterministic, seedable fake values for Schema IR types
+// The same seed always yields the same values, so mocks and snapshots stay stable
+
+// mulberry32: a small 32-bit PRNG, good enough for test data
+type rng = {mutable state: int}
+
+let makeRng = (seed: int): rng => {state: seed}
+
+// Next value in [0, 1)
+let next = (rng: rng): float => {
+  rng.state = rng.state + 0x6D2B79F5
+  let a = rng.state
+  let t = Math.Int.imul(Int.bitwiseXor(a, Int.shiftRightUnsigned(a, 15)), Int.bitwiseOr(a, 1))
+  let t = Int.bitwiseXor(t + Math.Int.imul(Int.bitwiseXor(t, Int.shiftRightUnsigned(t, 7)), Int.bitwiseOr(t, 61)), t)
+  let unsigned = Int.toFloat(Int.bitwiseXor(t, Int.shiftRightUnsigned(t, 14)))
+  (unsigned < 0. ? unsigned +. 4294967296. : unsigned) /. 4294967296.
+}
+
+// Integer in [min, max]
+let between = (rng, min, max) => max <= min ? min : min + Float.toInt(next(rng) *. Int.toFloat(max - min + 1))
+
+let pick = (rng, items: array<'a>): 'a => items->Array.getUnsafe(between(rng, 0, Array.length(items) - 1))
+
+// A seed for one location (e.g. an operation), so adding an endpoint doesn't change the data of the others
+let seedFor = (~seed: int, key: string): int =>
+  key->String.split("")->Array.reduce(seed, (hash, char) => Math.Int.imul(Int.bitwiseXor(hash, String.charCodeAtUnsafe(char, 0)), 16777619))
+
+let words = ["alpha", "bravo", "charlie", "delta", "echo", "foxtrot", "golf", "hotel", "india", "juliet", "kilo", "lima"]
+
+let lowercase = "abcdefghijklmnopqrstuvwxyz"
+let uppercase = "ABCDEFGHIJKLMNOPQRSTUVWXYZ"
+let digits = "0123456789"
+let wordChars = lowercase ++ uppercase ++ digits ++ "_"
+
+// === Strings from patterns ===
+
+// The subset of regular expressions used by API specs: literals, escapes, classes, groups with
+// alternatives, and quantifiers; None for anything else (lookarounds, backreferences, ...)
+type rec patternNode =
+  | Chars(string) // One character out of these
+  | Group(array<array<(patternNode, int, int)>>) // Alternatives of quantified nodes
+
+let escapeClass = char =>
+  switch char {
+  | "d" => Some(digits)
+  | "w" => Some(wordChars)
+  | "s" => Some(" ")
+  | "D" | "W" | "S" | "b" | "B" => None
+  | char => Some(char)
+  }
+
+// Characters of a [...] class body; negated classes pick from letters and digits outside it
+let parseClass = (body: string): option<string> => {
+  let (negated, body) = body->String.startsWith("^") ? (true, body->String.slice(~start=1, ~end=String.length(body))) : (false, body)
+  let chars = body->String.split("")
+  let result = ref(Some(""))
+  let index = ref(0)
+  while index.contents < Array.length(chars) && result.contents->Option.isSome {
+    let char = chars->Array.getUnsafe(index.contents)
+    let add = set => result := result.contents->Option.flatMap(acc => set->Option.map(set => acc ++ set))
+    if char == "\\" && index.contents + 1 < Array.length(chars) {
+      add(escapeClass(chars->Array.getUnsafe(index.contents + 1)))
+      index := index.contents + 2
+    } else if index.contents + 2 < Array.length(chars) && chars->Array.getUnsafe(index.contents + 1) == "-" {
+      let (from, to) = (String.charCodeAtUnsafe(char, 0), String.charCodeAtUnsafe(chars->Array.getUnsafe(index.contents + 2), 0))
+      add(Some(Array.fromInitializer(~length=Math.Int.max(to - from + 1, 0), offset => String.fromCharCode(from + offset))->Array.join("")))
+      index := index.contents + 3
+    } else {
+      add(Some(char))
+      index := index.contents + 1
+    }
+  }
+  switch result.contents {
+  | Some(set) if negated =>
+    let outside = (lowercase ++ uppercase ++ digits)->String.split("")->Array.filter(char => !(set->String.includes(char)))->Array.join("")
+    outside == "" ? None : Some(outside)
+  | other => other
+  }
+}
+
+let parsePattern = (pattern: string): option<patternNode> => {
+  let chars = pattern->String.split("")
+  let length = Array.length(chars)
+  let position = ref(0)
+  let failed = ref(false)
+  let peek = () => position.contents < length ? Some(chars->Array.getUnsafe(position.contents)) : None
+  let advance = () => position := position.contents + 1
+  let readInt = () => {
+    let start = position.contents
+    while peek()->Option.mapOr(false, char => digits->String.includes(char)) {
+      advance()
+    }
+    Int.fromString(pattern->String.slice(~start, ~end=position.contents))
+  }
+  // Unbounded quantifiers repeat at most three more times than their minimum
+  let quantifier = () =>
+    switch peek() {
+    | Some("?") => advance(); (0, 1)
+    | Some("*") => advance(); (0, 3)
+    | Some("+") => advance(); (1, 4)
+    | Some("{") =>
+      advance()
+      let min = readInt()->Option.getOr(0)
+      let max = switch peek() {
+      | Some(",") =>
+        advance()
+        readInt()->Option.getOr(min + 3)
+      | _ => min
+      }
+      peek() == Some("}") ? advance() : failed := true
+      (min, max)
+    | _ => (1, 1)
+    }
+  let rec alternatives = () => {
+    let branches = [[]]
+    let continue = ref(true)
+    while continue.contents && !failed.contents {
+      switch peek() {
+      | None | Some(")") => continue := false
+      | Some("|") =>
+        advance()
+        branches->Array.push([])
+      | Some(char) =>
+        let atom = switch char {
+        | "^" | "$" =>
+          advance()
+          None
+        | "(" =>
+          advance()
+          // Non-capturing and named groups behave like plain ones here
+          if peek() == Some("?") {
+            advance()
+            switch peek() {
+            | Some(":") => advance()
+            | Some("<") =>
+              while peek()->Option.mapOr(false, char => char != ">") {
+                advance()
+              }
+              advance()
+            | _ => failed := true
+            }
+          }
+          let group = alternatives()
+          peek() == Some(")") ? advance() : failed := true
+          Some(group)
+        | "[" =>
+          advance()
+          let start = position.contents
+          // A "]" right after "[" or "[^" is a literal
+          if peek() == Some("^") {
+            advance()
+          }
+          if peek() == Some("]") {
+            advance()
+          }
+          while peek()->Option.mapOr(false, char => char != "]") {
+            if peek() == Some("\\") {
+              advance()
+            }
+            advance()
+          }
+          let body = pattern->String.slice(~start, ~end=position.contents)
+          advance()
+          switch parseClass(body) {
+          | Some(set) => Some(Chars(set))
+          | None =>
+            failed := true
+            None
+          }
+        | "\\" =>
+          advance()
+          let escaped = peek()
+          advance()
+          switch escaped->Option.flatMap(escapeClass) {
+          | Some(set) => Some(Chars(set))
+          | None =>
+            failed := true
+            None
+          }
+        | "." =>
+          advance()
+          Some(Chars(lowercase))
+        | char =>
+          advance()
+          Some(Chars(char))
+        }
+        atom->Option.forEach(atom => {
+          let (min, max) = quantifier()
+          branches->Array.getUnsafe(Array.length(branches) - 1)->Array.push((atom, min, max))
+        })
+      }
+    }
+    Group(branches)
+  }
+  let root = alternatives()
+  failed.contents || position.contents < length ? None : Some(root)
+}
+
+let rec renderPattern = (rng, node: patternNode): string =>
+  switch node {
+  | Chars(set) => set->String.charAt(between(rng, 0, String.length(set) - 1))
+  | Group(branches) =>
+    pick(rng, branches)
+    ->Array.map(((atom, min, max)) => Array.fromInitializer(~length=between(rng, min, max), _ => renderPattern(rng, atom))->Array.join(""))
+    ->Array.join("")
+  }
+
+// A string matching the pattern, when the pattern is simple enough to generate from
+let fromPattern = (rng, pattern: string): option<string> =>
+  parsePattern(pattern)
+  ->Option.map(node => renderPattern(rng, node))
+  ->Option.filter(value =>
+    try RegExp.fromString(pattern, ~flags="u")->RegExp.test(value) catch {
+    | _ => false
+    }
+  )
+
+// === Values ===
+
+let pad = (value: int, width: int) => Int.toString(value)->String.padStart(width, "0")
+
+let hex = (rng, length) => Array.fromInitializer(~length, _ => "0123456789abcdef"->String.charAt(between(rng, 0, 15)))->Array.join("")
+
+let formatted = (rng, format: string): option<string> => {
+  let date = () => `202${Int.toString(between(rng, 0, 5))}-${pad(between(rng, 1, 12), 2)}-${pad(between(rng, 1, 28), 2)}`
+  let time = () => `${pad(between(rng, 0, 23), 2)}:${pad(between(rng, 0, 59), 2)}:${pad(between(rng, 0, 59), 2)}`
+  switch format {
+  | "date-time" => Some(`${date()}T${time()}Z`)
+  | "date" => Some(date())
+  | "time" => Some(`${time()}Z`)
+  | "uuid" => Some(`${hex(rng, 8)}-${hex(rng, 4)}-4${hex(rng, 3)}-${pick(rng, ["8", "9", "a", "b"])}${hex(rng, 3)}-${hex(rng, 12)}`)
+  | "email" => Some(`${pick(rng, words)}.${pick(rng, words)}@example.com`)
+  | "uri" | "url" => Some(`https://example.com/${pick(rng, words)}`)
+  | "hostname" => Some(`${pick(rng, words)}.example.com`)
+  | "ipv4" => Some(Array.fromInitializer(~length=4, _ => Int.toString(between(rng, 1, 254)))->Array.join("."))
+  | "byte" => Some("ZXhhbXBsZQ==")
+  | _ => None
+  }
+}
+
+// Words joined until the minimum length is reached, cut at the maximum
+let text = (rng, ~minLength, ~maxLength) => {
+  let value = ref(pick(rng, words))
+  while String.length(value.contents) < minLength {
+    value := `${value.contents} ${pick(rng, words)}`
+  }
+  maxLength->Option.mapOr(value.contents, max => value.contents->String.slice(~start=0, ~end=max))
+}
+
+let string = (rng, c: SchemaIR.stringConstraints) =>
+  switch (c.pattern->Option.flatMap(pattern => fromPattern(rng, pattern)), c.format->Option.flatMap(format => formatted(rng, format))) {
+  | (Some(value), _) | (None, Some(value)) => value
+  | (None, None) => text(rng, ~minLength=c.minLength->Option.getOr(1), ~maxLength=c.maxLength)
+  }
+
+let number = (rng, c: SchemaIR.numberConstraints, ~isInteger) => {
+  let min = c.minimum->Option.getOr(c.maximum->Option.mapOr(0., max => Math.min(0., max -. 100.)))
+  let max = c.maximum->Option.getOr(min +. 100.)
+  switch (c.multipleOf, isInteger) {
+  | (Some(step), _) =>
+    // A multiple of the step in range (multiples of whole steps are integers)
+    let first = Math.ceil(min /. step)
+    let last = Math.floor(max /. step)
+    let multiple = last < first ? first : Int.toFloat(between(rng, Float.toInt(first), Float.toInt(last)))
+    multiple *. step
+  | (None, true) => Int.toFloat(between(rng, Float.toInt(Math.ceil(min)), Float.toInt(Math.floor(max))))
+  | (None, false) => Math.round((min +. next(rng) *. (max -. min)) *. 100.) /. 100.
+  }
+}
+
+let literal = (value: SchemaIR.literalValue): JSON.t =>
+  switch value {
+  | StringLiteral(s) => JSON.String(s)
+  | NumberLiteral(n) => JSON.Number(n)
+  | BooleanLiteral(b) => JSON.Boolean(b)
+  | NullLiteral => JSON.Null
+  }
+
+let isNullType = (irType: SchemaIR.irType) =>
+  switch irType {
+  | Null | Literal(NullLiteral) => true
+  | _ => false
+  }
+
+// Name of a referenced schema ("#/components/schemas/User" or "User")
+let referenceName = ref => ref->String.split("/")->Array.at(-1)->Option.getOr(ref)
+
+// A value of the type. References are looked up in schemas; past maxDepth, optional properties,
+// nullable values and arrays are kept minimal so recursive schemas end.
+let rec generate = (~rng, ~schemas: dict<SchemaIR.irType>, ~maxDepth=3, ~depth=0, irType: SchemaIR.irType): JSON.t => {
+  let recurse = (~nested=false, irType) => generate(~rng, ~schemas, ~maxDepth, ~depth=nested ? depth + 1 : depth, irType)
+  let shallow = depth < maxDepth
+  switch irType {
+  | String({constraints}) => JSON.String(string(rng, constraints))
+  | Number({constraints}) => JSON.Number(number(rng, constraints, ~isInteger=false))
+  | Integer({constraints}) => JSON.Number(number(rng, constraints, ~isInteger=true))
+  | Boolean => JSON.Boolean(next(rng) < 0.5)
+  | Null => JSON.Null
+  | Binary => JSON.String("")
+  | Unknown => JSON.Object(Dict.make())
+  | Literal(value) => literal(value)
+  | Array({items, constraints}) =>
+    let min = switch (constraints.minItems, constraints.maxItems) {
+    | (Some(min), _) => min
+    | (None, Some(max)) => Math.Int.min(shallow ? 1 : 0, max)
+    | (None, None) => shallow ? 1 : 0
+    }
+    let max = constraints.maxItems->Option.getOr(min + 2)
+    let count = shallow ? between(rng, min, Math.Int.max(min, max)) : min
+    let values = []
+    let attempts = ref(0)
+    // Unique items are retried a few times; small enums may run out of distinct values
+    while Array.length(values) < count && attempts.contents < count * 5 {
+      let value = recurse(~nested=true, items)
+      let duplicate = constraints.uniqueItems && values->Array.some(existing => JSON.stringify(existing) == JSON.stringify(value))
+      if !duplicate {
+        values->Array.push(value)
+      }
+      attempts := attempts.contents + 1
+    }
+    JSON.Array(values)
+  | Object({properties, additionalProperties, patternProperties, fieldInfo: ?fieldInfo}) =>
+    let entries = properties->Array.filterMap(((name, fieldType, isRequired)) => {
+      let info = SchemaIR.fieldInfoFor(fieldInfo, name)
+      let included = isRequired || (shallow && next(rng) < 0.7)
+      switch (included, info) {
+      | (false, _) => None
+      // Values the spec gives for the property are more realistic than generated ones
+      | (true, Some({examples: [example]})) => Some((name, example))
+      | (true, Some({default: Some(default)})) => Some((name, default))
+      | (true, _) => Some((name, recurse(~nested=true, fieldType)))
+      }
+    })
+    // Maps without declared properties get one entry
+    let extra = switch (properties, patternProperties[0], additionalProperties) {
+    | ([], Some((pattern, valueType)), _) if shallow =>
+      fromPattern(rng, pattern)->Option.mapOr([], key => [(key, recurse(~nested=true, valueType))])
+    | ([], _, Some(valueType)) if shallow => [("key", recurse(~nested=true, valueType))]
+    | _ => []
+    }
+    JSON.Object(Dict.fromArray(Array.concat(entries, extra)))
+  | Union(types) =>
+    switch types->Array.filter(t => !isNullType(t)) {
+    | [] => JSON.Null
+    | members => recurse(pick(rng, members))
+    }
+  | TaggedUnion({propertyName, cases}) =>
+    switch cases {
+    | [] => JSON.Null
+    | cases =>
+      let (tag, caseType) = pick(rng, cases)
+      switch recurse(caseType) {
+      | JSON.Object(fields) => JSON.Object(Dict.fromArray(Array.concat(fields->Dict.toArray, [(propertyName, JSON.String(tag))])))
+      | value => value
+      }
+    }
+  | Intersection(types) =>
+    // Objects are merged; for anything else the last member wins
+    types->Array.reduce(JSON.Null, (merged, member) =>
+      switch (merged, recurse(member)) {
+      | (JSON.Object(a), JSON.Object(b)) => JSON.Object(Dict.fromArray(Array.concat(a->Dict.toArray, b->Dict.toArray)))
+      | (_, value) => value
+      }
+    )
+  | Reference(ref) =>
+    switch schemas->Dict.get(referenceName(ref)) {
+    | Some(referenced) if depth < maxDepth + 3 => recurse(~nested=true, referenced)
+    | _ => JSON.Null
+    }
+  | Option(inner) => shallow && next(rng) < 0.8 ? recurse(inner) : JSON.Null
+  }
+}
@@ -0,0 +1,13 @@
+/* TypeScript file generated from FileSystem.res by genType. */
+
+/* eslint-disable */
+/* tslint:disable */
+
+export type fileToWrite = { readonly path: string; readonly content: string };
+
+export type syncResult = {
+  readonly written: string[]; 
+  readonly unchanged: string[]; 
+  readonly deleted: string[]; 
+  readonly kept: string[]
+};
@@ -4,8 +4,20 @@
 
 @module("fs") external mkdirSync: (string, {"recursive": bool}) => unit = "mkdirSync"
 @module("fs") external writeFileSync: (string, string, string) => unit = "writeFileSync"
+@module("fs") external readFileSync: (string, string) => string = "readFileSync"
+@module("fs") external existsSync: string => bool = "existsSync"
+@module("fs") external unlinkSync: string => unit = "unlinkSync"
+@module("fs") external readdirSync: string => array<string> = "readdirSync"
+@module("fs") external rmdirSync: string => unit = "rmdirSync"
 @module("pathe") external join: (string, string) => string = "join"
 @module("pathe") external dirname: string => string = "dirname"
+@module("pathe") external relative: (string, string) => string = "relative"
+@module("pathe") external resolve: string => string = "resolve"
+
+type hash
+@module("crypto") external createHash: string => hash = "createHash"
+@send external update: (hash, string) => hash = "update"
+@send external digest: (hash, string) => string = "digest"
 
 // Represents a file to be written
 @genType
@@ -57,7 +69,221 @@ let writeFiles = (files: array<fileToWrite>): result<array<string>, array<string
   }
 }
 
+// Path relative to the current directory, for display
+let displayPath = (path: string): string => relative(resolve("."), resolve(path))
+
 // Helper to create a file path
 let makePath = (baseDir: string, filename: string): string => {
   join(baseDir, filename)
 }
+
+// ============= Generation Manifest =============
+
+// Manifest of generated files and their content hashes, kept in each output directory
+let manifestFileName = ".openapi-codegen-manifest.json"
+
+// Outcome of syncing generated files with the output directories
+@genType
+type syncResult = {
+  written: array<string>,   // New or changed files
+  unchanged: array<string>, // Files whose content already matched
+  deleted: array<string>,   // Previously generated files that are no longer produced
+  kept: array<string>,      // No longer produced, but edited since generation, so left in place
+}
+
+let contentHash = (content: string): string => createHash("sha256")->update(content)->digest("hex")
+
+let fileHash = (path: string): option<string> =>
+  try {
+    existsSync(path) ? Some(contentHash(readFileSync(path, "utf8"))) : None
+  } catch {
+  | _ => None
+  }
+
+// Read the manifest as relative path -> hash; a missing or unreadable manifest is empty
+let readManifest = (manifestPath: string): dict<string> =>
+  try {
+    switch existsSync(manifestPath) ? JSON.parseOrThrow(readFileSync(manifestPath, "utf8")) : JSON.Null {
+    | Object(manifest) =>
+      switch manifest->Dict.get("files") {
+      | Some(Object(files)) =>
+        files
+        ->Dict.toArray
+        ->Array.filterMap(((path, hash)) =>
+          switch hash {
+          | String(hash) => Some((path, hash))
+          | _ => None
+          }
+        )
+        ->Dict.fromArray
+      | _ => Dict.make()
+      }
+    | _ => Dict.make()
+    }
+  } catch {
+  | _ => Dict.make()
+  }
+
+let manifestContent = (files: dict<string>): string => {
+  let entries =
+    files
+    ->Dict.toArray
+    ->Array.toSorted(((a, _), (b, _)) => String.compare(a, b))
+    ->Array.map(((path, hash)) => (path, JSON.Encode.string(hash)))
+  JSON.stringify(
+    JSON.Encode.object(
+      Dict.fromArray([
+        ("generator", JSON.Encode.string("@f3liz/rescript-autogen-openapi")),
+        ("version", JSON.Encode.int(1)),
+        ("files", JSON.Encode.object(Dict.fromArray(entries))),
+      ]),
+    ),
+    ~space=2,
+  ) ++ "\n"
+}
+
+// Remove directories left empty by deletions, stopping at the output directory
+let rec removeEmptyDirs = (dir: string, ~root: string): unit =>
+  if dir != root && String.startsWith(dir, root ++ "/") {
+    let isEmpty = try {
+      readdirSync(dir)->Array.length == 0
+    } catch {
+    | _ => false
+    }
+    if isEmpty {
+      try {
+        rmdirSync(dir)
+        removeEmptyDirs(dirname(dir), ~root)
+      } catch {
+      | _ => ()
+      }
+    }
+  }
+
+// What syncing generated files with the output directories would do (computed without touching disk)
+type syncPlan = {
+  manifests: array<(string, dict<string>)>, // Each output directory's manifest path and entries after the sync
+  created: array<fileToWrite>,  // Generated files missing on disk
+  changed: array<fileToWrite>,  // Generated files whose content on disk differs
+  unchanged: array<string>,     // Generated files whose content already matches
+  stale: array<string>,         // Previously generated, unedited and no longer produced: to delete
+  kept: array<string>,          // Previously generated but edited since: left in place
+}
+
+// Manifest key of a file: its path relative to the output directory. Files outside the output
+// directory have none, so they are never recorded nor deleted (even if a manifest lists them)
+let manifestKey = (~root: string, path: string): option<string> => {
+  let key = relative(root, resolve(path))
+  key == "" || key == ".." || String.startsWith(key, "../") || String.startsWith(key, "/") ? None : Some(key)
+}
+
+// The innermost of the (resolved) output directories holding a file, with the file's key in its manifest
+let owningRoot = (~roots: array<string>, path: string): option<(string, string)> =>
+  roots->Array.reduce(None, (found, root) =>
+    switch (found, manifestKey(~root, path)) {
+    | (_, None) => found
+    | (Some((outer, _)), Some(_)) if String.length(outer) > String.length(root) => found
+    | (_, Some(key)) => Some((root, key))
+    }
+  )
+
+// Compare generated files with the output directories and their manifests. Every output directory
+// (e.g., outputDir, dtsOutputDir and wrapperOutputDir) keeps a manifest of the files written under it;
+// a file is recorded by the innermost one. Only files listed in a manifest with their recorded content
+// are ever planned for deletion.
+let planSync = (~outputDirs: array<string>, files: array<fileToWrite>): syncPlan => {
+  let roots = outputDirs->Array.map(resolve)->Array.reduce([], (roots, root) => roots->Array.includes(root) ? roots : Array.concat(roots, [root]))
+  let manifests = roots->Array.map(root => (root, Dict.make()))
+
+  // A path produced twice keeps its last content
+  let byPath: dict<fileToWrite> = Dict.make()
+  files->Array.forEach(file => byPath->Dict.set(resolve(file.path), file))
+
+  let created = []
+  let changed = []
+  let unchanged = []
+  byPath->Dict.forEachWithKey((file, path) => {
+    let hash = contentHash(file.content)
+    switch fileHash(file.path) {
+    | None => created->Array.push(file)
+    | Some(diskHash) if diskHash == hash => unchanged->Array.push(file.path)
+    | Some(_) => changed->Array.push(file)
+    }
+    owningRoot(~roots, path)->Option.forEach(((root, key)) =>
+      manifests->Array.find(((manifestRoot, _)) => manifestRoot == root)->Option.forEach(((_, manifest)) => manifest->Dict.set(key, hash))
+    )
+  })
+
+  // A file may move between manifests (e.g., when dtsOutputDir changes), so nothing produced now is stale
+  let stale = []
+  let kept = []
+  manifests->Array.forEach(((root, manifest)) =>
+    readManifest(join(root, manifestFileName))->Dict.forEachWithKey((hash, relativePath) =>
+      if manifest->Dict.get(relativePath)->Option.isNone {
+        let path = join(root, relativePath)
+        let listed = Array.concat(stale, kept)->Array.includes(path)
+        switch (manifestKey(~root, path), fileHash(path)) {
+        | (None, _) | (_, None) => ()
+        | _ if listed || byPath->Dict.get(path)->Option.isSome => ()
+        | (Some(_), Some(diskHash)) if diskHash == hash => stale->Array.push(path)
+        | (Some(_), Some(_)) => kept->Array.push(path)
+        }
+      }
+    )
+  )
+
+  {
+    manifests: manifests->Array.map(((root, manifest)) => (join(root, manifestFileName), manifest)),
+    created,
+    changed,
+    unchanged,
+    stale,
+    kept,
+  }
+}
+
+// Write generated files incrementally: unchanged files are not rewritten, and previously generated
+// files that are no longer produced are deleted (see planSync)
+let syncFiles = (~outputDirs: array<string>, files: array<fileToWrite>): result<syncResult, array<string>> => {
+  let roots = outputDirs->Array.map(resolve)
+  let plan = planSync(~outputDirs, files)
+  let written = []
+  let errors = []
+
+  Array.concat(plan.created, plan.changed)->Array.forEach(file =>
+    switch writeFile(file) {
+    | Ok() => written->Array.push(file.path)
+    | Error(err) => errors->Array.push(err)
+    }
+  )
+
+  let deleted = []
+  plan.stale->Array.forEach(path =>
+    try {
+      unlinkSync(path)
+      deleted->Array.push(path)
+      owningRoot(~roots, path)->Option.forEach(((root, _)) => removeEmptyDirs(dirname(resolve(path)), ~root))
+    } catch {
+    | JsExn(exn) => errors->Array.push(`Failed to delete stale file ${path}: ${exn->JsExn.message->Option.getOr("Unknown error")}`)
+    | _ => errors->Array.push(`Failed to delete stale file ${path}: Unknown error`)
+    }
+  )
+
+  plan.manifests->Array.forEach(((manifestPath, manifest)) => {
+    let content = manifestContent(manifest)
+    // An output directory nothing was ever written to gets no manifest
+    let untouched = Dict.keysToArray(manifest)->Array.length == 0 && !existsSync(manifestPath)
+    if !untouched && fileHash(manifestPath) != Some(contentHash(content)) {
+      switch writeFile({path: manifestPath, content}) {
+      | Ok() => ()
+      | Error(err) => errors->Array.push(err)
+      }
+    }
+  })
+
+  if Array.length(errors) > 0 {
+    Error(errors)
+  } else {
+    Ok({written, unchanged: plan.unchanged, deleted, kept: plan.kept})
+  }
+}
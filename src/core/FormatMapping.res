@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// FormatMapping.res - Map JSON Schema `format` values to custom types and Sury schemas
+
+type t = Config.formatMapping
+
+// Built-in mappings (format: binary is handled separately, as file content)
+let defaults: dict<t> = Dict.fromArray([
+  ("date-time", {Config.rescriptType: "Date.t", surySchema: "{{base}}->S.datetime", typescriptType: "Date"}),
+  ("uuid", {rescriptType: "string", surySchema: "{{base}}->S.uuid", typescriptType: "string"}),
+  ("email", {rescriptType: "string", surySchema: "{{base}}->S.email", typescriptType: "string"}),
+  ("uri", {rescriptType: "string", surySchema: "{{base}}->S.url", typescriptType: "string"}),
+  ("int64", {rescriptType: "bigint", surySchema: "{{runtime}}.int64", typescriptType: "bigint"}),
+])
+
+// Mapping for a format, preferring user overrides to the built-in defaults
+let find = (~overrides: option<dict<t>>=?, format: option<string>): option<t> =>
+  format->Option.flatMap(format =>
+    overrides
+    ->Option.flatMap(overrides => overrides->Dict.get(format))
+    ->Option.orElse(defaults->Dict.get(format))
+  )
+
+// Mapping for a string, number or integer IR type carrying a format
+let forType = (~overrides: option<dict<t>>=?, irType: SchemaIR.irType): option<t> =>
+  switch irType {
+  | String({constraints: {format}}) | Number({constraints: {format}}) | Integer({constraints: {format}}) =>
+    find(~overrides?, format)
+  | _ => None
+  }
+
+// Render the mapping's Sury schema around the plain schema for the type
+let renderSchema = (mapping: t, ~base: string, ~runtimeModule: string): string =>
+  Handlebars.render(mapping.surySchema, {"base": base, "runtime": runtimeModule})
@@ -4,16 +4,18 @@
 
 // Constraint builders
 module Constraints = {
-  let string = (~min=?, ~max=?, ~pattern=?, ()) => {
+  let string = (~min=?, ~max=?, ~pattern=?, ~format=?, ()) => {
     SchemaIR.minLength: min,
     maxLength: max,
     pattern,
+    format,
   }
 
-  let number = (~min=?, ~max=?, ~multipleOf=?, ()) => {
+  let number = (~min=?, ~max=?, ~multipleOf=?, ~format=?, ()) => {
     SchemaIR.minimum: min,
     maximum: max,
     multipleOf,
+    format,
   }
 
   let array = (~min=?, ~max=?, ~unique=false, ()) => {
@@ -24,14 +26,14 @@ module Constraints = {
 }
 
 // Type builders
-let string = (~min=?, ~max=?, ~pattern=?, ()) =>
-  SchemaIR.String({constraints: Constraints.string(~min?, ~max?, ~pattern?, ())})
+let string = (~min=?, ~max=?, ~pattern=?, ~format=?, ()) =>
+  SchemaIR.String({constraints: Constraints.string(~min?, ~max?, ~pattern?, ~format?, ())})
 
-let number = (~min=?, ~max=?, ~multipleOf=?, ()) =>
-  SchemaIR.Number({constraints: Constraints.number(~min?, ~max?, ~multipleOf?, ())})
+let number = (~min=?, ~max=?, ~multipleOf=?, ~format=?, ()) =>
+  SchemaIR.Number({constraints: Constraints.number(~min?, ~max?, ~multipleOf?, ~format?, ())})
 
-let int = (~min=?, ~max=?, ~multipleOf=?, ()) =>
-  SchemaIR.Integer({constraints: Constraints.number(~min?, ~max?, ~multipleOf?, ())})
+let int = (~min=?, ~max=?, ~multipleOf=?, ~format=?, ()) =>
+  SchemaIR.Integer({constraints: Constraints.number(~min?, ~max?, ~multipleOf?, ~format?, ())})
 
 let bool = SchemaIR.Boolean
 let null = SchemaIR.Null
@@ -40,8 +42,13 @@ let unknown = SchemaIR.Unknown
 let array = (~items, ~min=?, ~max=?, ~unique=false, ()) =>
   SchemaIR.Array({items, constraints: Constraints.array(~min?, ~max?, ~unique, ())})
 
-let object_ = (~props, ~additional=?, ()) =>
-  SchemaIR.Object({properties: props, additionalProperties: additional})
+let object_ = (~props, ~additional=?, ~patterns=[], ~strict=false, ()) =>
+  SchemaIR.Object({
+    properties: props,
+    additionalProperties: additional,
+    patternProperties: patterns,
+    strict,
+  })
 
 let union = types => SchemaIR.Union(types)
 let intersection = types => SchemaIR.Intersection(types)
@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// MediaType.res - Choose and classify request/response media types
+
+// How a body in a given media type is encoded and decoded
+type kind =
+  | Json // application/json, application/*+json
+  | UrlEncoded // application/x-www-form-urlencoded
+  | Multipart // multipart/form-data
+  | Text // text/*, application/xml
+  | Binary // application/octet-stream, image/*, anything else
+
+// Default preference order when an operation declares several media types
+let defaultPreference = [
+  "application/json",
+  "application/*+json",
+  "multipart/form-data",
+  "application/x-www-form-urlencoded",
+  "text/plain",
+  "text/*",
+  "application/octet-stream",
+  "*/*",
+]
+
+// Split "type/subtype; charset=utf-8" into lowercase ("type", "subtype")
+let parse = (mediaType: string): (string, string) => {
+  let essence = mediaType->String.split(";")->Array.getUnsafe(0)->String.trim->String.toLowerCase
+  switch essence->String.split("/") {
+  | [type_, subtype] => (type_, subtype)
+  | _ => (essence, "")
+  }
+}
+
+// Check a media type against a pattern ("*/*", "text/*", "application/*+json", "image/png")
+let matches = (~pattern: string, mediaType: string): bool => {
+  let (patternType, patternSubtype) = parse(pattern)
+  let (type_, subtype) = parse(mediaType)
+  let typeMatches = patternType == "*" || patternType == type_
+  let subtypeMatches = switch patternSubtype {
+  | "*" => true
+  | p if p->String.startsWith("*+") => subtype->String.endsWith(p->String.slice(~start=1))
+  | p => p == subtype
+  }
+  typeMatches && subtypeMatches
+}
+
+let classify = (mediaType: string): kind =>
+  switch parse(mediaType) {
+  | (_, "json") => Json
+  | (_, subtype) if subtype->String.endsWith("+json") => Json
+  | ("application", "x-www-form-urlencoded") => UrlEncoded
+  | ("multipart", _) => Multipart
+  | ("text", _) | ("application", "xml") => Text
+  | (_, subtype) if subtype->String.endsWith("+xml") => Text
+  | _ => Binary
+  }
+
+// Pick the declared media type to generate code for, following the preference order
+// (falls back to the first declared media type when none match)
+let select = (~preference=defaultPreference, content: dict<Types.mediaType>): option<(
+  string,
+  Types.mediaType,
+)> => {
+  let entries = content->Dict.toArray
+  preference
+  ->Array.reduce(None, (found, pattern) =>
+    switch found {
+    | Some(_) => found
+    | None => entries->Array.find(((mediaType, _)) => matches(~pattern, mediaType))
+    }
+  )
+  ->Option.orElse(entries->Array.get(0))
+}
@@ -41,11 +41,31 @@ let tupleToEndpoint = ((path, method, operation): (string, Types.httpMethod, Typ
     requestBody: operation.requestBody,
     responses: operation.responses,
     parameters: operation.parameters,
+    security: operation.security,
+    servers: operation.servers,
+    deprecated: operation.deprecated,
+  }
+}
+
+// Merge path-level parameters into operation parameters
+// Operation-level parameters override path-level ones with the same name and location
+let mergeParameters = (
+  pathParameters: option<array<Types.parameter>>,
+  operationParameters: option<array<Types.parameter>>,
+): option<array<Types.parameter>> => {
+  switch (pathParameters, operationParameters) {
+  | (None, ops) => ops
+  | (Some(shared), None) => Some(shared)
+  | (Some(shared), Some(ops)) =>
+    let inherited = shared->Array.filter(p =>
+      !(ops->Array.some(op => op.name == p.name && op.in_ == p.in_))
+    )
+    Some(Array.concat(inherited, ops))
   }
 }
 
 // Extract operations from a path item
-let getOperations = (path: string, {get, post, put, patch, delete, head, options}: Types.pathItem): array<(string, Types.httpMethod, Types.operation)> => {
+let getOperations = (path: string, {get, post, put, patch, delete, head, options, parameters, servers}: Types.pathItem): array<(string, Types.httpMethod, Types.operation)> => {
   [
     (#GET, get),
     (#POST, post),
@@ -54,18 +74,52 @@ let getOperations = (path: string, {get, post, put, patch, delete, head, options
     (#DELETE, delete),
     (#HEAD, head),
     (#OPTIONS, options),
-  ]->Array.filterMap(((method, op)) => op->Option.map(op => (path, method, op)))
+  ]->Array.filterMap(((method, op)) =>
+    op->Option.map(op => (
+      path,
+      method,
+      {...op, parameters: mergeParameters(parameters, op.parameters), servers: op.servers->Option.orElse(servers)},
+    ))
+  )
 }
 
+// Get the security schemes declared in components
+let getSecuritySchemes = (spec: Types.openAPISpec): dict<Types.securityScheme> =>
+  spec.components->Option.flatMap(c => c.securitySchemes)->Option.getOr(Dict.make())
+
 // Get all endpoints from the spec
+// Operations without their own security use the spec's; requirements naming a scheme the
+// spec does not declare can never be met and are dropped
 let getAllEndpoints = (spec: Types.openAPISpec): array<Types.endpoint> => {
   let pathsArray = spec.paths->Dict.toArray
+  let schemes = getSecuritySchemes(spec)
   
   pathsArray
   ->Array.flatMap(((path, pathItem)) => getOperations(path, pathItem))
   ->Array.map(tupleToEndpoint)
+  ->Array.map(endpoint => {
+    ...endpoint,
+    security: endpoint.security
+      ->Option.orElse(spec.security)
+      ->Option.map(requirements =>
+        requirements->Array.filter(requirement => requirement->Dict.keysToArray->Array.every(name => schemes->Dict.has(name)))
+      ),
+  })
 }
 
+// Get the security requirements an endpoint can be called with, leaving out the empty
+// requirement that makes authentication optional; none means no authentication
+let getSecurityRequirements = (endpoint: Types.endpoint): array<Types.securityRequirement> =>
+  endpoint.security
+  ->Option.getOr([])
+  ->Array.filter(requirement => requirement->Dict.keysToArray->Array.length > 0)
+
+// Get the servers an API is served from; the first one is the default
+let getServers = (spec: Types.openAPISpec): array<Types.server> => spec.servers->Option.getOr([])
+
+// Get the servers an endpoint is served from instead of the spec's; an empty list overrides nothing
+let getServerOverrides = (endpoint: Types.endpoint): array<Types.server> => endpoint.servers->Option.getOr([])
+
 // Group endpoints by tag
 let groupByTag = (
   endpoints: array<Types.endpoint>
@@ -135,6 +189,57 @@ let filterByTags = (
   })
 }
 
+// Get the parameters that become arguments of generated functions
+let getRequestParameters = (endpoint: Types.endpoint): array<Types.parameter> =>
+  endpoint.parameters
+  ->Option.getOr([])
+  ->Array.filter(p => ["path", "query", "header", "cookie"]->Array.includes(p.in_))
+
+// How a declared response status matches an HTTP status code
+type statusMatch =
+  | Exact(int) // "404"
+  | Range(int) // "4XX" (holds the leading digit)
+  | Default // "default"
+
+type responseStatus = {
+  code: string,
+  match_: statusMatch,
+  response: Types.response,
+}
+
+let parseStatusCode = (code: string): option<statusMatch> =>
+  switch code->String.toUpperCase {
+  | "DEFAULT" => Some(Default)
+  | upper if upper->String.length == 3 && upper->String.endsWith("XX") =>
+    Int.fromString(upper->String.slice(~start=0, ~end=1))
+    ->Option.filter(digit => digit >= 1 && digit <= 5)
+    ->Option.map(digit => Range(digit))
+  | _ => Int.fromString(code)->Option.filter(n => n >= 100 && n <= 599)->Option.map(n => Exact(n))
+  }
+
+let isSuccessStatus = (match_: statusMatch) =>
+  switch match_ {
+  | Exact(n) => n >= 200 && n < 300
+  | Range(digit) => digit == 2
+  | Default => false
+  }
+
+// Get all declared responses in matching order: exact codes, then ranges, then default
+let getResponseStatuses = (endpoint: Types.endpoint): array<responseStatus> => {
+  let rank = ({match_}) =>
+    switch match_ {
+    | Exact(n) => n
+    | Range(digit) => 1000 + digit
+    | Default => 2000
+    }
+  endpoint.responses
+  ->Dict.toArray
+  ->Array.filterMap(((code, response)) =>
+    parseStatusCode(code)->Option.map(match_ => {code, match_, response})
+  )
+  ->Array.toSorted((a, b) => Int.compare(rank(a), rank(b)))
+}
+
 // Get unique tags from all endpoints
 let getAllTags = (endpoints: array<Types.endpoint>): array<string> => {
   endpoints
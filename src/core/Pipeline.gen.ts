@@ -0,0 +1,10 @@
+/* TypeScript file generated from Pipeline.res by genType. */
+
+/* eslint-disable */
+/* tslint:disable */
+
+import type {fileToWrite as FileSystem_fileToWrite} from './FileSystem.gen';
+
+import type {warning as Types_warning} from '../../src/Types.gen';
+
+export type t = { readonly files: FileSystem_fileToWrite[]; readonly warnings: Types_warning[] };
@@ -0,0 +1,33 @@
+/* TypeScript file generated from Plugin.res by genType. */
+
+/* eslint-disable */
+/* tslint:disable */
+
+import type {endpoint as Types_endpoint} from '../../src/Types.gen';
+
+import type {fileToWrite as FileSystem_fileToWrite} from './FileSystem.gen';
+
+import type {generationSuccess as Types_generationSuccess} from '../../src/Types.gen';
+
+import type {namedSchema as SchemaIR_namedSchema} from './SchemaIR.gen';
+
+import type {openAPISpec as Types_openAPISpec} from '../../src/Types.gen';
+
+import type {t as Pipeline_t} from './Pipeline.gen';
+
+export type instance = {
+  readonly name: (undefined | string); 
+  readonly spec: Types_openAPISpec; 
+  readonly endpoints: Types_endpoint[]; 
+  readonly outputDir: string
+};
+
+export type t = {
+  readonly name: string; 
+  readonly transformSpec?: (_1:Types_openAPISpec) => Types_openAPISpec; 
+  readonly transformEndpoints?: (_1:Types_endpoint[]) => Types_endpoint[]; 
+  readonly transformIR?: (_1:SchemaIR_namedSchema) => SchemaIR_namedSchema; 
+  readonly generateFiles?: (_1:instance) => FileSystem_fileToWrite[]; 
+  readonly transformFiles?: (_1:Pipeline_t) => Pipeline_t; 
+  readonly afterWrite?: (_1:Types_generationSuccess) => Promise<void>
+};
@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// Plugin.res - Plugin hooks into the generation pipeline
+// Plugins run in config order; each hook receives what the previous plugin returned
+open Types
+
+// What a plugin's generateFiles hook sees: one instance (the spec, or with forks the base or a fork)
+@genType
+type instance = {
+  name: option<string>, // Instance name with forks, None for a single spec
+  spec: openAPISpec,
+  endpoints: array<endpoint>,
+  outputDir: string,
+}
+
+@genType
+type t = {
+  name: string,
+  transformSpec?: openAPISpec => openAPISpec, // Each resolved spec, before anything reads it
+  transformEndpoints?: array<endpoint> => array<endpoint>, // Every endpoint list taken from a spec
+  transformIR?: SchemaIR.namedSchema => SchemaIR.namedSchema, // Each component schema after parsing
+  generateFiles?: instance => array<FileSystem.fileToWrite>, // Extra files; paths are relative to the instance's outputDir
+  transformFiles?: Pipeline.t => Pipeline.t, // All generated files and warnings, before they are written or checked
+  afterWrite?: generationSuccess => promise<unit>, // After generate wrote the output
+}
+
+// Config.plugin is this record; Config can't name the spec types
+external fromConfig: Config.plugin => t = "%identity"
+
+let pluginsOf = (config: generationConfig): array<t> => config.plugins->Option.mapOr([], plugins => plugins->Array.map(fromConfig))
+
+// Thread a value through every plugin that has the hook
+let run = (config, hook: t => option<'a => 'a>, value: 'a): 'a =>
+  pluginsOf(config)->Array.reduce(value, (value, plugin) => hook(plugin)->Option.mapOr(value, transform => transform(value)))
+
+let transformSpec = (config, spec) => run(config, plugin => plugin.transformSpec, spec)
+
+let transformFiles = (config, output) => run(config, plugin => plugin.transformFiles, output)
+
+// Endpoints of a spec as every generator sees them
+let endpointsOf = (config, spec) => run(config, plugin => plugin.transformEndpoints, OpenAPIParser.getAllEndpoints(spec))
+
+// None without transformIR hooks, so generators skip the extra pass
+let transformIR = (config): option<SchemaIR.namedSchema => SchemaIR.namedSchema> =>
+  pluginsOf(config)->Array.some(plugin => plugin.transformIR->Option.isSome)
+    ? Some(namedSchema => run(config, plugin => plugin.transformIR, namedSchema))
+    : None
+
+let generateFiles = (config, instance: instance) =>
+  pluginsOf(config)
+  ->Array.flatMap(plugin => plugin.generateFiles->Option.mapOr([], generate => generate(instance)))
+  ->Array.map((file): FileSystem.fileToWrite => {...file, path: FileSystem.makePath(instance.outputDir, file.path)})
+  ->Pipeline.fromFiles
+
+// Plugins run one after another; a failing hook stops the rest
+let afterWrite = async (config, success: generationSuccess): result<generationSuccess, codegenError> => {
+  let plugins = pluginsOf(config)->Array.filter(plugin => plugin.afterWrite->Option.isSome)
+  let rec loop = async index =>
+    switch plugins->Array.get(index) {
+    | None => Ok(success)
+    | Some(plugin) =>
+      let hook = plugin.afterWrite->Option.getUnsafe
+      try {
+        await hook(success)
+        await loop(index + 1)
+      } catch {
+      | JsExn(err) =>
+        Error(UnknownError({message: `Plugin ${plugin.name} failed after writing: ${err->JsExn.message->Option.getOr("Unknown error")}`, context: None}))
+      }
+    }
+  await loop(0)
+}
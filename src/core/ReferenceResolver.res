@@ -5,7 +5,8 @@
 // Convert a reference like "#/components/schemas/User" to module path
 // If insideComponentSchemas=true, returns "User.t" (relative)
 // If insideComponentSchemas=false, returns "{prefix}ComponentSchemas.User.t" (fully qualified)
-let refToTypePath = (~insideComponentSchemas=false, ~modulePrefix="", ref: string): option<string> => {
+// typeName selects another type of the module (e.g., "input")
+let refToTypePath = (~insideComponentSchemas=false, ~modulePrefix="", ~typeName="t", ref: string): option<string> => {
   // Handle #/components/schemas/SchemaName format
   let parts = ref->String.split("/")
   switch parts->Array.get(parts->Array.length - 1) {
@@ -13,9 +14,9 @@ let refToTypePath = (~insideComponentSchemas=false, ~modulePrefix="", ref: strin
   | Some(schemaName) => {
       let moduleName = CodegenUtils.toPascalCase(schemaName)
       if insideComponentSchemas {
-        Some(`${moduleName}.t`)
+        Some(`${moduleName}.${typeName}`)
       } else {
-        Some(`${modulePrefix}ComponentSchemas.${moduleName}.t`)
+        Some(`${modulePrefix}ComponentSchemas.${moduleName}.${typeName}`)
       }
     }
   }
@@ -24,17 +25,18 @@ let refToTypePath = (~insideComponentSchemas=false, ~modulePrefix="", ref: strin
 // Convert a reference like "#/components/schemas/User" to schema path
 // If insideComponentSchemas=true, returns "User.schema" (relative)
 // If insideComponentSchemas=false, returns "{prefix}ComponentSchemas.User.schema" (fully qualified)
-let refToSchemaPath = (~insideComponentSchemas=false, ~modulePrefix="", ref: string): option<string> => {
+// schemaName selects another schema of the module (e.g., "inputSchema")
+let refToSchemaPath = (~insideComponentSchemas=false, ~modulePrefix="", ~schemaName="schema", ref: string): option<string> => {
   // Handle #/components/schemas/SchemaName format
   let parts = ref->String.split("/")
   switch parts->Array.get(parts->Array.length - 1) {
   | None => None
-  | Some(schemaName) => {
-      let moduleName = CodegenUtils.toPascalCase(schemaName)
+  | Some(refName) => {
+      let moduleName = CodegenUtils.toPascalCase(refName)
       if insideComponentSchemas {
-        Some(`${moduleName}.schema`)
+        Some(`${moduleName}.${schemaName}`)
       } else {
-        Some(`${modulePrefix}ComponentSchemas.${moduleName}.schema`)
+        Some(`${modulePrefix}ComponentSchemas.${moduleName}.${schemaName}`)
       }
     }
   }
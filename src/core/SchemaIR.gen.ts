@@ -0,0 +1,59 @@
+/* TypeScript file generated from SchemaIR.res by genType. */
+
+/* eslint-disable */
+/* tslint:disable */
+
+export type stringConstraints = {
+  readonly minLength: (undefined | number); 
+  readonly maxLength: (undefined | number); 
+  readonly pattern: (undefined | string); 
+  readonly format: (undefined | string)
+};
+
+export type numberConstraints = {
+  readonly minimum: (undefined | number); 
+  readonly maximum: (undefined | number); 
+  readonly multipleOf: (undefined | number); 
+  readonly format: (undefined | string)
+};
+
+export type arrayConstraints = {
+  readonly minItems: (undefined | number); 
+  readonly maxItems: (undefined | number); 
+  readonly uniqueItems: boolean
+};
+
+export type fieldInfo = {
+  readonly default: (undefined | unknown); 
+  readonly deprecated: boolean; 
+  readonly examples: unknown[]
+};
+
+export type irType = 
+    "Boolean"
+  | "Null"
+  | "Binary"
+  | "Unknown"
+  | { TAG: "String"; readonly constraints: stringConstraints }
+  | { TAG: "Number"; readonly constraints: numberConstraints }
+  | { TAG: "Integer"; readonly constraints: numberConstraints }
+  | { TAG: "Array"; readonly items: irType; readonly constraints: arrayConstraints }
+  | { TAG: "Object"; readonly properties: Array<[string, irType, boolean]>; readonly additionalProperties: (undefined | irType); readonly patternProperties: Array<[string, irType]>; readonly strict: boolean; readonly fieldInfo?: {[id: string]: fieldInfo} }
+  | { TAG: "Literal"; _0: literalValue }
+  | { TAG: "Union"; _0: irType[] }
+  | { TAG: "TaggedUnion"; readonly propertyName: string; readonly cases: Array<[string, irType]> }
+  | { TAG: "Intersection"; _0: irType[] }
+  | { TAG: "Reference"; _0: string }
+  | { TAG: "Option"; _0: irType };
+
+export type literalValue = 
+    "NullLiteral"
+  | { TAG: "StringLiteral"; _0: string }
+  | { TAG: "NumberLiteral"; _0: number }
+  | { TAG: "BooleanLiteral"; _0: boolean };
+
+export type namedSchema = {
+  readonly name: string; 
+  readonly description: (undefined | string); 
+  readonly type_: irType
+};
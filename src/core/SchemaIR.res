@@ -5,25 +5,40 @@
 // that can be used to generate both ReScript types and Sury schemas
 
 // Validation constraints
+@genType
 type stringConstraints = {
   minLength: option<int>,
   maxLength: option<int>,
   pattern: option<string>,
+  format: option<string>, // e.g. "date-time", "uuid"; see FormatMapping
 }
 
+@genType
 type numberConstraints = {
   minimum: option<float>,
   maximum: option<float>,
   multipleOf: option<float>,
+  format: option<string>, // e.g. "int64"
 }
 
+@genType
 type arrayConstraints = {
   minItems: option<int>,
   maxItems: option<int>,
   uniqueItems: bool,
 }
 
+// What a property carries besides its type: a default filled in when decoding, a deprecation
+// flag and examples for doc comments
+@genType
+type fieldInfo = {
+  default: option<JSON.t>,
+  deprecated: bool,
+  examples: array<JSON.t>,
+}
+
 // Core IR types
+@genType
 type rec irType =
   | String({constraints: stringConstraints})
   | Number({constraints: numberConstraints})
@@ -33,22 +48,35 @@ type rec irType =
   | Array({items: irType, constraints: arrayConstraints})
   | Object({
       properties: array<(string, irType, bool)>, // (name, type, required)
-      additionalProperties: option<irType>,
+      additionalProperties: option<irType>, // Type of keys beyond the declared properties, if kept
+      patternProperties: array<(string, irType)>, // (key pattern, type)
+      strict: bool, // additionalProperties: false
+      fieldInfo?: dict<fieldInfo>, // By property name, for properties that have any
     })
   | Literal(literalValue)
   | Union(array<irType>)
+  | TaggedUnion({propertyName: string, cases: array<(string, irType)>}) // Discriminated oneOf/anyOf: (tag value, member type)
   | Intersection(array<irType>)
   | Reference(string) // Schema reference like "#/components/schemas/User"
   | Option(irType) // Nullable/optional types
+  | Binary // Binary content (format: binary), e.g. file uploads
   | Unknown
 
+@genType
 and literalValue =
   | StringLiteral(string)
   | NumberLiteral(float)
   | BooleanLiteral(bool)
   | NullLiteral
 
+// Side of an exchange a schema is parsed for: readOnly properties only exist in
+// responses and writeOnly ones only in requests (None keeps both)
+type direction =
+  | Request
+  | Response
+
 // Named schema definition
+@genType
 type namedSchema = {
   name: string,
   description: option<string>,
@@ -61,6 +89,26 @@ type schemaContext = {
 }
 
 // Helpers
+let fieldInfoFor = (fieldInfo: option<dict<fieldInfo>>, name: string): option<fieldInfo> =>
+  fieldInfo->Option.flatMap(info => info->Dict.get(name))
+
+// The non-null type of a nullable type (`Option(t)` or a union of `t` and null)
+let nullableInner = (irType: irType): option<irType> =>
+  switch irType {
+  | Option(inner) => Some(inner)
+  | Union(types) =>
+    switch types->Array.filter(t =>
+      switch t {
+      | Null | Literal(NullLiteral) => false
+      | _ => true
+      }
+    ) {
+    | [inner] if Array.length(types) > 1 => Some(inner)
+    | _ => None
+    }
+  | _ => None
+  }
+
 let isOptional = (irType: irType): bool => {
   switch irType {
   | Option(_) => true
@@ -85,18 +133,18 @@ let makeOptional = (irType: irType): irType => {
 // Check if a type is simple (no complex nested structures)
 let rec isSimpleType = (irType: irType): bool => {
   switch irType {
-  | String(_) | Number(_) | Integer(_) | Boolean | Null | Reference(_) => true
+  | String(_) | Number(_) | Integer(_) | Boolean | Null | Reference(_) | Binary => true
   | Option(inner) => isSimpleType(inner)
   | Literal(_) => true
   | Array({items, _}) => isSimpleType(items)
-  | Object(_) | Union(_) | Intersection(_) | Unknown => false
+  | Object(_) | Union(_) | TaggedUnion(_) | Intersection(_) | Unknown => false
   }
 }
 
 // Count the complexity of a type (for deciding whether to inline or extract)
 let rec complexityScore = (irType: irType): int => {
   switch irType {
-  | String(_) | Number(_) | Integer(_) | Boolean | Null | Reference(_) | Literal(_) => 1
+  | String(_) | Number(_) | Integer(_) | Boolean | Null | Reference(_) | Literal(_) | Binary => 1
   | Option(inner) => complexityScore(inner)
   | Array({items, _}) => 1 + complexityScore(items)
   | Object({properties, _}) => {
@@ -111,6 +159,12 @@ let rec complexityScore = (irType: irType): int => {
         ->Array.reduce(0, (acc, score) => acc + score)
       2 + typesScore
     }
+  | TaggedUnion({cases}) => {
+      let casesScore = cases
+        ->Array.map(((_, type_)) => complexityScore(type_))
+        ->Array.reduce(0, (acc, score) => acc + score)
+      2 + casesScore
+    }
   | Intersection(types) => {
       let typesScore = types
         ->Array.map(complexityScore)
@@ -134,7 +188,7 @@ let rec extractComplexTypes = (
     (irType, [])
   } else {
     switch irType {
-    | Object({properties, additionalProperties}) => {
+    | Object({properties, additionalProperties, patternProperties, strict, ?fieldInfo}) => {
         // Extract complex property types
         let (newProperties, allExtracted) = properties
           ->Array.map(((propName, propType, required)) => {
@@ -153,6 +207,9 @@ let rec extractComplexTypes = (
         let newType = Object({
           properties: newProperties,
           additionalProperties,
+          patternProperties,
+          strict,
+          ?fieldInfo,
         })
         
         (Reference(`#/components/schemas/${baseName}`), Array.concat(allExtracted, [{
@@ -199,14 +256,18 @@ let rec extractComplexTypes = (
 // Check if two IR types are equal (shallow comparison for T | Array<T> detection)
 let rec equals = (a: irType, b: irType): bool => {
   switch (a, b) {
-  | (String(_), String(_)) => true
-  | (Number(_), Number(_)) => true
-  | (Integer(_), Integer(_)) => true
+  | (String({constraints: a}), String({constraints: b})) => a.format == b.format
+  | (Number({constraints: a}), Number({constraints: b})) => a.format == b.format
+  | (Integer({constraints: a}), Integer({constraints: b})) => a.format == b.format
   | (Boolean, Boolean) => true
   | (Null, Null) => true
   | (Array({items: itemsA, _}), Array({items: itemsB, _})) => equals(itemsA, itemsB)
-  | (Object({properties: propsA, additionalProperties: addA}), Object({properties: propsB, additionalProperties: addB})) =>
+  | (
+      Object({properties: propsA, additionalProperties: addA, patternProperties: patternsA, strict: strictA, fieldInfo: ?infoA}),
+      Object({properties: propsB, additionalProperties: addB, patternProperties: patternsB, strict: strictB, fieldInfo: ?infoB}),
+    ) =>
     Array.length(propsA) == Array.length(propsB) &&
+    infoA == infoB &&
     propsA->Array.everyWithIndex((propA, i) => {
       switch propsB->Array.get(i) {
       | Some(propB) => {
@@ -221,7 +282,15 @@ let rec equals = (a: irType, b: irType): bool => {
     | (Some(a), Some(b)) => equals(a, b)
     | (None, None) => true
     | _ => false
-    }
+    } &&
+    strictA == strictB &&
+    Array.length(patternsA) == Array.length(patternsB) &&
+    patternsA->Array.everyWithIndex(((patternA, typeA), i) =>
+      switch patternsB->Array.get(i) {
+      | Some((patternB, typeB)) => patternA == patternB && equals(typeA, typeB)
+      | None => false
+      }
+    )
   | (Union(typesA), Union(typesB)) =>
     Array.length(typesA) == Array.length(typesB) &&
     typesA->Array.everyWithIndex((tA, i) =>
@@ -230,6 +299,15 @@ let rec equals = (a: irType, b: irType): bool => {
       | None => false
       }
     )
+  | (TaggedUnion({propertyName: propA, cases: casesA}), TaggedUnion({propertyName: propB, cases: casesB})) =>
+    propA == propB &&
+    Array.length(casesA) == Array.length(casesB) &&
+    casesA->Array.everyWithIndex(((tagA, typeA), i) =>
+      switch casesB->Array.get(i) {
+      | Some((tagB, typeB)) => tagA == tagB && equals(typeA, typeB)
+      | None => false
+      }
+    )
   | (Intersection(typesA), Intersection(typesB)) =>
     Array.length(typesA) == Array.length(typesB) &&
     typesA->Array.everyWithIndex((tA, i) =>
@@ -249,6 +327,7 @@ let rec equals = (a: irType, b: irType): bool => {
       | _ => false
       }
     }
+  | (Binary, Binary) => true
   | (Unknown, Unknown) => true
   | _ => false
   }
@@ -257,20 +336,25 @@ let rec equals = (a: irType, b: irType): bool => {
 // Pretty print IR type for debugging
 let rec toString = (irType: irType): string => {
   switch irType {
+  | String({constraints: {format: Some(format)}}) => `String(${format})`
   | String(_) => "String"
+  | Number({constraints: {format: Some(format)}}) => `Number(${format})`
   | Number(_) => "Number"
+  | Integer({constraints: {format: Some(format)}}) => `Integer(${format})`
   | Integer(_) => "Integer"
   | Boolean => "Boolean"
   | Null => "Null"
   | Array({items, _}) => `Array<${toString(items)}>`
-  | Object({properties, _}) => {
+  | Object({properties, additionalProperties, patternProperties, strict}) => {
       let props = properties
         ->Array.map(((name, type_, required)) => {
           let req = required ? "" : "?"
           `${name}${req}: ${toString(type_)}`
         })
-        ->Array.join(", ")
-      `{ ${props} }`
+      let patterns = patternProperties->Array.map(((pattern, type_)) => `[/${pattern}/]: ${toString(type_)}`)
+      let additional = additionalProperties->Option.mapOr([], type_ => [`[key]: ${toString(type_)}`])
+      let closed = strict ? ["strict"] : []
+      `{ ${Array.flat([props, patterns, additional, closed])->Array.join(", ")} }`
     }
   | Literal(StringLiteral(s)) => `"${s}"`
   | Literal(NumberLiteral(n)) => Float.toString(n)
@@ -280,12 +364,37 @@ let rec toString = (irType: irType): string => {
       let typeStrs = types->Array.map(toString)->Array.join(" | ")
       `(${typeStrs})`
     }
+  | TaggedUnion({propertyName, cases}) => {
+      let caseStrs = cases->Array.map(((tag, type_)) => `${propertyName}="${tag}": ${toString(type_)}`)->Array.join(" | ")
+      `(${caseStrs})`
+    }
   | Intersection(types) => {
       let typeStrs = types->Array.map(toString)->Array.join(" & ")
       `(${typeStrs})`
     }
   | Reference(ref) => ref
   | Option(inner) => `Option<${toString(inner)}>`
+  | Binary => "Binary"
   | Unknown => "Unknown"
   }
 }
+
+// Value type of the keys an object keeps beyond its declared properties (None when they are dropped).
+// Pattern properties and additionalProperties share one dict, so their types are merged.
+let extraPropertiesType = (~additionalProperties, ~patternProperties: array<(string, irType)>, ~strict) =>
+  if Array.length(patternProperties) == 0 {
+    additionalProperties
+  } else {
+    let types =
+      patternProperties
+      ->Array.map(((_, type_)) => type_)
+      ->Array.concat(strict ? [] : [additionalProperties->Option.getOr(Unknown)])
+    let unique = types->Array.reduce([], (acc, type_) =>
+      acc->Array.some(t => equals(t, type_)) ? acc : Array.concat(acc, [type_])
+    )
+    switch unique {
+    | [single] => Some(single)
+    | _ if unique->Array.some(t => t == Unknown) => Some(Unknown)
+    | multiple => Some(Union(multiple))
+    }
+  }
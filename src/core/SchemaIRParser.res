@@ -54,12 +54,109 @@ let parseTypeAsArray = (rawType: Types.jsonSchemaType): option<array<Types.jsonS
 type parsingContext = {
   mutable warnings: array<Types.warning>,
   path: string,
+  schemas: dict<Types.jsonSchema>, // Raw component schemas, to look into $ref'd union members
+  direction: option<SchemaIR.direction>,
 }
 
 let addWarning = (ctx: parsingContext, warning: Types.warning): unit => {
   ctx.warnings->Array.push(warning)
 }
 
+// Whether a property exists on the side of the exchange being parsed
+let isVisible = (~direction: option<SchemaIR.direction>, propSchema: Types.jsonSchema): bool =>
+  switch direction {
+  | Some(Request) => propSchema.readOnly != Some(true)
+  | Some(Response) => propSchema.writeOnly != Some(true)
+  | None => true
+  }
+
+// Examples of a schema: OpenAPI's `example`, then JSON Schema's `examples`
+let examplesOf = (schema: Types.jsonSchema): array<JSON.t> =>
+  Array.concat(
+    schema.example->Option.mapOr([], example => [example]),
+    switch schema.examples {
+    | Some(Array(examples)) => examples
+    | _ => []
+    },
+  )
+
+// Default, deprecation and examples of a property, if it has any
+let fieldInfoOf = (propSchema: Types.jsonSchema): option<SchemaIR.fieldInfo> => {
+  let info: SchemaIR.fieldInfo = {
+    default: propSchema.default_,
+    deprecated: propSchema.deprecated == Some(true),
+    examples: examplesOf(propSchema),
+  }
+  info.default->Option.isSome || info.deprecated || Array.length(info.examples) > 0 ? Some(info) : None
+}
+
+// Last segment of a $ref ("#/components/schemas/Cat" -> "Cat")
+let refName = (ref: string): string => {
+  let parts = ref->String.split("/")
+  parts->Array.get(parts->Array.length - 1)->Option.getOr(ref)
+}
+
+// Member schema as written, following a $ref into the component schemas
+let resolveMember = (~ctx: parsingContext, member: Types.jsonSchema): Types.jsonSchema =>
+  switch member.ref {
+  | Some(ref) => ctx.schemas->Dict.get(refName(ref))->Option.getOr(member)
+  | None => member
+  }
+
+// Tag value a member pins the property to with `const` or a single-value `enum`
+let literalTag = (member: Types.jsonSchema, ~propertyName: string): option<string> =>
+  member.properties
+  ->Option.flatMap(properties => properties->Dict.get(propertyName))
+  ->Option.flatMap(property =>
+    switch (property.const_, property.enum) {
+    | (Some(String(tag)), _) | (None, Some([String(tag)])) => Some(tag)
+    | _ => None
+    }
+  )
+
+// Tag of each oneOf/anyOf member, if every member has a distinct one. With a discriminator,
+// $ref members are tagged by the mapping, then by their own tag field, then by schema name.
+// Without one, a property every member requires and pins to a literal is used.
+let memberTags = (~ctx: parsingContext, schema: Types.jsonSchema, members: array<Types.jsonSchema>): option<(
+  string,
+  array<string>,
+)> => {
+  let resolved = members->Array.map(member => resolveMember(~ctx, member))
+  let tagsFor = (~propertyName, ~implicit) => {
+    let mapping = switch schema.discriminator {
+    | Some({mapping: Some(mapping)}) => mapping->Dict.toArray
+    | _ => []
+    }
+    let tags = members->Array.mapWithIndex((member, i) => {
+      let mapped = member.ref->Option.flatMap(ref =>
+        mapping
+        ->Array.find(((_, target)) => target == ref || refName(target) == refName(ref))
+        ->Option.map(((tag, _)) => tag)
+      )
+      mapped
+      ->Option.orElse(resolved->Array.getUnsafe(i)->literalTag(~propertyName))
+      ->Option.orElse(implicit ? member.ref->Option.map(refName) : None)
+    })
+    let found = tags->Array.filterMap(tag => tag)
+    let distinct = found->Array.every(tag => found->Array.indexOf(tag) == found->Array.lastIndexOf(tag))
+    Array.length(found) == Array.length(members) && distinct ? Some((propertyName, found)) : None
+  }
+  switch schema.discriminator {
+  | Some({propertyName}) => tagsFor(~propertyName, ~implicit=true)
+  | None =>
+    resolved
+    ->Array.get(0)
+    ->Option.flatMap(first => first.required)
+    ->Option.getOr([])
+    ->Array.filter(propertyName =>
+      resolved->Array.every(member => member.required->Option.getOr([])->Array.includes(propertyName))
+    )
+    ->Array.reduce(None, (found, propertyName) =>
+      found->Option.orElse(tagsFor(~propertyName, ~implicit=false))
+    )
+  }
+}
+
 // Convert JSON Schema to IR with depth limit to prevent infinite recursion
 let rec parseJsonSchemaWithContext = (
   ~ctx: parsingContext,
@@ -127,11 +224,13 @@ let rec parseJsonSchemaWithContext = (
       
       // Parse base type
       let baseType = switch normalizedType {
+      | Some(Types.String) if schema.format == Some("binary") => SchemaIR.Binary
       | Some(Types.String) => {
           let constraints: SchemaIR.stringConstraints = {
             minLength: schema.minLength,
             maxLength: schema.maxLength,
             pattern: schema.pattern,
+            format: schema.format,
           }
           SchemaIR.String({constraints: constraints})
         }
@@ -139,7 +238,8 @@ let rec parseJsonSchemaWithContext = (
           let constraints: SchemaIR.numberConstraints = {
             minimum: schema.minimum,
             maximum: schema.maximum,
-            multipleOf: None, // Not in jsonSchema type
+            multipleOf: schema.multipleOf,
+            format: schema.format,
           }
           SchemaIR.Number({constraints: constraints})
         }
@@ -147,7 +247,8 @@ let rec parseJsonSchemaWithContext = (
           let constraints: SchemaIR.numberConstraints = {
             minimum: schema.minimum,
             maximum: schema.maximum,
-            multipleOf: None, // Not in jsonSchema type
+            multipleOf: schema.multipleOf,
+            format: schema.format,
           }
           SchemaIR.Integer({constraints: constraints})
         }
@@ -161,13 +262,16 @@ let rec parseJsonSchemaWithContext = (
           }
           
           let constraints: SchemaIR.arrayConstraints = {
-            minItems: None, // Not in current jsonSchema type
-            maxItems: None, // Not in current jsonSchema type
-            uniqueItems: false,
+            minItems: schema.minItems,
+            maxItems: schema.maxItems,
+            uniqueItems: schema.uniqueItems->Option.getOr(false),
           }
           
           SchemaIR.Array({items, constraints})
         }
+      | Some(Types.Object) if hasComposition && schema.properties->Option.isNone =>
+        // type: object alongside oneOf/anyOf - the members describe the shape
+        parseJsonSchemaWithContext(~ctx, ~depth=depth + 1, {...schema, type_: None, nullable: None})
       | Some(Types.Object) => {
           // Check if this is an allOf composition (common in OpenAPI)
           switch schema.allOf {
@@ -178,24 +282,43 @@ let rec parseJsonSchemaWithContext = (
             }
           | None => {
               // Regular object type - parse properties
+              let fieldInfo = Dict.make()
               let properties = switch schema.properties {
               | None => []
                | Some(propsDict) => {
                   let required = schema.required->Option.getOr([])
-                  Dict.toArray(propsDict)->Array.map(((name, propSchema)) => {
+                  Dict.toArray(propsDict)
+                  ->Array.filter(((_, propSchema)) => isVisible(~direction=ctx.direction, propSchema))
+                  ->Array.map(((name, propSchema)) => {
                     let isRequired = required->Array.includes(name)
                     let propType = parseJsonSchemaWithContext(~ctx, ~depth=depth + 1, propSchema)
+                    fieldInfoOf(propSchema)->Option.forEach(info => fieldInfo->Dict.set(name, info))
                     (name, propType, isRequired)
                   })
                 }
               }
               
-              // additionalProperties not in current jsonSchema type
-              let additionalProperties = None
+              // additionalProperties: true keeps extra keys as JSON, a schema types them,
+              // false rejects them (when absent, extra keys are dropped)
+              let (additionalProperties, strict) = switch schema.additionalProperties {
+              | None => (None, false)
+              | Some(Allowed(allowed)) => (allowed ? Some(SchemaIR.Unknown) : None, !allowed)
+              | Some(Schema(valueSchema)) => (Some(parseJsonSchemaWithContext(~ctx, ~depth=depth + 1, valueSchema)), false)
+              }
+              let patternProperties =
+                schema.patternProperties
+                ->Option.getOr(Dict.make())
+                ->Dict.toArray
+                ->Array.map(((pattern, valueSchema)) =>
+                  (pattern, parseJsonSchemaWithContext(~ctx, ~depth=depth + 1, valueSchema))
+                )
               
               SchemaIR.Object({
                 properties,
                 additionalProperties,
+                patternProperties,
+                strict,
+                fieldInfo: ?(Dict.size(fieldInfo) > 0 ? Some(fieldInfo) : None),
               })
             }
           }
@@ -203,20 +326,19 @@ let rec parseJsonSchemaWithContext = (
       | Some(Types.Unknown) => SchemaIR.Unknown
       | None => {
           // No type specified, check for enum, properties, or combinators
-          switch (schema.enum, schema.properties, schema.allOf, schema.oneOf, schema.anyOf) {
-          | (Some(enumValues), _, _, _, _) => {
-              // Enum - convert to union of literals
-              let literals = enumValues->Array.map(value => {
-                switch value {
-                | String(str) => SchemaIR.Literal(SchemaIR.StringLiteral(str))
-                | Number(num) => SchemaIR.Literal(SchemaIR.NumberLiteral(num))
-                | Boolean(b) => SchemaIR.Literal(SchemaIR.BooleanLiteral(b))
-                | Null => SchemaIR.Literal(SchemaIR.NullLiteral)
-                | _ => SchemaIR.Unknown
-                }
-              })
-              SchemaIR.Union(literals)
+          let literal = value =>
+            switch value {
+            | JSON.String(str) => SchemaIR.Literal(SchemaIR.StringLiteral(str))
+            | Number(num) => SchemaIR.Literal(SchemaIR.NumberLiteral(num))
+            | Boolean(b) => SchemaIR.Literal(SchemaIR.BooleanLiteral(b))
+            | Null => SchemaIR.Literal(SchemaIR.NullLiteral)
+            | _ => SchemaIR.Unknown
             }
+          switch (schema.enum, schema.properties, schema.allOf, schema.oneOf, schema.anyOf) {
+          | _ if schema.const_->Option.isSome => schema.const_->Option.mapOr(SchemaIR.Unknown, literal)
+          | (Some(enumValues), _, _, _, _) =>
+            // Enum - convert to union of literals
+            SchemaIR.Union(enumValues->Array.map(literal))
            | (_, Some(_), _, _, _) => {
               // Has properties, treat as object (clear nullable to avoid double wrapping)
               parseJsonSchemaWithContext(~ctx, ~depth=depth + 1, {...schema, type_: Some(Object), nullable: None})
@@ -226,16 +348,18 @@ let rec parseJsonSchemaWithContext = (
               let types = schemas->Array.map(s => parseJsonSchemaWithContext(~ctx, ~depth=depth + 1, s))
               SchemaIR.Intersection(types)
             }
-          | (_, _, _, Some(schemas), _) => {
-              // oneOf - union
+          | (_, _, _, Some(schemas), _) | (_, _, _, _, Some(schemas)) => {
+              // oneOf/anyOf - union, tagged when its members can be told apart by one property
               let types = schemas->Array.map(s => parseJsonSchemaWithContext(~ctx, ~depth=depth + 1, s))
-              SchemaIR.Union(types)
-            }
-          | (_, _, _, _, Some(schemas)) => {
-              // anyOf - union
-              let types = schemas->Array.map(s => parseJsonSchemaWithContext(~ctx, ~depth=depth + 1, s))
-              SchemaIR.Union(types)
+              switch memberTags(~ctx, schema, schemas) {
+              | Some((propertyName, tags)) =>
+                SchemaIR.TaggedUnion({propertyName, cases: tags->Array.mapWithIndex((tag, i) => (tag, types->Array.getUnsafe(i)))})
+              | None => SchemaIR.Union(types)
+              }
             }
+          | _ if schema.additionalProperties->Option.isSome || schema.patternProperties->Option.isSome =>
+            // Map-shaped object without an explicit type
+            parseJsonSchemaWithContext(~ctx, ~depth=depth + 1, {...schema, type_: Some(Object), nullable: None})
           | _ => SchemaIR.Unknown
           }
         }
@@ -255,15 +379,15 @@ let rec parseJsonSchemaWithContext = (
 }
 
 // Convenience wrapper that creates a context and returns warnings
-let parseJsonSchema = (~depth=0, schema: Types.jsonSchema): (SchemaIR.irType, array<Types.warning>) => {
-  let ctx = {warnings: [], path: "root"}
+let parseJsonSchema = (~depth=0, ~schemas=Dict.make(), ~direction=?, schema: Types.jsonSchema): (SchemaIR.irType, array<Types.warning>) => {
+  let ctx = {warnings: [], path: "root", schemas, direction}
   let irType = parseJsonSchemaWithContext(~ctx, ~depth, schema)
   (irType, ctx.warnings)
 }
 
 // Parse a named schema
-let parseNamedSchema = (~name: string, ~schema: Types.jsonSchema): (SchemaIR.namedSchema, array<Types.warning>) => {
-  let ctx = {warnings: [], path: `components.schemas.${name}`}
+let parseNamedSchema = (~name: string, ~schema: Types.jsonSchema, ~schemas=Dict.make(), ~direction=?): (SchemaIR.namedSchema, array<Types.warning>) => {
+  let ctx = {warnings: [], path: `components.schemas.${name}`, schemas, direction}
   let type_ = parseJsonSchemaWithContext(~ctx, schema)
   ({
     name,
@@ -286,15 +410,27 @@ let rec normalizeReferences = (~availableNames: array<string>, irType: SchemaIR.
     }
   | SchemaIR.Array({items, constraints}) =>
     SchemaIR.Array({items: normalizeReferences(~availableNames, items), constraints})
-  | SchemaIR.Object({properties, additionalProperties}) => {
+  | SchemaIR.Object({properties, additionalProperties, patternProperties, strict, ?fieldInfo}) => {
       let newProperties = properties->Array.map(((n, t, r)) =>
         (n, normalizeReferences(~availableNames, t), r)
       )
       let newAdditional = additionalProperties->Option.map(t => normalizeReferences(~availableNames, t))
-      SchemaIR.Object({properties: newProperties, additionalProperties: newAdditional})
+      let newPatterns = patternProperties->Array.map(((p, t)) => (p, normalizeReferences(~availableNames, t)))
+      SchemaIR.Object({
+        properties: newProperties,
+        additionalProperties: newAdditional,
+        patternProperties: newPatterns,
+        strict,
+        ?fieldInfo,
+      })
     }
   | SchemaIR.Union(types) =>
     SchemaIR.Union(types->Array.map(t => normalizeReferences(~availableNames, t)))
+  | SchemaIR.TaggedUnion({propertyName, cases}) =>
+    SchemaIR.TaggedUnion({
+      propertyName,
+      cases: cases->Array.map(((tag, t)) => (tag, normalizeReferences(~availableNames, t))),
+    })
   | SchemaIR.Intersection(types) =>
     SchemaIR.Intersection(types->Array.map(t => normalizeReferences(~availableNames, t)))
   | SchemaIR.Option(inner) =>
@@ -303,13 +439,13 @@ let rec normalizeReferences = (~availableNames: array<string>, irType: SchemaIR.
   }
 }
 
-// Parse all component schemas
-let parseComponentSchemas = (schemas: dict<Types.jsonSchema>): (SchemaIR.schemaContext, array<Types.warning>) => {
+// Parse all component schemas; transformIR (from plugins) rewrites each one after references are resolved
+let parseComponentSchemas = (~transformIR=?, ~direction=?, schemas: dict<Types.jsonSchema>): (SchemaIR.schemaContext, array<Types.warning>) => {
   let namedSchemas = Dict.make()
   let allWarnings = []
   
   schemas->Dict.toArray->Array.forEach(((name, schema)) => {
-    let (namedSchema, warnings) = parseNamedSchema(~name, ~schema)
+    let (namedSchema, warnings) = parseNamedSchema(~name, ~schema, ~schemas, ~direction?)
     Dict.set(namedSchemas, name, namedSchema)
     allWarnings->Array.pushMany(warnings)
   })
@@ -318,12 +454,59 @@ let parseComponentSchemas = (schemas: dict<Types.jsonSchema>): (SchemaIR.schemaC
   let availableNames = Dict.keysToArray(namedSchemas)
   namedSchemas->Dict.toArray->Array.forEach(((name, namedSchema)) => {
     let resolved = normalizeReferences(~availableNames, namedSchema.type_)
-    Dict.set(namedSchemas, name, {...namedSchema, type_: resolved})
+    let resolvedSchema = {...namedSchema, type_: resolved}
+    Dict.set(namedSchemas, name, transformIR->Option.mapOr(resolvedSchema, transform => transform(resolvedSchema)))
   })
   
   ({schemas: namedSchemas}, allWarnings)
 }
 
+// Schemas nested directly in a schema, without following $refs
+let subschemas = (schema: Types.jsonSchema): array<Types.jsonSchema> =>
+  [
+    schema.properties->Option.mapOr([], Dict.valuesToArray),
+    schema.items->Option.mapOr([], items => [items]),
+    schema.allOf->Option.getOr([]),
+    schema.oneOf->Option.getOr([]),
+    schema.anyOf->Option.getOr([]),
+    switch schema.additionalProperties {
+    | Some(Schema(extra)) => [extra]
+    | _ => []
+    },
+    schema.patternProperties->Option.mapOr([], Dict.valuesToArray),
+  ]->Array.flat
+
+// Whether a property in the schema is marked readOnly or writeOnly
+let rec marksAccess = (schema: Types.jsonSchema): bool =>
+  schema.properties
+  ->Option.mapOr([], Dict.valuesToArray)
+  ->Array.some(property => property.readOnly == Some(true) || property.writeOnly == Some(true)) ||
+    schema->subschemas->Array.some(marksAccess)
+
+// Names of $refs anywhere in a schema
+let rec referencedNames = (schema: Types.jsonSchema): array<string> =>
+  [schema.ref->Option.mapOr([], ref => [refName(ref)]), schema->subschemas->Array.flatMap(referencedNames)]->Array.flat
+
+// Component schemas whose request and response shapes differ: those marking properties
+// readOnly or writeOnly, and those referencing them
+let splitSchemaNames = (schemas: dict<Types.jsonSchema>): array<string> => {
+  let entries = schemas->Dict.toArray
+  let split = entries->Array.filterMap(((name, schema)) => marksAccess(schema) ? Some(name) : None)
+  let rec grow = () => {
+    let added = entries->Array.filterMap(((name, schema)) =>
+      !(split->Array.includes(name)) && schema->referencedNames->Array.some(ref => split->Array.includes(ref))
+        ? Some(name)
+        : None
+    )
+    if Array.length(added) > 0 {
+      split->Array.pushMany(added)
+      grow()
+    }
+  }
+  grow()
+  split
+}
+
 // Resolve a reference in the context
 let resolveReference = (
   ~context: SchemaIR.schemaContext,
@@ -368,22 +551,35 @@ let rec inlineSimpleReferences = (
           items: inlineSimpleReferences(~context, ~irType=items, ~depth, ~maxDepth),
           constraints,
         })
-    | SchemaIR.Object({properties, additionalProperties}) => {
+    | SchemaIR.Object({properties, additionalProperties, patternProperties, strict, ?fieldInfo}) => {
         let newProperties = properties->Array.map(((name, type_, required)) => {
           (name, inlineSimpleReferences(~context, ~irType=type_, ~depth, ~maxDepth), required)
         })
         let newAdditionalProps = additionalProperties->Option.map(type_ =>
           inlineSimpleReferences(~context, ~irType=type_, ~depth, ~maxDepth)
         )
+        let newPatternProps = patternProperties->Array.map(((pattern, type_)) =>
+          (pattern, inlineSimpleReferences(~context, ~irType=type_, ~depth, ~maxDepth))
+        )
         SchemaIR.Object({
           properties: newProperties,
           additionalProperties: newAdditionalProps,
+          patternProperties: newPatternProps,
+          strict,
+          ?fieldInfo,
         })
       }
     | SchemaIR.Union(types) =>
         SchemaIR.Union(types->Array.map(type_ =>
           inlineSimpleReferences(~context, ~irType=type_, ~depth, ~maxDepth)
         ))
+    | SchemaIR.TaggedUnion({propertyName, cases}) =>
+        SchemaIR.TaggedUnion({
+          propertyName,
+          cases: cases->Array.map(((tag, type_)) =>
+            (tag, inlineSimpleReferences(~context, ~irType=type_, ~depth, ~maxDepth))
+          ),
+        })
     | SchemaIR.Intersection(types) =>
         SchemaIR.Intersection(types->Array.map(type_ =>
           inlineSimpleReferences(~context, ~irType=type_, ~depth, ~maxDepth)
@@ -436,10 +632,12 @@ let rec optimizeIR = (irType: SchemaIR.irType): SchemaIR.irType => {
       | multiple => SchemaIR.Intersection(multiple)
       }
     }
+  | SchemaIR.TaggedUnion({propertyName, cases}) =>
+      SchemaIR.TaggedUnion({propertyName, cases: cases->Array.map(((tag, type_)) => (tag, optimizeIR(type_)))})
   | SchemaIR.Option(inner) => SchemaIR.Option(optimizeIR(inner))
   | SchemaIR.Array({items, constraints}) => 
       SchemaIR.Array({items: optimizeIR(items), constraints})
-  | SchemaIR.Object({properties, additionalProperties}) => {
+  | SchemaIR.Object({properties, additionalProperties, patternProperties, strict, ?fieldInfo}) => {
       let newProperties = properties->Array.map(((name, type_, required)) => {
         (name, optimizeIR(type_), required)
       })
@@ -447,6 +645,9 @@ let rec optimizeIR = (irType: SchemaIR.irType): SchemaIR.irType => {
       SchemaIR.Object({
         properties: newProperties,
         additionalProperties: newAdditionalProps,
+        patternProperties: patternProperties->Array.map(((pattern, type_)) => (pattern, optimizeIR(type_))),
+        strict,
+        ?fieldInfo,
       })
     }
   | other => other
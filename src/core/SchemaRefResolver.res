@@ -71,7 +71,20 @@ let jsonToSpec = (json: JSON.t): result<Types.openAPISpec, string> => {
                 ->Array.map(((key, value)) => (key, Obj.magic(value)))
                 ->Dict.fromArray
               ),
+            securitySchemes: _comp
+              ->JSON.Decode.object
+              ->Option.flatMap(c => c->Dict.get("securitySchemes"))
+              ->Option.flatMap(JSON.Decode.object)
+              ->Option.map(schemes => schemes->Dict.mapValues(Obj.magic)),
           }: Types.components)),
+        security: obj
+          ->Dict.get("security")
+          ->Option.flatMap(JSON.Decode.array)
+          ->Option.map(Obj.magic),
+        servers: obj
+          ->Dict.get("servers")
+          ->Option.flatMap(JSON.Decode.array)
+          ->Option.map(Obj.magic),
       }
       
       Ok(openAPISpec)
@@ -80,14 +93,14 @@ let jsonToSpec = (json: JSON.t): result<Types.openAPISpec, string> => {
   }
 }
 
-// Resolve a spec from source
-let resolve = async (source: string, ~timeout: option<int>=?): result<Types.openAPISpec, string> => {
+// Resolve a spec from source, up-converting Swagger 2.0 and OpenAPI 3.0 documents; returns what couldn't be converted as warnings
+let resolveWithWarnings = async (source: string, ~timeout: option<int>=?): result<(Types.openAPISpec, array<Types.warning>), string> => {
   try {
     // Use bundle to combine all external refs while keeping internal $refs intact
     let options = {timeoutMs: timeout->Option.getOr(60000)}
     let resolved = await bundle(source, ~options)
-    
-    jsonToSpec(resolved)
+    let (normalized, warnings) = SpecNormalizer.normalize(resolved)
+    jsonToSpec(normalized)->Result.map(spec => (spec, warnings))
   } catch {
   | JsExn(err) => {
       let message = err->JsExn.message->Option.getOr("Unknown error resolving spec")
@@ -97,6 +110,10 @@ let resolve = async (source: string, ~timeout: option<int>=?): result<Types.open
   }
 }
 
+// Resolve a spec from source
+let resolve = async (source: string, ~timeout: option<int>=?): result<Types.openAPISpec, string> =>
+  (await resolveWithWarnings(source, ~timeout?))->Result.map(((spec, _)) => spec)
+
 // Parse an OpenAPI spec without dereferencing
 let parseOnly = async (source: string, ~timeout: option<int>=?): result<Types.openAPISpec, string> => {
   try {
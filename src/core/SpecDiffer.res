@@ -8,120 +8,26 @@ let makeEndpointKey = (method: string, path: string): string => {
   `${method}:${path}`
 }
 
-// Compare two schemas for equality (deep comparison)
-let rec schemasEqual = (schema1: jsonSchema, schema2: jsonSchema): bool => {
-  // Compare type
-  let typeMatches = switch (schema1.type_, schema2.type_) {
-  | (Some(t1), Some(t2)) => t1 == t2
-  | (None, None) => true
-  | _ => false
-  }
-  
-  if !typeMatches {
-    false
-  } else if schema1.format != schema2.format {
-    false
-  } else if schema1.nullable != schema2.nullable {
-    false
-  } else if schema1.enum != schema2.enum {
-    false
-  } else {
-    // Compare properties for objects
-    switch (schema1.properties, schema2.properties) {
-    | (Some(props1), Some(props2)) => {
-        let keys1 = Dict.keysToArray(props1)->Array.toSorted(String.compare)
-        let keys2 = Dict.keysToArray(props2)->Array.toSorted(String.compare)
-        
-        if keys1 != keys2 {
-          false
-        } else {
-          keys1->Array.every(key => {
-            switch (Dict.get(props1, key), Dict.get(props2, key)) {
-            | (Some(s1), Some(s2)) => schemasEqual(s1, s2)
-            | _ => false
-            }
-          })
-        }
-      }
-    | (None, None) => true
-    | _ => false
-    }
-  }
-}
+// Compare two schemas for equality (any change the compatibility analysis reports counts)
+let schemasEqual = (schema1: jsonSchema, schema2: jsonSchema): bool =>
+  CompatibilityAnalyzer.analyzeSchema(~directions=[Response], ~pointer="", schema1, schema2)->Array.length == 0
 
 // Compare two endpoints
-let compareEndpoints = (endpoint1: endpoint, endpoint2: endpoint): option<endpointDiff> => {
-  let hasRequestBodyChanged = switch (endpoint1.requestBody, endpoint2.requestBody) {
-  | (Some(rb1), Some(rb2)) => {
-      // Compare content types
-      let keys1 = Dict.keysToArray(rb1.content)->Array.toSorted(String.compare)
-      let keys2 = Dict.keysToArray(rb2.content)->Array.toSorted(String.compare)
-      
-      if keys1 != keys2 {
-        true
-      } else {
-        keys1->Array.some(contentType => {
-          switch (Dict.get(rb1.content, contentType), Dict.get(rb2.content, contentType)) {
-          | (Some(mt1), Some(mt2)) =>
-            switch (mt1.schema, mt2.schema) {
-            | (Some(s1), Some(s2)) => !schemasEqual(s1, s2)
-            | _ => false
-            }
-          | _ => false
-          }
-        })
-      }
-    }
-  | (None, None) => false
-  | _ => true
-  }
+let compareEndpoints = (~baseSchemas=?, ~forkSchemas=?, endpoint1: endpoint, endpoint2: endpoint): option<endpointDiff> => {
+  let changes = CompatibilityAnalyzer.analyzeEndpoint(~baseSchemas?, ~forkSchemas?, endpoint1, endpoint2)
+  let pointer = CompatibilityAnalyzer.endpointPointer(endpoint1)
+  let changedUnder = segment => changes->Array.some(change => change.pointer->String.startsWith(`${pointer}/${segment}`))
 
-  let hasResponseChanged = {
-    let codes1 = Dict.keysToArray(endpoint1.responses)->Array.toSorted(String.compare)
-    let codes2 = Dict.keysToArray(endpoint2.responses)->Array.toSorted(String.compare)
-    
-    if codes1 != codes2 {
-      true
-    } else {
-      codes1->Array.some(code => {
-        switch (Dict.get(endpoint1.responses, code), Dict.get(endpoint2.responses, code)) {
-        | (Some(r1), Some(r2)) =>
-          switch (r1.content, r2.content) {
-          | (Some(c1), Some(c2)) => {
-              let contentKeys1 = Dict.keysToArray(c1)->Array.toSorted(String.compare)
-              let contentKeys2 = Dict.keysToArray(c2)->Array.toSorted(String.compare)
-              
-              if contentKeys1 != contentKeys2 {
-                true
-              } else {
-                contentKeys1->Array.some(contentType => {
-                  switch (Dict.get(c1, contentType), Dict.get(c2, contentType)) {
-                  | (Some(mt1), Some(mt2)) =>
-                    switch (mt1.schema, mt2.schema) {
-                    | (Some(s1), Some(s2)) => !schemasEqual(s1, s2)
-                    | _ => false
-                    }
-                  | _ => false
-                  }
-                })
-              }
-            }
-          | (None, None) => false
-          | _ => true
-          }
-        | _ => false
-        }
-      })
-    }
-  }
-
-  if hasRequestBodyChanged || hasResponseChanged {
+  if Array.length(changes) > 0 {
     Some({
       path: endpoint1.path,
       method: endpoint1.method,
-      requestBodyChanged: hasRequestBodyChanged,
-      responseChanged: hasResponseChanged,
-      breakingChange: hasResponseChanged, // Response changes are breaking
+      tags: endpoint2.tags,
+      parametersChanged: changedUnder("parameters"),
+      requestBodyChanged: changedUnder("requestBody"),
+      responseChanged: changedUnder("responses"),
+      breakingChange: changes->Array.some(change => change.breaking),
+      changes,
     })
   } else {
     None
@@ -130,6 +36,8 @@ let compareEndpoints = (endpoint1: endpoint, endpoint2: endpoint): option<endpoi
 
 // Compare endpoints between two specs
 let compareEndpointLists = (
+  ~baseSchemas=?,
+  ~forkSchemas=?,
   baseEndpoints: array<endpoint>,
   forkEndpoints: array<endpoint>,
 ): (array<endpoint>, array<endpoint>, array<endpointDiff>) => {
@@ -167,7 +75,7 @@ let compareEndpointLists = (
     ->Array.filter(key => forkKeys->Set.has(key))
     ->Array.filterMap(key => {
       switch (Dict.get(baseMap, key), Dict.get(forkMap, key)) {
-      | (Some(baseEp), Some(forkEp)) => compareEndpoints(baseEp, forkEp)
+      | (Some(baseEp), Some(forkEp)) => compareEndpoints(~baseSchemas?, ~forkSchemas?, baseEp, forkEp)
       | _ => None
       }
     })
@@ -176,7 +84,9 @@ let compareEndpointLists = (
 }
 
 // Compare component schemas between two specs
+// `usage` holds the schemas used by requests and by responses; without it every schema counts as used by both
 let compareComponentSchemas = (
+  ~usage=?,
   baseSchemas: option<dict<jsonSchema>>,
   forkSchemas: option<dict<jsonSchema>>,
 ): (array<string>, array<string>, array<schemaDiff>) => {
@@ -205,14 +115,21 @@ let compareComponentSchemas = (
         ->Array.filterMap(name => {
           switch (Dict.get(base, name), Dict.get(fork, name)) {
           | (Some(baseSchema), Some(forkSchema)) =>
-            if !schemasEqual(baseSchema, forkSchema) {
-              Some({
-                name: name,
-                breakingChange: true, // Schema changes are generally breaking
-              })
-            } else {
-              None
-            }
+            let changes = CompatibilityAnalyzer.analyzeSchema(
+              ~baseSchemas=base,
+              ~forkSchemas=fork,
+              ~directions=usage->Option.mapOr([Request, Response], usage => CompatibilityAnalyzer.usageDirections(usage, name)),
+              ~pointer=CompatibilityAnalyzer.schemaPointer(name),
+              baseSchema,
+              forkSchema,
+            )
+            Array.length(changes) > 0
+              ? Some({
+                  name: name,
+                  breakingChange: changes->Array.some(change => change.breaking),
+                  changes,
+                })
+              : None
           | _ => None
           }
         })
@@ -222,6 +139,19 @@ let compareComponentSchemas = (
   }
 }
 
+// Schemas used by requests and by responses in either spec
+let combinedUsage = (
+  ~baseEndpoints,
+  ~forkEndpoints,
+  ~baseSchemas: option<dict<jsonSchema>>,
+  ~forkSchemas: option<dict<jsonSchema>>,
+) => {
+  let (baseRequest, baseResponse) = CompatibilityAnalyzer.schemaUsage(~endpoints=baseEndpoints, ~schemas=baseSchemas->Option.getOr(Dict.make()))
+  let (forkRequest, forkResponse) = CompatibilityAnalyzer.schemaUsage(~endpoints=forkEndpoints, ~schemas=forkSchemas->Option.getOr(Dict.make()))
+  let union = (a, b) => Array.concat(Set.toArray(a), Set.toArray(b))->Set.fromArray
+  (union(baseRequest, forkRequest), union(baseResponse, forkResponse))
+}
+
 // Generate a complete diff between two specs
 let generateDiff = (
   ~baseSpec: openAPISpec,
@@ -229,14 +159,26 @@ let generateDiff = (
   ~baseEndpoints: array<endpoint>,
   ~forkEndpoints: array<endpoint>,
 ): specDiff => {
+  let baseSchemas = baseSpec.components->Option.flatMap(c => c.schemas)
+  let forkSchemas = forkSpec.components->Option.flatMap(c => c.schemas)
+  let usage = combinedUsage(~baseEndpoints, ~forkEndpoints, ~baseSchemas, ~forkSchemas)
+
   let (addedEndpoints, removedEndpoints, modifiedEndpoints) = 
-    compareEndpointLists(baseEndpoints, forkEndpoints)
+    compareEndpointLists(~baseSchemas?, ~forkSchemas?, baseEndpoints, forkEndpoints)
 
   let (addedSchemas, removedSchemas, modifiedSchemas) = 
-    compareComponentSchemas(
-      baseSpec.components->Option.flatMap(c => c.schemas),
-      forkSpec.components->Option.flatMap(c => c.schemas)
-    )
+    compareComponentSchemas(~usage, baseSchemas, forkSchemas)
+
+  let changes = [
+    removedEndpoints->Array.map(CompatibilityAnalyzer.endpointRemoved),
+    addedEndpoints->Array.map(CompatibilityAnalyzer.endpointAdded),
+    modifiedEndpoints->Array.flatMap(d => d.changes),
+    removedSchemas->Array.flatMap(name =>
+      CompatibilityAnalyzer.schemaRemoved(~directions=CompatibilityAnalyzer.usageDirections(usage, name), name)
+    ),
+    addedSchemas->Array.map(CompatibilityAnalyzer.schemaAdded),
+    modifiedSchemas->Array.flatMap(d => d.changes),
+  ]->Array.flat
 
   {
     addedEndpoints: addedEndpoints,
@@ -245,19 +187,17 @@ let generateDiff = (
     addedSchemas: addedSchemas,
     removedSchemas: removedSchemas,
     modifiedSchemas: modifiedSchemas,
+    changes: changes,
   }
 }
 
-// Detect if there are any breaking changes
-let hasBreakingChanges = (diff: specDiff): bool => {
-  let hasRemovedEndpoints = Array.length(diff.removedEndpoints) > 0
-  let hasBreakingEndpointChanges = diff.modifiedEndpoints
-    ->Array.some(d => d.breakingChange)
-  let hasBreakingSchemaChanges = diff.modifiedSchemas
-    ->Array.some(d => d.breakingChange)
+// Changes that can break existing clients
+let breakingChanges = (diff: specDiff): array<apiChange> =>
+  diff.changes->Array.filter(change => change.breaking)
 
-  hasRemovedEndpoints || hasBreakingEndpointChanges || hasBreakingSchemaChanges
-}
+// Detect if there are any breaking changes
+let hasBreakingChanges = (diff: specDiff): bool =>
+  diff.changes->Array.some(change => change.breaking)
 
 // Count total changes
 let countChanges = (diff: specDiff): int => {
@@ -0,0 +1,12 @@
+/* TypeScript file generated from SpecLinter.res by genType. */
+
+/* eslint-disable */
+/* tslint:disable */
+
+import type {lintLevel as Config_lintLevel} from '../../src/types/Config.gen';
+
+export type rule = {
+  readonly name: string; 
+  readonly defaultLevel: Config_lintLevel; 
+  readonly description: string
+};
@@ -0,0 +1,236 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// SpecLinter.res - Report spec problems that would break or degrade the generated code before anything is generated
+open Types
+
+@genType
+type rule = {
+  name: string,
+  defaultLevel: Config.lintLevel,
+  description: string,
+}
+
+let rules: array<rule> = [
+  {
+    name: "operation-name-collision",
+    defaultLevel: Warn,
+    description: "Two endpoints of a module get the same function name",
+  },
+  {
+    name: "module-name-collision",
+    defaultLevel: Warn,
+    description: "Two tags, or a tag and a generated support module, get the same module name",
+  },
+  {
+    name: "schema-name-collision",
+    defaultLevel: Warn,
+    description: "Two component schemas get the same module name",
+  },
+  {
+    name: "missing-operation-id",
+    defaultLevel: Warn,
+    description: "An endpoint has no operationId, so its function is named after its method and path",
+  },
+  {
+    name: "unresolved-ref",
+    defaultLevel: Warn,
+    description: "A $ref doesn't point at a component schema",
+  },
+  {
+    name: "degrades-to-json",
+    defaultLevel: Warn,
+    description: "A schema uses keywords the generator can't represent, so its value becomes S.json",
+  },
+]
+
+let ruleNames = rules->Array.map(rule => rule.name)
+
+// A rule's level: the configured one, or else its default
+let levelOf = (~lintRules: option<dict<Config.lintLevel>>, rule: rule) =>
+  lintRules->Option.flatMap(levels => levels->Dict.get(rule.name))->Option.getOr(rule.defaultLevel)
+
+// Keywords that don't make a schema anything more specific than "any value"
+let annotationKeywords = [
+  "title", "description", "default", "deprecated", "example", "examples", "readOnly", "writeOnly", "nullable", "$comment",
+]
+
+let pointerTo = CompatibilityAnalyzer.pointerTo
+
+type context = {
+  lintRules: option<dict<Config.lintLevel>>,
+  locationPrefix: string,
+  issues: array<lintIssue>,
+}
+
+let report = (ctx, ~rule, ~pointer, message) =>
+  switch rules->Array.find(candidate => candidate.name == rule)->Option.map(rule => levelOf(~lintRules=ctx.lintRules, rule)) {
+  | Some((Config.Error | Config.Warn) as severity) =>
+    ctx.issues->Array.push({rule, severity, location: ctx.locationPrefix ++ pointer, message})
+  | Some(Config.Ignore) | None => ()
+  }
+
+// Visit a schema and its subschemas (not following $refs)
+let rec walkSchema = (~pointer, ~visit, schema: jsonSchema) => {
+  visit(~pointer, schema)
+  let walkEach = (key, schemas) =>
+    schemas->Array.forEachWithIndex((subschema, index) =>
+      walkSchema(~pointer=pointerTo(pointerTo(pointer, key), Int.toString(index)), ~visit, subschema)
+    )
+  let walkEntries = (key, schemas) =>
+    schemas->Dict.forEachWithKey((subschema, name) => walkSchema(~pointer=pointerTo(pointerTo(pointer, key), name), ~visit, subschema))
+  schema.properties->Option.forEach(properties => walkEntries("properties", properties))
+  schema.patternProperties->Option.forEach(properties => walkEntries("patternProperties", properties))
+  schema.items->Option.forEach(items => walkSchema(~pointer=pointerTo(pointer, "items"), ~visit, items))
+  schema.allOf->Option.forEach(schemas => walkEach("allOf", schemas))
+  schema.oneOf->Option.forEach(schemas => walkEach("oneOf", schemas))
+  schema.anyOf->Option.forEach(schemas => walkEach("anyOf", schemas))
+  switch schema.additionalProperties {
+  | Some(Schema(additional)) => walkSchema(~pointer=pointerTo(pointer, "additionalProperties"), ~visit, additional)
+  | Some(Allowed(_)) | None => ()
+  }
+}
+
+// Every schema of a spec with its location: component schemas, then parameters, request and response bodies
+let specSchemas = (~spec: openAPISpec, ~endpoints: array<endpoint>) => {
+  let components =
+    spec.components
+    ->Option.flatMap(components => components.schemas)
+    ->Option.mapOr([], schemas =>
+      schemas->Dict.toArray->Array.map(((name, schema)) => (CompatibilityAnalyzer.schemaPointer(name), schema))
+    )
+  let content = (pointer, content: dict<mediaType>) =>
+    content
+    ->Dict.toArray
+    ->Array.filterMap(((mediaType, media)) => media.schema->Option.map(schema => (pointerTo(pointerTo(pointer, mediaType), "schema"), schema)))
+  let operations = endpoints->Array.flatMap(endpoint => {
+    let pointer = pointerTo(pointerTo("/paths", endpoint.path), endpoint.method)
+    Array.flat([
+      endpoint.parameters
+      ->Option.getOr([])
+      ->Array.mapWithIndex((parameter, index) => (parameter, index))
+      ->Array.filterMap(((parameter, index)) =>
+        parameter.schema->Option.map(schema => (pointerTo(pointerTo(pointerTo(pointer, "parameters"), Int.toString(index)), "schema"), schema))
+      ),
+      endpoint.requestBody->Option.mapOr([], body => content(pointerTo(pointerTo(pointer, "requestBody"), "content"), body.content)),
+      endpoint.responses
+      ->Dict.toArray
+      ->Array.flatMap(((code, response)) =>
+        response.content->Option.mapOr([], responseContent =>
+          content(pointerTo(pointerTo(pointerTo(pointer, "responses"), code), "content"), responseContent)
+        )
+      ),
+    ])
+  })
+  Array.concat(components, operations)
+}
+
+// Items sharing a key, after the first one with that key, paired with that first one
+let duplicates = (items, key) => {
+  let seen = Dict.make()
+  items->Array.filterMap(item => {
+    let itemKey = key(item)
+    switch seen->Dict.get(itemKey) {
+    | Some(first) => Some((item, first))
+    | None =>
+      seen->Dict.set(itemKey, item)
+      None
+    }
+  })
+}
+
+let endpointPointer = (endpoint: endpoint) => pointerTo(pointerTo("/paths", endpoint.path), endpoint.method)
+let endpointLabel = (endpoint: endpoint) => `${endpoint.method->String.toUpperCase} ${endpoint.path}`
+
+let lintOperations = (ctx, ~modulePerTag, ~endpoints: array<endpoint>) => {
+  endpoints->Array.forEach(endpoint =>
+    if endpoint.operationId->Option.isNone {
+      report(
+        ctx,
+        ~rule="missing-operation-id",
+        ~pointer=endpointPointer(endpoint),
+        `No operationId; the function is named '${CodegenUtils.generateOperationName(None, endpoint.path, endpoint.method)}'`,
+      )
+    }
+  )
+  let modules = modulePerTag ? OpenAPIParser.groupByTag(endpoints)->Dict.toArray : [("", endpoints)]
+  modules->Array.forEach(((tag, moduleEndpoints)) => {
+    let inModule = modulePerTag ? ` in module ${CodegenUtils.toPascalCase(tag)}` : ""
+    moduleEndpoints
+    ->duplicates(endpoint => CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method))
+    ->Array.forEach(((endpoint, first)) =>
+      report(
+        ctx,
+        ~rule="operation-name-collision",
+        ~pointer=endpointPointer(endpoint),
+        `'${CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method)}'${inModule} is also generated for ${endpointLabel(first)}`,
+      )
+    )
+  })
+}
+
+let lintModuleNames = (ctx, ~modulePerTag, ~reservedModules, ~endpoints) =>
+  if modulePerTag {
+    let tags = OpenAPIParser.groupByTag(endpoints)->Dict.toArray
+    let reserved = reservedModules->Array.map(name => (None, name))
+    Array.concat(reserved, tags->Array.map(((tag, tagEndpoints)) => (Some((tag, tagEndpoints)), CodegenUtils.toPascalCase(tag))))
+    ->duplicates(((_, moduleName)) => moduleName)
+    ->Array.forEach((((tag, moduleName), (firstTag, _))) =>
+      switch tag {
+      | Some((tag, tagEndpoints)) =>
+        let other = switch firstTag {
+        | Some((firstTag, _)) => `tag '${firstTag}'`
+        | None => "a generated support module"
+        }
+        // Located at the tags of the first endpoint with the tag
+        let pointer = tagEndpoints[0]->Option.mapOr("/paths", endpoint => pointerTo(endpointPointer(endpoint), "tags"))
+        report(ctx, ~rule="module-name-collision", ~pointer, `Tag '${tag}' becomes module ${moduleName}, like ${other}`)
+      | None => ()
+      }
+    )
+  }
+
+let lintSchemas = (ctx, ~spec: openAPISpec, ~endpoints) => {
+  let componentNames = spec.components->Option.flatMap(components => components.schemas)->Option.mapOr([], Dict.keysToArray)
+  componentNames
+  ->duplicates(CodegenUtils.toPascalCase)
+  ->Array.forEach(((name, first)) =>
+    report(
+      ctx,
+      ~rule="schema-name-collision",
+      ~pointer=CompatibilityAnalyzer.schemaPointer(name),
+      `'${name}' becomes module ${CodegenUtils.toPascalCase(name)}, like '${first}'`,
+    )
+  )
+
+  let visit = (~pointer, schema: jsonSchema) => {
+    switch schema.ref {
+    | Some(ref) =>
+      switch ref->String.split("/") {
+      | ["#", "components", "schemas", name] if componentNames->Array.includes(name) => ()
+      | _ => report(ctx, ~rule="unresolved-ref", ~pointer, `'${ref}' doesn't point at a component schema; it becomes S.json`)
+      }
+    | None =>
+      let keywords = (Obj.magic(schema): dict<JSON.t>)->Dict.keysToArray->Array.filter(keyword =>
+        !(annotationKeywords->Array.includes(keyword)) && !(keyword->String.startsWith("x-"))
+      )
+      switch (keywords, SchemaIRParser.parseJsonSchema(schema)) {
+      | ([], _) => () // An explicit "any value"
+      | (keywords, (SchemaIR.Unknown, _)) =>
+        report(ctx, ~rule="degrades-to-json", ~pointer, `Schema with ${keywords->Array.join(", ")} becomes S.json`)
+      | _ => ()
+      }
+    }
+  }
+  specSchemas(~spec, ~endpoints)->Array.forEach(((pointer, schema)) => walkSchema(~pointer, ~visit, schema))
+}
+
+// Lint a spec's endpoints (as they will be generated) and schemas; issues of forks are located with a "<name>:" prefix
+let lint = (~lintRules=?, ~modulePerTag, ~reservedModules=[], ~specName=?, ~spec: openAPISpec, ~endpoints): array<lintIssue> => {
+  let ctx = {lintRules, locationPrefix: specName->Option.mapOr("", name => `${name}:`), issues: []}
+  lintOperations(ctx, ~modulePerTag, ~endpoints)
+  lintModuleNames(ctx, ~modulePerTag, ~reservedModules, ~endpoints)
+  lintSchemas(ctx, ~spec, ~endpoints)
+  ctx.issues
+}
+
+let describe = (issue: lintIssue) => `${issue.rule} at '${issue.location}': ${issue.message}`
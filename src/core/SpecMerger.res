@@ -112,6 +112,7 @@ let createSpecWithEndpoints = (
         head: None,
         options: None,
         parameters: None,
+        servers: None,
       }
     }
     
@@ -123,6 +124,9 @@ let createSpecWithEndpoints = (
       parameters: ep.parameters,
       requestBody: ep.requestBody,
       responses: ep.responses,
+      security: ep.security,
+      servers: ep.servers,
+      deprecated: ep.deprecated,
     }
     
     let updatedPathItem = switch String.toLowerCase(ep.method) {
@@ -137,12 +141,13 @@ let createSpecWithEndpoints = (
     Dict.set(pathsDict, ep.path, updatedPathItem)
   })
   
-  // Update components with schemas
+  // Update components with schemas, keeping the security schemes the endpoints refer to
   let components = switch (baseSpec.components, schemas) {
-  | (Some(_comp), Some(sch)) => Some({schemas: Some(sch)})
-  | (Some(_comp), None) => Some({schemas: None})
+  | (Some(comp), Some(sch)) => Some({schemas: Some(sch), securitySchemes: comp.securitySchemes})
+  | (Some(comp), None) => Some({schemas: None, securitySchemes: comp.securitySchemes})
   | (None, Some(sch)) => Some({
       schemas: Some(sch),
+      securitySchemes: None,
     })
   | (None, None) => None
   }
@@ -208,7 +213,8 @@ let mergeSpecs = (
 ): (openAPISpec, openAPISpec) => {
   switch strategy {
   | Separate => mergeWithSeparate(~baseSpec, ~forkSpec)
-  | SharedBase =>
+  // CommonCore merges pairwise like SharedBase; see mergeMultiWay for the layer shared by all forks
+  | SharedBase | CommonCore =>
       mergeWithSharedBase(~baseSpec, ~forkSpec, ~baseEndpoints, ~forkEndpoints)
   }
 }
@@ -243,3 +249,156 @@ let getMergeStats = (
     ),
   }
 }
+
+// ============= Multi-way merge =============
+
+// Layer an instance's copy of an endpoint or schema is generated in
+type layer =
+  | Base // Same as in the base spec
+  | Common // Added or changed identically by every fork
+  | Own // Added or changed by this fork only
+
+type matrixRow = {
+  name: string,
+  cells: array<option<layer>>, // One cell per instance, None where the instance lacks it
+}
+
+// Which endpoints and schemas exist in which instance (the base first, then each fork)
+type instanceMatrix = {
+  instances: array<string>,
+  endpoints: array<matrixRow>,
+  schemas: array<matrixRow>,
+}
+
+type multiWayMerge = {
+  commonEndpoints: array<endpoint>, // Endpoints every fork adds or changes identically
+  commonSchemaNames: array<string>, // Component schemas every fork adds or changes identically
+  commonSchemas: option<dict<jsonSchema>>, // Schemas of the common layer: the common ones and all they or the common endpoints reference
+  matrix: instanceMatrix,
+}
+
+let componentSchemas = (spec: openAPISpec) => spec.components->Option.flatMap(c => c.schemas)->Option.getOr(Dict.make())
+
+let isCommonEndpoint = (merge: multiWayMerge, endpoint: endpoint) =>
+  merge.commonEndpoints->Array.some(common => makeEndpointKey(common) == makeEndpointKey(endpoint))
+
+// Merge the base with all forks at once: besides each fork's own extensions, find the
+// endpoints and schemas that every fork adds or changes in the same way. A candidate is
+// only common when every schema it references is also defined identically by all forks,
+// so the common layer never points at a schema that differs between them.
+// getEndpoints reads a fork's endpoints the same way the caller read baseEndpoints.
+let mergeMultiWay = (~baseName, ~baseSpec: openAPISpec, ~baseEndpoints: array<endpoint>, ~forks: array<forkSpec>, ~getEndpoints=OpenAPIParser.getAllEndpoints): multiWayMerge => {
+  let baseSchemas = componentSchemas(baseSpec)
+  let forkEndpoints = forks->Array.map(fork => getEndpoints(fork.spec))
+  let forkSchemas = forks->Array.map(fork => componentSchemas(fork.spec))
+  let extensions = forkEndpoints->Array.map(endpoints => extractForkExtensions(baseEndpoints, endpoints))
+  let schemaExtensions = forkSchemas->Array.map(schemas =>
+    extractForkSchemas(Some(baseSchemas), Some(schemas))->Option.mapOr([], Dict.keysToArray)
+  )
+  let firstSchemas = forkSchemas->Array.get(0)->Option.getOr(Dict.make())
+
+  let sameInAllForks = name =>
+    switch firstSchemas->Dict.get(name) {
+    | None => false
+    | Some(schema) =>
+      forkSchemas->Array.every(schemas => schemas->Dict.get(name)->Option.mapOr(false, other => SpecDiffer.schemasEqual(schema, other)))
+    }
+  let referencesSameInAllForks = referenced => referenced->Set.toArray->Array.every(sameInAllForks)
+
+  // With a single fork everything it adds is its own
+  let candidates = Array.length(forks) < 2 ? [] : extensions->Array.get(0)->Option.getOr([])
+  let commonEndpoints = candidates->Array.filter(endpoint => {
+    let key = makeEndpointKey(endpoint)
+    let sameInForks = extensions->Array.everyWithIndex((forkExtensions, i) =>
+      forkExtensions
+      ->Array.find(other => makeEndpointKey(other) == key)
+      ->Option.mapOr(false, other =>
+        SpecDiffer.compareEndpoints(~baseSchemas=firstSchemas, ~forkSchemas=forkSchemas->Array.getUnsafe(i), endpoint, other)->Option.isNone
+      )
+    )
+    let (requestSchemas, responseSchemas) = CompatibilityAnalyzer.schemaUsage(~endpoints=[endpoint], ~schemas=firstSchemas)
+    sameInForks && referencesSameInAllForks(requestSchemas) && referencesSameInAllForks(responseSchemas)
+  })
+
+  let schemaCandidates = Array.length(forks) < 2 ? [] : schemaExtensions->Array.get(0)->Option.getOr([])
+  let commonSchemaNames = schemaCandidates->Array.filter(name =>
+    schemaExtensions->Array.every(names => names->Array.includes(name)) &&
+    sameInAllForks(name) &&
+    firstSchemas->Dict.get(name)->Option.mapOr(false, schema =>
+      referencesSameInAllForks(CompatibilityAnalyzer.reachableSchemas(~schemas=firstSchemas, [schema]))
+    )
+  )
+
+  let (requestSchemas, responseSchemas) = CompatibilityAnalyzer.schemaUsage(~endpoints=commonEndpoints, ~schemas=firstSchemas)
+  let layerSchemas = Dict.make()
+  Array.concat(
+    commonSchemaNames,
+    [
+      requestSchemas->Set.toArray,
+      responseSchemas->Set.toArray,
+      CompatibilityAnalyzer.reachableSchemas(~schemas=firstSchemas, commonSchemaNames->Array.filterMap(name => firstSchemas->Dict.get(name)))->Set.toArray,
+    ]->Array.flat,
+  )->Array.forEach(name => firstSchemas->Dict.get(name)->Option.forEach(schema => layerSchemas->Dict.set(name, schema)))
+
+  // Rows for every endpoint or schema of any instance, with the layer each instance's copy belongs to
+  let rows = (~inBase, ~inForks, ~isExtension, ~isCommon, ~compare) => {
+    let names = Set.make()
+    Array.concat([inBase], inForks)->Array.forEach(instanceNames => instanceNames->Array.forEach(name => names->Set.add(name)))
+    names
+    ->Set.toArray
+    ->Array.toSorted(compare)
+    ->Array.map(name => {
+      name,
+      cells: Array.concat(
+        [inBase->Array.includes(name) ? Some(Base) : None],
+        inForks->Array.mapWithIndex((forkNames, i) =>
+          if !(forkNames->Array.includes(name)) {
+            None
+          } else if !isExtension(i, name) {
+            Some(Base)
+          } else if isCommon(name) {
+            Some(Common)
+          } else {
+            Some(Own)
+          }
+        ),
+      ),
+    })
+  }
+
+  let endpointName = (endpoint: endpoint) => `${endpoint.method->String.toUpperCase} ${endpoint.path}`
+  let endpointsByName = Dict.make()
+  Array.concat(baseEndpoints, forkEndpoints->Array.flat)->Array.forEach(endpoint =>
+    endpointsByName->Dict.set(endpointName(endpoint), endpoint)
+  )
+  let commonEndpointNames = commonEndpoints->Array.map(endpointName)
+
+  let matrix = {
+    instances: Array.concat([baseName], forks->Array.map(fork => fork.name)),
+    endpoints: rows(
+      ~inBase=baseEndpoints->Array.map(endpointName),
+      ~inForks=forkEndpoints->Array.map(endpoints => endpoints->Array.map(endpointName)),
+      ~isExtension=(i, name) => extensions->Array.getUnsafe(i)->Array.some(endpoint => endpointName(endpoint) == name),
+      ~isCommon=name => commonEndpointNames->Array.includes(name),
+      // By path, then method
+      ~compare=(a, b) => {
+        let (endpointA, endpointB) = (endpointsByName->Dict.getUnsafe(a), endpointsByName->Dict.getUnsafe(b))
+        endpointA.path == endpointB.path ? String.compare(a, b) : String.compare(endpointA.path, endpointB.path)
+      },
+    ),
+    schemas: rows(
+      ~inBase=Dict.keysToArray(baseSchemas),
+      ~inForks=forkSchemas->Array.map(Dict.keysToArray),
+      ~isExtension=(i, name) => schemaExtensions->Array.getUnsafe(i)->Array.includes(name),
+      ~isCommon=name => commonSchemaNames->Array.includes(name),
+      ~compare=String.compare,
+    ),
+  }
+
+  {
+    commonEndpoints,
+    commonSchemaNames,
+    commonSchemas: Dict.keysToArray(layerSchemas)->Array.length > 0 ? Some(layerSchemas) : None,
+    matrix,
+  }
+}
@@ -0,0 +1,517 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// SpecNormalizer.res - Up-convert Swagger 2.0 and OpenAPI 3.0 documents to the OpenAPI 3.1 model
+// Runs on the bundled JSON before it becomes a Types.openAPISpec, so everything after it only sees 3.1
+
+type version = Swagger2 | OpenAPI30 | OpenAPI31
+
+let httpMethods = ["get", "put", "post", "delete", "options", "head", "patch"]
+let formMediaTypes = ["multipart/form-data", "application/x-www-form-urlencoded"]
+
+// Keywords of a Swagger 2.0 non-body parameter (or header) that describe its value
+let valueKeywords = [
+  "type", "format", "items", "enum", "default", "minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum",
+  "minLength", "maxLength", "pattern", "minItems", "maxItems", "uniqueItems", "multipleOf", "x-nullable",
+]
+
+// Keywords that stay on the outside when a nullable schema is wrapped in anyOf
+let annotationKeywords = ["title", "description", "default", "deprecated", "readOnly", "writeOnly", "example", "examples"]
+
+let pointerTo = CompatibilityAnalyzer.pointerTo
+
+let unsupported = (warnings, ~pointer, ~feature, ~fallback) =>
+  warnings->Array.push(Types.UnsupportedFeature({feature, fallback, location: pointer}))
+
+// JSON helpers
+let objectOf = (json: option<JSON.t>) =>
+  switch json {
+  | Some(JSON.Object(obj)) => Some(obj)
+  | _ => None
+  }
+
+let stringOf = (json: option<JSON.t>) =>
+  switch json {
+  | Some(JSON.String(s)) => Some(s)
+  | _ => None
+  }
+
+let arrayOf = (json: option<JSON.t>) =>
+  switch json {
+  | Some(JSON.Array(items)) => items
+  | _ => []
+  }
+
+let stringsOf = json => arrayOf(json)->Array.filterMap(item => stringOf(Some(item)))
+
+let pick = (obj, keys) => keys->Array.filterMap(key => obj->Dict.get(key)->Option.map(value => (key, value)))->Dict.fromArray
+
+let omit = (obj, keys) => obj->Dict.toArray->Array.filter(((key, _)) => !(keys->Array.includes(key)))->Dict.fromArray
+
+// Replace the value of an existing key
+let mapKey = (obj, key, fn) =>
+  switch obj->Dict.get(key) {
+  | Some(value) =>
+    let copy = Dict.copy(obj)
+    copy->Dict.set(key, fn(value))
+    copy
+  | None => obj
+  }
+
+let mapValues = (json: JSON.t, fn) =>
+  switch json {
+  | Object(entries) => JSON.Object(entries->Dict.toArray->Array.map(((key, value)) => (key, fn(key, value)))->Dict.fromArray)
+  | other => other
+  }
+
+let mapItems = (json: JSON.t, fn) =>
+  switch json {
+  | Array(items) => JSON.Array(items->Array.map(fn))
+  | other => other
+  }
+
+let versionOf = (doc: dict<JSON.t>) =>
+  switch (stringOf(doc->Dict.get("swagger")), stringOf(doc->Dict.get("openapi"))) {
+  | (Some(version), _) => version->String.startsWith("2.") ? Ok(Swagger2) : Error(version)
+  | (_, Some(version)) if version->String.startsWith("3.0") => Ok(OpenAPI30)
+  | _ => Ok(OpenAPI31)
+  }
+
+// ============= Schemas =============
+
+// 3.0 `nullable` (and Swagger's `x-nullable`) becomes a type union, or an anyOf with null where the type can't carry it
+let upgradeNullable = (schema: dict<JSON.t>) => {
+  let isNullable = ["nullable", "x-nullable"]->Array.some(key => schema->Dict.get(key) == Some(JSON.Boolean(true)))
+  let schema = schema->omit(["nullable", "x-nullable"])
+  switch (isNullable, schema->Dict.get("type"), schema->Dict.get("enum")) {
+  | (false, _, _) => schema
+  | (true, Some(String(type_)), None) => schema->mapKey("type", _ => JSON.Array([String(type_), String("null")]))
+  | (true, Some(Array(types)), None) =>
+    types->Array.includes(JSON.String("null")) ? schema : schema->mapKey("type", _ => JSON.Array(Array.concat(types, [String("null")])))
+  | (true, _, _) =>
+    switch schema->omit(annotationKeywords) {
+    | inner if Dict.size(inner) == 0 => schema
+    | inner =>
+      let outer = schema->pick(annotationKeywords)
+      outer->Dict.set("anyOf", JSON.Array([Object(inner), Object(dict{"type": JSON.String("null")})]))
+      outer
+    }
+  }
+}
+
+// 3.0 boolean exclusiveMinimum/exclusiveMaximum modify minimum/maximum; in 3.1 they hold the bound
+let upgradeExclusiveBound = (schema: dict<JSON.t>, ~bound, ~exclusive) =>
+  switch (schema->Dict.get(exclusive), schema->Dict.get(bound)) {
+  | (Some(Boolean(true)), Some(Number(_) as value)) =>
+    let schema = schema->omit([bound])
+    schema->Dict.set(exclusive, value)
+    schema
+  | (Some(Boolean(_)), _) => schema->omit([exclusive])
+  | _ => schema
+  }
+
+let upgradeKeywords = (schema: dict<JSON.t>) => {
+  let schema = switch schema->Dict.get("type") {
+  | Some(String("file")) => // Swagger 2.0 file uploads
+    let schema = Dict.copy(schema)
+    schema->Dict.set("type", JSON.String("string"))
+    schema->Dict.set("format", JSON.String("binary"))
+    schema
+  | _ => schema
+  }
+  let schema = switch schema->Dict.get("discriminator") {
+  | Some(String(propertyName)) => schema->mapKey("discriminator", _ => JSON.Object(dict{"propertyName": JSON.String(propertyName)}))
+  | _ => schema
+  }
+  let schema = switch stringOf(schema->Dict.get("$ref")) {
+  | Some(ref) if ref->String.startsWith("#/definitions/") =>
+    schema->mapKey("$ref", _ => JSON.String(ref->String.replace("#/definitions/", "#/components/schemas/")))
+  | _ => schema
+  }
+  schema
+  ->upgradeExclusiveBound(~bound="minimum", ~exclusive="exclusiveMinimum")
+  ->upgradeExclusiveBound(~bound="maximum", ~exclusive="exclusiveMaximum")
+  ->upgradeNullable
+}
+
+let rec normalizeSchema = (schema: JSON.t): JSON.t =>
+  switch schema {
+  | Object(obj) =>
+    let obj =
+      obj
+      ->Dict.toArray
+      ->Array.map(((key, value)) => (
+        key,
+        switch key {
+        | "properties" | "patternProperties" | "$defs" => value->mapValues((_, property) => normalizeSchema(property))
+        | "items" | "additionalProperties" | "not" => normalizeSchema(value)
+        | "allOf" | "oneOf" | "anyOf" | "prefixItems" => value->mapItems(normalizeSchema)
+        | _ => value
+        },
+      ))
+      ->Dict.fromArray
+    JSON.Object(upgradeKeywords(obj))
+  | other => other
+  }
+
+// Schemas in the parameters, bodies and responses of a 3.x document
+let normalizeSchemas = (doc: dict<JSON.t>) => {
+  let withSchema = (json: JSON.t) =>
+    switch json {
+    | Object(obj) => JSON.Object(obj->mapKey("schema", normalizeSchema))
+    | other => other
+    }
+  let content = json => json->mapValues((_, mediaType) => withSchema(mediaType))
+  let parameters = json => json->mapItems(withSchema)
+  let operation = (json: JSON.t) =>
+    switch json {
+    | Object(op) =>
+      JSON.Object(
+        op
+        ->mapKey("parameters", parameters)
+        ->mapKey("requestBody", body => body->mapValues((key, value) => key == "content" ? content(value) : value))
+        ->mapKey("responses", responses =>
+          responses->mapValues((_, response) =>
+            response->mapValues((key, value) =>
+              switch key {
+              | "content" => content(value)
+              | "headers" => value->mapValues((_, header) => withSchema(header))
+              | _ => value
+              }
+            )
+          )
+        ),
+      )
+    | other => other
+    }
+  doc
+  ->mapKey("paths", paths =>
+    paths->mapValues((_, pathItem) =>
+      pathItem->mapValues((key, value) =>
+        switch key {
+        | "parameters" => parameters(value)
+        | key if httpMethods->Array.includes(key) => operation(value)
+        | _ => value
+        }
+      )
+    )
+  )
+  ->mapKey("components", components =>
+    components->mapValues((key, value) => key == "schemas" ? value->mapValues((_, schema) => normalizeSchema(schema)) : value)
+  )
+}
+
+// ============= Swagger 2.0 =============
+
+// Resolve a `#/parameters/...` or `#/responses/...` reference against the document's shared definitions
+let resolveShared = (~warnings, ~pointer, ~doc, ~section, json: JSON.t) =>
+  switch json {
+  | Object(obj) =>
+    switch stringOf(obj->Dict.get("$ref")) {
+    | Some(ref) =>
+      let name = ref->String.split("/")->Array.at(-1)->Option.getOr("")
+      switch (ref->String.startsWith(`#/${section}/`), objectOf(doc->Dict.get(section))->Option.flatMap(shared => objectOf(shared->Dict.get(name)))) {
+      | (true, Some(resolved)) => Some(resolved)
+      | _ =>
+        unsupported(warnings, ~pointer, ~feature=`$ref ${ref}`, ~fallback="left out")
+        None
+      }
+    | None => Some(obj)
+    }
+  | _ => None
+  }
+
+// Style and explode of an array parameter from its collectionFormat (csv when absent)
+let arrayStyle = (~warnings, ~pointer, ~location, collectionFormat) => {
+  let style = (style, explode) => [("style", JSON.String(style)), ("explode", JSON.Boolean(explode))]
+  let isForm = location == "query" || location == "formData"
+  switch collectionFormat {
+  | None | Some("csv") => isForm ? style("form", false) : []
+  | Some("multi") if isForm => style("form", true)
+  | Some("ssv") if location == "query" => style("spaceDelimited", false)
+  | Some("pipes") if location == "query" => style("pipeDelimited", false)
+  | Some(format) =>
+    unsupported(warnings, ~pointer, ~feature=`collectionFormat: ${format}`, ~fallback="comma-separated values")
+    isForm ? style("form", false) : []
+  }
+}
+
+let convertParameter = (~warnings, ~pointer, param: dict<JSON.t>) => {
+  let location = stringOf(param->Dict.get("in"))->Option.getOr("query")
+  let style = switch stringOf(param->Dict.get("type")) {
+  | Some("array") => arrayStyle(~warnings, ~pointer, ~location, stringOf(param->Dict.get("collectionFormat")))
+  | _ => []
+  }
+  let converted = param->pick(["name", "in", "description", "required", "deprecated"])
+  converted->Dict.set("schema", JSON.Object(param->pick(valueKeywords)))
+  style->Array.forEach(((key, value)) => converted->Dict.set(key, value))
+  converted
+}
+
+// Form fields become the properties of an object schema
+let formBody = (~warnings, ~pointer, ~consumes, fields: array<dict<JSON.t>>) => {
+  let properties = Dict.make()
+  let encoding = Dict.make()
+  fields->Array.forEach(field => {
+    let name = stringOf(field->Dict.get("name"))->Option.getOr("")
+    let schema = field->pick(valueKeywords)
+    field->Dict.get("description")->Option.forEach(description => schema->Dict.set("description", description))
+    properties->Dict.set(name, JSON.Object(schema))
+    switch stringOf(field->Dict.get("type")) {
+    | Some("array") =>
+      switch arrayStyle(~warnings, ~pointer=pointerTo(pointer, name), ~location="formData", stringOf(field->Dict.get("collectionFormat"))) {
+      | [] => ()
+      | style => encoding->Dict.set(name, JSON.Object(Dict.fromArray(style)))
+      }
+    | _ => ()
+    }
+  })
+  let required = fields->Array.filterMap(field =>
+    field->Dict.get("required") == Some(JSON.Boolean(true)) ? field->Dict.get("name") : None
+  )
+  let schema = dict{"type": JSON.String("object"), "properties": JSON.Object(properties)}
+  if Array.length(required) > 0 {
+    schema->Dict.set("required", JSON.Array(required))
+  }
+  let hasFile = fields->Array.some(field => stringOf(field->Dict.get("type")) == Some("file"))
+  let mediaTypes = switch consumes->Array.filter(mediaType => formMediaTypes->Array.includes(mediaType)) {
+  | [] => [hasFile ? "multipart/form-data" : "application/x-www-form-urlencoded"]
+  | mediaTypes => mediaTypes
+  }
+  let mediaType = dict{"schema": JSON.Object(schema)}
+  if Dict.size(encoding) > 0 {
+    mediaType->Dict.set("encoding", JSON.Object(encoding))
+  }
+  let body = dict{"content": JSON.Object(mediaTypes->Array.map(name => (name, JSON.Object(mediaType)))->Dict.fromArray)}
+  if required->Array.length > 0 {
+    body->Dict.set("required", JSON.Boolean(true))
+  }
+  body
+}
+
+let convertResponse = (~produces, response: dict<JSON.t>) => {
+  let converted = dict{"description": response->Dict.get("description")->Option.getOr(JSON.String(""))}
+  response->Dict.get("schema")->Option.forEach(schema => {
+    let examples = objectOf(response->Dict.get("examples"))
+    let content = produces->Array.map(mediaType => {
+      let media = dict{"schema": schema}
+      examples->Option.flatMap(examples => examples->Dict.get(mediaType))->Option.forEach(example => media->Dict.set("example", example))
+      (mediaType, JSON.Object(media))
+    })
+    converted->Dict.set("content", JSON.Object(Dict.fromArray(content)))
+  })
+  objectOf(response->Dict.get("headers"))->Option.forEach(headers =>
+    converted->Dict.set(
+      "headers",
+      JSON.Object(
+        headers->Dict.mapValues(header =>
+          switch header {
+          | Object(header) =>
+            let converted = header->pick(["description"])
+            converted->Dict.set("schema", JSON.Object(header->pick(valueKeywords)))
+            JSON.Object(converted)
+          | other => other
+          }
+        ),
+      ),
+    )
+  )
+  converted
+}
+
+// Parameters of an operation and its path; the operation's override the path's with the same name and location
+let operationParameters = (~warnings, ~pointer, ~doc, ~pathParameters, operation: dict<JSON.t>) => {
+  let resolve = (pointer, params) =>
+    params->Array.mapWithIndex((param, index) =>
+      resolveShared(~warnings, ~pointer=pointerTo(pointer, Int.toString(index)), ~doc, ~section="parameters", param)
+    )->Array.filterMap(param => param)
+  let own = resolve(pointerTo(pointer, "parameters"), arrayOf(operation->Dict.get("parameters")))
+  let key = param => (param->Dict.get("name"), param->Dict.get("in"))
+  let inherited = pathParameters->Array.filter(param => !(own->Array.some(ownParam => key(ownParam) == key(param))))
+  Array.concat(inherited, own)
+}
+
+let convertOperation = (~warnings, ~pointer, ~doc, ~pathParameters, operation: dict<JSON.t>) => {
+  let mediaTypes = key =>
+    switch stringsOf(operation->Dict.get(key)) {
+    | [] =>
+      switch stringsOf(doc->Dict.get(key)) {
+      | [] => ["application/json"]
+      | global => global
+      }
+    | own => own
+    }
+  let consumes = mediaTypes("consumes")
+  let produces = mediaTypes("produces")
+  let params = operationParameters(~warnings, ~pointer, ~doc, ~pathParameters, operation)
+  let inOf = param => stringOf(param->Dict.get("in"))
+  let bodies = params->Array.filter(param => inOf(param) == Some("body"))
+  let fields = params->Array.filter(param => inOf(param) == Some("formData"))
+
+  let converted = operation->omit(["parameters", "responses", "consumes", "produces", "schemes"])
+  if operation->Dict.get("schemes")->Option.isSome {
+    unsupported(warnings, ~pointer=pointerTo(pointer, "schemes"), ~feature="operation schemes", ~fallback="the document's servers")
+  }
+  let parameters =
+    params
+    ->Array.filter(param => !(["body", "formData"]->Array.includes(inOf(param)->Option.getOr(""))))
+    ->Array.mapWithIndex((param, index) =>
+      JSON.Object(convertParameter(~warnings, ~pointer=pointerTo(pointerTo(pointer, "parameters"), Int.toString(index)), param))
+    )
+  if Array.length(parameters) > 0 {
+    converted->Dict.set("parameters", JSON.Array(parameters))
+  }
+  switch (bodies[0], fields) {
+  | (None, []) => ()
+  | (Some(body), _) =>
+    if Array.length(bodies) > 1 || Array.length(fields) > 0 {
+      unsupported(warnings, ~pointer=pointerTo(pointer, "parameters"), ~feature="several body parameters", ~fallback="the first one")
+    }
+    let requestBody = body->pick(["description", "required"])
+    let schema = body->Dict.get("schema")->Option.getOr(JSON.Object(Dict.make()))
+    requestBody->Dict.set(
+      "content",
+      JSON.Object(consumes->Array.map(mediaType => (mediaType, JSON.Object(dict{"schema": schema})))->Dict.fromArray),
+    )
+    converted->Dict.set("requestBody", JSON.Object(requestBody))
+  | (None, fields) =>
+    converted->Dict.set("requestBody", JSON.Object(formBody(~warnings, ~pointer=pointerTo(pointer, "parameters"), ~consumes, fields)))
+  }
+  let responses =
+    objectOf(operation->Dict.get("responses"))
+    ->Option.getOr(Dict.make())
+    ->Dict.toArray
+    ->Array.filterMap(((code, response)) =>
+      resolveShared(~warnings, ~pointer=pointerTo(pointerTo(pointer, "responses"), code), ~doc, ~section="responses", response)
+      ->Option.map(response => (code, JSON.Object(convertResponse(~produces, response))))
+    )
+  converted->Dict.set("responses", JSON.Object(Dict.fromArray(responses)))
+  converted
+}
+
+let convertSecurityScheme = (~warnings, ~pointer, scheme: dict<JSON.t>) => {
+  let description = scheme->pick(["description"])
+  let withFields = fields => {
+    fields->Array.forEach(((key, value)) => description->Dict.set(key, value))
+    Some(JSON.Object(description))
+  }
+  switch stringOf(scheme->Dict.get("type")) {
+  | Some("basic") => withFields([("type", JSON.String("http")), ("scheme", JSON.String("basic"))])
+  | Some("apiKey") => withFields(Array.concat([("type", JSON.String("apiKey"))], scheme->pick(["name", "in"])->Dict.toArray))
+  | Some("oauth2") =>
+    let flowName = switch stringOf(scheme->Dict.get("flow")) {
+    | Some("implicit") => Some("implicit")
+    | Some("password") => Some("password")
+    | Some("application") => Some("clientCredentials")
+    | Some("accessCode") => Some("authorizationCode")
+    | _ => None
+    }
+    switch flowName {
+    | Some(flowName) =>
+      let flow = scheme->pick(["authorizationUrl", "tokenUrl"])
+      flow->Dict.set("scopes", scheme->Dict.get("scopes")->Option.getOr(JSON.Object(Dict.make())))
+      withFields([("type", JSON.String("oauth2")), ("flows", JSON.Object(Dict.fromArray([(flowName, JSON.Object(flow))])))])
+    | None =>
+      unsupported(warnings, ~pointer, ~feature="OAuth 2 flow", ~fallback="scheme left out")
+      None
+    }
+  | type_ =>
+    unsupported(warnings, ~pointer, ~feature=`security scheme type ${type_->Option.getOr("(none)")}`, ~fallback="scheme left out")
+    None
+  }
+}
+
+// Servers from host, basePath and schemes
+let convertServers = (doc: dict<JSON.t>) => {
+  let basePath = stringOf(doc->Dict.get("basePath"))->Option.getOr("")
+  let urls = switch stringOf(doc->Dict.get("host")) {
+  | Some(host) =>
+    switch stringsOf(doc->Dict.get("schemes")) {
+    | [] => [`https://${host}${basePath}`]
+    | schemes => schemes->Array.map(scheme => `${scheme}://${host}${basePath}`)
+    }
+  | None => basePath == "" ? [] : [basePath]
+  }
+  urls->Array.map(url => JSON.Object(dict{"url": JSON.String(url)}))
+}
+
+let convertSwagger2 = (~warnings, doc: dict<JSON.t>) => {
+  let converted = doc->omit([
+    "swagger", "host", "basePath", "schemes", "consumes", "produces", "paths", "definitions", "parameters", "responses",
+    "securityDefinitions",
+  ])
+  converted->Dict.set("openapi", JSON.String("3.1.0"))
+  switch convertServers(doc) {
+  | [] => ()
+  | servers => converted->Dict.set("servers", JSON.Array(servers))
+  }
+  let paths =
+    objectOf(doc->Dict.get("paths"))
+    ->Option.getOr(Dict.make())
+    ->Dict.toArray
+    ->Array.map(((path, pathItem)) => {
+      let pointer = pointerTo("/paths", path)
+      let pathItem = objectOf(Some(pathItem))->Option.getOr(Dict.make())
+      let pathParameters =
+        arrayOf(pathItem->Dict.get("parameters"))
+        ->Array.mapWithIndex((param, index) =>
+          resolveShared(~warnings, ~pointer=pointerTo(pointerTo(pointer, "parameters"), Int.toString(index)), ~doc, ~section="parameters", param)
+        )
+        ->Array.filterMap(param => param)
+      // Path-level parameters are merged into each operation, where body parameters become its request body
+      let converted =
+        pathItem
+        ->omit(["parameters"])
+        ->Dict.toArray
+        ->Array.map(((key, value)) =>
+          switch (httpMethods->Array.includes(key), value) {
+          | (true, Object(operation)) =>
+            (key, JSON.Object(convertOperation(~warnings, ~pointer=pointerTo(pointer, key), ~doc, ~pathParameters, operation)))
+          | _ => (key, value)
+          }
+        )
+      (path, JSON.Object(Dict.fromArray(converted)))
+    })
+  converted->Dict.set("paths", JSON.Object(Dict.fromArray(paths)))
+
+  let components = Dict.make()
+  doc->Dict.get("definitions")->Option.forEach(definitions => components->Dict.set("schemas", definitions))
+  objectOf(doc->Dict.get("securityDefinitions"))->Option.forEach(definitions =>
+    components->Dict.set(
+      "securitySchemes",
+      JSON.Object(
+        definitions
+        ->Dict.toArray
+        ->Array.filterMap(((name, scheme)) =>
+          objectOf(Some(scheme))
+          ->Option.flatMap(scheme => convertSecurityScheme(~warnings, ~pointer=pointerTo("/securityDefinitions", name), scheme))
+          ->Option.map(scheme => (name, scheme))
+        )
+        ->Dict.fromArray,
+      ),
+    )
+  )
+  if Dict.size(components) > 0 {
+    converted->Dict.set("components", JSON.Object(components))
+  }
+  converted
+}
+
+// Up-convert a bundled document to OpenAPI 3.1; 3.1 documents (and non-objects) are returned as they are
+let normalize = (json: JSON.t): (JSON.t, array<Types.warning>) => {
+  let warnings = []
+  let normalized = switch json {
+  | Object(doc) =>
+    switch versionOf(doc) {
+    | Ok(OpenAPI31) => json
+    | Ok(OpenAPI30) =>
+      let doc = normalizeSchemas(doc)->mapKey("openapi", _ => JSON.String("3.1.0"))
+      JSON.Object(doc)
+    | Ok(Swagger2) => JSON.Object(normalizeSchemas(convertSwagger2(~warnings, doc)))
+    | Error(version) =>
+      unsupported(warnings, ~pointer="/swagger", ~feature=`Swagger ${version}`, ~fallback="read as OpenAPI 3.1")
+      json
+    }
+  | other => other
+  }
+  (normalized, warnings)
+}
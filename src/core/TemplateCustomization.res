@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// TemplateCustomization.res - Load user templates, partials and helpers from a template directory
+//   <name>.hbs      replaces the built-in template <name> (see Templates.builtins)
+//   partials/*.hbs  partials, included as {{> name}}
+//   helpers.mjs     every exported function (and every function of the default export) is a helper
+
+@module("url") external pathToFileURL: string => {"href": string} = "pathToFileURL"
+
+let importModule: string => promise<dict<unknown>> = %raw(`url => import(url)`)
+
+let configError = message => CodegenError.InvalidConfigError({field: "templateDir", message})
+
+// Sources of the .hbs files in a directory, keyed by file name without the extension
+let readTemplates = dir =>
+  FileSystem.existsSync(dir)
+    ? FileSystem.readdirSync(dir)
+      ->Array.filter(file => file->String.endsWith(".hbs"))
+      ->Array.toSorted(String.compare)
+      ->Array.map(file => (file->String.slice(~start=0, ~end=-4), FileSystem.readFileSync(FileSystem.join(dir, file), "utf8")))
+    : []
+
+// Functions among a module's exports; named exports win over the default export's properties
+let functionsOf = (exports: dict<unknown>): dict<unknown> => {
+  let functions = value => value->Dict.toArray->Array.filter(((_, v)) => Type.typeof(v) == #function)
+  let fromDefault = switch exports->Dict.get("default") {
+  | Some(value) if Type.typeof(value) == #object => functions(Obj.magic(value))
+  | _ => []
+  }
+  Dict.fromArray(Array.concat(fromDefault, functions(exports)))
+}
+
+let loadHelpers = async dir => {
+  let path = FileSystem.join(dir, "helpers.mjs")
+  if !FileSystem.existsSync(path) {
+    Ok(Dict.make())
+  } else {
+    try {
+      Ok(functionsOf(await importModule(pathToFileURL(FileSystem.resolve(path))["href"])))
+    } catch {
+    | JsExn(err) => Error(configError(`Failed to load ${path}: ${err->JsExn.message->Option.getOr("Unknown error")}`))
+    }
+  }
+}
+
+// Templates that fail to parse are reported by file name instead of on first render
+let parseAll = (sources: array<(string, string)>, ~kind) =>
+  sources->Array.reduce(Ok(), (acc, (name, source)) =>
+    acc->Result.flatMap(() =>
+      try {
+        Handlebars._binding.parse(source)
+        Ok()
+      } catch {
+      | JsExn(err) => Error(configError(`Invalid ${kind} ${name}.hbs: ${err->JsExn.message->Option.getOr("Unknown error")}`))
+      }
+    )
+  )
+
+// Load the customization in a template directory; None when no directory is configured
+let load = async (templateDir: option<string>): result<option<Handlebars.customization>, CodegenError.t> =>
+  switch templateDir {
+  | None => Ok(None)
+  | Some(dir) if !FileSystem.existsSync(dir) => Error(configError(`Directory ${dir} does not exist`))
+  | Some(dir) =>
+    let overrides = readTemplates(dir)
+    let partials = readTemplates(FileSystem.join(dir, "partials"))
+    let builtins = Dict.fromArray(Templates.builtins)
+    switch overrides->Array.find(((name, _)) => builtins->Dict.get(name)->Option.isNone) {
+    | Some((name, _)) =>
+      Error(configError(`${name}.hbs does not name a built-in template (expected one of: ${Templates.builtins->Array.map(((name, _)) => name)->Array.join(", ")})`))
+    | None =>
+      switch parseAll(overrides, ~kind="template")->Result.flatMap(() => parseAll(partials, ~kind="partial")) {
+      | Error(err) => Error(err)
+      | Ok() =>
+        (await loadHelpers(dir))->Result.map(helpers => Some({
+          Handlebars.templates: overrides
+          ->Array.map(((name, source)) => (builtins->Dict.getUnsafe(name), source))
+          ->Map.fromArray,
+          helpers,
+          partials: Dict.fromArray(partials),
+        }))
+      }
+    }
+  }
+
+// Run a synchronous function with a loaded customization in effect. The built-in templates are
+// back once it returns, so render inside it and write the files afterwards
+let apply = (customization: option<Handlebars.customization>, run) =>
+  switch customization {
+  | None => run()
+  | Some(customization) => Handlebars.withCustomization(customization, run)
+  }
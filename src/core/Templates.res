@@ -25,12 +25,13 @@ let docComment = `{{#if summary}}// {{{summary}}}
 
 // === EndpointGenerator ===
 
-let endpointFunction = `{{{docComment}}}let {{{functionName}}} = async ({{{bodyParam}}}{{{paramSep}}}~fetch: {{{fetchTypeSignature}}}): {{{functionName}}}Response => {
+let endpointFunction = `{{{docComment}}}let {{{functionName}}} = async ({{{leadingParams}}}~fetch: {{{fetchTypeSignature}}}): {{{functionName}}}Response => {
 {{{bodyValueConversion}}}
-  let response = await fetch(
-    ~url="{{{path}}}",
+  let {{{responseBinding}}} = await fetch(
+    ~url={{{urlExpr}}},
     ~method_="{{{methodUpper}}}",
     ~body={{{bodyArg}}},
+    ~headers={{{headersExpr}}},
   )
 {{{responseHandling}}}
 }`
@@ -45,6 +46,44 @@ let moduleUnwrapped = `{{{header}}}
 
 {{{body}}}`
 
+let endpointSecurity = `  let credentialPlacements = credentials->Option.mapOr([], credentials =>
+    {{{runtimeModule}}}.authenticate([
+{{#each requirements}}      [{{{this}}}],
+{{/each}}    ])
+  )`
+
+// === ApiSecurityGenerator ===
+
+let apiSecurity = `{{{header}}}
+
+// Credentials for the API's security schemes. Each endpoint applies the first of its
+// security requirements whose schemes all have credentials here.
+{{{credentialsType}}}
+{{#each schemes}}
+
+{{{docComment}}}let {{{label}}} = ({{{credentialsBinding}}}: credentials): option<array<{{{runtimeModule}}}.credentialPlacement>> =>
+  {{{placements}}}
+{{/each}}`
+
+// === ServersGenerator ===
+
+let serverConstructor = `{{{docComment}}}let {{{label}}} = ({{{arguments}}}) => {{{urlExpr}}}`
+
+let serversModule = `{{{header}}}
+{{#if constructors}}
+
+// Base URLs the API is served from; the first one is the default.
+// Pass one as the client's base URL.
+{{{constructors}}}
+{{/if}}
+{{#each operations}}
+
+// Servers that {{{functionName}}} is served from instead of the API's
+module {{{moduleName}}} = {
+{{{constructors}}}
+}
+{{/each}}`
+
 // === ModuleGenerator ===
 
 let indexModule = `{{{header}}}
@@ -68,12 +107,26 @@ let clientType = `type client = {
 }`
 
 let connectFunction = `/** Create a client for {{{title}}} */
-let connect = (~baseUrl: string, ~token: option<string>=?, ~fetch: {{{fetchTypeSignature}}}, ()): client => {
+let connect = ({{{baseUrlParam}}}, ~token: option<string>=?, ~fetch: {{{fetchTypeSignature}}}, ()): client => {
   baseUrl,
   token,
   fetch,
 }`
 
+// Credentials replace the token when the spec declares security schemes
+let authenticatedClientType = `type client = {
+  baseUrl: string,
+  credentials: option<{{{securityModule}}}.credentials>,
+  fetch: {{{fetchTypeSignature}}},
+}`
+
+let authenticatedConnectFunction = `/** Create a client for {{{title}}} */
+let connect = ({{{baseUrlParam}}}, ~credentials: option<{{{securityModule}}}.credentials>=?, ~fetch: {{{fetchTypeSignature}}}, ()): client => {
+  baseUrl,
+  credentials,
+  fetch,
+}`
+
 let wrapperFunction = `{{{docComment}}}  {{{signature}}}: promise<{{{generatedModuleName}}}.{{{operationName}}}Response> => 
     {{{generatedModuleName}}}.{{{operationName}}}({{{callArguments}}}~fetch=client.fetch)`
 
@@ -94,7 +147,7 @@ let moduleDts = `// TypeScript definitions for {{{moduleName}}}
 // Generated by @f3liz/rescript-autogen-openapi
 // DO NOT EDIT
 
-import { MisskeyClient } from './index';
+import { {{{clientName}}}, RequestOptions } from './index';
 import * as ComponentSchemas from './ComponentSchemas';
 
 {{{interfaces}}}
@@ -117,29 +170,168 @@ let indexDts = `// TypeScript definitions
 
 {{#each modules}}{{{importLine}}}
 {{/each}}
-export class MisskeyClient {
-  constructor(baseUrl: string, token?: string);
-  readonly baseUrl: string;
-  readonly token?: string;
-}
+{{{clientDts}}}
 
 {{#each modules}}{{{exportLine}}}
 {{/each}}`
 
+// Client class and its options, shared by the .d.ts files and the wrapper's
+let clientDts = `export interface ClientRequest {
+  url: string;
+  init: RequestInit;
+}
+
+export interface Middleware {
+  /** Called before a request is sent; may return a replacement request */
+  onRequest?(request: ClientRequest): ClientRequest | void | Promise<ClientRequest | void>;
+  /** Called with the final response, after retries; may return a replacement response */
+  onResponse?(response: Response, request: ClientRequest): Response | void | Promise<Response | void>;
+}
+
+export interface RetryOptions {
+  /** Retries after the first attempt (default: 0) */
+  retries?: number;
+  /** Status codes to retry (default: 408, 429, 500, 502, 503, 504); network errors are always retried */
+  statuses?: number[];
+  /** Milliseconds before the first retry, doubled for each further one (default: 250) */
+  backoff?: number;
+}
+
+export interface ClientOptions {
+  /** fetch implementation (default: the global fetch) */
+  fetch?: typeof fetch;
+  /** Headers sent with every request */
+  headers?: Record<string, string>;
+  /** Milliseconds before a request is aborted */
+  timeout?: number;
+  retry?: RetryOptions;
+  middleware?: Middleware[];
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  /** Milliseconds before the request is aborted, instead of the client's timeout */
+  timeout?: number;
+  headers?: Record<string, string>;
+}
+
+/** Thrown for responses with a status outside 200-299 */
+export class ApiError extends Error {
+  readonly status: number;
+  readonly body: unknown;
+  readonly response: Response;
+}
+
+{{#if credentialsInterface}}{{{credentialsInterface}}}
+
+{{/if}}export class {{{clientName}}} {
+  constructor(baseUrl: string, {{{credentialsParam}}}, options?: ClientOptions);
+  readonly baseUrl: string;
+  readonly {{{credentialsParam}}};
+  readonly options: ClientOptions;
+}`
+
 // === TypeScriptWrapperGenerator ===
 
-let wrapperMjsMethod = `  async {{{functionName}}}(client{{{requestArg}}}) {
-    return {{{moduleName}}}.{{{functionName}}}({
-      {{{bodyArg}}}fetch: (url, method, body) => client._fetch(url, method, body)
-    });
+let wrapperMjsMethod = `  async {{{functionName}}}(client{{{requestArg}}}, options) {
+    return {{{importName}}}.{{{functionName}}}(
+      {{{paramArgs}}}{{{bodyArg}}}{{{serverArg}}}{{{credentialsArg}}}(url, method, body, headers) => client._fetch(url, method, body, headers, options{{{responseSchemaArg}}})
+    );
   },`
 
 let wrapperMjsNamespace = `export const {{{moduleName}}} = {
 {{{methods}}}
 };`
 
+// With security schemes the generated endpoints apply the credentials themselves
+let wrapperMjsClient = `// Thrown for responses with a status outside 200-299
+export class ApiError extends Error {
+  constructor(status, body, response) {
+    super('Request failed with status ' + status);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+    this.response = response;
+  }
+}
+
+const defaultRetry = { retries: 0, statuses: [408, 429, 500, 502, 503, 504], backoff: 250 };
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class {{{clientName}}} {
+  constructor(baseUrl, {{{credentialsName}}}, options = {}) {
+    this.baseUrl = baseUrl;
+    this.{{{credentialsName}}} = {{{credentialsName}}};
+    this.options = options;
+  }
+
+  async _fetch(url, method, body, extraHeaders, requestOptions = {}{{#if validateResponse}}, responseSchema{{/if}}) {
+    const { fetch: fetchImpl = globalThis.fetch, middleware = [] } = this.options;
+    const retry = { ...defaultRetry, ...this.options.retry };
+    const timeout = requestOptions.timeout ?? this.options.timeout;
+    const [payload, contentType] = body ? ApiRuntime.encodeBody(body) : [undefined, undefined];
+    const headers = {
+      ...this.options.headers,
+      ...(contentType ? { 'Content-Type': contentType } : {}),
+      ...extraHeaders,
+      ...requestOptions.headers,
+    };
+{{#unless authenticated}}
+    if (this.token) {
+      headers['Authorization'] = 'Bearer ' + this.token;
+    }
+{{/unless}}
+    let request = { url: ApiRuntime.resolveUrl(this.baseUrl, url), init: { method, headers, body: payload } };
+    for (const { onRequest } of middleware) {
+      request = (await onRequest?.(request)) ?? request;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      // The timeout applies to each attempt
+      const signals = [requestOptions.signal, timeout === undefined ? undefined : AbortSignal.timeout(timeout)].filter(Boolean);
+      const signal = signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+      let response;
+      try {
+        response = await fetchImpl(request.url, { ...request.init, signal });
+      } catch (error) {
+        // Network errors are retried, aborts and timeouts are not
+        if (signal?.aborted || attempt >= retry.retries) {
+          throw error;
+        }
+        await delay(retry.backoff * 2 ** attempt);
+        continue;
+      }
+      if (attempt < retry.retries && retry.statuses.includes(response.status)) {
+        await delay(retry.backoff * 2 ** attempt);
+        continue;
+      }
+
+      for (const { onResponse } of middleware) {
+        response = (await onResponse?.(response, request)) ?? response;
+      }
+      const responseBody = await ApiRuntime.readResponse(response);
+{{#if validateResponse}}
+      if (response.ok && responseSchema && responseBody.NAME === 'Json') {
+        {{{validateResponse}}};
+      }
+{{/if}}
+{{#if responseVariants}}
+      return [response.status, responseBody];
+{{else}}
+      if (!response.ok) {
+        throw new ApiError(response.status, responseBody.VAL, response);
+      }
+      return responseBody;
+{{/if}}
+    }
+  }
+}`
+
 let wrapperMjs = `// Generated wrapper
-{{#each tags}}{{{importLine}}}
+{{{runtimeImportLine}}}
+{{#each validationImportLines}}{{{this}}}
+{{/each}}{{#each tags}}{{{importLine}}}
 {{/each}}
 {{{clientCode}}}
 
@@ -147,7 +339,7 @@ let wrapperMjs = `// Generated wrapper
 
 {{/each}}`
 
-let wrapperDtsFunction = `{{{docComment}}}  export function {{{functionName}}}(client: MisskeyClient{{{requestParam}}}): Promise<{{{pascalName}}}Response>;`
+let wrapperDtsFunction = `{{{docComment}}}  export function {{{functionName}}}(client: {{{clientName}}}{{{requestParam}}}, options?: RequestOptions): Promise<{{{pascalName}}}Response>;`
 
 let wrapperDtsNamespace = `export namespace {{{moduleName}}} {
 {{{functions}}}
@@ -156,16 +348,274 @@ let wrapperDtsNamespace = `export namespace {{{moduleName}}} {
 let wrapperDts = `// Generated TypeScript definitions for wrapper
 {{#each tags}}{{{importBlock}}}
 {{/each}}
-export class MisskeyClient {
-  constructor(baseUrl: string, token?: string);
-  readonly baseUrl: string;
-  readonly token?: string;
-}
+{{{clientDts}}}
 
 {{#each tags}}{{{namespace}}}
 
 {{/each}}`
 
+// === ValidatorSchemaGenerator ===
+
+let validatorSchemasMjs = `// {{{libraryName}}} schemas for {{{title}}}
+// Generated by @f3liz/rescript-autogen-openapi
+// DO NOT EDIT
+
+{{{importLine}}}
+{{#each schemas}}
+
+{{{this}}}
+{{/each}}
+{{#each tags}}
+
+export const {{{moduleName}}} = {
+{{{operations}}}
+};
+{{/each}}
+`
+
+let validatorSchemasDts = `// {{{libraryName}}} schema declarations for {{{title}}}
+// Generated by @f3liz/rescript-autogen-openapi
+// DO NOT EDIT
+
+{{{typeImportLine}}}
+{{#if schemas.length}}
+
+{{#each schemas}}
+export const {{{this}}}: {{{../schemaType}}};
+{{/each}}
+{{/if}}
+{{#each tags}}
+
+export const {{{moduleName}}}: {
+{{{operations}}}
+};
+{{/each}}
+`
+
+// === ConformanceTestGenerator ===
+
+let conformanceTest = `{{{header}}}
+@module("node:test") external test: (string, unit => unit) => unit = "test"
+
+// Parse an example, then serialize the value and parse the result again
+let conforms = (schema, ~location, example) =>
+  try {
+    example->S.parseOrThrow(schema)->S.reverseConvertToJsonOrThrow(schema)->S.parseOrThrow(schema)->ignore
+  } catch {
+  | S.Error(error) => JsError.throwWithMessage("Example at " ++ location ++ " does not conform: " ++ error.message)
+  }
+{{#each cases}}
+
+test("{{{name}}}", () =>
+  conforms({{{schemaPath}}}, ~location="{{{location}}}", JSON.parseOrThrow("{{{example}}}"))
+)
+{{/each}}
+`
+
+// === MockServerGenerator ===
+
+let mockServer = `// Mock server for {{{title}}}
+// Generated by @f3liz/rescript-autogen-openapi
+// DO NOT EDIT
+//
+// Answers each operation with the spec's example for its response, or with data generated from
+// the response schema (seed {{{seed}}}), and rejects JSON request bodies that don't match their
+// schema with 400. Run it with "node server.mjs" (PORT, default 4010) or pass createMockHandler()
+// to your own node:http server.
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+// Request body shapes of the component schemas, by name
+const schemas = {{{schemas}}};
+
+// One route per operation, paths without parameters first
+export const routes = {{{routes}}};
+
+const defaultBasePath = {{{basePath}}};
+
+const kindOf = value => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+const resolve = shape => (shape.ref === undefined ? shape : resolve(schemas[shape.ref] ?? {}));
+
+const check = (shape, value) => {
+  const errors = [];
+  validate(shape, value, '', errors);
+  return errors;
+};
+
+// Collect "<JSON pointer>: <problem>" messages for the parts of value that don't match shape
+function validate(shape, value, path, errors) {
+  shape = resolve(shape);
+  const fail = problem => errors.push((path || '/') + ': ' + problem);
+  if ('const' in shape) {
+    if (JSON.stringify(value) !== JSON.stringify(shape.const)) fail('expected ' + JSON.stringify(shape.const));
+  } else if (shape.anyOf) {
+    if (!shape.anyOf.some(member => check(member, value).length === 0)) fail('matches none of the allowed types');
+  } else if (shape.allOf) {
+    shape.allOf.forEach(member => validate(member, value, path, errors));
+  } else if (shape.discriminator) {
+    const tag = kindOf(value) === 'object' ? value[shape.discriminator] : undefined;
+    if (typeof tag !== 'string' || !Object.hasOwn(shape.mapping, tag)) {
+      fail(shape.discriminator + ' must be one of ' + Object.keys(shape.mapping).join(', '));
+      return;
+    }
+    // Members that don't declare the tag property are checked without it
+    const member = resolve(shape.mapping[tag]);
+    const { [shape.discriminator]: _, ...rest } = value;
+    validate(member, member.properties && !Object.hasOwn(member.properties, shape.discriminator) ? rest : value, path, errors);
+  } else if (shape.type === 'null' || shape.type === 'boolean') {
+    if (kindOf(value) !== shape.type) fail('expected ' + shape.type + ', got ' + kindOf(value));
+  } else if (shape.type === 'string') {
+    if (typeof value !== 'string') return fail('expected string, got ' + kindOf(value));
+    if (shape.minLength !== undefined && value.length < shape.minLength) fail('shorter than ' + shape.minLength + ' characters');
+    if (shape.maxLength !== undefined && value.length > shape.maxLength) fail('longer than ' + shape.maxLength + ' characters');
+    if (shape.pattern !== undefined && !new RegExp(shape.pattern, 'u').test(value)) fail('does not match ' + shape.pattern);
+  } else if (shape.type === 'number' || shape.type === 'integer') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return fail('expected ' + shape.type + ', got ' + kindOf(value));
+    if (shape.type === 'integer' && !Number.isInteger(value)) fail('expected integer, got ' + value);
+    if (shape.minimum !== undefined && value < shape.minimum) fail('less than ' + shape.minimum);
+    if (shape.maximum !== undefined && value > shape.maximum) fail('greater than ' + shape.maximum);
+    if (shape.multipleOf !== undefined) {
+      const quotient = value / shape.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) fail('not a multiple of ' + shape.multipleOf);
+    }
+  } else if (shape.type === 'array') {
+    if (!Array.isArray(value)) return fail('expected array, got ' + kindOf(value));
+    if (shape.minItems !== undefined && value.length < shape.minItems) fail('fewer than ' + shape.minItems + ' items');
+    if (shape.maxItems !== undefined && value.length > shape.maxItems) fail('more than ' + shape.maxItems + ' items');
+    if (shape.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) fail('has duplicate items');
+    value.forEach((item, index) => validate(shape.items, item, path + '/' + index, errors));
+  } else if (shape.type === 'object') {
+    if (kindOf(value) !== 'object') return fail('expected object, got ' + kindOf(value));
+    shape.required.filter(name => !Object.hasOwn(value, name)).forEach(name => errors.push(path + '/' + name + ': is required'));
+    for (const [name, item] of Object.entries(value)) {
+      const itemPath = path + '/' + name;
+      if (Object.hasOwn(shape.properties, name)) {
+        validate(shape.properties[name], item, itemPath, errors);
+        continue;
+      }
+      const patterns = Object.entries(shape.patternProperties ?? {}).filter(([pattern]) => new RegExp(pattern, 'u').test(name));
+      patterns.forEach(([, patternShape]) => validate(patternShape, item, itemPath, errors));
+      if (patterns.length === 0 && shape.additionalProperties === false) {
+        errors.push(itemPath + ': is not allowed');
+      } else if (patterns.length === 0 && shape.additionalProperties) {
+        validate(shape.additionalProperties, item, itemPath, errors);
+      }
+    }
+  }
+}
+
+// Problems with a request body, or an empty array
+export function checkRequestBody(route, text) {
+  const { required, schema } = route.request;
+  if (text === '') return required ? ['/: a request body is required'] : [];
+  if (schema === undefined) return [];
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    return ['/: the body is not valid JSON'];
+  }
+  return check(schema, value);
+}
+
+// The route for a method and path; "{name}" segments match any non-empty segment
+export function matchRoute(method, pathname) {
+  const segments = pathname.split('/');
+  return routes.find(route => {
+    const routeSegments = route.path.split('/');
+    return (
+      route.method === method &&
+      routeSegments.length === segments.length &&
+      routeSegments.every((segment, index) =>
+        segment.startsWith('{') && segment.endsWith('}') ? segments[index] !== '' : segment === segments[index],
+      )
+    );
+  });
+}
+
+const readBody = request =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+
+// Browsers can call the mock from any origin
+const corsHeaders = {
+  'access-control-allow-origin': '*',
+  'access-control-allow-methods': 'GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS',
+  'access-control-allow-headers': '*',
+};
+
+const sendJson = (response, status, value) => {
+  response.writeHead(status, { ...corsHeaders, 'content-type': 'application/json' });
+  response.end(JSON.stringify(value));
+};
+
+// A request listener for node:http; basePath defaults to the path of the spec's first server
+export function createMockHandler({ basePath = defaultBasePath } = {}) {
+  return async (request, response) => {
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, corsHeaders);
+      response.end();
+      return;
+    }
+    const { pathname } = new URL(request.url ?? '/', 'http://localhost');
+    const inBase = pathname === basePath || pathname.startsWith(basePath + '/');
+    const route = inBase ? matchRoute(request.method, pathname.slice(basePath.length) || '/') : undefined;
+    if (route === undefined) {
+      sendJson(response, 404, { error: 'No operation for ' + request.method + ' ' + pathname });
+      return;
+    }
+    if (route.request !== null) {
+      const problems = checkRequestBody(route, await readBody(request));
+      if (problems.length > 0) {
+        sendJson(response, 400, { error: 'Invalid request body for ' + route.operation, problems });
+        return;
+      }
+    }
+    const { status, contentType, json, text, source } = route.response;
+    response.writeHead(status, { ...corsHeaders, ...(contentType ? { 'content-type': contentType } : {}), 'x-mock-source': source });
+    response.end(json === undefined ? text : JSON.stringify(json));
+  };
+}
+
+if (process.argv[1] !== undefined && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT ?? 4010);
+  createServer(createMockHandler()).listen(port, () => {
+    console.log('Mock server for ' + {{{titleLiteral}}} + ' listening on http://localhost:' + port + defaultBasePath);
+  });
+}
+`
+
+let mockServerDts = `// Mock server declarations for {{{title}}}
+// Generated by @f3liz/rescript-autogen-openapi
+// DO NOT EDIT
+
+import type { IncomingMessage, ServerResponse } from 'node:http';
+
+export interface MockRoute {
+  method: string;
+  path: string;
+  operation: string;
+  request: { contentType: string; required: boolean; schema?: unknown } | null;
+  response: { status: number; contentType?: string; json?: unknown; text?: string; source: 'example' | 'generated' | 'empty' };
+}
+
+export interface MockHandlerOptions {
+  /** Path prefix the operations are served under (default: the path of the spec's first server) */
+  basePath?: string;
+}
+
+export const routes: MockRoute[];
+export function matchRoute(method: string, pathname: string): MockRoute | undefined;
+export function checkRequestBody(route: MockRoute, text: string): string[];
+export function createMockHandler(options?: MockHandlerOptions): (request: IncomingMessage, response: ServerResponse) => Promise<void>;
+`
+
 // === DiffReportGenerator ===
 
 let mergeReport = `# Merge Report: {{{baseName}}} + {{{forkName}}}
@@ -187,7 +637,86 @@ The shared base contains {{{sharedEndpoints}}} endpoints and {{{sharedSchemas}}}
 {{{forkName}}} adds {{{extensionEndpoints}}} endpoints and {{{extensionSchemas}}} schemas.
 
 ---
-*Generated on {{{timestamp}}}*`
+*Generated by @f3liz/rescript-autogen-openapi*`
+
+// Self-contained HTML diff report; every value is HTML-escaped before rendering
+let htmlDiffReport = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>API Diff Report: {{{baseName}}} → {{{forkName}}}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; color: #1f2328; }
+  table { border-collapse: collapse; margin-bottom: 1rem; }
+  th, td { border: 1px solid #d0d7de; padding: 0.25rem 0.75rem; text-align: left; vertical-align: top; }
+  details { border: 1px solid #d0d7de; border-radius: 6px; margin-bottom: 0.5rem; padding: 0.5rem 1rem; }
+  summary { cursor: pointer; font-weight: 600; }
+  ul { padding-left: 1.25rem; }
+  code { font-size: 0.9em; }
+  .badge { display: inline-block; min-width: 4.5rem; font-size: 0.75em; font-weight: 600; text-transform: uppercase; }
+  .added { color: #1a7f37; }
+  .removed { color: #cf222e; }
+  .modified { color: #9a6700; }
+  .breaking { color: #cf222e; font-weight: 600; }
+  .muted { color: #656d76; }
+</style>
+</head>
+<body>
+<h1>API Diff Report: {{{baseName}}} → {{{forkName}}}</h1>
+
+<h2>Summary</h2>
+<table>
+{{#each summary}}<tr><th>{{{label}}}</th><td>{{{value}}}</td></tr>
+{{/each}}</table>
+{{#if breakingChanges.length}}
+
+<h2 class="breaking">Breaking Changes</h2>
+<table>
+<tr><th>Location</th><th>Direction</th><th>Change</th></tr>
+{{#each breakingChanges}}<tr><td><code>{{{pointer}}}</code></td><td>{{{direction}}}</td><td>{{{message}}}</td></tr>
+{{/each}}</table>
+{{/if}}
+{{#if tags.length}}
+
+<h2>Endpoints by Tag</h2>
+{{#each tags}}<details open>
+<summary>{{{name}}} <span class="muted">({{{count}}})</span></summary>
+<ul>
+{{#each endpoints}}<li><span class="badge {{{status}}}">{{{status}}}</span> <code>{{{method}}} {{{path}}}</code>{{#if breaking}} <span class="breaking">breaking</span>{{/if}}{{#if changes.length}}
+<ul>
+{{#each changes}}<li{{#if breaking}} class="breaking"{{/if}}><code>{{{location}}}</code> ({{{direction}}}): {{{message}}}</li>
+{{/each}}</ul>{{/if}}</li>
+{{/each}}</ul>
+</details>
+{{/each}}{{/if}}
+{{#if schemas.length}}
+
+<h2>Schemas</h2>
+<details open>
+<summary>Component schemas <span class="muted">({{{schemas.length}}})</span></summary>
+<ul>
+{{#each schemas}}<li><span class="badge {{{status}}}">{{{status}}}</span> <code>{{{name}}}</code>{{#if breaking}} <span class="breaking">breaking</span>{{/if}}{{#if changes.length}}
+<ul>
+{{#each changes}}<li{{#if breaking}} class="breaking"{{/if}}><code>{{{location}}}</code> ({{{direction}}}): {{{message}}}</li>
+{{/each}}</ul>{{/if}}</li>
+{{/each}}</ul>
+</details>
+{{/if}}
+{{#if merge}}
+
+<h2>Merge</h2>
+<table>
+<tr><th>Shared endpoints</th><td>{{{merge.sharedEndpoints}}}</td></tr>
+<tr><th>Shared schemas</th><td>{{{merge.sharedSchemas}}}</td></tr>
+<tr><th>{{{forkName}}} extension endpoints</th><td>{{{merge.extensionEndpoints}}}</td></tr>
+<tr><th>{{{forkName}}} extension schemas</th><td>{{{merge.extensionSchemas}}}</td></tr>
+</table>
+{{/if}}
+
+<p class="muted"><em>Generated by @f3liz/rescript-autogen-openapi</em></p>
+</body>
+</html>
+`
 
 // === SchemaCodeGenerator ===
 
@@ -217,7 +746,7 @@ let overrideMarkdown = `{{{metadataBlock}}}
 Add your custom documentation here. If this code block is empty, the default description will be used.
 
 \`\`\`
-<!-- Empty - no override -->
+{{{overrideDesc}}}
 \`\`\``
 
 let overrideReadme = `# API Documentation Overrides
@@ -266,6 +795,14 @@ Each file contains:
 - \`version\`: API version
 - \`operationId\`: OpenAPI operation ID
 
+Below these, the front-matter holds the documentation you can override. Keys that are
+commented out (\`# summary: ...\`) show the spec's text and are ignored until you uncomment them:
+- \`summary\`: Replaces the summary
+- \`deprecated\`: A deprecation note; marks the endpoint deprecated
+- \`param.<name>\`: Documents a parameter
+- \`field.<name>\`: Documents a request body field
+- \`example\`: An example (JSON, or plain text); repeat the key for more
+
 ### Default Description
 The original description from the OpenAPI spec.
 
@@ -318,11 +855,508 @@ await client.blocking.create({ userId: "user123" })
 
 - The hash is used to detect if the endpoint has changed in the OpenAPI spec
 - If the endpoint changes, you may need to update your override
-- Empty override blocks (with just \`<!-- Empty - no override -->\`) are ignored`
+- Empty override blocks (with just \`<!-- Empty - no override -->\`) are ignored
+- \`rescript-autogen-openapi docs status\` lists stale, orphaned and customized files; add
+  \`--restamp\` to update stale files for the current spec (keeping your documentation) and
+  \`--prune\` to delete files of endpoints that no longer exist`
 
 // === ComponentSchemaGenerator ===
 
 let componentSchemaModule = `{{{docComment}}}module {{{moduleName}}} = {
 {{{extractedBlock}}}{{{typeKeyword}}} = {{{typeCode}}}
   let schema = {{{schemaCode}}}
+{{#if input}}
+{{{input.extractedBlock}}}{{{input.typeKeyword}}} = {{{input.typeCode}}}
+  let inputSchema = {{{input.schemaCode}}}
+{{/if}}
 }`
+
+// === ApiRuntimeGenerator ===
+
+let apiRuntime = `{{{header}}}
+
+// Parameters are converted to JSON through their Sury schemas first,
+// then serialized following the OpenAPI style/explode rules.
+
+type parts =
+  | Primitive(string)
+  | List(array<string>)
+  | Pairs(array<(string, string)>)
+
+let toStringValue = (json: JSON.t): string =>
+  switch json {
+  | String(s) => s
+  | Number(n) => Float.toString(n)
+  | Boolean(b) => b ? "true" : "false"
+  | Null => ""
+  | Array(_) | Object(_) => JSON.stringify(json)
+  }
+
+let toParts = (json: JSON.t): parts =>
+  switch json {
+  | Array(items) => List(items->Array.map(toStringValue))
+  | Object(entries) => Pairs(entries->Dict.toArray->Array.map(((k, v)) => (k, toStringValue(v))))
+  | _ => Primitive(toStringValue(json))
+  }
+
+let flattenPairs = pairs => pairs->Array.flatMap(((k, v)) => [k, v])
+
+let encode = encodeURIComponent
+
+let encodePair = ((k, v)) => encode(k) ++ "=" ++ encode(v)
+
+let pathParam = (value: JSON.t, ~name: string, ~style="simple", ~explode=false): string =>
+  switch (style, toParts(value)) {
+  | ("label", Primitive(v)) => "." ++ encode(v)
+  | ("label", List(items)) => "." ++ items->Array.map(encode)->Array.join(explode ? "." : ",")
+  | ("label", Pairs(pairs)) =>
+    explode
+      ? "." ++ pairs->Array.map(encodePair)->Array.join(".")
+      : "." ++ pairs->flattenPairs->Array.map(encode)->Array.join(",")
+  | ("matrix", Primitive(v)) => ";" ++ encodePair((name, v))
+  | ("matrix", List(items)) =>
+    explode
+      ? items->Array.map(v => ";" ++ encodePair((name, v)))->Array.join("")
+      : ";" ++ encode(name) ++ "=" ++ items->Array.map(encode)->Array.join(",")
+  | ("matrix", Pairs(pairs)) =>
+    explode
+      ? pairs->Array.map(pair => ";" ++ encodePair(pair))->Array.join("")
+      : ";" ++ encode(name) ++ "=" ++ pairs->flattenPairs->Array.map(encode)->Array.join(",")
+  | (_, Primitive(v)) => encode(v)
+  | (_, List(items)) => items->Array.map(encode)->Array.join(",")
+  | (_, Pairs(pairs)) =>
+    explode
+      ? pairs->Array.map(encodePair)->Array.join(",")
+      : pairs->flattenPairs->Array.map(encode)->Array.join(",")
+  }
+
+let queryParam = (value: option<JSON.t>, ~name: string, ~style="form", ~explode=true): array<string> =>
+  switch value {
+  | None | Some(Null) => []
+  | Some(json) =>
+    switch (style, toParts(json)) {
+    | ("deepObject", Pairs(pairs)) =>
+      pairs->Array.map(((k, v)) => encode(name) ++ "[" ++ encode(k) ++ "]=" ++ encode(v))
+    | ("spaceDelimited", List(items)) if !explode =>
+      [encode(name) ++ "=" ++ items->Array.map(encode)->Array.join("%20")]
+    | ("pipeDelimited", List(items)) if !explode =>
+      [encode(name) ++ "=" ++ items->Array.map(encode)->Array.join("%7C")]
+    | (_, Primitive(v)) => [encodePair((name, v))]
+    | (_, List(items)) =>
+      explode
+        ? items->Array.map(v => encodePair((name, v)))
+        : [encode(name) ++ "=" ++ items->Array.map(encode)->Array.join(",")]
+    | (_, Pairs(pairs)) =>
+      explode
+        ? pairs->Array.map(encodePair)
+        : [encode(name) ++ "=" ++ pairs->flattenPairs->Array.map(encode)->Array.join(",")]
+    }
+  }
+
+let headerParam = (value: option<JSON.t>, ~name: string, ~explode=false): array<(string, string)> =>
+  switch value {
+  | None | Some(Null) => []
+  | Some(json) =>
+    let serialized = switch toParts(json) {
+    | Primitive(v) => v
+    | List(items) => items->Array.join(",")
+    | Pairs(pairs) =>
+      explode
+        ? pairs->Array.map(((k, v)) => k ++ "=" ++ v)->Array.join(",")
+        : pairs->flattenPairs->Array.join(",")
+    }
+    [(name, serialized)]
+  }
+
+let cookieParam = (value: option<JSON.t>, ~name: string, ~explode=true): array<string> =>
+  switch value {
+  | None | Some(Null) => []
+  | Some(json) =>
+    switch toParts(json) {
+    | Primitive(v) => [name ++ "=" ++ encode(v)]
+    | List(items) =>
+      explode
+        ? items->Array.map(v => name ++ "=" ++ encode(v))
+        : [name ++ "=" ++ items->Array.map(encode)->Array.join(",")]
+    | Pairs(pairs) =>
+      explode
+        ? pairs->Array.map(((k, v)) => k ++ "=" ++ encode(v))
+        : [name ++ "=" ++ pairs->flattenPairs->Array.map(encode)->Array.join(",")]
+    }
+  }
+
+let makeUrl = (path: string, query: array<string>): string =>
+  Array.length(query) == 0 ? path : path ++ "?" ++ query->Array.join("&")
+
+// Endpoints served from their own servers send absolute URLs; others are relative to the client's base URL
+let isAbsoluteUrl = (url: string): bool => /^[a-z][a-z0-9+.-]*:/i->RegExp.test(url)
+
+let joinUrl = (base: string, path: string): string =>
+  (base->String.endsWith("/") ? base->String.slice(~start=0, ~end=-1) : base) ++ path
+
+let resolveUrl = (baseUrl: string, url: string): string => isAbsoluteUrl(url) ? url : joinUrl(baseUrl, url)
+
+let makeHeaders = (headers: array<(string, string)>, cookies: array<string>): dict<string> => {
+  let result = Dict.fromArray(headers)
+  if Array.length(cookies) > 0 {
+    result->Dict.set("Cookie", cookies->Array.join("; "))
+  }
+  result
+}
+
+// Credentials go where their security scheme says: a header, a query parameter,
+// a cookie or a field of the request body.
+
+type basicCredentials = {username: string, password: string}
+
+type credentialPlacement =
+  | Header(string, string)
+  | Query(string, string)
+  | Cookie(string, string)
+  | BodyField(string, string)
+
+@val external btoa: string => string = "btoa"
+
+let basicAuthorization = ({username, password}: basicCredentials): string =>
+  "Basic " ++ btoa(username ++ ":" ++ password)
+
+// Placements for the first security requirement whose schemes all have credentials
+// (each requirement holds the placements of its schemes, None where a credential is missing)
+let authenticate = (requirements: array<array<option<array<credentialPlacement>>>>): array<credentialPlacement> =>
+  requirements
+  ->Array.find(schemes => schemes->Array.every(Option.isSome))
+  ->Option.mapOr([], schemes => schemes->Array.flatMap(placements => placements->Option.getOr([])))
+
+let authorizeUrl = (url: string, placements: array<credentialPlacement>): string => {
+  let query = placements->Array.filterMap(placement =>
+    switch placement {
+    | Query(name, value) => Some(encodePair((name, value)))
+    | _ => None
+    }
+  )
+  Array.length(query) == 0 ? url : url ++ (url->String.includes("?") ? "&" : "?") ++ query->Array.join("&")
+}
+
+let authorizeHeaders = (headers: dict<string>, placements: array<credentialPlacement>): dict<string> => {
+  let result = headers->Dict.copy
+  placements->Array.forEach(placement =>
+    switch placement {
+    | Header(name, value) => result->Dict.set(name, value)
+    | Cookie(name, value) =>
+      let cookie = name ++ "=" ++ encode(value)
+      result->Dict.set("Cookie", result->Dict.get("Cookie")->Option.mapOr(cookie, cookies => cookies ++ "; " ++ cookie))
+    | Query(_) | BodyField(_) => ()
+    }
+  )
+  result
+}
+
+// Request and response bodies are polymorphic variants over standard types,
+// so bodies from different generated runtime modules are interchangeable.
+
+// Binary content: a Blob, File, ArrayBuffer or typed array
+type file = unknown
+
+type formValue = [#Text(string) | #File(file)]
+
+type requestBody = [
+  | #Json(JSON.t)
+  | #Text(string, string) // (content, media type)
+  | #UrlEncoded(array<(string, string)>)
+  | #Multipart(array<(string, formValue)>)
+  | #Binary(file, string) // (content, media type)
+]
+
+type responseBody = [#Json(JSON.t) | #Text(string) | #Binary(file)]
+
+// Request body as accepted by the Fetch API
+type fetchBody
+
+external toFetchBody: 'a => fetchBody = "%identity"
+
+type formData
+
+@new external makeFormData: unit => formData = "FormData"
+@send external appendText: (formData, string, string) => unit = "append"
+@send external appendFile: (formData, string, file) => unit = "append"
+
+let isFile: unknown => bool = %raw("value => (typeof Blob !== 'undefined' && value instanceof Blob) || value instanceof ArrayBuffer || ArrayBuffer.isView(value)")
+
+let toBlob: file => file = %raw("value => typeof Blob !== 'undefined' && value instanceof Blob ? value : new Blob([value])")
+
+// Form fields from a body converted to JSON (arrays repeat the field, objects are JSON-encoded)
+let formPairs = (json: JSON.t): array<(string, string)> =>
+  switch json {
+  | Object(entries) =>
+    entries
+    ->Dict.toArray
+    ->Array.flatMap(((name, value)) =>
+      switch value {
+      | Null => []
+      | Array(items) => items->Array.map(item => (name, toStringValue(item)))
+      | _ => [(name, toStringValue(value))]
+      }
+    )
+  | _ => []
+  }
+
+let rec formValues = (value: unknown): array<formValue> =>
+  if isFile(value) {
+    [#File(value)]
+  } else {
+    switch Type.Classify.classify(value) {
+    | Null | Undefined => []
+    | String(s) => [#Text(s)]
+    | Number(n) => [#Text(Float.toString(n))]
+    | Bool(b) => [#Text(b ? "true" : "false")]
+    | Object(_) if Array.isArray(value) => (Obj.magic(value): array<unknown>)->Array.flatMap(formValues)
+    | _ => [#Text(JSON.stringifyAny(value)->Option.getOr(""))]
+    }
+  }
+
+// Multipart fields from a body converted through its schema (files are kept as they are)
+let formFields = (value: unknown): array<(string, formValue)> =>
+  switch Type.Classify.classify(value) {
+  | Object(_) =>
+    (Obj.magic(value): dict<unknown>)
+    ->Dict.toArray
+    ->Array.flatMap(((name, field)) => formValues(field)->Array.map(v => (name, v)))
+  | _ => []
+  }
+
+// Encode a request body for the Fetch API, with its Content-Type
+// (none for multipart bodies, so that fetch adds the boundary)
+let encodeBody = (body: requestBody): (fetchBody, option<string>) =>
+  switch body {
+  | #Json(json) => (JSON.stringify(json)->toFetchBody, Some("application/json"))
+  | #Text(text, mediaType) => (text->toFetchBody, Some(mediaType))
+  | #UrlEncoded(pairs) =>
+    (pairs->Array.map(encodePair)->Array.join("&")->toFetchBody, Some("application/x-www-form-urlencoded"))
+  | #Multipart(fields) =>
+    let form = makeFormData()
+    fields->Array.forEach(((name, value)) =>
+      switch value {
+      | #Text(text) => form->appendText(name, text)
+      | #File(file) => form->appendFile(name, toBlob(file))
+      }
+    )
+    (form->toFetchBody, None)
+  | #Binary(file, mediaType) => (file->toFetchBody, Some(mediaType))
+  }
+
+// Fetch API response
+type fetchResponse
+type fetchHeaders
+
+@get external responseHeaders: fetchResponse => fetchHeaders = "headers"
+@send @return(nullable) external getHeader: (fetchHeaders, string) => option<string> = "get"
+@send external responseText: fetchResponse => promise<string> = "text"
+@send external responseBlob: fetchResponse => promise<file> = "blob"
+
+// Read a Fetch API response body according to its Content-Type
+let readResponse = async (response: fetchResponse): responseBody => {
+  let contentType = response->responseHeaders->getHeader("content-type")->Option.getOr("")
+  let essence = contentType->String.split(";")->Array.getUnsafe(0)->String.trim->String.toLowerCase
+  if essence->String.startsWith("text/") || essence->String.endsWith("xml") || essence == "application/x-www-form-urlencoded" {
+    #Text(await response->responseText)
+  } else if essence == "" || essence->String.endsWith("json") {
+    let text = await response->responseText
+    if text == "" {
+      #Json(JSON.Null)
+    } else {
+      try #Json(JSON.parseOrThrow(text)) catch {
+      | _ => #Text(text)
+      }
+    }
+  } else {
+    #Binary(await response->responseBlob)
+  }
+}
+
+// Add credential fields to a request body; without a body they are sent as a JSON object
+let authorizeBody = (body: option<requestBody>, placements: array<credentialPlacement>): option<requestBody> =>
+  placements->Array.reduce(body, (body, placement) =>
+    switch (placement, body) {
+    | (BodyField(name, value), None) => Some(#Json(JSON.Object(Dict.fromArray([(name, JSON.String(value))]))))
+    | (BodyField(name, value), Some(#Json(JSON.Object(fields)))) =>
+      let fields = fields->Dict.copy
+      fields->Dict.set(name, JSON.String(value))
+      Some(#Json(JSON.Object(fields)))
+    | (BodyField(name, value), Some(#UrlEncoded(pairs))) => Some(#UrlEncoded(Array.concat(pairs, [(name, value)])))
+    | (BodyField(name, value), Some(#Multipart(fields))) => Some(#Multipart(Array.concat(fields, [(name, #Text(value))])))
+    | _ => body
+    }
+  )
+
+// Response body accessors used by generated endpoints
+let jsonBody = (body: responseBody): JSON.t =>
+  switch body {
+  | #Json(json) => json
+  | #Text(text) => JSON.parseOrThrow(text)
+  | #Binary(_) => JsError.throwWithMessage("Expected a JSON response body, got binary content")
+  }
+
+let textBody = (body: responseBody): string =>
+  switch body {
+  | #Text(text) | #Json(String(text)) => text
+  | #Json(json) => JSON.stringify(json)
+  | #Binary(_) => JsError.throwWithMessage("Expected a text response body, got binary content")
+  }
+
+let binaryBody = (body: responseBody): file =>
+  switch body {
+  | #Binary(file) => file
+  | #Text(text) => Obj.magic(text)
+  | #Json(_) => JsError.throwWithMessage("Expected a binary response body, got JSON")
+  }
+
+// Objects keeping keys beyond their declared properties collect them in an
+// additionalProperties dict; declared properties are decoded field by field.
+
+let field = (fields: dict<JSON.t>, name: string, schema: S.t<'value>): 'value =>
+  fields->Dict.getUnsafe(name)->S.parseOrThrow(schema)
+
+let encodeField = (value: 'value, schema: S.t<'value>): JSON.t =>
+  value->S.reverseConvertOrThrow(schema)->Obj.magic
+
+let matchesAny = (key: string, patterns: array<RegExp.t>): bool =>
+  patterns->Array.some(pattern => pattern->RegExp.test(key))
+
+let unexpectedKey = key => "Unexpected key: " ++ key
+
+// Reject keys matching none of the key patterns (patternProperties with additionalProperties: false)
+let restrictKeys = (schema: S.t<dict<'value>>, ~patterns: array<RegExp.t>): S.t<dict<'value>> =>
+  schema->S.refine(s => fields =>
+    fields
+    ->Dict.keysToArray
+    ->Array.forEach(key =>
+      if !(key->matchesAny(patterns)) {
+        s.fail(unexpectedKey(key))
+      }
+    )
+  )
+
+// Object schema for records with an additionalProperties field. Extra keys are parsed with
+// the additional schema; when strict, extra keys must match one of the key patterns.
+let objectWithAdditionalProperties = (
+  additional: S.t<'value>,
+  ~known: array<string>,
+  ~patterns: array<RegExp.t>=[],
+  ~strict=false,
+  ~decode: (dict<JSON.t>, dict<'value>) => 'record,
+  ~encode: 'record => (array<(string, JSON.t)>, dict<'value>),
+): S.t<'record> =>
+  S.dict(S.json)->S.transform(s => {
+    parser: fields => {
+      let extra = Dict.make()
+      fields->Dict.forEachWithKey((value, key) =>
+        if !(known->Array.includes(key)) {
+          if strict && !(key->matchesAny(patterns)) {
+            s.fail(unexpectedKey(key))
+          }
+          extra->Dict.set(key, value->S.parseOrThrow(additional))
+        }
+      )
+      decode(fields, extra)
+    },
+    serializer: record => {
+      let (declared, extra) = encode(record)
+      let fields: dict<JSON.t> = extra->Dict.mapValues(value => value->encodeField(additional))
+      declared->Array.forEach(((key, value)) =>
+        if Type.typeof(value) != #undefined {
+          fields->Dict.set(key, value)
+        }
+      )
+      fields
+    },
+  })
+
+// Member of a discriminated union given by its own schema: only payloads whose tag property
+// holds the given value are parsed, and the tag is written back when serializing.
+let tagged = (schema: S.t<'value>, ~propertyName: string, ~tag: string): S.t<'value> =>
+  S.dict(S.json)->S.transform(s => {
+    parser: fields =>
+      switch fields->Dict.get(propertyName) {
+      | Some(String(value)) if value == tag => fields->S.parseOrThrow(schema)
+      | _ => s.fail("Expected " ++ propertyName ++ " to be " ++ tag)
+      },
+    serializer: value => {
+      let fields = switch value->encodeField(schema) {
+      | Object(encoded) => encoded->Dict.toArray->Array.filter(((_, v)) => Type.typeof(v) != #undefined)->Dict.fromArray
+      | _ => Dict.make()
+      }
+      fields->Dict.set(propertyName, JSON.String(tag))
+      fields
+    },
+  })
+
+// 64-bit integers (format: int64), sent as JSON numbers or as strings when a float can't hold them
+let int64: S.t<bigint> = S.json->S.transform(s => {
+  parser: json =>
+    switch json {
+    | Number(n) if Math.floor(n) == n => BigInt.fromFloatOrThrow(n)
+    | String(text) =>
+      switch BigInt.fromString(text) {
+      | Some(value) => value
+      | None => s.fail("Expected an integer, received " ++ text)
+      }
+    | _ => s.fail("Expected an integer")
+    },
+  serializer: value => {
+    let text = value->BigInt.toString
+    switch Float.fromString(text) {
+    | Some(n) if Float.toString(n) == text => JSON.Number(n)
+    | _ => JSON.String(text)
+    }
+  },
+})
+`
+
+// === Registry ===
+
+// Built-in templates by name; a "<name>.hbs" file in templateDir replaces the template
+let builtins = [
+  ("fileHeader", fileHeader),
+  ("docCommentSingle", docCommentSingle),
+  ("docCommentMulti", docCommentMulti),
+  ("docComment", docComment),
+  ("endpointFunction", endpointFunction),
+  ("moduleWrapped", moduleWrapped),
+  ("moduleUnwrapped", moduleUnwrapped),
+  ("endpointSecurity", endpointSecurity),
+  ("apiSecurity", apiSecurity),
+  ("serverConstructor", serverConstructor),
+  ("serversModule", serversModule),
+  ("indexModule", indexModule),
+  ("combinedModule", combinedModule),
+  ("clientType", clientType),
+  ("connectFunction", connectFunction),
+  ("authenticatedClientType", authenticatedClientType),
+  ("authenticatedConnectFunction", authenticatedConnectFunction),
+  ("wrapperFunction", wrapperFunction),
+  ("wrapperFile", wrapperFile),
+  ("methodSignature", methodSignature),
+  ("moduleDts", moduleDts),
+  ("componentSchemasDts", componentSchemasDts),
+  ("indexDts", indexDts),
+  ("clientDts", clientDts),
+  ("wrapperMjsMethod", wrapperMjsMethod),
+  ("wrapperMjsNamespace", wrapperMjsNamespace),
+  ("wrapperMjsClient", wrapperMjsClient),
+  ("wrapperMjs", wrapperMjs),
+  ("wrapperDtsFunction", wrapperDtsFunction),
+  ("wrapperDtsNamespace", wrapperDtsNamespace),
+  ("wrapperDts", wrapperDts),
+  ("validatorSchemasMjs", validatorSchemasMjs),
+  ("validatorSchemasDts", validatorSchemasDts),
+  ("conformanceTest", conformanceTest),
+  ("mockServer", mockServer),
+  ("mockServerDts", mockServerDts),
+  ("mergeReport", mergeReport),
+  ("htmlDiffReport", htmlDiffReport),
+  ("endpointModule", endpointModule),
+  ("overrideMarkdown", overrideMarkdown),
+  ("overrideReadme", overrideReadme),
+  ("componentSchemaModule", componentSchemaModule),
+  ("apiRuntime", apiRuntime),
+]
@@ -0,0 +1,182 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// TextDiff.res - Line-based unified diffs of generated files
+
+type edit =
+  | Equal(string)
+  | Delete(string)
+  | Insert(string)
+
+// Edit distance beyond which the changed region is shown as a full replacement
+let maxEditDistance = 1000
+
+// Split into lines that keep their "\n", so a missing final newline is a difference too
+let splitLines = (text: string): array<string> => {
+  let parts = text->String.split("\n")
+  let last = parts->Array.pop->Option.getOr("")
+  let lines = parts->Array.map(line => line ++ "\n")
+  last == "" ? lines : Array.concat(lines, [last])
+}
+
+// Shortest edit script between two line arrays (Myers' O(ND) algorithm)
+let myers = (a: array<string>, b: array<string>): option<array<edit>> => {
+  let n = Array.length(a)
+  let m = Array.length(b)
+  let limit = Math.Int.min(n + m, maxEditDistance)
+  // v.(k + offset) is the furthest x reached on diagonal k; trace keeps v (for k in -d..d) before each step d
+  let offset = limit + 1
+  let v = Array.make(~length=2 * limit + 3, 0)
+  let trace = []
+  let distance = ref(None)
+  let d = ref(0)
+
+  while distance.contents->Option.isNone && d.contents <= limit {
+    let step = d.contents
+    trace->Array.push(v->Array.slice(~start=offset - step - 1, ~end=offset + step + 2))
+    let k = ref(-step)
+    while distance.contents->Option.isNone && k.contents <= step {
+      let diagonal = k.contents
+      let down = diagonal == -step ||
+        (diagonal != step && v->Array.getUnsafe(offset + diagonal - 1) < v->Array.getUnsafe(offset + diagonal + 1))
+      let x = ref(down ? v->Array.getUnsafe(offset + diagonal + 1) : v->Array.getUnsafe(offset + diagonal - 1) + 1)
+      while x.contents < n && x.contents - diagonal < m && a->Array.getUnsafe(x.contents) == b->Array.getUnsafe(x.contents - diagonal) {
+        x := x.contents + 1
+      }
+      v->Array.setUnsafe(offset + diagonal, x.contents)
+      if x.contents >= n && x.contents - diagonal >= m {
+        distance := Some(step)
+      }
+      k := diagonal + 2
+    }
+    d := step + 1
+  }
+
+  distance.contents->Option.map(_ => {
+    let edits = []
+    let x = ref(n)
+    let y = ref(m)
+    for step in Array.length(trace) - 1 downto 0 {
+      let previous = trace->Array.getUnsafe(step)
+      // previous covers diagonals -step-1 .. step+1
+      let at = diagonal => previous->Array.getUnsafe(diagonal + step + 1)
+      let diagonal = x.contents - y.contents
+      let previousDiagonal = diagonal == -step || (diagonal != step && at(diagonal - 1) < at(diagonal + 1))
+        ? diagonal + 1
+        : diagonal - 1
+      let previousX = at(previousDiagonal)
+      let previousY = previousX - previousDiagonal
+      while x.contents > previousX && y.contents > previousY {
+        edits->Array.push(Equal(a->Array.getUnsafe(x.contents - 1)))
+        x := x.contents - 1
+        y := y.contents - 1
+      }
+      if step > 0 {
+        if x.contents == previousX {
+          edits->Array.push(Insert(b->Array.getUnsafe(y.contents - 1)))
+        } else {
+          edits->Array.push(Delete(a->Array.getUnsafe(x.contents - 1)))
+        }
+        x := previousX
+        y := previousY
+      }
+    }
+    edits->Array.toReversed
+  })
+}
+
+// Line edits from a to b; common leading and trailing lines are matched before diffing the rest
+let diffLines = (a: array<string>, b: array<string>): array<edit> => {
+  let n = Array.length(a)
+  let m = Array.length(b)
+  let prefix = ref(0)
+  while prefix.contents < n && prefix.contents < m && a->Array.getUnsafe(prefix.contents) == b->Array.getUnsafe(prefix.contents) {
+    prefix := prefix.contents + 1
+  }
+  let suffix = ref(0)
+  while suffix.contents < n - prefix.contents && suffix.contents < m - prefix.contents &&
+    a->Array.getUnsafe(n - suffix.contents - 1) == b->Array.getUnsafe(m - suffix.contents - 1) {
+    suffix := suffix.contents + 1
+  }
+
+  let middleA = a->Array.slice(~start=prefix.contents, ~end=n - suffix.contents)
+  let middleB = b->Array.slice(~start=prefix.contents, ~end=m - suffix.contents)
+  let middle = switch myers(middleA, middleB) {
+  | Some(edits) => edits
+  | None => Array.concat(middleA->Array.map(line => Delete(line)), middleB->Array.map(line => Insert(line)))
+  }
+
+  Array.concat(
+    Array.concat(a->Array.slice(~start=0, ~end=prefix.contents)->Array.map(line => Equal(line)), middle),
+    a->Array.slice(~start=n - suffix.contents, ~end=n)->Array.map(line => Equal(line)),
+  )
+}
+
+let formatLine = (marker, line) =>
+  String.endsWith(line, "\n")
+    ? marker ++ line->String.slice(~start=0, ~end=String.length(line) - 1)
+    : `${marker}${line}\n\\ No newline at end of file`
+
+let rangeHeader = (start, length) =>
+  // An empty range names the line before it
+  length == 1 ? Int.toString(start + 1) : `${Int.toString(length == 0 ? start : start + 1)},${Int.toString(length)}`
+
+// Unified diff from `before` to `after`; a missing path means the file does not exist on that side
+let unified = (~oldPath=?, ~newPath=?, ~before: string, ~after: string, ~context=3): string => {
+  let edits = diffLines(splitLines(before), splitLines(after))
+  let count = Array.length(edits)
+
+  // Positions in the old and new file before each edit
+  let oldPositions = []
+  let newPositions = []
+  let _ = edits->Array.reduce((0, 0), ((oldPos, newPos), edit) => {
+    oldPositions->Array.push(oldPos)
+    newPositions->Array.push(newPos)
+    switch edit {
+    | Equal(_) => (oldPos + 1, newPos + 1)
+    | Delete(_) => (oldPos + 1, newPos)
+    | Insert(_) => (oldPos, newPos + 1)
+    }
+  })
+
+  // Edit index ranges around changes, merged when their context overlaps
+  let ranges: array<(int, int)> = []
+  edits->Array.forEachWithIndex((edit, i) =>
+    switch edit {
+    | Equal(_) => ()
+    | Delete(_) | Insert(_) =>
+      let start = Math.Int.max(0, i - context)
+      let end_ = Math.Int.min(count - 1, i + context)
+      switch ranges->Array.pop {
+      | Some((previousStart, previousEnd)) if start <= previousEnd + 1 =>
+        ranges->Array.push((previousStart, Math.Int.max(previousEnd, end_)))
+      | Some(previous) =>
+        ranges->Array.push(previous)
+        ranges->Array.push((start, end_))
+      | None => ranges->Array.push((start, end_))
+      }
+    }
+  )
+
+  let hunks = ranges->Array.map(((start, end_)) => {
+    let hunkEdits = edits->Array.slice(~start, ~end=end_ + 1)
+    let oldLength = hunkEdits->Array.filter(edit => switch edit { | Insert(_) => false | _ => true })->Array.length
+    let newLength = hunkEdits->Array.filter(edit => switch edit { | Delete(_) => false | _ => true })->Array.length
+    let header = `@@ -${rangeHeader(oldPositions->Array.getUnsafe(start), oldLength)} +${rangeHeader(newPositions->Array.getUnsafe(start), newLength)} @@`
+    let lines = hunkEdits->Array.map(edit =>
+      switch edit {
+      | Equal(line) => formatLine(" ", line)
+      | Delete(line) => formatLine("-", line)
+      | Insert(line) => formatLine("+", line)
+      }
+    )
+    [header, ...lines]->Array.join("\n")
+  })
+
+  if Array.length(hunks) == 0 {
+    ""
+  } else {
+    let oldHeader = oldPath->Option.mapOr("--- /dev/null", path => `--- a/${path}`)
+    let newHeader = newPath->Option.mapOr("+++ /dev/null", path => `+++ b/${path}`)
+    [oldHeader, newHeader, ...hunks]->Array.join("\n") ++ "\n"
+  }
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// ApiRuntimeGenerator.res - Generate the runtime helper module used by endpoint functions
+
+// Runtime module name for a module prefix (e.g., "MisskeyIo" -> "MisskeyIoApiRuntime")
+let moduleName = (~modulePrefix="") => `${modulePrefix}ApiRuntime`
+
+let generateCode = () => {
+  let header = CodegenUtils.generateFileHeader(~description="Runtime helpers for generated endpoints")
+  Handlebars.render(Templates.apiRuntime, {"header": header->String.trimEnd})
+}
+
+let generate = (~outputDir, ~modulePrefix="") =>
+  Pipeline.fromFile({
+    path: FileSystem.makePath(outputDir, `${moduleName(~modulePrefix)}.res`),
+    content: generateCode(),
+  })
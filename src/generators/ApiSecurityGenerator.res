@@ -0,0 +1,163 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// ApiSecurityGenerator.res - Generate the credentials type and per-scheme helpers used by endpoint functions
+open Types
+
+// Security module name for a module prefix (e.g., "MisskeyIo" -> "MisskeyIoApiSecurity")
+let moduleName = (~modulePrefix="") => `${modulePrefix}ApiSecurity`
+
+// Credentials field and helper name for a scheme (e.g., "api_key" -> "apiKey")
+let schemeLabel = name => name->CodegenUtils.sanitizeIdentifier->CodegenUtils.toCamelCase->CodegenUtils.escapeKeyword
+
+// What a client supplies for a scheme
+type credentialKind =
+  | Token // API key, bearer or access token
+  | Basic // Username and password
+  | Connection // Mutual TLS: set up on the connection, nothing is sent
+
+let credentialKind = (scheme: securityScheme) =>
+  switch (scheme.type_, scheme.scheme->Option.map(String.toLowerCase)) {
+  | ("http", Some("basic")) => Basic
+  | ("mutualTLS", _) => Connection
+  | _ => Token
+  }
+
+// Scopes of all OAuth 2 flows, without repeats
+let oauthScopes = (scheme: securityScheme) =>
+  scheme.flows->Option.mapOr([], flows =>
+    [flows.implicit, flows.password, flows.clientCredentials, flows.authorizationCode]
+    ->Array.filterMap(flow => flow)
+    ->Array.flatMap(flow => flow.scopes->Dict.keysToArray)
+    ->Array.reduce([], (scopes, scope) => scopes->Array.includes(scope) ? scopes : Array.concat(scopes, [scope]))
+  )
+
+let locationText = (~in_, ~name) =>
+  switch in_ {
+  | "query" => `query parameter ${name}`
+  | "cookie" => `cookie ${name}`
+  | "body" => `body field ${name}`
+  | _ => `header ${name}`
+  }
+
+// Human-readable description of a scheme's credential
+let describe = (~location: option<credentialLocation>=?, scheme: securityScheme) => {
+  let credential = switch (scheme.type_, scheme.scheme->Option.map(String.toLowerCase)) {
+  | ("apiKey", _) => "API key"
+  | ("http", Some("basic")) => "HTTP basic credentials"
+  | ("http", Some("bearer")) =>
+    `HTTP bearer token${scheme.bearerFormat->Option.mapOr("", format => ` (${format})`)}`
+  | ("http", other) => `HTTP ${other->Option.getOr("authorization")} credentials`
+  | ("oauth2", _) =>
+    switch oauthScopes(scheme) {
+    | [] => "OAuth 2 access token"
+    | scopes => `OAuth 2 access token (scopes: ${scopes->Array.join(", ")})`
+    }
+  | ("openIdConnect", _) => "OpenID Connect access token"
+  | ("mutualTLS", _) => "Mutual TLS, set up on the connection"
+  | (other, _) => `${other} credentials`
+  }
+  let sentIn = switch (location, scheme.type_) {
+  | (Some({in_, name}), _) => `, sent in ${locationText(~in_, ~name)}`
+  | (None, "apiKey") => `, sent in ${locationText(~in_=scheme.in_->Option.getOr("header"), ~name=scheme.name->Option.getOr(""))}`
+  | _ => ""
+  }
+  credential ++ sentIn
+}
+
+// Placement of a credential value in a request
+let placement = (~runtimeModule, ~in_, ~name, value) => {
+  let constructor = switch in_ {
+  | "query" => "Query"
+  | "cookie" => "Cookie"
+  | "body" => "BodyField"
+  | _ => "Header"
+  }
+  `${runtimeModule}.${constructor}("${CodegenUtils.escapeString(name)}", ${value})`
+}
+
+// Placements of a token credential, following the configured location when there is one
+let tokenPlacement = (~runtimeModule, ~location: option<credentialLocation>, scheme: securityScheme) =>
+  switch (location, scheme.type_, scheme.scheme) {
+  | (Some({in_, name}), _, _) => placement(~runtimeModule, ~in_, ~name, "token")
+  | (None, "apiKey", _) =>
+    placement(~runtimeModule, ~in_=scheme.in_->Option.getOr("header"), ~name=scheme.name->Option.getOr("Authorization"), "token")
+  | (None, "http", Some(httpScheme)) if httpScheme->String.toLowerCase != "bearer" =>
+    placement(~runtimeModule, ~in_="header", ~name="Authorization", `"${CodegenUtils.escapeString(httpScheme)} " ++ token`)
+  | _ => placement(~runtimeModule, ~in_="header", ~name="Authorization", `"Bearer " ++ token`)
+  }
+
+let generateCode = (~schemes: dict<securityScheme>, ~modulePrefix="", ~credentialLocations=?) => {
+  let runtimeModule = ApiRuntimeGenerator.moduleName(~modulePrefix)
+  let entries = schemes->Dict.toArray
+  let locationOf = name => credentialLocations->Option.flatMap(locations => locations->Dict.get(name))
+  let docComment = ((name, scheme)) => `/** ${describe(~location=?locationOf(name), scheme)} */\n`
+
+  let fields = entries->Array.filterMap(((name, scheme) as entry) => {
+    let label = schemeLabel(name)
+    let alias = label != name ? `@as("${CodegenUtils.escapeString(name)}") ` : ""
+    switch credentialKind(scheme) {
+    | Token => Some(`  ${docComment(entry)}  ${alias}${label}?: string,`)
+    | Basic => Some(`  ${docComment(entry)}  ${alias}${label}?: ${runtimeModule}.basicCredentials,`)
+    | Connection => None
+    }
+  })
+  let credentialsType = Array.length(fields) == 0
+    ? "type credentials = unit"
+    : `type credentials = {\n${fields->Array.join("\n")}\n}`
+
+  let helpers = entries->Array.map(((name, scheme) as entry) => {
+    let label = schemeLabel(name)
+    let (credentialsBinding, placements) = switch credentialKind(scheme) {
+    | Token => (
+        "credentials",
+        `credentials.${label}->Option.map(token => [${tokenPlacement(~runtimeModule, ~location=locationOf(name), scheme)}])`,
+      )
+    | Basic => (
+        "credentials",
+        `credentials.${label}->Option.map(basic => [${placement(~runtimeModule, ~in_="header", ~name="Authorization", `${runtimeModule}.basicAuthorization(basic)`)}])`,
+      )
+    | Connection => ("_", "Some([])")
+    }
+    {
+      "docComment": docComment(entry),
+      "label": label,
+      "credentialsBinding": credentialsBinding,
+      "runtimeModule": runtimeModule,
+      "placements": placements,
+    }
+  })
+
+  let header = CodegenUtils.generateFileHeader(~description="Security schemes and credentials for generated endpoints")
+  Handlebars.render(
+    Templates.apiSecurity,
+    {"header": header->String.trimEnd, "credentialsType": credentialsType, "schemes": helpers},
+  )
+}
+
+// Nothing is generated for a spec without security schemes
+let generate = (~outputDir, ~modulePrefix="", ~schemes: option<dict<securityScheme>>, ~credentialLocations=?) =>
+  switch schemes {
+  | Some(schemes) if Dict.keysToArray(schemes)->Array.length > 0 =>
+    Pipeline.fromFile({
+      path: FileSystem.makePath(outputDir, `${moduleName(~modulePrefix)}.res`),
+      content: generateCode(~schemes, ~modulePrefix, ~credentialLocations?),
+    })
+  | _ => Pipeline.empty
+  }
+
+// Doc comment line naming the credentials an endpoint accepts; None when the spec says nothing about security
+let requirementsNote = (endpoint: endpoint) =>
+  endpoint.security->Option.map(requirements => {
+    let alternatives = OpenAPIParser.getSecurityRequirements(endpoint)->Array.map(requirement =>
+      requirement
+      ->Dict.toArray
+      ->Array.map(((name, scopes)) => Array.length(scopes) == 0 ? name : `${name} (${scopes->Array.join(", ")})`)
+      ->Array.join(" and ")
+    )
+    switch alternatives {
+    | [] => "Authentication: none"
+    | _ =>
+      let optional = Array.length(alternatives) < Array.length(requirements) ? " (optional)" : ""
+      `Authentication: ${alternatives->Array.join(" or ")}${optional}`
+    }
+  })
@@ -9,21 +9,39 @@ let rec extractReferencedSchemaNames = (irType: SchemaIR.irType) =>
     // After normalization, ref is just the schema name (no path prefix)
     [ref]
   | Array({items}) => extractReferencedSchemaNames(items)
-  | Object({properties}) => properties->Array.flatMap(((_name, fieldType, _)) => extractReferencedSchemaNames(fieldType))
+  | Object({properties, additionalProperties, patternProperties}) =>
+    properties
+    ->Array.map(((_name, fieldType, _)) => fieldType)
+    ->Array.concat(patternProperties->Array.map(((_pattern, valueType)) => valueType))
+    ->Array.concat(additionalProperties->Option.mapOr([], valueType => [valueType]))
+    ->Array.flatMap(extractReferencedSchemaNames)
   | Union(types)
   | Intersection(types) =>
     types->Array.flatMap(extractReferencedSchemaNames)
+  | TaggedUnion({cases}) => cases->Array.flatMap(((_tag, caseType)) => extractReferencedSchemaNames(caseType))
   | Option(inner) => extractReferencedSchemaNames(inner)
   | _ => []
   }
 
-let generate = (~spec, ~outputDir) => {
-  let (context, parseWarnings) =
-    spec.components
-    ->Option.flatMap(components => components.schemas)
-    ->Option.mapOr(({SchemaIR.schemas: Dict.make()}, []), schemas =>
-      SchemaIRParser.parseComponentSchemas(schemas)
+let generate = (~spec, ~outputDir, ~modulePrefix="", ~formatMappings=?, ~transformIR=?) => {
+  let rawSchemas = spec.components->Option.flatMap(components => components.schemas)
+  let parse = direction =>
+    rawSchemas->Option.mapOr(({SchemaIR.schemas: Dict.make()}, []), schemas =>
+      SchemaIRParser.parseComponentSchemas(~transformIR?, ~direction, schemas)
     )
+  let (context, parseWarnings) = parse(Response)
+
+  // Schemas with readOnly or writeOnly properties also get an `input` type for request bodies
+  let inputSchemaNames = rawSchemas->Option.mapOr([], SchemaIRParser.splitSchemaNames)
+  let inputContext = switch inputSchemaNames {
+  | [] => None
+  | _ =>
+    let (inputContext, _) = parse(Request)
+    Some(inputContext)
+  }
+  let inputOf = name => inputContext->Option.flatMap(({schemas}) =>
+    inputSchemaNames->Array.includes(name) ? Dict.get(schemas, name) : None
+  )
 
   if Dict.size(context.schemas) == 0 {
     Pipeline.empty
@@ -35,8 +53,9 @@ let generate = (~spec, ~outputDir) => {
     // Edge (A, B) means "A depends on B" so B must come before A
     let allNodes = schemas->Array.map(s => s.name)
     let edges = schemas->Array.flatMap(schema => {
+      let inputReferences = inputOf(schema.name)->Option.mapOr([], input => extractReferencedSchemaNames(input.type_))
       let references =
-        extractReferencedSchemaNames(schema.type_)->Array.filter(name =>
+        extractReferencedSchemaNames(schema.type_)->Array.concat(inputReferences)->Array.filter(name =>
           Dict.has(schemaNameMap, name) && name != schema.name
         )
       references->Array.map(dep => (schema.name, dep))
@@ -90,27 +109,24 @@ let generate = (~spec, ~outputDir) => {
     let availableSchemaNames = finalSortedSchemas->Array.map(s => s.name)
     let warnings = Array.copy(parseWarnings)
 
-    // Detect self-referencing schemas (schema references itself directly or indirectly through properties)
-    let selfRefSchemas = Dict.make()
-    finalSortedSchemas->Array.forEach(schema => {
-      let refs = extractReferencedSchemaNames(schema.type_)
-      if refs->Array.some(name => name == schema.name) {
-        Dict.set(selfRefSchemas, schema.name, true)
-      }
-    })
-
-    let moduleCodes = finalSortedSchemas->Array.map(schema => {
-      let isSelfRef = Dict.get(selfRefSchemas, schema.name)->Option.getOr(false)
+    // Type and schema of one variant of a schema: `t` and `schema`, or `input` and `inputSchema`
+    let generateVariant = (schema: SchemaIR.namedSchema, ~isInput, ~deprecated) => {
+      // Self-referencing schemas reference themselves directly or indirectly through properties
+      let isSelfRef = extractReferencedSchemaNames(schema.type_)->Array.includes(schema.name)
       let selfRefName = isSelfRef ? Some(schema.name) : None
+      let inputSchemas = isInput ? inputSchemaNames : []
+      let variantName = isInput ? `${schema.name}Input` : schema.name
       
       let typeCtx = GenerationContext.make(
-        ~path=`ComponentSchemas.${schema.name}`,
+        ~path=`ComponentSchemas.${variantName}`,
         ~insideComponentSchemas=true,
         ~availableSchemas=availableSchemaNames,
+        ~modulePrefix,
         ~selfRefName?,
+        ~formatMappings?,
+        ~inputSchemas,
         (),
       )
-
       let typeCode = IRToTypeGenerator.generateTypeWithContext(~ctx=typeCtx, ~depth=0, schema.type_)
 
       // Iteratively resolve nested extractions using typeCtx
@@ -137,10 +153,13 @@ let generate = (~spec, ~outputDir) => {
 
       // Generate schema with extracted type map for correct references
       let schemaCtx = GenerationContext.make(
-        ~path=`ComponentSchemas.${schema.name}`,
+        ~path=`ComponentSchemas.${variantName}`,
         ~insideComponentSchemas=true,
         ~availableSchemas=availableSchemaNames,
+        ~modulePrefix,
         ~selfRefName?,
+        ~formatMappings?,
+        ~inputSchemas,
         (),
       )
       let schemaCode = IRToSuryGenerator.generateSchemaWithContext(~ctx=schemaCtx, ~depth=0, ~extractedTypeMap?, schema.type_)
@@ -164,9 +183,12 @@ let generate = (~spec, ~outputDir) => {
           `type ${typeName} = ${auxType}`
         }
         let auxSchemaCtx = GenerationContext.make(
-          ~path=`ComponentSchemas.${schema.name}.${typeName}`,
+          ~path=`ComponentSchemas.${variantName}.${typeName}`,
           ~insideComponentSchemas=true,
           ~availableSchemas=availableSchemaNames,
+          ~modulePrefix,
+          ~formatMappings?,
+          ~inputSchemas,
           (),
         )
         // Exclude the current type from the map to avoid self-reference
@@ -176,30 +198,48 @@ let generate = (~spec, ~outputDir) => {
         `  ${auxTypeCode}\n  let ${typeName}Schema = ${auxSchema}`
       })
 
-      let docComment = schema.description->Option.mapOr("", d =>
-        CodegenUtils.generateDocString(~description=d, ())
-      )
-
       let extractedBlock = if Array.length(extractedTypeDefs) > 0 {
         extractedTypeDefs->Array.join("\n") ++ "\n"
       } else {
         ""
       }
 
-      // Use `type rec t` for self-referential types
-      let typeKeyword = isSelfRef ? "type rec t" : "type t"
+      let (typeName, schemaName) = isInput ? ("input", "inputSchema") : ("t", "schema")
+      // Use `type rec` for self-referential types
+      let typeKeyword = isSelfRef ? `type rec ${typeName}` : `type ${typeName}`
+      let typeKeyword = deprecated ? `${CodegenUtils.deprecatedAttribute}\n  ${typeKeyword}` : typeKeyword
       // Wrap schema in S.recursive for self-referential types
       let finalSchemaCode = isSelfRef
-        ? `S.recursive("${schema.name}", schema => ${schemaCode})`
+        ? `S.recursive("${variantName}", ${schemaName} => ${schemaCode})`
         : schemaCode
 
-      Handlebars.render(Templates.componentSchemaModule, {
-        "docComment": docComment,
-        "moduleName": CodegenUtils.toPascalCase(schema.name),
+      {
         "extractedBlock": extractedBlock,
         "typeKeyword": `  ${typeKeyword}`,
         "typeCode": typeCode,
         "schemaCode": finalSchemaCode,
+      }
+    }
+
+    let moduleCodes = finalSortedSchemas->Array.map(schema => {
+      let raw = rawSchemas->Option.flatMap(schemas => schemas->Dict.get(schema.name))
+      let docComment = CodegenUtils.generateDocString(
+        ~summary=?raw->Option.flatMap(raw => raw.title),
+        ~description=?schema.description,
+        ~examples=raw->Option.mapOr([], SchemaIRParser.examplesOf),
+        (),
+      )
+      let deprecated = raw->Option.flatMap(raw => raw.deprecated) == Some(true)
+      let main = generateVariant(schema, ~isInput=false, ~deprecated)
+
+      Handlebars.render(Templates.componentSchemaModule, {
+        "docComment": docComment,
+        "moduleName": CodegenUtils.toPascalCase(schema.name),
+        "extractedBlock": main["extractedBlock"],
+        "typeKeyword": main["typeKeyword"],
+        "typeCode": main["typeCode"],
+        "schemaCode": main["schemaCode"],
+        "input": inputOf(schema.name)->Option.map(input => generateVariant(input, ~isInput=true, ~deprecated)),
       })
     })
 
@@ -207,7 +247,7 @@ let generate = (~spec, ~outputDir) => {
     let fileContent = `${fileHeader}\n\n${moduleCodes->Array.join("\n\n")}`
 
     Pipeline.fromFilesAndWarnings(
-      [{path: FileSystem.makePath(outputDir, "ComponentSchemas.res"), content: fileContent}],
+      [{path: FileSystem.makePath(outputDir, `${modulePrefix}ComponentSchemas.res`), content: fileContent}],
       warnings,
     )
   }
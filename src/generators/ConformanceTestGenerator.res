@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// ConformanceTestGenerator.res - Generate node:test files that run the spec's examples through the generated Sury schemas
+open Types
+
+// Output subdirectory; node --test runs every module under a "test" directory
+let directoryName = "test"
+
+// An example with its location in the spec and the generated schema that has to accept it
+type example = {
+  name: string,
+  location: string,
+  schemaPath: string,
+  value: JSON.t,
+}
+
+let pointerTo = CompatibilityAnalyzer.pointerTo
+
+// Examples of a media type: its `example`, and the `value` of each of its `examples`
+let mediaExamples = (~pointer, media: mediaType): array<(string, JSON.t)> => {
+  let single = media.example->Option.mapOr([], example => [(pointerTo(pointer, "example"), example)])
+  let named =
+    media.examples
+    ->Option.mapOr([], Dict.toArray)
+    ->Array.filterMap(((name, example)) =>
+      switch example {
+      | JSON.Object(exampleObject) =>
+        // Examples given by reference or externalValue have no value to check
+        exampleObject->Dict.get("value")->Option.map(value => (pointerTo(pointerTo(pointerTo(pointer, "examples"), name), "value"), value))
+      | _ => None
+      }
+    )
+  Array.concat(single, named)
+}
+
+// Examples of a schema: OpenAPI's `example` and JSON Schema's `examples`
+let schemaExamples = (~pointer, schema: jsonSchema): array<(string, JSON.t)> => {
+  let single = schema.example->Option.mapOr([], example => [(pointerTo(pointer, "example"), example)])
+  let listed = switch schema.examples {
+  | Some(JSON.Array(examples)) =>
+    examples->Array.mapWithIndex((example, index) => (pointerTo(pointerTo(pointer, "examples"), Int.toString(index)), example))
+  | _ => []
+  }
+  Array.concat(single, listed)
+}
+
+// Examples of the JSON body selected for a request or response; other media types have no schema to parse JSON with
+let bodyExamples = (~mediaTypePreference=?, ~pointer, content: dict<mediaType>): array<(string, JSON.t)> =>
+  switch EndpointGenerator.selectBody(~mediaTypePreference?, content) {
+  | Some({mediaType, kind: Json}) =>
+    content
+    ->Dict.get(mediaType)
+    ->Option.mapOr([], media => mediaExamples(~pointer=pointerTo(pointerTo(pointer, "content"), mediaType), media))
+  | _ => []
+  }
+
+let endpointExamples = (~modulePath, ~responseVariants, ~mediaTypePreference=?, endpoint: endpoint): array<example> => {
+  let functionName = CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method)
+  let pointer = CompatibilityAnalyzer.endpointPointer(endpoint)
+  let examples = (~label, ~schemaName, found) =>
+    found->Array.map(((location, value)) => {
+      name: `${functionName} ${label}`,
+      location,
+      schemaPath: `${modulePath}.${schemaName}`,
+      value,
+    })
+
+  let request =
+    endpoint.requestBody->Option.mapOr([], body =>
+      bodyExamples(~mediaTypePreference?, ~pointer=pointerTo(pointer, "requestBody"), body.content)
+      ->examples(~label="request", ~schemaName=`${functionName}RequestSchema`)
+    )
+  let responseExamples = (response: response, code) =>
+    response.content->Option.mapOr([], content =>
+      bodyExamples(~mediaTypePreference?, ~pointer=pointerTo(pointerTo(pointer, "responses"), code), content)
+    )
+  // Without response variants only the first success response has a schema
+  let responses = responseVariants
+    ? OpenAPIParser.getResponseStatuses(endpoint)->Array.flatMap(({code, match_, response}) =>
+        responseExamples(response, code)->examples(
+          ~label=`${code} response`,
+          ~schemaName=`${EndpointGenerator.statusPayloadTypeName(~functionName, match_)}Schema`,
+        )
+      )
+    : ["200", "201", "202", "204"]
+      ->Array.find(code => endpoint.responses->Dict.get(code)->Option.isSome)
+      ->Option.mapOr([], code =>
+        responseExamples(endpoint.responses->Dict.getUnsafe(code), code)->examples(
+          ~label="response",
+          ~schemaName=`${functionName}ResponseSchema`,
+        )
+      )
+  Array.concat(request, responses)
+}
+
+let componentExamples = (~modulePrefix="", spec: openAPISpec): array<example> =>
+  spec.components
+  ->Option.flatMap(components => components.schemas)
+  ->Option.mapOr([], Dict.toArray)
+  ->Array.flatMap(((name, schema)) =>
+    schemaExamples(~pointer=CompatibilityAnalyzer.schemaPointer(name), schema)->Array.map(((location, value)) => {
+      name,
+      location,
+      schemaPath: `${modulePrefix}ComponentSchemas.${CodegenUtils.toPascalCase(name)}.schema`,
+      value,
+    })
+  )
+
+let render = (~description, examples: array<example>) =>
+  Handlebars.render(
+    Templates.conformanceTest,
+    {
+      "header": CodegenUtils.generateFileHeader(~description),
+      "cases": examples->Array.map(example => {
+        "name": CodegenUtils.escapeString(`${example.name} (${example.location})`),
+        "location": CodegenUtils.escapeString(example.location),
+        "schemaPath": example.schemaPath,
+        "example": CodegenUtils.escapeString(JSON.stringify(example.value)),
+      }),
+    },
+  )
+
+// One test file per tag module (or for the flat API module) and one for the component schemas; files without examples are left out.
+// With forks, modulePrefix names the instance's modules (e.g., "ExtendedPets") and flatModulePath its flat module
+let generate = (~spec: openAPISpec, ~endpoints, ~outputDir, ~modulePerTag, ~modulePrefix="", ~flatModulePath="API.API", ~responseVariants=false, ~mediaTypePreference=?) => {
+  let modules = modulePerTag
+    ? OpenAPIParser.groupByTag(endpoints)
+      ->Dict.toArray
+      ->Array.map(((tag, tagEndpoints)) => {
+        let moduleName = `${modulePrefix}${CodegenUtils.toPascalCase(tag)}`
+        (moduleName, moduleName, tagEndpoints)
+      })
+    : [(`${modulePrefix}API`, flatModulePath, endpoints)]
+  let endpointFiles = modules->Array.map(((moduleName, modulePath, moduleEndpoints)) => (
+    moduleName,
+    moduleEndpoints->Array.flatMap(endpoint => endpointExamples(~modulePath, ~responseVariants, ~mediaTypePreference?, endpoint)),
+  ))
+  Array.concat(endpointFiles, [(`${modulePrefix}ComponentSchemas`, componentExamples(~modulePrefix, spec))])
+  ->Array.filterMap(((moduleName, examples)) =>
+    Array.length(examples) == 0
+      ? None
+      : Some({
+          FileSystem.path: FileSystem.makePath(outputDir, `${directoryName}/${moduleName}ConformanceTest.res`),
+          content: render(~description=`Conformance tests for ${moduleName}: the spec's examples must parse with the generated schemas and serialize back`, examples),
+        })
+  )
+  ->Pipeline.fromFiles
+}
@@ -1,6 +1,6 @@
 // SPDX-License-Identifier: MPL-2.0
 
-// DiffReportGenerator.res - Generate Markdown reports for API diffs and merges
+// DiffReportGenerator.res - Generate reports for API diffs and merges
 open Types
 
 let formatEndpointName = (endpoint: endpoint) => {
@@ -49,7 +49,11 @@ let generateMarkdownReport = (~diff: specDiff, ~baseName, ~forkName) => {
       let methodPart = endpointDiff.method->String.toUpperCase
       let breakingText = endpointDiff.breakingChange ? " **⚠️ BREAKING**" : ""
       let changes =
-        [endpointDiff.requestBodyChanged ? "body" : "", endpointDiff.responseChanged ? "response" : ""]
+        [
+          endpointDiff.parametersChanged ? "parameters" : "",
+          endpointDiff.requestBodyChanged ? "body" : "",
+          endpointDiff.responseChanged ? "response" : "",
+        ]
         ->Array.filter(x => x != "")
         ->Array.join(", ")
       `- **${methodPart} ${endpointDiff.path}**${breakingText}: Changed ${changes}`
@@ -60,12 +64,34 @@ let generateMarkdownReport = (~diff: specDiff, ~baseName, ~forkName) => {
       let breakingText = schemaDiff.breakingChange ? " **⚠️ BREAKING**" : ""
       `- \`${schemaDiff.name}\`${breakingText}`
     }),
-    `\n---\n*Generated on ${Date.make()->Date.toISOString}*`,
+    generateSection("Breaking Changes", SpecDiffer.breakingChanges(diff), (change: apiChange) =>
+      `- \`${change.pointer}\` (${CompatibilityAnalyzer.directionName(change.direction)}): ${change.message}`
+    ),
+    // No timestamp, so regenerating from the same specs leaves the report unchanged
+    "\n---\n*Generated by @f3liz/rescript-autogen-openapi*",
   ]
 
   reportParts->Array.filter(part => part != "")->Array.join("\n")
 }
 
+// File name of a fork's diff report in the given format
+let reportFileName = (~forkName, format: reportFormat) =>
+  switch format {
+  | Markdown => `${forkName}-diff.md`
+  | Json => `${forkName}-diff.json`
+  | Sarif => `${forkName}-diff.sarif`
+  | Html => `${forkName}-diff.html`
+  }
+
+// Diff report in any format; merge stats are included by the JSON and HTML reports, the spec location by SARIF
+let generateReport = (~format: reportFormat, ~diff: specDiff, ~stats=?, ~baseName, ~forkName, ~specUri=?) =>
+  switch format {
+  | Markdown => generateMarkdownReport(~diff, ~baseName, ~forkName)
+  | Json => StructuredReportGenerator.generateJsonReport(~diff, ~stats?, ~baseName, ~forkName)
+  | Sarif => StructuredReportGenerator.generateSarifReport(~diff, ~forkName, ~specUri?)
+  | Html => HtmlReportGenerator.generateHtmlReport(~diff, ~stats?, ~baseName, ~forkName)
+  }
+
 let generateCompactSummary = (diff: specDiff) => {
   let totalChanges = SpecDiffer.countChanges(diff)
   let addedCount = diff.addedEndpoints->Array.length
@@ -84,10 +110,33 @@ let generateMergeReport = (~stats: SpecMerger.mergeStats, ~baseName, ~forkName)
       "sharedSchemas": stats.sharedSchemaCount->Int.toString,
       "extensionEndpoints": stats.forkExtensionCount->Int.toString,
       "extensionSchemas": stats.forkSchemaCount->Int.toString,
-      "timestamp": Date.make()->Date.toISOString,
     },
   )
 
+// Table of which endpoints and schemas each instance has, and the layer its copy is generated in
+let generateMatrixReport = (~matrix: SpecMerger.instanceMatrix, ~commonName) => {
+  let cell = (layer: option<SpecMerger.layer>) =>
+    switch layer {
+    | Some(Base) => "✓"
+    | Some(Common) => commonName
+    | Some(Own) => "own"
+    | None => "–"
+    }
+  let table = (~title, rows: array<SpecMerger.matrixRow>) => {
+    let header = `| ${title} | ${matrix.instances->Array.join(" | ")} |`
+    let separator = `|${Array.make(~length=Array.length(matrix.instances) + 1, "---")->Array.join("|")}|`
+    let lines = rows->Array.map(row => `| \`${row.name}\` | ${row.cells->Array.map(cell)->Array.join(" | ")} |`)
+    `## ${title}s (${rows->Array.length->Int.toString})\n\n${Array.concat([header, separator], lines)->Array.join("\n")}`
+  }
+
+  [
+    "# API Instance Matrix",
+    `✓ same as the base, ${commonName}: added or changed identically by every fork (generated once in \`${commonName}/\`), own: specific to the fork, –: absent`,
+    table(~title="Endpoint", matrix.endpoints),
+    table(~title="Schema", matrix.schemas),
+  ]->Array.join("\n\n") ++ "\n"
+}
+
 let generateEndpointsByTagReport = (endpoints: array<endpoint>) => {
   let endpointsByTag = Dict.make()
   let untaggedEndpoints = []
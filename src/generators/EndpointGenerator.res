@@ -3,100 +3,413 @@
 // EndpointGenerator.res - Generate API endpoint functions
 open Types
 
-let getJsonSchemaFromRequestBody = (requestBody: option<requestBody>) =>
-  requestBody->Option.flatMap(body =>
-    Dict.toArray(body.content)->Array.get(0)->Option.flatMap(((_contentType, mediaType)) => mediaType.schema)
+// A request or response body in the media type selected for it
+type body = {
+  mediaType: string,
+  kind: MediaType.kind,
+  schema: option<jsonSchema>,
+}
+
+let selectBody = (~mediaTypePreference=?, content: dict<mediaType>): option<body> =>
+  MediaType.select(~preference=?mediaTypePreference, content)->Option.map(((mediaType, {schema})) => {
+    mediaType,
+    kind: MediaType.classify(mediaType),
+    schema,
+  })
+
+let getRequestBody = (~mediaTypePreference=?, endpoint: endpoint) =>
+  endpoint.requestBody->Option.flatMap(requestBody => selectBody(~mediaTypePreference?, requestBody.content))
+
+// Form responses are read as text and multipart responses as binary content
+let getResponseBody = (~mediaTypePreference=?, response: response) =>
+  response.content
+  ->Option.flatMap(content => selectBody(~mediaTypePreference?, content))
+  ->Option.map(body =>
+    switch body.kind {
+    | UrlEncoded => {...body, kind: Text}
+    | Multipart => {...body, kind: Binary}
+    | _ => body
+    }
   )
 
-let generateTypeCodeAndSchemaCode = (~jsonSchema, ~typeName, ~schemaName, ~modulePrefix="") => {
-  let (ir, _) = SchemaIRParser.parseJsonSchema(jsonSchema)
+let generateNamedTypeAndSchema = (~typeName, ~schemaName, ~description=?, ~examples=?, ~modulePrefix="", ~formatMappings=?, ~inputSchemas=?, ir) => {
   let (typeCode, _, extractedTypes) = IRToTypeGenerator.generateNamedType(
-    ~namedSchema={name: typeName, description: jsonSchema.description, type_: ir},
+    ~namedSchema={name: typeName, description, type_: ir},
     ~modulePrefix,
+    ~formatMappings?,
+    ~inputSchemas?,
+    ~examples?,
   )
   let (schemaCode, _) = IRToSuryGenerator.generateNamedSchema(
-    ~namedSchema={name: schemaName, description: jsonSchema.description, type_: ir},
+    ~namedSchema={name: schemaName, description, type_: ir},
     ~modulePrefix,
+    ~formatMappings?,
     ~extractedTypes,
+    ~inputSchemas?,
   )
   (typeCode, schemaCode)
 }
 
-let generateEndpointFunction = (endpoint: endpoint, ~overrideDir=?, ~moduleName=?) => {
+let generateTypeCodeAndSchemaCode = (~jsonSchema, ~typeName, ~schemaName, ~modulePrefix="", ~formatMappings=?, ~direction=?, ~inputSchemas=?) => {
+  let (ir, _) = SchemaIRParser.parseJsonSchema(~direction?, jsonSchema)
+  generateNamedTypeAndSchema(
+    ~typeName,
+    ~schemaName,
+    ~description=?jsonSchema.description,
+    ~examples=SchemaIRParser.examplesOf(jsonSchema),
+    ~modulePrefix,
+    ~formatMappings?,
+    ~inputSchemas?,
+    ir,
+  )
+}
+
+// Type (and Sury schema, for structured bodies) of a request or response body.
+// Request bodies leave out readOnly properties and reference the `input` variant of split component schemas.
+let generateBodyDefinitions = (~typeName, ~modulePrefix="", ~formatMappings=?, ~direction: SchemaIR.direction, ~inputSchemas=?, {kind, schema}: body) =>
+  switch kind {
+  | Text => `type ${typeName} = string`
+  | Binary => `type ${typeName} = ${ApiRuntimeGenerator.moduleName(~modulePrefix)}.file`
+  | Json | UrlEncoded | Multipart =>
+    let inputSchemas = direction == Request ? inputSchemas : None
+    let (typeCode, schemaCode) = switch schema {
+    | Some(jsonSchema) =>
+      generateTypeCodeAndSchemaCode(~jsonSchema, ~typeName, ~schemaName=typeName, ~modulePrefix, ~formatMappings?, ~direction, ~inputSchemas?)
+    | None => generateNamedTypeAndSchema(~typeName, ~schemaName=typeName, ~modulePrefix, ~formatMappings?, SchemaIR.Unknown)
+    }
+    `${typeCode}\n\n${schemaCode}`
+  }
+
+// Expression building the runtime request body from a value of the request type
+let encodeBodyExpression = (~runtimeModule, ~schemaName, {mediaType, kind}: body, value) => {
+  let contentType = mediaType->String.includes("*") ? "application/octet-stream" : mediaType
+  switch kind {
+  | Json => `#Json(${value}->S.reverseConvertToJsonOrThrow(${schemaName}))`
+  | UrlEncoded => `#UrlEncoded(${value}->S.reverseConvertToJsonOrThrow(${schemaName})->${runtimeModule}.formPairs)`
+  | Multipart => `#Multipart(${value}->S.reverseConvertOrThrow(${schemaName})->${runtimeModule}.formFields)`
+  | Text => `#Text(${value}, "${CodegenUtils.escapeString(contentType)}")`
+  | Binary => `#Binary(${value}, "${CodegenUtils.escapeString(contentType)}")`
+  }
+}
+
+// Expression reading a value of the response type from the runtime response body
+let decodeBodyExpression = (~runtimeModule, ~schemaName, {kind}: body, value) =>
+  switch kind {
+  | Text => `${value}->${runtimeModule}.textBody`
+  | Binary => `${value}->${runtimeModule}.binaryBody`
+  | Json | UrlEncoded | Multipart => `${value}->${runtimeModule}.jsonBody->S.parseOrThrow(${schemaName})`
+  }
+
+// Generated code for one path, query, header or cookie parameter
+type parameterCode = {
+  param: parameter,
+  label: string,
+  required: bool,
+  typeCode: string,
+  schemaCode: string,
+  definitions: string, // Named type and schema, for types that can't be written inline
+}
+
+let generateParameterCode = (~functionName, ~modulePrefix="", ~formatMappings=?, param: parameter, label) => {
+  let required = param.in_ == "path" || param.required->Option.getOr(false)
+  let ir = param.schema->Option.mapOr(SchemaIR.Unknown, schema => {
+    let (ir, _) = SchemaIRParser.parseJsonSchema(schema)
+    ir
+  })
+  let ctx = GenerationContext.make(~path=`${functionName}.${label}`, ~modulePrefix, ~formatMappings?, ())
+  let typeCode = IRToTypeGenerator.generateTypeWithContext(~ctx, ~inline=true, ir)
+
+  switch (param.schema, Array.length(ctx.extractedTypes)) {
+  | (Some(jsonSchema), count) if count > 0 =>
+    let typeName = `${functionName}${CodegenUtils.toPascalCase(label)}Param`
+    let (typeDefs, schemaDefs) = generateTypeCodeAndSchemaCode(~jsonSchema, ~typeName, ~schemaName=typeName, ~modulePrefix, ~formatMappings?)
+    {param, label, required, typeCode: typeName, schemaCode: `${typeName}Schema`, definitions: `${typeDefs}\n\n${schemaDefs}`}
+  | _ =>
+    let (schemaCode, _) = IRToSuryGenerator.generateSchema(~modulePrefix, ~formatMappings?, ir)
+    {param, label, required, typeCode, schemaCode, definitions: ""}
+  }
+}
+
+let generateParameterCodes = (~functionName, ~modulePrefix="", ~formatMappings=?, endpoint: endpoint) => {
+  let params = OpenAPIParser.getRequestParameters(endpoint)
+  let labels = CodegenUtils.parameterLabels(params)
+  params->Array.mapWithIndex((param, i) =>
+    generateParameterCode(~functionName, ~modulePrefix, ~formatMappings?, param, labels->Array.getUnsafe(i))
+  )
+}
+
+let parameterArgument = ({label, required, typeCode}: parameterCode) =>
+  required ? `~${label}: ${typeCode}` : `~${label}: option<${typeCode}>=?`
+
+// Convert a parameter value to JSON through its schema (validating it on the way)
+let parameterJsonValue = ({label, required, schemaCode}: parameterCode) =>
+  required
+    ? `Some(${label}->S.reverseConvertToJsonOrThrow(${schemaCode}))`
+    : `${label}->Option.map(v => v->S.reverseConvertToJsonOrThrow(${schemaCode}))`
+
+// Optional ~style/~explode arguments for the runtime serializers, only when the spec sets them
+let explodeArgument = (param: parameter) =>
+  param.explode->Option.mapOr("", explode => `, ~explode=${explode ? "true" : "false"}`)
+
+let styleArguments = (param: parameter) =>
+  param.style->Option.mapOr("", style => `, ~style="${CodegenUtils.escapeString(style)}"`) ++ explodeArgument(param)
+
+let generateUrlExpression = (~path, ~runtimeModule, parameterCodes: array<parameterCode>) => {
+  let pathParams = parameterCodes->Array.filter(({param}) => param.in_ == "path")
+  let queryParams = parameterCodes->Array.filter(({param}) => param.in_ == "query")
+
+  let pathExpr = if Array.length(pathParams) == 0 {
+    `"${CodegenUtils.escapeString(path)}"`
+  } else {
+    let template = path->String.replaceAll("\\", "\\\\")->String.replaceAll("`", "\\`")->String.replaceAll("$", "\\$")
+    let interpolated = pathParams->Array.reduce(template, (acc, {param, label, schemaCode}) => {
+      let value = `${label}->S.reverseConvertToJsonOrThrow(${schemaCode})->${runtimeModule}.pathParam(~name="${CodegenUtils.escapeString(param.name)}"${styleArguments(param)})`
+      acc->String.replaceAll(`{${param.name}}`, "${" ++ value ++ "}")
+    })
+    "`" ++ interpolated ++ "`"
+  }
+
+  if Array.length(queryParams) == 0 {
+    pathExpr
+  } else {
+    let queryLines =
+      queryParams
+      ->Array.map(({param} as code) =>
+        `        ${parameterJsonValue(code)}->${runtimeModule}.queryParam(~name="${CodegenUtils.escapeString(param.name)}"${styleArguments(param)}),`
+      )
+      ->Array.join("\n")
+    `${runtimeModule}.makeUrl(\n      ${pathExpr},\n      [\n${queryLines}\n      ]->Array.flat,\n    )`
+  }
+}
+
+let generateHeadersExpression = (~runtimeModule, parameterCodes: array<parameterCode>) => {
+  let headerParams = parameterCodes->Array.filter(({param}) => param.in_ == "header")
+  let cookieParams = parameterCodes->Array.filter(({param}) => param.in_ == "cookie")
+
+  if Array.length(headerParams) == 0 && Array.length(cookieParams) == 0 {
+    "Dict.make()"
+  } else {
+    let lines = (params, serializer) =>
+      params
+      ->Array.map(({param} as code) =>
+        `        ${parameterJsonValue(code)}->${runtimeModule}.${serializer}(~name="${CodegenUtils.escapeString(param.name)}"${explodeArgument(param)}),`
+      )
+      ->Array.join("\n")
+    let list = (params, serializer) =>
+      Array.length(params) == 0 ? "[]" : `[\n${lines(params, serializer)}\n      ]->Array.flat`
+    `${runtimeModule}.makeHeaders(\n      ${list(headerParams, "headerParam")},\n      ${list(cookieParams, "cookieParam")},\n    )`
+  }
+}
+
+// Payload type name for a declared response status (e.g., "getPetResponse404")
+let statusPayloadTypeName = (~functionName, match_) =>
+  `${functionName}Response${CodegenUtils.statusSuffix(match_)}`
+
+// Polymorphic variant case for a declared response status
+let statusVariantCase = (~functionName, ~mediaTypePreference=?, {match_, response}: OpenAPIParser.responseStatus) => {
+  let payload = [
+    CodegenUtils.carriesStatusCode(match_) ? Some("int") : None,
+    getResponseBody(~mediaTypePreference?, response)->Option.map(_ => statusPayloadTypeName(~functionName, match_)),
+  ]->Array.filterMap(x => x)
+  let constructor = CodegenUtils.statusConstructorName(match_)
+  Array.length(payload) == 0 ? `#${constructor}` : `#${constructor}(${payload->Array.join(", ")})`
+}
+
+// Types for response variants: one payload type per declared status, the success and error
+// variants, and the endpoint response as a result of the two
+let generateResponseVariantTypes = (~functionName, ~modulePrefix="", ~mediaTypePreference=?, ~formatMappings=?, endpoint: endpoint) => {
+  let statuses = OpenAPIParser.getResponseStatuses(endpoint)
+  let payloadDefinitions = statuses->Array.filterMap(({match_, response}) =>
+    getResponseBody(~mediaTypePreference?, response)->Option.map(body =>
+      generateBodyDefinitions(~typeName=statusPayloadTypeName(~functionName, match_), ~modulePrefix, ~formatMappings?, ~direction=Response, body)
+    )
+  )
+  let (successStatuses, errorStatuses) = (
+    statuses->Array.filter(({match_}) => OpenAPIParser.isSuccessStatus(match_)),
+    statuses->Array.filter(({match_}) => !OpenAPIParser.isSuccessStatus(match_)),
+  )
+  let hasDefault = statuses->Array.some(({match_}) => match_ == Default)
+  let variantType = (name, cases) =>
+    Array.length(cases) == 0
+      ? `type ${name} = unit`
+      : `type ${name} = [\n${cases->Array.map(c => `  | ${c}`)->Array.join("\n")}\n]`
+
+  [
+    ...payloadDefinitions,
+    variantType(`${functionName}Success`, successStatuses->Array.map(status => statusVariantCase(~functionName, ~mediaTypePreference?, status))),
+    variantType(
+      `${functionName}Error`,
+      errorStatuses
+      ->Array.map(status => statusVariantCase(~functionName, ~mediaTypePreference?, status))
+      ->Array.concat(
+        hasDefault ? [] : [`#UnexpectedStatus(int, ${ApiRuntimeGenerator.moduleName(~modulePrefix)}.responseBody)`],
+      ),
+    ),
+    `type ${functionName}Response = result<${functionName}Success, ${functionName}Error>`,
+  ]->Array.join("\n\n")
+}
+
+// Switch on the status code, parsing the body with the schema declared for that status
+let generateResponseVariantHandling = (~functionName, ~runtimeModule, ~mediaTypePreference=?, endpoint: endpoint) => {
+  let statuses = OpenAPIParser.getResponseStatuses(endpoint)
+  let arms = statuses->Array.map(({match_, response}) => {
+    let pattern = switch match_ {
+    | Exact(n) => Int.toString(n)
+    | Range(digit) => `status if status >= ${Int.toString(digit * 100)} && status < ${Int.toString((digit + 1) * 100)}`
+    | Default => "status"
+    }
+    let payload = [
+      CodegenUtils.carriesStatusCode(match_) ? Some("status") : None,
+      getResponseBody(~mediaTypePreference?, response)->Option.map(body =>
+        decodeBodyExpression(
+          ~runtimeModule,
+          ~schemaName=`${statusPayloadTypeName(~functionName, match_)}Schema`,
+          body,
+          "response",
+        )
+      ),
+    ]->Array.filterMap(x => x)
+    let constructor = CodegenUtils.statusConstructorName(match_)
+    let value = Array.length(payload) == 0 ? `#${constructor}` : `#${constructor}(${payload->Array.join(", ")})`
+    let wrapper = OpenAPIParser.isSuccessStatus(match_) ? "Ok" : "Error"
+    `  | ${pattern} => ${wrapper}(${value})`
+  })
+  let fallback = statuses->Array.some(({match_}) => match_ == Default)
+    ? []
+    : ["  | status => Error(#UnexpectedStatus(status, response))"]
+  `  switch status {\n${Array.concat(arms, fallback)->Array.join("\n")}\n  }`
+}
+
+let generateEndpointFunction = (
+  endpoint: endpoint,
+  ~overrideDir=?,
+  ~moduleName=?,
+  ~modulePrefix="",
+  ~parameterCodes=?,
+  ~responseVariants=false,
+  ~mediaTypePreference=?,
+  ~formatMappings=?,
+) => {
   let functionName = CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method)
+  let parameterCodes = parameterCodes->Option.getOr(generateParameterCodes(~functionName, ~modulePrefix, ~formatMappings?, endpoint))
+  let runtimeModule = ApiRuntimeGenerator.moduleName(~modulePrefix)
   let requestTypeName = `${functionName}Request`
-  let hasRequestBody = endpoint.requestBody->Option.isSome
-  let requestBody = endpoint.requestBody->Option.getOr({
-    content: Dict.make(),
-    description: None,
-    required: Some(false),
-  })
-  let isRequestBodyRequired = requestBody.required->Option.getOr(false)
+  let requestBody = getRequestBody(~mediaTypePreference?, endpoint)
+  let hasRequestBody = requestBody->Option.isSome
+  let isRequestBodyRequired = endpoint.requestBody->Option.flatMap(body => body.required)->Option.getOr(false)
   
   let bodyParam = hasRequestBody
     ? (isRequestBodyRequired ? `~body: ${requestTypeName}` : `~body: option<${requestTypeName}>=?`)
     : ""
-  
-  // Clean up function signature: handle comma between body and fetch params
-  let paramSep = hasRequestBody ? ", " : ""
-  
-  let bodyValueConversion = hasRequestBody
-    ? (
-        isRequestBodyRequired
-          ? `  let jsonBody = body->S.reverseConvertToJsonOrThrow(${functionName}RequestSchema)`
-          : `  let jsonBody = body->Option.map(b => b->S.reverseConvertToJsonOrThrow(${functionName}RequestSchema))`
+
+  // Endpoints with security requirements take optional credentials and apply the first requirement they satisfy
+  let securityModule = ApiSecurityGenerator.moduleName(~modulePrefix)
+  let requirements = OpenAPIParser.getSecurityRequirements(endpoint)
+  let authenticated = Array.length(requirements) > 0
+  let credentialsParam = `~credentials: option<${securityModule}.credentials>=?`
+  let securityCode = authenticated
+    ? Handlebars.render(
+        Templates.endpointSecurity,
+        {
+          "runtimeModule": runtimeModule,
+          "requirements": requirements->Array.map(requirement =>
+            requirement
+            ->Dict.keysToArray
+            ->Array.map(name => `${securityModule}.${ApiSecurityGenerator.schemeLabel(name)}(credentials)`)
+            ->Array.join(", ")
+          ),
+        },
       )
     : ""
+  let authorize = (expression, name) =>
+    authenticated ? `${runtimeModule}.${name}(${expression}, credentialPlacements)` : expression
+
+  // Endpoints served from their own servers take the server URL, defaulting to the first of them
+  let serverParam = ServersGenerator.serverParameter(~modulePrefix, endpoint)->Option.map(default =>
+    default->Option.mapOr("~server: string", default => `~server: string=${default}`)
+  )
+  let withServer = urlExpr => serverParam->Option.mapOr(urlExpr, _ => `${runtimeModule}.joinUrl(server, ${urlExpr})`)
+  
+  // Parameters come first, then the body, the server, credentials, and fetch
+  let leadingParams =
+    parameterCodes
+    ->Array.map(parameterArgument)
+    ->Array.concat(hasRequestBody ? [bodyParam] : [])
+    ->Array.concat(serverParam->Option.mapOr([], param => [param]))
+    ->Array.concat(authenticated ? [credentialsParam] : [])
+    ->Array.map(arg => arg ++ ", ")
+    ->Array.join("")
+  
+  let bodyValueConversion = requestBody->Option.mapOr("", body => {
+    let encode = value => encodeBodyExpression(~runtimeModule, ~schemaName=`${requestTypeName}Schema`, body, value)
+    isRequestBodyRequired
+      ? `  let requestBody = Some(${encode("body")})`
+      : `  let requestBody = body->Option.map(b => ${encode("b")})`
+  })
+  let bodyValueConversion = [bodyValueConversion, securityCode]->Array.filter(code => code != "")->Array.join("\n")
   
   let successResponse = ["200", "201", "202", "204"]
     ->Array.filterMap(code => Dict.get(endpoint.responses, code))
     ->Array.get(0)
     
-  let responseHandling = successResponse->Option.mapOr("  response", response =>
-    response.content->Option.mapOr("  let _ = response", content =>
-      Dict.toArray(content)->Array.length > 0
-        ? `  response->S.parseOrThrow(${functionName}ResponseSchema)`
-        : "  response"
-    )
-  )
+  let responseHandling = responseVariants
+    ? generateResponseVariantHandling(~functionName, ~runtimeModule, ~mediaTypePreference?, endpoint)
+    : successResponse
+      ->Option.flatMap(response => getResponseBody(~mediaTypePreference?, response))
+      ->Option.mapOr("  let _ = response", body =>
+        "  " ++ decodeBodyExpression(~runtimeModule, ~schemaName=`${functionName}ResponseSchema`, body, "response")
+      )
 
-  let description = switch (overrideDir, moduleName) {
+  // Stale overrides still apply; generation reports them (DocOverride.warnings)
+  let docs = switch (overrideDir, moduleName) {
   | (Some(dir), Some(mName)) =>
-    DocOverride.readOverrideWithValidation(
-      dir,
-      mName,
-      functionName,
-      DocOverride.generateEndpointHash(endpoint),
-    )->(
-      overrideResult =>
-        switch overrideResult {
-        | DocOverride.ValidOverride(v)
-        | DocOverride.InvalidHash({override: v}) =>
-          Some(v)
-        | _ => endpoint.description
-        }
-    )
-  | _ => endpoint.description
+    switch DocOverride.readOverrideWithValidation(dir, mName, functionName, DocOverride.generateEndpointHash(endpoint)) {
+    | DocOverride.ValidOverride(docs)
+    | DocOverride.InvalidHash({docs}) => docs
+    | NoOverride | FileError(_) => DocOverride.emptyDocs()
+    }
+  | _ => DocOverride.emptyDocs()
   }
+  let summary = docs.summary->Option.orElse(endpoint.summary)
+  let description = docs.description->Option.orElse(endpoint.description)
   
+  let notes = [
+    DocOverride.listNote("Parameters", docs.parameters),
+    DocOverride.listNote("Body fields", docs.fields),
+    ServersGenerator.serversNote(endpoint),
+    ApiSecurityGenerator.requirementsNote(endpoint),
+  ]->Array.filterMap(note => note)
+  let description = switch (description, notes) {
+  | (text, []) => text
+  | (Some(text), notes) => Some(Array.concat([text], notes)->Array.join("\n\n"))
+  | (None, notes) => Some(notes->Array.join("\n\n"))
+  }
+
   let docComment = CodegenUtils.generateDocString(
-    ~summary=?endpoint.summary,
+    ~summary=?summary,
     ~description=?description,
+    ~examples=docs.examples,
     (),
   )
+  let docComment = switch (docs.deprecation, endpoint.deprecated) {
+  | (Some(note), _) => `${docComment}${CodegenUtils.deprecatedAttributeWithNote(note)}\n`
+  | (None, Some(true)) => `${docComment}${CodegenUtils.deprecatedAttribute}\n`
+  | (None, _) => docComment
+  }
   
   let code = Handlebars.render(
     Templates.endpointFunction,
     {
       "docComment": docComment,
       "functionName": functionName,
-      "bodyParam": bodyParam,
-      "paramSep": paramSep,
-      "fetchTypeSignature": CodegenUtils.fetchTypeSignature,
+      "leadingParams": leadingParams,
+      "fetchTypeSignature": CodegenUtils.fetchTypeSignature(~runtimeModule, ~responseVariants),
       "bodyValueConversion": bodyValueConversion,
-      "path": endpoint.path,
+      "responseBinding": responseVariants ? "(status, response)" : "response",
+      "urlExpr": generateUrlExpression(~path=endpoint.path, ~runtimeModule, parameterCodes)->withServer->authorize("authorizeUrl"),
       "methodUpper": endpoint.method->String.toUpperCase,
-      "bodyArg": hasRequestBody ? "Some(jsonBody)" : "None",
+      "bodyArg": (hasRequestBody ? "requestBody" : "None")->authorize("authorizeBody"),
+      "headersExpr": generateHeadersExpression(~runtimeModule, parameterCodes)->authorize("authorizeHeaders"),
       "responseHandling": responseHandling,
     },
   )
@@ -104,40 +417,53 @@ let generateEndpointFunction = (endpoint: endpoint, ~overrideDir=?, ~moduleName=
   code
 }
 
-let generateEndpointCode = (endpoint, ~overrideDir=?, ~moduleName=?, ~modulePrefix="") => {
+let generateEndpointCode = (
+  endpoint,
+  ~overrideDir=?,
+  ~moduleName=?,
+  ~modulePrefix="",
+  ~responseVariants=false,
+  ~mediaTypePreference=?,
+  ~formatMappings=?,
+  ~inputSchemas=?,
+) => {
   let functionName = CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method)
   
-  let requestJsonSchema = getJsonSchemaFromRequestBody(endpoint.requestBody)
+  let requestBody = getRequestBody(~mediaTypePreference?, endpoint)
   
-  let responseJsonSchema = ["200", "201", "202", "204"]
+  let responseBody = ["200", "201", "202", "204"]
     ->Array.filterMap(code => Dict.get(endpoint.responses, code))
     ->Array.get(0)
-    ->Option.flatMap(resp => resp.content)
-    ->Option.flatMap(content =>
-      Dict.toArray(content)->Array.get(0)->Option.flatMap(((_contentType, mediaType)) => mediaType.schema)
-    )
+    ->Option.flatMap(response => getResponseBody(~mediaTypePreference?, response))
   
-  let requestPart = requestJsonSchema->Option.mapOr("", schema => {
-    let (typeCode, schemaCode) = generateTypeCodeAndSchemaCode(
-      ~jsonSchema=schema,
-      ~typeName=`${functionName}Request`,
-      ~schemaName=`${functionName}Request`,
-      ~modulePrefix,
-    )
-    `${typeCode}\n\n${schemaCode}`
-  })
+  let requestPart = requestBody->Option.mapOr("", body =>
+    generateBodyDefinitions(~typeName=`${functionName}Request`, ~modulePrefix, ~formatMappings?, ~direction=Request, ~inputSchemas?, body)
+  )
   
-  let responsePart = responseJsonSchema->Option.mapOr(`type ${functionName}Response = unit`, schema => {
-    let (typeCode, schemaCode) = generateTypeCodeAndSchemaCode(
-      ~jsonSchema=schema,
-      ~typeName=`${functionName}Response`,
-      ~schemaName=`${functionName}Response`,
-      ~modulePrefix,
-    )
-    `${typeCode}\n\n${schemaCode}`
-  })
+  let responsePart = responseVariants
+    ? generateResponseVariantTypes(~functionName, ~modulePrefix, ~mediaTypePreference?, ~formatMappings?, endpoint)
+    : responseBody->Option.mapOr(`type ${functionName}Response = unit`, body =>
+        generateBodyDefinitions(~typeName=`${functionName}Response`, ~modulePrefix, ~formatMappings?, ~direction=Response, body)
+      )
   
-  [requestPart, responsePart, generateEndpointFunction(endpoint, ~overrideDir?, ~moduleName?)]
+  let parameterCodes = generateParameterCodes(~functionName, ~modulePrefix, ~formatMappings?, endpoint)
+  let parameterDefinitions = parameterCodes->Array.map(({definitions}) => definitions)
+
+  [
+    ...parameterDefinitions,
+    requestPart,
+    responsePart,
+    generateEndpointFunction(
+      endpoint,
+      ~overrideDir?,
+      ~moduleName?,
+      ~modulePrefix,
+      ~parameterCodes,
+      ~responseVariants,
+      ~mediaTypePreference?,
+      ~formatMappings?,
+    ),
+  ]
   ->Array.filter(s => s != "")
   ->Array.join("\n\n")
 }
@@ -175,6 +501,10 @@ let generateEndpointsModule = (~moduleName, ~endpoints, ~description=?, ~overrid
 let generateEndpointSignature = (endpoint) => {
   let functionName = CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method)
   let summaryPrefix = endpoint.summary->Option.mapOr("", s => `// ${s}\n`)
+  let params =
+    generateParameterCodes(~functionName, endpoint)
+    ->Array.map(code => parameterArgument(code) ++ ", ")
+    ->Array.join("")
   let bodyParam = endpoint.requestBody->Option.isSome ? "~body: 'body, " : ""
-  `${summaryPrefix}let ${functionName}: (${bodyParam}~fetch: fetchFn) => promise<${functionName}Response>`
+  `${summaryPrefix}let ${functionName}: (${params}${bodyParam}~fetch: fetchFn) => promise<${functionName}Response>`
 }
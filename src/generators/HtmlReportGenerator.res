@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// HtmlReportGenerator.res - Self-contained HTML diff reports with collapsible per-tag sections
+open Types
+
+let escapeHtml = text =>
+  text
+  ->String.replaceAll("&", "&amp;")
+  ->String.replaceAll("<", "&lt;")
+  ->String.replaceAll(">", "&gt;")
+  ->String.replaceAll("\"", "&quot;")
+  ->String.replaceAll("'", "&#39;")
+
+let untaggedLabel = "Untagged"
+
+// A change listed under its endpoint or schema, located relative to it
+let changeView = (~prefix, change: apiChange) => {
+  let location = change.pointer->String.startsWith(prefix) ? change.pointer->String.slice(~start=String.length(prefix)) : change.pointer
+  {
+    "location": escapeHtml(location == "" ? "/" : location),
+    "direction": CompatibilityAnalyzer.directionName(change.direction),
+    "breaking": change.breaking,
+    "message": escapeHtml(change.message),
+  }
+}
+
+let endpointView = (~status, ~method, ~path, ~breaking, ~changes) => {
+  "status": status,
+  "method": escapeHtml(method->String.toUpperCase),
+  "path": escapeHtml(path),
+  "breaking": breaking,
+  "changes": changes,
+}
+
+let generateHtmlReport = (~diff: specDiff, ~stats: option<SpecMerger.mergeStats>=?, ~baseName, ~forkName) => {
+  // Endpoints grouped by tag; an endpoint with several tags is listed under each
+  let byTag = Dict.make()
+  let addToTags = (tags, view) =>
+    switch tags {
+    | None | Some([]) => [untaggedLabel]
+    | Some(tags) => tags
+    }->Array.forEach(tag => {
+      let views = byTag->Dict.get(tag)->Option.getOr([])
+      views->Array.push(view)
+      byTag->Dict.set(tag, views)
+    })
+
+  diff.addedEndpoints->Array.forEach((endpoint: endpoint) =>
+    addToTags(endpoint.tags, endpointView(~status="added", ~method=endpoint.method, ~path=endpoint.path, ~breaking=false, ~changes=[]))
+  )
+  diff.removedEndpoints->Array.forEach((endpoint: endpoint) =>
+    addToTags(endpoint.tags, endpointView(~status="removed", ~method=endpoint.method, ~path=endpoint.path, ~breaking=true, ~changes=[]))
+  )
+  diff.modifiedEndpoints->Array.forEach((endpointDiff: endpointDiff) => {
+    let prefix = `/paths/${CompatibilityAnalyzer.escapeSegment(endpointDiff.path)}/${endpointDiff.method}`
+    addToTags(
+      endpointDiff.tags,
+      endpointView(
+        ~status="modified",
+        ~method=endpointDiff.method,
+        ~path=endpointDiff.path,
+        ~breaking=endpointDiff.breakingChange,
+        ~changes=endpointDiff.changes->Array.map(change => changeView(~prefix, change)),
+      ),
+    )
+  })
+
+  let tagNames = byTag->Dict.keysToArray->Array.filter(tag => tag != untaggedLabel)->Array.toSorted(String.compare)
+  let tags = Array.concat(tagNames, byTag->Dict.get(untaggedLabel)->Option.mapOr([], _ => [untaggedLabel]))->Array.map(tag => {
+    let endpoints = byTag->Dict.get(tag)->Option.getOr([])
+    {"name": escapeHtml(tag), "count": endpoints->Array.length->Int.toString, "endpoints": endpoints}
+  })
+
+  let schemaView = (~status, ~breaking, ~changes, name) => {
+    "status": status,
+    "name": escapeHtml(name),
+    "breaking": breaking,
+    "changes": changes,
+  }
+  let schemas = [
+    diff.addedSchemas->Array.map(schemaView(~status="added", ~breaking=false, ~changes=[], _)),
+    diff.removedSchemas->Array.map(schemaView(~status="removed", ~breaking=true, ~changes=[], _)),
+    diff.modifiedSchemas->Array.map((schemaDiff: schemaDiff) =>
+      schemaView(
+        ~status="modified",
+        ~breaking=schemaDiff.breakingChange,
+        ~changes=schemaDiff.changes->Array.map(change => changeView(~prefix=CompatibilityAnalyzer.schemaPointer(schemaDiff.name), change)),
+        schemaDiff.name,
+      )
+    ),
+  ]->Array.flat
+
+  let summary = [
+    ("Total Changes", SpecDiffer.countChanges(diff)),
+    ("Added Endpoints", diff.addedEndpoints->Array.length),
+    ("Removed Endpoints", diff.removedEndpoints->Array.length),
+    ("Modified Endpoints", diff.modifiedEndpoints->Array.length),
+    ("Added Schemas", diff.addedSchemas->Array.length),
+    ("Removed Schemas", diff.removedSchemas->Array.length),
+    ("Modified Schemas", diff.modifiedSchemas->Array.length),
+    ("Breaking Changes", SpecDiffer.breakingChanges(diff)->Array.length),
+  ]->Array.map(((label, count)) => {"label": label, "value": count->Int.toString})
+
+  Handlebars.render(Templates.htmlDiffReport, {
+    "baseName": escapeHtml(baseName),
+    "forkName": escapeHtml(forkName),
+    "summary": summary,
+    "breakingChanges": SpecDiffer.breakingChanges(diff)->Array.map(change => {
+      "pointer": escapeHtml(change.pointer),
+      "direction": CompatibilityAnalyzer.directionName(change.direction),
+      "message": escapeHtml(change.message),
+    }),
+    "tags": tags,
+    "schemas": schemas,
+    "merge": stats->Option.map(stats => {
+      "sharedEndpoints": stats.sharedEndpointCount->Int.toString,
+      "sharedSchemas": stats.sharedSchemaCount->Int.toString,
+      "extensionEndpoints": stats.forkExtensionCount->Int.toString,
+      "extensionSchemas": stats.forkSchemaCount->Int.toString,
+    }),
+  })
+}
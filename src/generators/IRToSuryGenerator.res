@@ -5,7 +5,8 @@ open Types
 
 let addWarning = GenerationContext.addWarning
 
-// Sury can't set defaults for nullableAsOption schemas, so we use s.field with S.option instead of s.fieldOr
+// Sury can't set defaults for nullableAsOption schemas, so we use s.field with S.option instead of s.fieldOr.
+// Nullable properties with a default decode an absent key to the default and null to None instead (see nullableFieldOr).
 
 // Replace S.nullableAsOption(...) with S.option(...) to avoid double-option wrapping
 let nullableToOption = (schemaCode: string) =>
@@ -15,6 +16,10 @@ let nullableToOption = (schemaCode: string) =>
     `S.option(${schemaCode})`
   }
 
+// Like s.fieldOr for a nullable property: S.option(S.null(...)) tells a missing key from null
+let nullableFieldOr = (~name, ~innerSchema, ~value) =>
+  `s.field("${name}", S.option(S.null(${innerSchema}))->S.transform(_ => {parser: value => value->Option.getOr(Some(${value})), serializer: value => Some(value)}))`
+
 let applyConstraints = (base, min, max, toString) => {
   let s1 = switch min {
   | Some(v) => `${base}->S.min(${toString(v)})`
@@ -26,6 +31,14 @@ let applyConstraints = (base, min, max, toString) => {
   }
 }
 
+// Wrap a string/number schema in the mapping for its format, if any
+let withFormat = (~ctx: GenerationContext.t, ~base, irType) =>
+  switch FormatMapping.forType(~overrides=?ctx.formatMappings, irType) {
+  | Some(mapping) =>
+    mapping->FormatMapping.renderSchema(~base, ~runtimeModule=ApiRuntimeGenerator.moduleName(~modulePrefix=ctx.modulePrefix))
+  | None => base
+  }
+
 // When extractedTypeMap is provided, complex inline types reference extracted schemas instead of regenerating
 let rec generateSchemaWithContext = (~ctx: GenerationContext.t, ~depth=0, ~extractedTypeMap: option<array<GenerationContext.extractedType>>=?, irType: SchemaIR.irType): string => {
   // We keep a high depth limit just to prevent infinite recursion on circular schemas that escaped IRBuilder
@@ -51,45 +64,104 @@ let rec generateSchemaWithContext = (~ctx: GenerationContext.t, ~depth=0, ~extra
     switch irType {
     | String({constraints: c}) =>
       let s = applyConstraints("S.string", c.minLength, c.maxLength, v => Int.toString(v))
-      switch c.pattern {
+      let base = switch c.pattern {
       | Some(p) => `${s}->S.pattern(/${CodegenUtils.escapeRegexPattern(p)}/)`
       | None => s
       }
+      withFormat(~ctx, ~base, irType)
     | Number({constraints: c}) =>
-      applyConstraints("S.float", c.minimum, c.maximum, v => Float.toInt(v)->Int.toString)
+      let base = applyConstraints("S.float", c.minimum, c.maximum, v => Float.toInt(v)->Int.toString)
+      withFormat(~ctx, ~base, irType)
     | Integer({constraints: c}) =>
-      applyConstraints("S.int", c.minimum, c.maximum, v => Float.toInt(v)->Int.toString)
+      let base = applyConstraints("S.int", c.minimum, c.maximum, v => Float.toInt(v)->Int.toString)
+      withFormat(~ctx, ~base, irType)
     | Boolean => "S.bool"
     | Null => "S.null"
     | Array({items, constraints: c}) =>
       applyConstraints(`S.array(${recurse(items)})`, c.minItems, c.maxItems, v => Int.toString(v))
-    | Object({properties, additionalProperties}) =>
+    | Object({properties, additionalProperties, patternProperties, strict, ?fieldInfo}) =>
+      let runtimeModule = ApiRuntimeGenerator.moduleName(~modulePrefix=ctx.modulePrefix)
+      let extraType = SchemaIR.extraPropertiesType(~additionalProperties, ~patternProperties, ~strict)
+      let keyPatterns =
+        patternProperties
+        ->Array.map(((pattern, _)) => `/${CodegenUtils.escapeRegexPattern(pattern)}/`)
+        ->Array.join(", ")
       if Array.length(properties) == 0 {
-        switch additionalProperties {
+        switch extraType {
+        | Some(valueType) if strict && Array.length(patternProperties) > 0 =>
+          `S.dict(${recurse(valueType)})->${runtimeModule}.restrictKeys(~patterns=[${keyPatterns}])`
         | Some(valueType) => `S.dict(${recurse(valueType)})`
         | None => "S.dict(S.json)"
         }
       } else {
-        let fields =
-          properties
-          ->Array.map(((name, fieldType, isRequired)) => {
-            let schemaCode = recurse(fieldType)
-            let camelName = name->CodegenUtils.toCamelCase->CodegenUtils.escapeKeyword
-            let alreadyNullable = String.startsWith(schemaCode, "S.nullableAsOption(") || switch fieldType {
-              | Option(_) => true
-              | Union(types) => types->Array.some(t => switch t { | Null | Literal(NullLiteral) => true | _ => false })
-              | _ => false
-            }
-            if isRequired {
-              `    ${camelName}: s.field("${name}", ${schemaCode}),`
-            } else if alreadyNullable {
-              `    ${camelName}: s.field("${name}", ${nullableToOption(schemaCode)}),`
-            } else {
-              `    ${camelName}: s.field("${name}", S.option(${schemaCode})),`
-            }
-          })
-          ->Array.join("\n")
-        `S.object(s => {\n${fields}\n  })`
+        let fieldSchemas = properties->Array.map(((name, fieldType, isRequired)) => {
+          let schemaCode = recurse(fieldType)
+          let camelName = name->CodegenUtils.toCamelCase->CodegenUtils.escapeKeyword
+          let alreadyNullable = String.startsWith(schemaCode, "S.nullableAsOption(") || switch fieldType {
+            | Option(_) => true
+            | Union(types) => types->Array.some(t => switch t { | Null | Literal(NullLiteral) => true | _ => false })
+            | _ => false
+          }
+          let fieldSchema = if isRequired {
+            schemaCode
+          } else if alreadyNullable {
+            nullableToOption(schemaCode)
+          } else {
+            `S.option(${schemaCode})`
+          }
+          // Optional properties with a plain default are decoded with it
+          let fieldOr = switch SchemaIR.nullableInner(fieldType) {
+          | Some(inner) =>
+            CodegenUtils.fieldDefault(~formatMappings=?ctx.formatMappings, ~fieldInfo, ~name, ~isRequired, inner)
+            ->Option.map(value => nullableFieldOr(~name, ~innerSchema=recurse(inner), ~value))
+          | None =>
+            CodegenUtils.fieldDefault(~formatMappings=?ctx.formatMappings, ~fieldInfo, ~name, ~isRequired, fieldType)
+            ->Option.map(value => `s.fieldOr("${name}", ${schemaCode}, ${value})`)
+          }
+          (name, camelName, fieldSchema, fieldOr)
+        })
+        switch extraType {
+        | None =>
+          let fields =
+            fieldSchemas
+            ->Array.map(((name, camelName, fieldSchema, fieldOr)) =>
+              `    ${camelName}: ${fieldOr->Option.getOr(`s.field("${name}", ${fieldSchema})`)},`
+            )
+            ->Array.join("\n")
+          let objectSchema = `S.object(s => {\n${fields}\n  })`
+          strict ? `${objectSchema}->S.strict` : objectSchema
+        | Some(valueType) =>
+          // Keys beyond the declared properties go to the additionalProperties field
+          let known = fieldSchemas->Array.map(((name, _, _, _)) => `"${name}"`)->Array.join(", ")
+          let decodeLines =
+            fieldSchemas
+            ->Array.map(((name, camelName, fieldSchema, _)) =>
+              `      ${camelName}: fields->${runtimeModule}.field("${name}", ${fieldSchema}),`
+            )
+            ->Array.join("\n")
+          let encodeLines =
+            fieldSchemas
+            ->Array.map(((name, camelName, fieldSchema, _)) =>
+              `        ("${name}", value.${camelName}->${runtimeModule}.encodeField(${fieldSchema})),`
+            )
+            ->Array.join("\n")
+          let keyArguments = Array.length(patternProperties) > 0 ? `\n    ~patterns=[${keyPatterns}],` : ""
+          let strictArgument = strict ? "\n    ~strict=true," : ""
+          `${runtimeModule}.objectWithAdditionalProperties(
+    ${recurse(valueType)},
+    ~known=[${known}],${keyArguments}${strictArgument}
+    ~decode=(fields, additionalProperties) => {
+${decodeLines}
+      additionalProperties,
+    },
+    ~encode=value => (
+      [
+${encodeLines}
+      ],
+      value.additionalProperties,
+    ),
+  )`
+        }
       }
     | Literal(value) =>
       switch value {
@@ -169,9 +241,9 @@ let rec generateSchemaWithContext = (~ctx: GenerationContext.t, ~depth=0, ~extra
             let branches = effectiveTypes->Array.mapWithIndex((memberType, i) => {
               let constructorName = names->Array.getUnsafe(i)
               switch memberType {
-              | Object({properties, additionalProperties}) =>
+              | Object({properties, additionalProperties, patternProperties, strict}) =>
                 if Array.length(properties) == 0 {
-                  switch additionalProperties {
+                  switch SchemaIR.extraPropertiesType(~additionalProperties, ~patternProperties, ~strict) {
                   | Some(valueType) => `S.dict(${recurse(valueType)})->S.shape(v => ${constructorName}(v))`
                   | None => `S.dict(S.json)->S.shape(v => ${constructorName}(v))`
                   }
@@ -210,6 +282,46 @@ let rec generateSchemaWithContext = (~ctx: GenerationContext.t, ~depth=0, ~extra
 
         hasNull ? `S.nullableAsOption(${result})` : result
       }
+    | TaggedUnion({propertyName, cases}) =>
+      // Each member only matches payloads carrying its tag, and writes the tag back on serialization
+      let runtimeModule = ApiRuntimeGenerator.moduleName(~modulePrefix=ctx.modulePrefix)
+      let names = cases->Array.map(((tag, _)) => CodegenUtils.tagConstructorName(tag))->CodegenUtils.deduplicateNames
+      let branches = cases->Array.mapWithIndex(((tag, caseType), i) => {
+        let constructorName = names->Array.getUnsafe(i)
+        let escapedProperty = CodegenUtils.escapeString(propertyName)
+        let escapedTag = CodegenUtils.escapeString(tag)
+        switch caseType {
+        | Object({properties, additionalProperties, patternProperties, strict})
+          if Array.length(properties) > 0 &&
+            SchemaIR.extraPropertiesType(~additionalProperties, ~patternProperties, ~strict)->Option.isNone =>
+          let fields =
+            properties
+            ->Array.filter(((name, _, _)) => name != propertyName)
+            ->Array.map(((name, fieldType, isRequired)) => {
+              let schemaCode = recurse(fieldType)
+              let camelName = name->CodegenUtils.toCamelCase->CodegenUtils.escapeKeyword
+              let alreadyNullable = String.startsWith(schemaCode, "S.nullableAsOption(") || switch fieldType {
+                | Option(_) => true
+                | Union(unionTypes) => unionTypes->Array.some(t => switch t { | Null | Literal(NullLiteral) => true | _ => false })
+                | _ => false
+              }
+              if isRequired {
+                `        ${camelName}: s.field("${name}", ${schemaCode}),`
+              } else if alreadyNullable {
+                `        ${camelName}: s.field("${name}", ${nullableToOption(schemaCode)}),`
+              } else {
+                `        ${camelName}: s.field("${name}", S.option(${schemaCode})),`
+              }
+            })
+          let value = Array.length(fields) > 0
+            ? `${constructorName}({\n${fields->Array.join("\n")}\n      })`
+            : constructorName
+          `S.object(s => {\n      s.tag("${escapedProperty}", "${escapedTag}")\n      ${value}\n    })`
+        | _ =>
+          `${recurse(caseType)}->${runtimeModule}.tagged(~propertyName="${escapedProperty}", ~tag="${escapedTag}")->S.shape(v => ${constructorName}(v))`
+        }
+      })
+      `S.union([\n    ${branches->Array.join(",\n    ")},\n  ])`
     | Intersection(types) =>
       if types->Array.every(t =>
         switch t {
@@ -293,18 +405,22 @@ let rec generateSchemaWithContext = (~ctx: GenerationContext.t, ~depth=0, ~extra
       | None => false
       }
 
+      // Request variants of split schemas are bound to `inputSchema`
+      let schemaName = ctx.inputSchemas->Array.includes(refName) ? "inputSchema" : "schema"
+
       if isSelfRef {
-        "schema" // Self-reference: use the recursive schema binding
+        schemaName // Self-reference: use the recursive schema binding
       } else {
         let schemaPath = switch ctx.availableSchemas {
         | Some(available) =>
           available->Array.includes(refName)
-            ? `${CodegenUtils.toPascalCase(refName)}.schema`
-            : `ComponentSchemas.${CodegenUtils.toPascalCase(refName)}.schema`
+            ? `${CodegenUtils.toPascalCase(refName)}.${schemaName}`
+            : `ComponentSchemas.${CodegenUtils.toPascalCase(refName)}.${schemaName}`
         | None =>
           ReferenceResolver.refToSchemaPath(
             ~insideComponentSchemas=ctx.insideComponentSchemas,
             ~modulePrefix=ctx.modulePrefix,
+            ~schemaName,
             ref,
           )->Option.getOr("S.json")
         }
@@ -320,6 +436,7 @@ let rec generateSchemaWithContext = (~ctx: GenerationContext.t, ~depth=0, ~extra
         schemaPath
       }
     | Option(inner) => `S.nullableAsOption(${recurse(inner)})`
+    | Binary => "S.unknown"
     | Unknown => "S.json"
     }
     } // end switch foundExtracted
@@ -332,9 +449,10 @@ let generateSchema = (
   ~insideComponentSchemas=false,
   ~availableSchemas=?,
   ~modulePrefix="",
+  ~formatMappings=?,
   irType,
 ) => {
-  let ctx = GenerationContext.make(~path, ~insideComponentSchemas, ~availableSchemas?, ~modulePrefix, ())
+  let ctx = GenerationContext.make(~path, ~insideComponentSchemas, ~availableSchemas?, ~modulePrefix, ~formatMappings?, ())
   (generateSchemaWithContext(~ctx, ~depth, irType), ctx.warnings)
 }
 
@@ -343,13 +461,17 @@ let generateNamedSchema = (
   ~insideComponentSchemas=false,
   ~availableSchemas=?,
   ~modulePrefix="",
+  ~formatMappings=?,
   ~extractedTypes: array<GenerationContext.extractedType>=[],
+  ~inputSchemas=?,
 ) => {
   let ctx = GenerationContext.make(
     ~path=`schema.${namedSchema.name}`,
     ~insideComponentSchemas,
     ~availableSchemas?,
     ~modulePrefix,
+    ~formatMappings?,
+    ~inputSchemas?,
     (),
   )
   let doc = switch namedSchema.description {
@@ -367,6 +489,8 @@ let generateNamedSchema = (
       ~insideComponentSchemas,
       ~availableSchemas?,
       ~modulePrefix,
+      ~formatMappings?,
+      ~inputSchemas?,
       (),
     )
     let filteredMap = extractedTypes->Array.filter(({typeName: tn}: GenerationContext.extractedType) => tn != typeName)
@@ -17,6 +17,10 @@ let rec generateTypeWithContext = (~ctx: GenerationContext.t, ~depth=0, ~inline=
     // Inside type constructors, records/variants can't appear; recurse as inline
     let recurseInline = nextIrType => generateTypeWithContext(~ctx, ~depth=depth + 1, ~inline=true, nextIrType)
 
+    switch FormatMapping.forType(~overrides=?ctx.formatMappings, irType) {
+    | Some(mapping) => mapping.rescriptType
+    | None =>
+
     switch irType {
     | String(_) => "string"
     | Number(_) => "float"
@@ -24,9 +28,10 @@ let rec generateTypeWithContext = (~ctx: GenerationContext.t, ~depth=0, ~inline=
     | Boolean => "bool"
     | Null => "unit"
     | Array({items}) => `array<${recurseInline(items)}>`
-    | Object({properties, additionalProperties}) =>
+    | Object({properties, additionalProperties, patternProperties, strict, ?fieldInfo}) =>
+      let extraType = SchemaIR.extraPropertiesType(~additionalProperties, ~patternProperties, ~strict)
       if Array.length(properties) == 0 {
-        switch additionalProperties {
+        switch extraType {
         | Some(valueType) => `dict<${recurseInline(valueType)}>`
         | None => "dict<JSON.t>"
         }
@@ -46,12 +51,21 @@ let rec generateTypeWithContext = (~ctx: GenerationContext.t, ~depth=0, ~inline=
               | Union(types) => types->Array.some(t => switch t { | Null | Literal(NullLiteral) => true | _ => false })
               | _ => false
             }
-            let finalType = isRequired || alreadyNullable ? typeCode : `option<${typeCode}>`
+            // Properties decoded with a default are always present (objects with extra keys take none)
+            let hasDefault =
+              extraType->Option.isNone &&
+                CodegenUtils.fieldDefault(~formatMappings=?ctx.formatMappings, ~fieldInfo, ~name, ~isRequired, fieldType)->Option.isSome
+            let finalType = isRequired || alreadyNullable || hasDefault ? typeCode : `option<${typeCode}>`
             let camelName = name->CodegenUtils.toCamelCase
             let escapedName = camelName->CodegenUtils.escapeKeyword
             let aliasAnnotation = escapedName != name ? `@as("${name}") ` : ""
-            `  ${aliasAnnotation}${escapedName}: ${finalType},`
+            let prefix = CodegenUtils.fieldPrefix(SchemaIR.fieldInfoFor(fieldInfo, name))
+            `  ${prefix}${aliasAnnotation}${escapedName}: ${finalType},`
           })
+          // Keys beyond the declared properties are kept in a dict
+          ->Array.concat(
+            extraType->Option.mapOr([], valueType => [`  additionalProperties: dict<${recurseInline(valueType)}>,`]),
+          )
           ->Array.join("\n")
         `{\n${fields}\n}`
       }
@@ -159,6 +173,44 @@ let rec generateTypeWithContext = (~ctx: GenerationContext.t, ~depth=0, ~inline=
 
         hasNull ? `option<${result}>` : result
       }
+    | TaggedUnion({propertyName, cases}) =>
+      if inline {
+        // Variants can't be declared inline; extract as a separate named type
+        let baseName = ctx.path->String.split(".")->Array.get(ctx.path->String.split(".")->Array.length - 1)->Option.getOr("union")
+        GenerationContext.extractType(ctx, ~baseName, irType)
+      } else {
+        // One constructor per tag value. Inline members become inline records without the
+        // tag property (the constructor already says which member it is).
+        let names = cases->Array.map(((tag, _)) => CodegenUtils.tagConstructorName(tag))->CodegenUtils.deduplicateNames
+        cases
+        ->Array.mapWithIndex(((_, caseType), i) => {
+          let constructorName = names->Array.getUnsafe(i)
+          switch caseType {
+          | Object({properties, additionalProperties, patternProperties, strict})
+            if Array.length(properties) > 0 &&
+              SchemaIR.extraPropertiesType(~additionalProperties, ~patternProperties, ~strict)->Option.isNone =>
+            let fields =
+              properties
+              ->Array.filter(((name, _, _)) => name != propertyName)
+              ->Array.map(((name, fieldType, isRequired)) => {
+                let typeCode = recurseInline(fieldType)
+                let alreadyNullable = String.startsWith(typeCode, "option<") || switch fieldType {
+                  | Option(_) => true
+                  | Union(unionTypes) => unionTypes->Array.some(t => switch t { | Null | Literal(NullLiteral) => true | _ => false })
+                  | _ => false
+                }
+                let finalType = isRequired || alreadyNullable ? typeCode : `option<${typeCode}>`
+                let camelName = name->CodegenUtils.toCamelCase
+                let escapedName = camelName->CodegenUtils.escapeKeyword
+                let aliasAnnotation = escapedName != name ? `@as("${name}") ` : ""
+                `${aliasAnnotation}${escapedName}: ${finalType}`
+              })
+            Array.length(fields) > 0 ? `${constructorName}({${fields->Array.join(", ")}})` : constructorName
+          | _ => `${constructorName}(${recurseInline(caseType)})`
+          }
+        })
+        ->Array.join(" | ")
+      }
     | Intersection(types) =>
       // Support for intersections: merge object properties or pick last reference
       if types->Array.every(t =>
@@ -246,18 +298,22 @@ let rec generateTypeWithContext = (~ctx: GenerationContext.t, ~depth=0, ~inline=
       | None => false
       }
 
+      // Request variants of split schemas are named `input`
+      let typeName = ctx.inputSchemas->Array.includes(refName) ? "input" : "t"
+
       if isSelfRef {
-        "t" // Use recursive self-reference
+        typeName // Use recursive self-reference
       } else {
         let typePath = switch ctx.availableSchemas {
         | Some(available) =>
           available->Array.includes(refName)
-            ? `${CodegenUtils.toPascalCase(refName)}.t`
-            : `ComponentSchemas.${CodegenUtils.toPascalCase(refName)}.t`
+            ? `${CodegenUtils.toPascalCase(refName)}.${typeName}`
+            : `ComponentSchemas.${CodegenUtils.toPascalCase(refName)}.${typeName}`
         | None =>
           ReferenceResolver.refToTypePath(
             ~insideComponentSchemas=ctx.insideComponentSchemas,
             ~modulePrefix=ctx.modulePrefix,
+            ~typeName,
             ref,
           )->Option.getOr("JSON.t")
         }
@@ -272,8 +328,10 @@ let rec generateTypeWithContext = (~ctx: GenerationContext.t, ~depth=0, ~inline=
         }
         typePath
       }
+    | Binary => `${ApiRuntimeGenerator.moduleName(~modulePrefix=ctx.modulePrefix)}.file`
     | Unknown => "JSON.t"
     }
+    } // end switch formatMapping
   }
 }
 
@@ -286,9 +344,9 @@ let generateUnboxedVariantBody = (~ctx: GenerationContext.t, types: array<Schema
   types->Array.mapWithIndex((irType, i) => {
     let constructorName = names->Array.getUnsafe(i)
     let payloadType = switch irType {
-    | Object({properties, additionalProperties}) =>
+    | Object({properties, additionalProperties, patternProperties, strict}) =>
       if Array.length(properties) == 0 {
-        switch additionalProperties {
+        switch SchemaIR.extraPropertiesType(~additionalProperties, ~patternProperties, ~strict) {
         | Some(valueType) => {
             let innerType = generateTypeWithContext(~ctx, ~depth=1, ~inline=true, valueType)
             `(dict<${innerType}>)`
@@ -325,9 +383,10 @@ let generateType = (
   ~insideComponentSchemas=false,
   ~availableSchemas=?,
   ~modulePrefix="",
+  ~formatMappings=?,
   irType,
 ) => {
-  let ctx = GenerationContext.make(~path, ~insideComponentSchemas, ~availableSchemas?, ~modulePrefix, ())
+  let ctx = GenerationContext.make(~path, ~insideComponentSchemas, ~availableSchemas?, ~modulePrefix, ~formatMappings?, ())
   (generateTypeWithContext(~ctx, ~depth, irType), ctx.warnings)
 }
 
@@ -336,18 +395,20 @@ let generateNamedType = (
   ~insideComponentSchemas=false,
   ~availableSchemas=?,
   ~modulePrefix="",
+  ~formatMappings=?,
+  ~inputSchemas=?,
+  ~examples=?,
 ) => {
   let ctx = GenerationContext.make(
     ~path=`type.${namedSchema.name}`,
     ~insideComponentSchemas,
     ~availableSchemas?,
     ~modulePrefix,
+    ~formatMappings?,
+    ~inputSchemas?,
     (),
   )
-  let doc = switch namedSchema.description {
-  | Some(d) => CodegenUtils.generateDocString(~description=d, ())
-  | None => ""
-  }
+  let doc = CodegenUtils.generateDocString(~description=?namedSchema.description, ~examples?, ())
   let mainType = generateTypeWithContext(~ctx, ~depth=0, namedSchema.type_)
 
   // Iteratively resolve extracted types (handles nested extraction).
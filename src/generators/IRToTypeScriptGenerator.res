@@ -2,17 +2,26 @@
 
 // IRToTypeScriptGenerator.res - Convert SchemaIR to TypeScript types
 
-let rec generateType = (~irType: SchemaIR.irType, ~isOptional=false) =>
+let rec generateType = (~formatMappings=?, ~irType: SchemaIR.irType, ~isOptional=false) =>
+  switch FormatMapping.forType(~overrides=?formatMappings, irType) {
+  | Some(mapping) => mapping.typescriptType
+  | None =>
   switch irType {
   | String(_) => "string"
   | Number(_)
   | Integer(_) => "number"
   | Boolean => "boolean"
   | Null => "null"
+  | Binary => "Blob"
   | Unknown => "unknown"
-  | Array({items}) => `${generateType(~irType=items)}[]`
-  | Object({properties, additionalProperties}) =>
-    generateObjectType(~properties, ~additionalProperties)
+  | Array({items}) => `${generateType(~formatMappings?, ~irType=items)}[]`
+  | Object({properties, additionalProperties, patternProperties, strict, ?fieldInfo}) =>
+    generateObjectType(
+      ~formatMappings?,
+      ~properties,
+      ~fieldInfo?,
+      ~additionalProperties=SchemaIR.extraPropertiesType(~additionalProperties, ~patternProperties, ~strict),
+    )
   | Literal(literal) =>
     switch literal {
     | StringLiteral(s) => `"${s}"`
@@ -20,30 +29,48 @@ let rec generateType = (~irType: SchemaIR.irType, ~isOptional=false) =>
     | BooleanLiteral(b) => b ? "true" : "false"
     | NullLiteral => "null"
     }
-  | Union(types) => types->Array.map(t => generateType(~irType=t))->Array.join(" | ")
-  | Intersection(types) => types->Array.map(t => generateType(~irType=t))->Array.join(" & ")
+  | Union(types) => types->Array.map(t => generateType(~formatMappings?, ~irType=t))->Array.join(" | ")
+  | TaggedUnion({propertyName, cases}) =>
+    cases
+    ->Array.map(((tag, caseType)) => `({ ${propertyName}: "${tag}" } & ${generateType(~formatMappings?, ~irType=caseType)})`)
+    ->Array.join(" | ")
+  | Intersection(types) => types->Array.map(t => generateType(~formatMappings?, ~irType=t))->Array.join(" & ")
   | Reference(ref) =>
     switch String.split(ref, "/") {
     | [_, "components", "schemas", name] => `ComponentSchemas.${name}`
     | _ => ref
     }
   | Option(inner) =>
-    isOptional ? generateType(~irType=inner, ~isOptional=true) : `${generateType(~irType=inner)} | undefined`
+    isOptional ? generateType(~formatMappings?, ~irType=inner, ~isOptional=true) : `${generateType(~formatMappings?, ~irType=inner)} | undefined`
+  }
   }
 
-and generateObjectType = (~properties, ~additionalProperties) => {
+and generateObjectType = (~formatMappings=?, ~properties, ~fieldInfo=?, ~additionalProperties) => {
   let propertyLines = properties->Array.map(((name, fieldType, isRequired)) => {
     let (actualType, isFieldOptional) = switch fieldType {
     | SchemaIR.Option(inner) => (inner, true)
     | _ => (fieldType, !isRequired)
     }
-    `  ${name}${isFieldOptional ? "?" : ""}: ${generateType(~irType=actualType, ~isOptional=true)};`
+    let doc = switch SchemaIR.fieldInfoFor(fieldInfo, name) {
+    | None => ""
+    | Some({default, deprecated, examples}) =>
+      let tags = Array.concat(
+        default->Option.mapOr([], value => [`@default ${JSON.stringify(value)}`]),
+        CodegenUtils.exampleTags(examples),
+      )
+      let tags = deprecated ? Array.concat(tags, ["@deprecated"]) : tags
+      CodegenUtils.jsDoc(~indent="  ", tags) ++ "\n"
+    }
+    `${doc}  ${name}${isFieldOptional ? "?" : ""}: ${generateType(~formatMappings?, ~irType=actualType, ~isOptional=true)};`
   })
 
+  // Generated records keep extra keys in an additionalProperties field; plain maps are index signatures
   let additionalPropertiesLines =
-    additionalProperties->Option.mapOr([], valueType => [
-      `  [key: string]: ${generateType(~irType=valueType)};`,
-    ])
+    additionalProperties->Option.mapOr([], valueType =>
+      Array.length(properties) == 0
+        ? [`  [key: string]: ${generateType(~formatMappings?, ~irType=valueType)};`]
+        : [`  additionalProperties: { [key: string]: ${generateType(~formatMappings?, ~irType=valueType)} };`]
+    )
 
   let allLines = Array.concat(propertyLines, additionalPropertiesLines)
 
@@ -54,9 +81,13 @@ and generateObjectType = (~properties, ~additionalProperties) => {
   }
 }
 
-let generateNamedType = (~namedSchema: SchemaIR.namedSchema) => {
-  let docComment = namedSchema.description->Option.mapOr("", description => `/** ${description} */\n`)
-  let typeCode = generateType(~irType=namedSchema.type_)
+// docTags (e.g. "@deprecated") follow the description in the doc comment
+let generateNamedType = (~formatMappings=?, ~namedSchema: SchemaIR.namedSchema, ~docTags=[]) => {
+  let docComment = switch Array.concat(namedSchema.description->Option.mapOr([], description => [description]), docTags) {
+  | [] => ""
+  | lines => CodegenUtils.jsDoc(lines) ++ "\n"
+  }
+  let typeCode = generateType(~formatMappings?, ~irType=namedSchema.type_)
 
   let declaration = switch namedSchema.type_ {
   | Object(_) => 
@@ -71,7 +102,7 @@ let generateNamedType = (~namedSchema: SchemaIR.namedSchema) => {
   docComment ++ declaration
 }
 
-let generateParameterType = (~name, ~schema: Types.jsonSchema) => {
+let generateParameterType = (~formatMappings=?, ~name, ~schema: Types.jsonSchema) => {
   let (ir, _) = SchemaIRParser.parseJsonSchema(schema)
-  (CodegenUtils.toCamelCase(name), generateType(~irType=ir))
+  (CodegenUtils.toCamelCase(name), generateType(~formatMappings?, ~irType=ir))
 }
@@ -0,0 +1,267 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// IRToValidatorGenerator.res - Generate Zod or Valibot schema code from Schema IR
+// The schemas validate JSON as it is sent over the wire, so formats stay strings and int64 may be a string
+
+type library = Config.validationLibrary
+
+// Checks on a base schema, rendered as method calls (Zod) or pipe actions (Valibot)
+type check =
+  | MinLength(int) // Strings and arrays
+  | MaxLength(int)
+  | Pattern(string)
+  | Format(string)
+  | Minimum(float)
+  | Maximum(float)
+  | MultipleOf(float)
+  | IsInteger
+  | UniqueItems
+  | AllowedKeys({known: array<string>, patterns: array<string>}) // Closed objects with patternProperties
+
+// Formats with a check in both libraries; other formats are validated as their plain type
+let formatCheck = (~library: library, format) =>
+  switch (library, format) {
+  | (Zod, "date-time") => Some(".datetime({ offset: true })")
+  | (Zod, "uuid") => Some(".uuid()")
+  | (Zod, "email") => Some(".email()")
+  | (Zod, "uri") => Some(".url()")
+  | (Valibot, "date-time") => Some("v.isoTimestamp()")
+  | (Valibot, "uuid") => Some("v.uuid()")
+  | (Valibot, "email") => Some("v.email()")
+  | (Valibot, "uri") => Some("v.url()")
+  | _ => None
+  }
+
+let regExp = pattern => `new RegExp("${CodegenUtils.escapeString(pattern)}")`
+
+let renderCheck = (~library: library, check) => {
+  let refinement = (predicate, message) =>
+    switch library {
+    | Zod => `.refine(${predicate}, "${message}")`
+    | Valibot => `v.check(${predicate}, "${message}")`
+    }
+  switch (library, check) {
+  | (Zod, MinLength(n)) => Some(`.min(${Int.toString(n)})`)
+  | (Zod, MaxLength(n)) => Some(`.max(${Int.toString(n)})`)
+  | (Zod, Pattern(pattern)) => Some(`.regex(${regExp(pattern)})`)
+  | (Zod, Minimum(n)) => Some(`.gte(${Float.toString(n)})`)
+  | (Zod, Maximum(n)) => Some(`.lte(${Float.toString(n)})`)
+  | (Zod, MultipleOf(n)) => Some(`.multipleOf(${Float.toString(n)})`)
+  | (Zod, IsInteger) => Some(".int()")
+  | (Valibot, MinLength(n)) => Some(`v.minLength(${Int.toString(n)})`)
+  | (Valibot, MaxLength(n)) => Some(`v.maxLength(${Int.toString(n)})`)
+  | (Valibot, Pattern(pattern)) => Some(`v.regex(${regExp(pattern)})`)
+  | (Valibot, Minimum(n)) => Some(`v.minValue(${Float.toString(n)})`)
+  | (Valibot, Maximum(n)) => Some(`v.maxValue(${Float.toString(n)})`)
+  | (Valibot, MultipleOf(n)) => Some(`v.multipleOf(${Float.toString(n)})`)
+  | (Valibot, IsInteger) => Some("v.integer()")
+  | (_, Format(format)) => formatCheck(~library, format)
+  | (_, UniqueItems) =>
+    Some(refinement("items => new Set(items.map(item => JSON.stringify(item))).size === items.length", "Items must be unique"))
+  | (_, AllowedKeys({known, patterns})) =>
+    let knownKeys = known->Array.map(key => `"${CodegenUtils.escapeString(key)}"`)->Array.join(", ")
+    let keyPatterns = patterns->Array.map(regExp)->Array.join(", ")
+    Some(
+      refinement(
+        `value => Object.keys(value).every(key => [${knownKeys}].includes(key) || [${keyPatterns}].some(pattern => pattern.test(key)))`,
+        "Unexpected property",
+      ),
+    )
+  }
+}
+
+// Apply checks to a base schema
+let pipe = (~library: library, base, checks) =>
+  switch (library, checks->Array.filterMap(check => renderCheck(~library, check))) {
+  | (_, []) => base
+  | (Zod, rendered) => base ++ rendered->Array.join("")
+  | (Valibot, rendered) => `v.pipe(${base}, ${rendered->Array.join(", ")})`
+  }
+
+// Namespace the library is imported as
+let namespace = (library: library) =>
+  switch library {
+  | Zod => "z"
+  | Valibot => "v"
+  }
+
+let call = (~library, name, args) => `${namespace(library)}.${name}(${args})`
+
+// Comma-separated schemas, one per line when any of them spans several
+let listItems = items =>
+  items->Array.some(item => item->String.includes("\n"))
+    ? `\n${items->Array.map(item => CodegenUtils.indent(item ++ ",", 1))->Array.join("\n")}\n`
+    : items->Array.join(", ")
+
+let union = (~library, members) =>
+  switch members {
+  | [] => call(~library, "never", "")
+  | [single] => single
+  | members => call(~library, "union", `[${listItems(members)}]`)
+  }
+
+let intersection = (~library: library, members) =>
+  switch (library, members) {
+  | (_, []) => call(~library, "unknown", "")
+  | (_, [single]) => single
+  | (Zod, members) =>
+    members
+    ->Array.slice(~start=1)
+    ->Array.reduce(members->Array.getUnsafe(0), (acc, member) => `z.intersection(${listItems([acc, member])})`)
+  | (Valibot, members) => `v.intersect([${listItems(members)}])`
+  }
+
+let optional = (~library: library, schema) =>
+  switch library {
+  | Zod => `${schema}.optional()`
+  | Valibot => `v.optional(${schema})`
+  }
+
+let nullable = (~library: library, schema) =>
+  switch library {
+  | Zod => `${schema}.nullable()`
+  | Valibot => `v.nullable(${schema})`
+  }
+
+let literal = (~library, value: SchemaIR.literalValue) =>
+  switch value {
+  | StringLiteral(s) => call(~library, "literal", `"${CodegenUtils.escapeString(s)}"`)
+  | NumberLiteral(n) => call(~library, "literal", Float.toString(n))
+  | BooleanLiteral(b) => call(~library, "literal", b ? "true" : "false")
+  | NullLiteral => call(~library, "null", "")
+  }
+
+// Object keys that are not identifiers are quoted
+let propertyKey = name => RegExp.test(/^[A-Za-z_$][\w$]*$/, name) ? name : `"${CodegenUtils.escapeString(name)}"`
+
+let objectSchema = (~library: library, ~rest=?, ~strict=false, fields) => {
+  let shape = switch fields {
+  | [] => "{}"
+  | fields => `{\n${fields->Array.map(field => CodegenUtils.indent(field, 1))->Array.join("\n")}\n}`
+  }
+  switch (library, rest) {
+  | (Zod, Some(rest)) => `z.object(${shape}).catchall(${rest})`
+  | (Zod, None) => strict ? `z.object(${shape}).strict()` : `z.object(${shape})`
+  | (Valibot, Some(rest)) => `v.objectWithRest(${shape}, ${rest})`
+  | (Valibot, None) => strict ? `v.strictObject(${shape})` : `v.object(${shape})`
+  }
+}
+
+let record = (~library, valueSchema) => call(~library, "record", `${call(~library, "string", "")}, ${valueSchema}`)
+
+// Name of the exported schema for a component schema (e.g., "User" -> "UserSchema")
+let schemaName = name => `${CodegenUtils.sanitizeIdentifier(name)}Schema`
+
+let rec generateSchema = (~library: library, irType: SchemaIR.irType): string => {
+  let recurse = nextIrType => generateSchema(~library, nextIrType)
+  switch irType {
+  | String({constraints: c}) =>
+    pipe(
+      ~library,
+      call(~library, "string", ""),
+      [
+        c.minLength->Option.map(n => MinLength(n)),
+        c.maxLength->Option.map(n => MaxLength(n)),
+        c.pattern->Option.map(p => Pattern(p)),
+        c.format->Option.map(f => Format(f)),
+      ]->Array.filterMap(check => check),
+    )
+  | Number({constraints: c})
+  | Integer({constraints: c}) =>
+    let isInteger = switch irType {
+    | Integer(_) => true
+    | _ => false
+    }
+    let number = pipe(
+      ~library,
+      call(~library, "number", ""),
+      [
+        isInteger ? Some(IsInteger) : None,
+        c.minimum->Option.map(n => Minimum(n)),
+        c.maximum->Option.map(n => Maximum(n)),
+        c.multipleOf->Option.map(n => MultipleOf(n)),
+      ]->Array.filterMap(check => check),
+    )
+    // 64-bit integers a float can't hold arrive as strings
+    c.format == Some("int64")
+      ? union(~library, [number, pipe(~library, call(~library, "string", ""), [Pattern("^-?\\d+$")])])
+      : number
+  | Boolean => call(~library, "boolean", "")
+  | Null => call(~library, "null", "")
+  | Binary =>
+    switch library {
+    | Zod => "z.instanceof(Blob)"
+    | Valibot => "v.instance(Blob)"
+    }
+  | Unknown => call(~library, "unknown", "")
+  | Array({items, constraints: c}) =>
+    pipe(
+      ~library,
+      call(~library, "array", recurse(items)),
+      [
+        c.minItems->Option.map(n => MinLength(n)),
+        c.maxItems->Option.map(n => MaxLength(n)),
+        c.uniqueItems ? Some(UniqueItems) : None,
+      ]->Array.filterMap(check => check),
+    )
+  | Object({properties, additionalProperties, patternProperties, strict}) =>
+    let extraType = SchemaIR.extraPropertiesType(~additionalProperties, ~patternProperties, ~strict)
+    let keyChecks =
+      strict && Array.length(patternProperties) > 0
+        ? [
+            AllowedKeys({
+              known: properties->Array.map(((name, _, _)) => name),
+              patterns: patternProperties->Array.map(((pattern, _)) => pattern),
+            }),
+          ]
+        : []
+    switch (properties, extraType) {
+    | ([], Some(valueType)) => pipe(~library, record(~library, recurse(valueType)), keyChecks)
+    | ([], None) => strict ? objectSchema(~library, ~strict, []) : record(~library, call(~library, "unknown", ""))
+    | (properties, _) =>
+      let fields = properties->Array.map(((name, fieldType, isRequired)) => {
+        let schema = recurse(fieldType)
+        `${propertyKey(name)}: ${isRequired ? schema : optional(~library, schema)},`
+      })
+      pipe(~library, objectSchema(~library, ~rest=?extraType->Option.map(recurse), ~strict, fields), keyChecks)
+    }
+  | Literal(value) => literal(~library, value)
+  | Union(types) =>
+    let nonNullTypes = types->Array.filter(t =>
+      switch t {
+      | Null | Literal(NullLiteral) => false
+      | _ => true
+      }
+    )
+    switch nonNullTypes {
+    | [single] if Array.length(types) > 1 => nullable(~library, recurse(single))
+    | _ => union(~library, types->Array.map(recurse))
+    }
+  | TaggedUnion({propertyName, cases}) =>
+    union(
+      ~library,
+      cases->Array.map(((tag, caseType)) =>
+        intersection(
+          ~library,
+          [
+            objectSchema(~library, [`${propertyKey(propertyName)}: ${literal(~library, StringLiteral(tag))},`]),
+            recurse(caseType),
+          ],
+        )
+      ),
+    )
+  | Intersection(types) => intersection(~library, types->Array.map(recurse))
+  | Reference(ref) =>
+    // Lazy references allow recursive schemas and any declaration order
+    switch String.split(ref, "/") {
+    | [_, "components", "schemas", name] => call(~library, "lazy", `() => ${schemaName(name)}`)
+    | _ => call(~library, "unknown", "")
+    }
+  | Option(inner) => nullable(~library, recurse(inner))
+  }
+}
+
+let generateNamedSchema = (~library, ~namedSchema: SchemaIR.namedSchema) => {
+  let docComment = namedSchema.description->Option.mapOr("", description => `/** ${description} */\n`)
+  `${docComment}export const ${schemaName(namedSchema.name)} = ${generateSchema(~library, namedSchema.type_)};`
+}
@@ -0,0 +1,225 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// MockServerGenerator.res - Generate a node:http mock server answering with the spec's examples or seeded fake data
+open Types
+
+// Output subdirectory (e.g., "mock/server.mjs")
+let directoryName = "mock"
+
+let int = (n: int) => JSON.Number(Int.toFloat(n))
+
+// A JSON Schema-like description of a type that the server checks request bodies with:
+// `type` with its constraints, `const`, `anyOf`, `allOf`, `discriminator` with a `mapping`
+// from tag to shape, and `ref` to a component; `{}` accepts anything
+let rec shapeOf = (irType: SchemaIR.irType): JSON.t => {
+  let shape = (entries: array<(string, option<JSON.t>)>) =>
+    JSON.Object(entries->Array.filterMap(((key, value)) => value->Option.map(value => (key, value)))->Dict.fromArray)
+  let typed = (name, entries) => shape(Array.concat([("type", Some(JSON.String(name)))], entries))
+  let number = (name, c: SchemaIR.numberConstraints) =>
+    typed(
+      name,
+      [
+        ("minimum", c.minimum->Option.map(n => JSON.Number(n))),
+        ("maximum", c.maximum->Option.map(n => JSON.Number(n))),
+        ("multipleOf", c.multipleOf->Option.map(n => JSON.Number(n))),
+      ],
+    )
+  switch irType {
+  | String({constraints: c}) =>
+    typed(
+      "string",
+      [
+        ("minLength", c.minLength->Option.map(int)),
+        ("maxLength", c.maxLength->Option.map(int)),
+        ("pattern", c.pattern->Option.map(s => JSON.String(s))),
+      ],
+    )
+  | Number({constraints}) => number("number", constraints)
+  | Integer({constraints}) => number("integer", constraints)
+  | Boolean => typed("boolean", [])
+  | Null => typed("null", [])
+  | Array({items, constraints: c}) =>
+    typed(
+      "array",
+      [
+        ("items", Some(shapeOf(items))),
+        ("minItems", c.minItems->Option.map(int)),
+        ("maxItems", c.maxItems->Option.map(int)),
+        ("uniqueItems", c.uniqueItems ? Some(JSON.Boolean(true)) : None),
+      ],
+    )
+  | Object({properties, additionalProperties, patternProperties, strict}) =>
+    typed(
+      "object",
+      [
+        ("properties", Some(JSON.Object(properties->Array.map(((name, fieldType, _)) => (name, shapeOf(fieldType)))->Dict.fromArray))),
+        ("required", Some(JSON.Array(properties->Array.filterMap(((name, _, isRequired)) => isRequired ? Some(JSON.String(name)) : None)))),
+        (
+          "patternProperties",
+          Array.length(patternProperties) == 0
+            ? None
+            : Some(JSON.Object(patternProperties->Array.map(((pattern, valueType)) => (pattern, shapeOf(valueType)))->Dict.fromArray)),
+        ),
+        (
+          "additionalProperties",
+          switch (additionalProperties, strict) {
+          | (Some(valueType), _) => Some(shapeOf(valueType))
+          | (None, true) => Some(JSON.Boolean(false))
+          | (None, false) => None
+          },
+        ),
+      ],
+    )
+  | Literal(value) => shape([("const", Some(FakeData.literal(value)))])
+  | Union(types) => shape([("anyOf", Some(JSON.Array(types->Array.map(shapeOf))))])
+  | TaggedUnion({propertyName, cases}) =>
+    shape([
+      ("discriminator", Some(JSON.String(propertyName))),
+      ("mapping", Some(JSON.Object(cases->Array.map(((tag, caseType)) => (tag, shapeOf(caseType)))->Dict.fromArray))),
+    ])
+  | Intersection(types) => shape([("allOf", Some(JSON.Array(types->Array.map(shapeOf))))])
+  | Reference(ref) => shape([("ref", Some(JSON.String(FakeData.referenceName(ref))))])
+  | Option(inner) => shape([("anyOf", Some(JSON.Array([shapeOf(inner), typed("null", [])])))])
+  | Binary | Unknown => shape([])
+  }
+}
+
+// The spec's example for a body: the media type's, else its schema's (or its component schema's)
+let specExample = (~schemas: dict<jsonSchema>, media: mediaType): option<JSON.t> => {
+  let fromSchema = (schema: jsonSchema) =>
+    ConformanceTestGenerator.schemaExamples(~pointer="", schema)[0]->Option.map(((_, value)) => value)
+  switch ConformanceTestGenerator.mediaExamples(~pointer="", media)[0] {
+  | Some((_, value)) => Some(value)
+  | None =>
+    media.schema->Option.flatMap(schema =>
+      switch fromSchema(schema) {
+      | Some(value) => Some(value)
+      | None => schema.ref->Option.flatMap(ref => schemas->Dict.get(FakeData.referenceName(ref)))->Option.flatMap(fromSchema)
+      }
+    )
+  }
+}
+
+// Status and body of the response the mock answers with: the first success response (or `default`)
+let mockResponse = (~seed, ~schemas, ~fakeSchemas, ~mediaTypePreference=?, endpoint: endpoint): JSON.t => {
+  let statuses = OpenAPIParser.getResponseStatuses(endpoint)
+  let chosen = switch statuses->Array.find(({match_}) => OpenAPIParser.isSuccessStatus(match_)) {
+  | Some(status) => Some(status)
+  | None => statuses->Array.find(({match_}) => match_ == Default)
+  }
+  let status = switch chosen {
+  | Some({match_: Exact(code)}) => code
+  | Some(_) => 200
+  | None => 204
+  }
+  let body = chosen->Option.flatMap(({response}) =>
+    EndpointGenerator.getResponseBody(~mediaTypePreference?, response)->Option.map(body => (
+      body,
+      response.content->Option.flatMap(content => content->Dict.get(body.mediaType)),
+    ))
+  )
+  let rng = FakeData.makeRng(FakeData.seedFor(~seed, `${endpoint.method} ${endpoint.path}`))
+  let fake = (schema: option<jsonSchema>) =>
+    schema->Option.mapOr(JSON.Null, schema => {
+      let (irType, _) = SchemaIRParser.parseJsonSchema(~schemas, ~direction=Response, schema)
+      FakeData.generate(~rng, ~schemas=fakeSchemas, irType)
+    })
+  let entries = switch body {
+  | Some(({mediaType, kind: (Json | Text) as kind, schema}, media)) =>
+    let (value, source) = switch media->Option.flatMap(media => specExample(~schemas, media)) {
+    | Some(example) => (example, "example")
+    | None => (kind == Json ? fake(schema) : JSON.String(FakeData.text(rng, ~minLength=1, ~maxLength=None)), "generated")
+    }
+    // JSON bodies are kept as values, so they read (and can be edited) like the spec's examples
+    let body = switch (kind, value) {
+    | (Json, value) => ("json", value)
+    | (_, JSON.String(text)) => ("text", JSON.String(text))
+    | (_, value) => ("text", JSON.String(JSON.stringify(value)))
+    }
+    [("contentType", JSON.String(mediaType)), body, ("source", JSON.String(source))]
+  // Binary and other content is answered without a body
+  | Some(({mediaType}, _)) => [("contentType", JSON.String(mediaType)), ("source", JSON.String("empty"))]
+  | None => [("source", JSON.String("empty"))]
+  }
+  JSON.Object(Dict.fromArray(Array.concat([("status", int(status))], entries)))
+}
+
+// What the mock checks about a request body; only JSON bodies are checked against their schema
+let mockRequest = (~schemas, ~mediaTypePreference=?, endpoint: endpoint): option<JSON.t> =>
+  endpoint.requestBody->Option.flatMap(requestBody =>
+    EndpointGenerator.selectBody(~mediaTypePreference?, requestBody.content)->Option.map(({mediaType, kind, schema}) => {
+      let shape = switch (kind, schema) {
+      | (Json, Some(schema)) =>
+        let (irType, _) = SchemaIRParser.parseJsonSchema(~schemas, ~direction=Request, schema)
+        [("schema", shapeOf(irType))]
+      | _ => []
+      }
+      JSON.Object(
+        Dict.fromArray(
+          Array.concat(
+            [("contentType", JSON.String(mediaType)), ("required", JSON.Boolean(requestBody.required->Option.getOr(false)))],
+            shape,
+          ),
+        ),
+      )
+    })
+  )
+
+// Path of the first server's URL, which the mock serves under (e.g., "/v1")
+let basePathOf = (spec: openAPISpec) =>
+  switch OpenAPIParser.getServers(spec)[0] {
+  | Some({url}) if !(url->String.includes("{")) =>
+    let path = url->String.replaceRegExp(/^[a-z][a-z0-9+.-]*:\/\/[^\/]*/i, "")
+    path->String.endsWith("/") ? path->String.slice(~start=0, ~end=String.length(path) - 1) : path
+  | _ => ""
+  }
+
+let parameterCount = (endpoint: endpoint) => endpoint.path->String.split("{")->Array.length
+
+let generateFiles = (~spec: openAPISpec, ~endpoints: array<endpoint>, ~seed=1, ~mediaTypePreference=?) => {
+  let schemas = spec.components->Option.flatMap(c => c.schemas)->Option.getOr(Dict.make())
+  let namedSchemas = (~direction) => {
+    let (context, _) = SchemaIRParser.parseComponentSchemas(~direction, schemas)
+    context.schemas->Dict.toArray->Array.map(((name, namedSchema)) => (name, namedSchema.type_))
+  }
+  let fakeSchemas = namedSchemas(~direction=Response)->Dict.fromArray
+  let requestShapes = namedSchemas(~direction=Request)->Array.map(((name, irType)) => (name, shapeOf(irType)))
+
+  // Literal paths are matched before templated ones ("/users/me" before "/users/{id}")
+  let routes =
+    endpoints
+    ->Array.toSorted((a, b) => Int.compare(parameterCount(a), parameterCount(b)))
+    ->Array.map(endpoint =>
+      JSON.Object(
+        Dict.fromArray([
+          ("method", JSON.String(endpoint.method->String.toUpperCase)),
+          ("path", JSON.String(endpoint.path)),
+          ("operation", JSON.String(CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method))),
+          ("request", mockRequest(~schemas, ~mediaTypePreference?, endpoint)->Option.getOr(JSON.Null)),
+          ("response", mockResponse(~seed, ~schemas, ~fakeSchemas, ~mediaTypePreference?, endpoint)),
+        ]),
+      )
+    )
+
+  let mjs = Handlebars.render(
+    Templates.mockServer,
+    {
+      "title": spec.info.title,
+      "titleLiteral": JSON.stringify(JSON.String(spec.info.title)),
+      "seed": Int.toString(seed),
+      "basePath": JSON.stringify(JSON.String(basePathOf(spec))),
+      "schemas": JSON.stringify(JSON.Object(Dict.fromArray(requestShapes)), ~space=2),
+      "routes": JSON.stringify(JSON.Array(routes), ~space=2),
+    },
+  )
+  let dts = Handlebars.render(Templates.mockServerDts, {"title": spec.info.title})
+  (mjs, dts)
+}
+
+let generate = (~spec, ~endpoints, ~outputDir, ~seed=?, ~mediaTypePreference=?) => {
+  let (mjs, dts) = generateFiles(~spec, ~endpoints, ~seed?, ~mediaTypePreference?)
+  Pipeline.fromFiles([
+    {FileSystem.path: FileSystem.makePath(outputDir, `${directoryName}/server.mjs`), content: mjs},
+    {path: FileSystem.makePath(outputDir, `${directoryName}/server.d.ts`), content: dts},
+  ])
+}
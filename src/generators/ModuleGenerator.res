@@ -52,13 +52,17 @@ let generateTagModuleFile = (
   ~includeSchemas as _: bool=true,
   ~wrapInModule=false,
   ~overrideDir=?,
+  ~responseVariants=false,
+  ~mediaTypePreference=?,
+  ~formatMappings=?,
+  ~inputSchemas=?,
 ) => {
   let moduleName = CodegenUtils.toPascalCase(tag)
   let header = CodegenUtils.generateFileHeader(~description=`API endpoints for ${tag}`)
   let body =
     endpoints
     ->Array.map(endpoint =>
-      EndpointGenerator.generateEndpointCode(endpoint, ~overrideDir?, ~moduleName)
+      EndpointGenerator.generateEndpointCode(endpoint, ~overrideDir?, ~moduleName, ~responseVariants, ~mediaTypePreference?, ~formatMappings?, ~inputSchemas?)
     )
     ->Array.join("\n\n")
 
@@ -87,13 +91,27 @@ let generateAllTagModules = (
   ~includeSchemas=true,
   ~wrapInModule=false,
   ~overrideDir=?,
+  ~responseVariants=false,
+  ~mediaTypePreference=?,
+  ~formatMappings=?,
+  ~inputSchemas=?,
 ) => {
   let groupedByTag = OpenAPIParser.groupByTag(endpoints)
   Dict.toArray(groupedByTag)
   ->Array.toSorted(((tagA, _), (tagB, _)) => String.compare(tagA, tagB))
   ->Array.map(((tag, tagEndpoints)) => (
     tag,
-    generateTagModuleFile(~tag, ~endpoints=tagEndpoints, ~includeSchemas, ~wrapInModule, ~overrideDir?),
+    generateTagModuleFile(
+      ~tag,
+      ~endpoints=tagEndpoints,
+      ~includeSchemas,
+      ~wrapInModule,
+      ~overrideDir?,
+      ~responseVariants,
+      ~mediaTypePreference?,
+      ~formatMappings?,
+      ~inputSchemas?,
+    ),
   ))
 }
 
@@ -114,7 +132,7 @@ let generateIndexModule = (~tags, ~moduleName="API") => {
   )
 }
 
-let generateFlatModuleCode = (~moduleName, ~endpoints, ~overrideDir=?) => {
+let generateFlatModuleCode = (~moduleName, ~endpoints, ~modulePrefix="", ~overrideDir=?, ~responseVariants=false, ~mediaTypePreference=?, ~formatMappings=?, ~inputSchemas=?) => {
   let header = CodegenUtils.generateFileHeader(~description=`All API endpoints in ${moduleName}`)
   let body =
     endpoints
@@ -123,6 +141,11 @@ let generateFlatModuleCode = (~moduleName, ~endpoints, ~overrideDir=?) => {
         endpoint,
         ~overrideDir?,
         ~moduleName,
+        ~modulePrefix,
+        ~responseVariants,
+        ~mediaTypePreference?,
+        ~formatMappings?,
+        ~inputSchemas?,
       )->CodegenUtils.indent(2)
     )
     ->Array.join("\n\n")
@@ -231,22 +254,32 @@ let generateCombinedModule = (
   )
 }
 
-let generateTagModuleFiles = (~endpoints, ~outputDir, ~wrapInModule=false, ~overrideDir=?) => {
+let generateTagModuleFiles = (~endpoints, ~outputDir, ~wrapInModule=false, ~overrideDir=?, ~responseVariants=false, ~mediaTypePreference=?, ~formatMappings=?, ~inputSchemas=?, ~securitySchemes=?, ~credentialLocations=?, ~servers=?) => {
   let files =
-    generateAllTagModules(~endpoints, ~includeSchemas=true, ~wrapInModule, ~overrideDir?)->Array.map(((
+    generateAllTagModules(~endpoints, ~includeSchemas=true, ~wrapInModule, ~overrideDir?, ~responseVariants, ~mediaTypePreference?, ~formatMappings?, ~inputSchemas?)->Array.map(((
       tag,
       content,
     )) => {
       let path = FileSystem.makePath(outputDir, `${CodegenUtils.toPascalCase(tag)}.res`)
       ({path, content}: FileSystem.fileToWrite)
     })
-  Pipeline.fromFilesAndWarnings(files, [])
+  Pipeline.combine([
+    Pipeline.fromFilesAndWarnings(files, []),
+    ApiRuntimeGenerator.generate(~outputDir),
+    ApiSecurityGenerator.generate(~outputDir, ~schemes=securitySchemes, ~credentialLocations?),
+    ServersGenerator.generate(~outputDir, ~servers?, ~endpoints),
+  ])
 }
 
-let generateFlatModuleFile = (~moduleName, ~endpoints, ~outputDir, ~overrideDir=?) => {
+let generateFlatModuleFile = (~moduleName, ~endpoints, ~outputDir, ~overrideDir=?, ~responseVariants=false, ~mediaTypePreference=?, ~formatMappings=?, ~inputSchemas=?, ~securitySchemes=?, ~credentialLocations=?, ~servers=?) => {
   let path = FileSystem.makePath(outputDir, `${moduleName}.res`)
-  let content = generateFlatModuleCode(~moduleName, ~endpoints, ~overrideDir?)
-  Pipeline.fromFile(({path, content}: FileSystem.fileToWrite))
+  let content = generateFlatModuleCode(~moduleName, ~endpoints, ~overrideDir?, ~responseVariants, ~mediaTypePreference?, ~formatMappings?, ~inputSchemas?)
+  Pipeline.combine([
+    Pipeline.fromFile(({path, content}: FileSystem.fileToWrite)),
+    ApiRuntimeGenerator.generate(~outputDir),
+    ApiSecurityGenerator.generate(~outputDir, ~schemes=securitySchemes, ~credentialLocations?),
+    ServersGenerator.generate(~outputDir, ~servers?, ~endpoints),
+  ])
 }
 
 let generateInstanceTagModules = (
@@ -256,38 +289,43 @@ let generateInstanceTagModules = (
   ~schemas,
   ~outputDir,
   ~overrideDir=?,
+  ~responseVariants=false,
+  ~mediaTypePreference=?,
+  ~formatMappings=?,
+  ~transformIR=?,
+  ~securitySchemes=?,
+  ~credentialLocations=?,
+  ~servers=?,
+  ~conformanceTests=false,
 ) => {
-  let apiDir = FileSystem.makePath(FileSystem.makePath(outputDir, instanceName), "api")
+  let instanceDir = FileSystem.makePath(outputDir, instanceName)
+  let apiDir = FileSystem.makePath(instanceDir, "api")
+  // The instance's own schemas, as a spec the schema generators can read
+  let schemaSpec: openAPISpec = {
+    openapi: "3.1.0",
+    info: {title: instanceName, version: "1.0.0", description: None},
+    paths: Dict.make(),
+    components: Some({schemas, securitySchemes: None}),
+    security: None,
+    servers: None,
+  }
 
   let schemaFiles = schemas->Option.mapOr([], schemaDict =>
     if Dict.keysToArray(schemaDict)->Array.length == 0 {
       []
     } else {
-      let result = ComponentSchemaGenerator.generate(
-        ~spec={
-          openapi: "3.1.0",
-          info: {title: instanceName, version: "1.0.0", description: None},
-          paths: Dict.make(),
-          components: Some({schemas: Some(schemaDict)}),
-        },
+      ComponentSchemaGenerator.generate(
+        ~spec=schemaSpec,
         ~outputDir=apiDir,
-      )
-      result.files->Array.map(file =>
-        if file.path->String.endsWith("ComponentSchemas.res") {
-          {
-            ...file,
-            path: file.path->String.replace(
-              "ComponentSchemas.res",
-              `${modulePrefix}ComponentSchemas.res`,
-            ),
-          }
-        } else {
-          file
-        }
-      )
+        ~modulePrefix,
+        ~formatMappings?,
+        ~transformIR?,
+      ).files
     }
   )
 
+  // Request bodies reference the `input` variant of this instance's split schemas
+  let inputSchemas = schemas->Option.mapOr([], SchemaIRParser.splitSchemaNames)
   let groupedByTag = OpenAPIParser.groupByTag(endpoints)
   let endpointFiles =
     Dict.toArray(groupedByTag)
@@ -295,7 +333,16 @@ let generateInstanceTagModules = (
     ->Array.filterMap(((tag, tagEndpoints)) => {
       let moduleName = `${modulePrefix}${CodegenUtils.toPascalCase(tag)}`
       let endpointCodes = tagEndpoints->Array.flatMap(endpoint => [
-        EndpointGenerator.generateEndpointCode(endpoint, ~overrideDir?, ~moduleName, ~modulePrefix),
+        EndpointGenerator.generateEndpointCode(
+          endpoint,
+          ~overrideDir?,
+          ~moduleName,
+          ~modulePrefix,
+          ~responseVariants,
+          ~mediaTypePreference?,
+          ~formatMappings?,
+          ~inputSchemas,
+        ),
         "",
       ])
       let content = Array.join(
@@ -310,10 +357,18 @@ let generateInstanceTagModules = (
       Some(({path, content}: FileSystem.fileToWrite))
     })
 
-  Pipeline.fromFilesAndWarnings(Array.concat(schemaFiles, endpointFiles), [])
+  Pipeline.combine([
+    Pipeline.fromFilesAndWarnings(Array.concat(schemaFiles, endpointFiles), []),
+    ApiRuntimeGenerator.generate(~outputDir=apiDir, ~modulePrefix),
+    ApiSecurityGenerator.generate(~outputDir=apiDir, ~modulePrefix, ~schemes=securitySchemes, ~credentialLocations?),
+    ServersGenerator.generate(~outputDir=apiDir, ~modulePrefix, ~servers?, ~endpoints),
+    conformanceTests
+      ? ConformanceTestGenerator.generate(~spec=schemaSpec, ~endpoints, ~outputDir=instanceDir, ~modulePerTag=true, ~modulePrefix, ~responseVariants, ~mediaTypePreference?)
+      : Pipeline.empty,
+  ])
 }
 
-let generateBaseTagModules = (~baseName, ~basePrefix, ~endpoints, ~schemas, ~outputDir, ~overrideDir=?) =>
+let generateBaseTagModules = (~baseName, ~basePrefix, ~endpoints, ~schemas, ~outputDir, ~overrideDir=?, ~responseVariants=false, ~mediaTypePreference=?, ~formatMappings=?, ~transformIR=?, ~securitySchemes=?, ~credentialLocations=?, ~servers=?, ~conformanceTests=false) =>
   generateInstanceTagModules(
     ~instanceName=baseName,
     ~modulePrefix=basePrefix,
@@ -321,9 +376,17 @@ let generateBaseTagModules = (~baseName, ~basePrefix, ~endpoints, ~schemas, ~out
     ~schemas,
     ~outputDir,
     ~overrideDir?,
+    ~responseVariants,
+    ~mediaTypePreference?,
+    ~formatMappings?,
+    ~transformIR?,
+    ~securitySchemes?,
+    ~credentialLocations?,
+    ~servers?,
+    ~conformanceTests,
   )
 
-let generateForkTagModules = (~forkName, ~forkPrefix, ~endpoints, ~schemas, ~outputDir, ~overrideDir=?) =>
+let generateForkTagModules = (~forkName, ~forkPrefix, ~endpoints, ~schemas, ~outputDir, ~overrideDir=?, ~responseVariants=false, ~mediaTypePreference=?, ~formatMappings=?, ~transformIR=?, ~securitySchemes=?, ~credentialLocations=?, ~servers=?, ~conformanceTests=false) =>
   generateInstanceTagModules(
     ~instanceName=forkName,
     ~modulePrefix=forkPrefix,
@@ -331,6 +394,14 @@ let generateForkTagModules = (~forkName, ~forkPrefix, ~endpoints, ~schemas, ~out
     ~schemas,
     ~outputDir,
     ~overrideDir?,
+    ~responseVariants,
+    ~mediaTypePreference?,
+    ~formatMappings?,
+    ~transformIR?,
+    ~securitySchemes?,
+    ~credentialLocations?,
+    ~servers?,
+    ~conformanceTests,
   )
 
 let generateSeparatePerTagModules = (
@@ -344,6 +415,16 @@ let generateSeparatePerTagModules = (
   ~extensionSchemas,
   ~outputDir,
   ~overrideDir=?,
+  ~responseVariants=false,
+  ~mediaTypePreference=?,
+  ~formatMappings=?,
+  ~transformIR=?,
+  ~sharedSecuritySchemes=?,
+  ~extensionSecuritySchemes=?,
+  ~credentialLocations=?,
+  ~sharedServers=?,
+  ~extensionServers=?,
+  ~conformanceTests=false,
 ) =>
   Pipeline.combine([
     generateBaseTagModules(
@@ -353,6 +434,14 @@ let generateSeparatePerTagModules = (
       ~schemas=sharedSchemas,
       ~outputDir,
       ~overrideDir?,
+      ~responseVariants,
+      ~mediaTypePreference?,
+      ~formatMappings?,
+      ~transformIR?,
+      ~securitySchemes=?sharedSecuritySchemes,
+      ~credentialLocations?,
+      ~servers=?sharedServers,
+      ~conformanceTests,
     ),
     generateForkTagModules(
       ~forkName,
@@ -361,5 +450,13 @@ let generateSeparatePerTagModules = (
       ~schemas=extensionSchemas,
       ~outputDir,
       ~overrideDir?,
+      ~responseVariants,
+      ~mediaTypePreference?,
+      ~formatMappings?,
+      ~transformIR?,
+      ~securitySchemes=?extensionSecuritySchemes,
+      ~credentialLocations?,
+      ~servers=?extensionServers,
+      ~conformanceTests,
     ),
   ])
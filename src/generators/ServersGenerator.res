@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// ServersGenerator.res - Generate typed base-URL constructors for the spec's servers and per-operation overrides
+open Types
+
+// Servers module name for a module prefix (e.g., "MisskeyIo" -> "MisskeyIoServers")
+let moduleName = (~modulePrefix="") => `${modulePrefix}Servers`
+
+// Submodule holding the servers that override the API's for an operation
+let operationModuleName = functionName => CodegenUtils.toPascalCase(functionName)
+
+// Constructor names, from the servers' descriptions (e.g., "Production (EU)" -> "productionEu")
+let serverLabels = (servers: array<server>) =>
+  servers
+  ->Array.mapWithIndex((server, i) => {
+    let words = server.description->Option.getOr("")->String.replaceRegExp(/[^A-Za-z0-9]+/g, " ")->String.trim
+    let label = words == "" ? `server${Int.toString(i + 1)}` : CodegenUtils.toCamelCase(words)
+    let label = RegExp.test(/^[0-9]/, label) ? `server${label}` : label
+    CodegenUtils.escapeKeyword(label)
+  })
+  ->CodegenUtils.deduplicateNames
+
+// A server can be built without arguments when every variable has a default
+let hasDefaults = (server: server) =>
+  server.variables->Option.mapOr(true, variables =>
+    variables->Dict.valuesToArray->Array.every(variable => variable.default->Option.isSome)
+  )
+
+type variableCode = {
+  label: string,
+  argument: string,
+  value: string, // Expression for the variable's string value
+}
+
+// Enum variables become polymorphic variants (unless the default is not one of the values)
+let variableCode = (~label, variable: serverVariable) => {
+  let values = switch (variable.enum, variable.default) {
+  | (Some(values), Some(default)) if !(values->Array.includes(default)) => []
+  | (Some(values), _) => values
+  | (None, _) => []
+  }
+  let literal = value =>
+    Array.length(values) > 0 ? `#"${CodegenUtils.escapeString(value)}"` : `"${CodegenUtils.escapeString(value)}"`
+  let typeCode = Array.length(values) > 0 ? `[${values->Array.map(literal)->Array.join(" | ")}]` : "string"
+  {
+    label,
+    argument: `~${label}: ${typeCode}${variable.default->Option.mapOr("", default => "=" ++ literal(default))}`,
+    value: Array.length(values) > 0 ? `(${label} :> string)` : label,
+  }
+}
+
+type urlPiece = Literal(string) | Variable(string)
+
+// Concatenation of a server URL's text and variable values; unknown {placeholders} stay as text
+let urlExpression = (url, values: dict<string>) => {
+  let pieces =
+    url
+    ->String.split("{")
+    ->Array.mapWithIndex((segment, i) =>
+      switch (i, segment->String.indexOf("}")) {
+      | (0, _) => [Literal(segment)]
+      | (_, -1) => [Literal("{" ++ segment)]
+      | (_, end) =>
+        switch values->Dict.get(segment->String.slice(~start=0, ~end)) {
+        | Some(value) => [Variable(value), Literal(segment->String.slice(~start=end + 1))]
+        | None => [Literal("{" ++ segment)]
+        }
+      }
+    )
+    ->Array.flat
+    ->Array.reduce([], (pieces, piece) =>
+      switch (pieces->Array.at(-1), piece) {
+      | (Some(Literal(text)), Literal(more)) => pieces->Array.slice(~start=0, ~end=-1)->Array.concat([Literal(text ++ more)])
+      | _ => Array.concat(pieces, [piece])
+      }
+    )
+    ->Array.filter(piece => piece != Literal(""))
+  switch pieces {
+  | [] => `""`
+  | pieces =>
+    pieces
+    ->Array.map(piece =>
+      switch piece {
+      | Literal(text) => `"${CodegenUtils.escapeString(text)}"`
+      | Variable(value) => value
+      }
+    )
+    ->Array.join(" ++ ")
+  }
+}
+
+let generateConstructor = (~label, server: server) => {
+  let variables = server.variables->Option.getOr(Dict.make())->Dict.toArray
+  let labels =
+    variables->Array.map(((name, _)) => name->CodegenUtils.sanitizeIdentifier->CodegenUtils.toCamelCase->CodegenUtils.escapeKeyword)
+    ->CodegenUtils.deduplicateNames
+  let codes = variables->Array.mapWithIndex(((name, variable), i) => (name, variableCode(~label=labels->Array.getUnsafe(i), variable)))
+  let values = codes->Array.map(((name, code)) => (name, code.value))->Dict.fromArray
+
+  let variableLines = variables->Array.filterMap(((name, variable)) =>
+    variable.description->Option.map(description => `- ${name}: ${description}`)
+  )
+  let docComment = CodegenUtils.generateDocString(
+    ~summary=server.description->Option.getOr(server.url),
+    ~description=?switch (server.description, variableLines) {
+    | (None, []) => None
+    | (Some(_), lines) => Some(Array.concat([server.url], lines)->Array.join("\n"))
+    | (None, lines) => Some(lines->Array.join("\n"))
+    },
+    (),
+  )
+
+  Handlebars.render(
+    Templates.serverConstructor,
+    {
+      "docComment": docComment,
+      "label": label,
+      // Every argument is labeled, so a unit argument ends the list
+      "arguments": switch codes {
+      | [] => ""
+      | codes => Array.concat(codes->Array.map(((_, code)) => code.argument), ["()"])->Array.join(", ")
+      },
+      "urlExpr": urlExpression(server.url, values),
+    },
+  )
+}
+
+let generateConstructors = (servers: array<server>) => {
+  let labels = serverLabels(servers)
+  servers->Array.mapWithIndex((server, i) => generateConstructor(~label=labels->Array.getUnsafe(i), server))->Array.join("\n\n")
+}
+
+let generateCode = (~servers: array<server>, ~endpoints: array<endpoint>) => {
+  let operations = endpoints->Array.filterMap(endpoint =>
+    switch OpenAPIParser.getServerOverrides(endpoint) {
+    | [] => None
+    | overrides =>
+      let functionName = CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method)
+      Some({
+        "functionName": functionName,
+        "moduleName": operationModuleName(functionName),
+        "constructors": generateConstructors(overrides)->CodegenUtils.indent(1),
+      })
+    }
+  )
+  let header = CodegenUtils.generateFileHeader(~description="Servers the API is served from")
+  Handlebars.render(
+    Templates.serversModule,
+    {
+      "header": header->String.trimEnd,
+      "constructors": Array.length(servers) > 0 ? Some(generateConstructors(servers))->Null.fromOption : Null.null,
+      "operations": operations,
+    },
+  )
+}
+
+// Nothing is generated when neither the spec nor any operation names a server
+let generate = (~outputDir, ~modulePrefix="", ~servers=[], ~endpoints) =>
+  Array.length(servers) == 0 && !(endpoints->Array.some(endpoint => Array.length(OpenAPIParser.getServerOverrides(endpoint)) > 0))
+    ? Pipeline.empty
+    : Pipeline.fromFile({
+        path: FileSystem.makePath(outputDir, `${moduleName(~modulePrefix)}.res`),
+        content: generateCode(~servers, ~endpoints),
+      })
+
+// Default server argument of an endpoint with server overrides (None when the endpoint has none;
+// the default is omitted when the first server has variables without defaults)
+let serverParameter = (~modulePrefix="", endpoint: endpoint) => {
+  let overrides = OpenAPIParser.getServerOverrides(endpoint)
+  overrides->Array.get(0)->Option.map(first =>
+    hasDefaults(first)
+      ? Some(
+          `${moduleName(~modulePrefix)}.${operationModuleName(
+              CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method),
+            )}.${serverLabels(overrides)->Array.getUnsafe(0)}()`,
+        )
+      : None
+  )
+}
+
+// Doc comment line naming the servers an endpoint is served from instead of the API's
+let serversNote = (endpoint: endpoint) =>
+  switch OpenAPIParser.getServerOverrides(endpoint) {
+  | [] => None
+  | overrides => Some(`Servers: ${overrides->Array.map(server => server.url)->Array.join(", ")}`)
+  }
@@ -0,0 +1,237 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// StructuredReportGenerator.res - Machine-readable diff reports (JSON and SARIF)
+open Types
+
+// JSON Schema of the JSON report, shipped in the package under schemas/
+let reportSchemaUrl = "https://unpkg.com/@f3liz/rescript-autogen-openapi/schemas/diff-report.schema.json"
+
+// Bumped whenever the JSON report changes incompatibly
+let reportVersion = 1
+
+let toolName = "rescript-autogen-openapi"
+let toolUri = "https://github.com/f3liz-dev/rescript-autogen-openapi"
+
+let object = fields => JSON.Encode.object(Dict.fromArray(fields))
+let string = JSON.Encode.string
+let int = JSON.Encode.int
+let bool = JSON.Encode.bool
+let strings = values => JSON.Encode.array(values->Array.map(string))
+
+let kindName = (kind: changeKind) => (kind :> string)
+
+// Spec location as shown in reports: URLs as-is, files relative to the working directory
+let specUri = (specPath: string) =>
+  specPath->String.startsWith("http://") || specPath->String.startsWith("https://")
+    ? specPath
+    : FileSystem.displayPath(specPath)
+
+// ============= JSON =============
+
+let encodeChange = (change: apiChange) =>
+  object([
+    ("pointer", string(change.pointer)),
+    ("kind", string(kindName(change.kind))),
+    ("direction", string(CompatibilityAnalyzer.directionName(change.direction))),
+    ("breaking", bool(change.breaking)),
+    ("message", string(change.message)),
+  ])
+
+let encodeEndpoint = (endpoint: endpoint) =>
+  object([
+    ("method", string(endpoint.method->String.toUpperCase)),
+    ("path", string(endpoint.path)),
+    ("operationId", endpoint.operationId->Option.mapOr(JSON.Encode.null, string)),
+    ("tags", strings(endpoint.tags->Option.getOr([]))),
+  ])
+
+let encodeEndpointDiff = (endpointDiff: endpointDiff) =>
+  object([
+    ("method", string(endpointDiff.method->String.toUpperCase)),
+    ("path", string(endpointDiff.path)),
+    ("tags", strings(endpointDiff.tags->Option.getOr([]))),
+    ("parametersChanged", bool(endpointDiff.parametersChanged)),
+    ("requestBodyChanged", bool(endpointDiff.requestBodyChanged)),
+    ("responseChanged", bool(endpointDiff.responseChanged)),
+    ("breaking", bool(endpointDiff.breakingChange)),
+    ("changes", JSON.Encode.array(endpointDiff.changes->Array.map(encodeChange))),
+  ])
+
+let encodeSchemaDiff = (schemaDiff: schemaDiff) =>
+  object([
+    ("name", string(schemaDiff.name)),
+    ("breaking", bool(schemaDiff.breakingChange)),
+    ("changes", JSON.Encode.array(schemaDiff.changes->Array.map(encodeChange))),
+  ])
+
+let encodeMergeStats = (stats: SpecMerger.mergeStats) =>
+  object([
+    ("sharedEndpoints", int(stats.sharedEndpointCount)),
+    ("sharedSchemas", int(stats.sharedSchemaCount)),
+    ("extensionEndpoints", int(stats.forkExtensionCount)),
+    ("extensionSchemas", int(stats.forkSchemaCount)),
+  ])
+
+// Diff (and merge stats, when known) as a JSON document described by schemas/diff-report.schema.json
+let generateJsonReport = (~diff: specDiff, ~stats=?, ~baseName, ~forkName) => {
+  let summary = object([
+    ("totalChanges", int(SpecDiffer.countChanges(diff))),
+    ("addedEndpoints", int(diff.addedEndpoints->Array.length)),
+    ("removedEndpoints", int(diff.removedEndpoints->Array.length)),
+    ("modifiedEndpoints", int(diff.modifiedEndpoints->Array.length)),
+    ("addedSchemas", int(diff.addedSchemas->Array.length)),
+    ("removedSchemas", int(diff.removedSchemas->Array.length)),
+    ("modifiedSchemas", int(diff.modifiedSchemas->Array.length)),
+    ("breakingChanges", int(SpecDiffer.breakingChanges(diff)->Array.length)),
+  ])
+
+  let document = object([
+    ("$schema", string(reportSchemaUrl)),
+    ("version", int(reportVersion)),
+    ("generator", string("@f3liz/rescript-autogen-openapi")),
+    ("base", string(baseName)),
+    ("fork", string(forkName)),
+    ("summary", summary),
+    (
+      "endpoints",
+      object([
+        ("added", JSON.Encode.array(diff.addedEndpoints->Array.map(encodeEndpoint))),
+        ("removed", JSON.Encode.array(diff.removedEndpoints->Array.map(encodeEndpoint))),
+        ("modified", JSON.Encode.array(diff.modifiedEndpoints->Array.map(encodeEndpointDiff))),
+      ]),
+    ),
+    (
+      "schemas",
+      object([
+        ("added", strings(diff.addedSchemas)),
+        ("removed", strings(diff.removedSchemas)),
+        ("modified", JSON.Encode.array(diff.modifiedSchemas->Array.map(encodeSchemaDiff))),
+      ]),
+    ),
+    ("changes", JSON.Encode.array(diff.changes->Array.map(encodeChange))),
+    ("merge", stats->Option.mapOr(JSON.Encode.null, encodeMergeStats)),
+  ])
+
+  JSON.stringify(document, ~space=2) ++ "\n"
+}
+
+// ============= SARIF =============
+
+let kindDescription = (kind: changeKind) =>
+  switch kind {
+  | EndpointAdded => "An endpoint was added"
+  | EndpointRemoved => "An endpoint was removed"
+  | ParameterAdded => "A parameter was added"
+  | ParameterRemoved => "A parameter was removed"
+  | ParameterBecameRequired => "A parameter became required"
+  | ParameterBecameOptional => "A parameter became optional"
+  | RequestBodyAdded => "A request body was added"
+  | RequestBodyRemoved => "A request body was removed"
+  | RequestBodyBecameRequired => "A request body became required"
+  | RequestBodyBecameOptional => "A request body became optional"
+  | MediaTypeAdded => "A media type was added"
+  | MediaTypeRemoved => "A media type was removed"
+  | StatusCodeAdded => "A response status code was added"
+  | StatusCodeRemoved => "A response status code was removed"
+  | SchemaAdded => "A component schema was added"
+  | SchemaRemoved => "A component schema was removed"
+  | PropertyAdded => "A property was added"
+  | PropertyRemoved => "A property was removed"
+  | PropertyBecameRequired => "A property became required"
+  | PropertyBecameOptional => "A property became optional"
+  | EnumValueAdded => "An enum value was added"
+  | EnumValueRemoved => "An enum value was removed"
+  | TypeWidened => "A type accepts more values"
+  | TypeNarrowed => "A type accepts fewer values"
+  | TypeChanged => "A type was replaced by an unrelated type"
+  | NullableAdded => "A value became nullable"
+  | NullableRemoved => "A value is no longer nullable"
+  | FormatChanged => "A string or number format changed"
+  | ConstraintWidened => "A validation constraint was relaxed"
+  | ConstraintNarrowed => "A validation constraint was tightened"
+  | ConstraintChanged => "A validation constraint changed"
+  }
+
+// Diff as a SARIF 2.1.0 log: breaking changes are errors, other changes notes.
+// The spec is resolved before diffing, so results point at the spec file (line 1) and name the JSON pointer.
+let generateSarifReport = (~diff: specDiff, ~forkName, ~specUri=?) => {
+  // One rule per kind of change present in the diff
+  let kinds = diff.changes->Array.reduce([], (kinds, change) =>
+    kinds->Array.includes(change.kind) ? kinds : Array.concat(kinds, [change.kind])
+  )
+  let rules = kinds->Array.map(kind =>
+    object([
+      ("id", string(kindName(kind))),
+      ("shortDescription", object([("text", string(kindDescription(kind)))])),
+    ])
+  )
+
+  let results = diff.changes->Array.map(change => {
+    let physicalLocation = specUri->Option.mapOr([], uri => [
+      (
+        "physicalLocation",
+        object([
+          ("artifactLocation", object([("uri", string(uri))])),
+          ("region", object([("startLine", int(1))])),
+        ]),
+      ),
+    ])
+    object([
+      ("ruleId", string(kindName(change.kind))),
+      ("ruleIndex", int(kinds->Array.indexOf(change.kind))),
+      ("level", string(change.breaking ? "error" : "note")),
+      (
+        "message",
+        object([("text", string(`${change.message} (${CompatibilityAnalyzer.directionName(change.direction)})`))]),
+      ),
+      (
+        "locations",
+        JSON.Encode.array([
+          object(
+            Array.concat(
+              physicalLocation,
+              [("logicalLocations", JSON.Encode.array([object([("fullyQualifiedName", string(change.pointer))])]))],
+            ),
+          ),
+        ]),
+      ),
+      (
+        "partialFingerprints",
+        object([
+          ("openapiChange/v1", string(`${kindName(change.kind)}:${CompatibilityAnalyzer.directionName(change.direction)}:${change.pointer}`)),
+        ]),
+      ),
+      (
+        "properties",
+        object([
+          ("pointer", string(change.pointer)),
+          ("direction", string(CompatibilityAnalyzer.directionName(change.direction))),
+          ("breaking", bool(change.breaking)),
+        ]),
+      ),
+    ])
+  })
+
+  let log = object([
+    ("$schema", string("https://json.schemastore.org/sarif-2.1.0.json")),
+    ("version", string("2.1.0")),
+    (
+      "runs",
+      JSON.Encode.array([
+        object([
+          (
+            "tool",
+            object([
+              ("driver", object([("name", string(toolName)), ("informationUri", string(toolUri)), ("rules", JSON.Encode.array(rules))])),
+            ]),
+          ),
+          // One category per fork, so code scanning keeps each fork's results apart
+          ("automationDetails", object([("id", string(`openapi-diff/${forkName}/`))])),
+          ("results", JSON.Encode.array(results)),
+        ]),
+      ]),
+    ),
+  ])
+
+  JSON.stringify(log, ~space=2) ++ "\n"
+}
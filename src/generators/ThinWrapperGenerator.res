@@ -3,34 +3,87 @@
 // ThinWrapperGenerator.res - Generate ReScript thin wrappers with pipe-first ergonomics
 open Types
 
-let clientTypeCode =
-  Handlebars.render(Templates.clientType, {"fetchTypeSignature": CodegenUtils.fetchTypeSignature})
+let generateClientType = (~runtimeModule=?, ~securityModule=?, ~responseVariants=false) =>
+  Handlebars.render(
+    securityModule->Option.isSome ? Templates.authenticatedClientType : Templates.clientType,
+    {
+      "fetchTypeSignature": CodegenUtils.fetchTypeSignature(~runtimeModule?, ~responseVariants),
+      "securityModule": securityModule->Null.fromOption,
+    },
+  )
 
-let generateConnectFunction = (title) =>
+// The base URL defaults to the spec's first server when it can be built without arguments
+let baseUrlParam = (~serversModule, servers: array<server>) =>
+  switch servers->Array.get(0) {
+  | Some(first) if ServersGenerator.hasDefaults(first) =>
+    `~baseUrl: string=${serversModule}.${ServersGenerator.serverLabels(servers)->Array.getUnsafe(0)}()`
+  | _ => "~baseUrl: string"
+  }
+
+let generateConnectFunction = (title, ~runtimeModule=?, ~securityModule=?, ~baseUrlParam="~baseUrl: string", ~responseVariants=false) =>
   Handlebars.render(
-    Templates.connectFunction,
-    {"title": title, "fetchTypeSignature": CodegenUtils.fetchTypeSignature},
+    securityModule->Option.isSome ? Templates.authenticatedConnectFunction : Templates.connectFunction,
+    {
+      "title": title,
+      "baseUrlParam": baseUrlParam,
+      "fetchTypeSignature": CodegenUtils.fetchTypeSignature(~runtimeModule?, ~responseVariants),
+      "securityModule": securityModule->Null.fromOption,
+    },
   )
 
-let generateWrapperFunction = (~endpoint: endpoint, ~generatedModuleName: string) => {
+// Credentials argument for an endpoint of another instance's module. Every instance generates
+// its own credentials record, and records with the same scheme names have the same runtime shape.
+let credentialsArgument = (~securityModule, ~targetSecurityModule) =>
+  securityModule == targetSecurityModule
+    ? "~credentials=?client.credentials, "
+    : `~credentials=?(Obj.magic(client.credentials): option<${targetSecurityModule}.credentials>), `
+
+let generateWrapperFunction = (~endpoint: endpoint, ~generatedModuleName: string, ~credentialsArgument="") => {
   let operationName = CodegenUtils.generateOperationName(
     endpoint.operationId,
     endpoint.path,
     endpoint.method,
   )
-  let hasRequestBody = endpoint.requestBody->Option.isSome
+  let hasRequestBody = EndpointGenerator.getRequestBody(endpoint)->Option.isSome
   let docComment = endpoint.summary->Option.mapOr("", summary => {
     let descriptionPart = endpoint.description->Option.mapOr("", description =>
       description == summary ? "" : " - " ++ description
     )
     `  /** ${summary}${descriptionPart} */\n`
   })
+  let docComment = endpoint.deprecated == Some(true) ? `${docComment}  ${CodegenUtils.deprecatedAttribute}\n` : docComment
+
+  // Parameter types are inferred from the generated function
+  let parameters = OpenAPIParser.getRequestParameters(endpoint)
+  let labels = CodegenUtils.parameterLabels(parameters)
+  let isOptional = (param: parameter) => param.in_ != "path" && !(param.required->Option.getOr(false))
+  let parameterArguments =
+    parameters
+    ->Array.mapWithIndex((param, i) => {
+      let label = labels->Array.getUnsafe(i)
+      isOptional(param) ? `~${label}=?, ` : `~${label}, `
+    })
+    ->Array.join("")
+  let parameterCallArguments =
+    parameters
+    ->Array.mapWithIndex((param, i) => {
+      let label = labels->Array.getUnsafe(i)
+      isOptional(param) ? `~${label}?, ` : `~${label}, `
+    })
+    ->Array.join("")
+
+  // A server is only passed on when the endpoint's first server cannot be built without arguments
+  let (serverArgument, serverCallArgument) = switch ServersGenerator.serverParameter(endpoint) {
+  | Some(None) => ("~server: string, ", "~server, ")
+  | _ => ("", "")
+  }
+  let parameterArguments = parameterArguments ++ serverArgument
 
   let signature = hasRequestBody
-    ? `let ${operationName} = (request: ${generatedModuleName}.${operationName}Request, ~client: client)`
-    : `let ${operationName} = (~client: client)`
+    ? `let ${operationName} = (request: ${generatedModuleName}.${operationName}Request, ${parameterArguments}~client: client)`
+    : `let ${operationName} = (${parameterArguments}~client: client)`
 
-  let callArguments = hasRequestBody ? "~body=request, " : ""
+  let callArguments = parameterCallArguments ++ (hasRequestBody ? "~body=request, " : "") ++ serverCallArgument ++ credentialsArgument
 
   Handlebars.render(
     Templates.wrapperFunction,
@@ -52,7 +105,27 @@ let generateWrapper = (
   ~wrapperModuleName="Wrapper",
   ~generatedModulePrefix="",
   ~baseModulePrefix="",
+  ~commonEndpoints=[],
+  ~commonModulePrefix="",
+  ~responseVariants=false,
+  ~securitySchemes=?,
+  ~servers=[],
 ) => {
+  // Clients carry credentials when the spec declares security schemes
+  let securityModule = switch securitySchemes {
+  | Some(schemes) if Dict.keysToArray(schemes)->Array.length > 0 =>
+    Some(ApiSecurityGenerator.moduleName(~modulePrefix=generatedModulePrefix))
+  | _ => None
+  }
+
+  // Endpoints every fork shares live in the common layer's modules
+  let commonOperationIds =
+    commonEndpoints->Array.reduce(Dict.make(), (acc, endpoint) => {
+      Dict.set(acc, CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method), true)
+      acc
+    })
+  let extensionEndpoints = Array.concat(commonEndpoints, extensionEndpoints)
+
   let extensionOperationIds =
     extensionEndpoints->Array.reduce(Dict.make(), (acc, endpoint) => {
       let name = CodegenUtils.generateOperationName(
@@ -96,11 +169,21 @@ let generateWrapper = (
             endpoint.method,
           )
           let isExtension = hasExtensions && Dict.has(extensionOperationIds, operationName)
-          let prefix =
-            (!isExtension && baseModulePrefix != "") ? baseModulePrefix : generatedModulePrefix
+          let prefix = if Dict.has(commonOperationIds, operationName) {
+            commonModulePrefix
+          } else if !isExtension && baseModulePrefix != "" {
+            baseModulePrefix
+          } else {
+            generatedModulePrefix
+          }
 
           let targetModuleName = prefix != "" ? `${prefix}${moduleName}` : moduleName
-          generateWrapperFunction(~endpoint, ~generatedModuleName=targetModuleName)
+          let credentialsArgument = switch securityModule {
+          | Some(securityModule) if Array.length(OpenAPIParser.getSecurityRequirements(endpoint)) > 0 =>
+            credentialsArgument(~securityModule, ~targetSecurityModule=ApiSecurityGenerator.moduleName(~modulePrefix=prefix))
+          | _ => ""
+          }
+          generateWrapperFunction(~endpoint, ~generatedModuleName=targetModuleName, ~credentialsArgument)
         })
         ->Array.join("\n\n")
 
@@ -108,11 +191,20 @@ let generateWrapper = (
     })
     ->Array.join("\n\n")
 
+  // Body types are polymorphic variants, so the fork's runtime module also fits base endpoints
+  let runtimeModule = ApiRuntimeGenerator.moduleName(~modulePrefix=generatedModulePrefix)
+
   let fileContent = Handlebars.render(
     Templates.wrapperFile,
     {
-      "clientTypeCode": clientTypeCode,
-      "connectFunctionCode": generateConnectFunction(spec.info.title),
+      "clientTypeCode": generateClientType(~runtimeModule, ~securityModule?, ~responseVariants),
+      "connectFunctionCode": generateConnectFunction(
+        spec.info.title,
+        ~runtimeModule,
+        ~securityModule?,
+        ~baseUrlParam=baseUrlParam(~serversModule=ServersGenerator.moduleName(~modulePrefix=generatedModulePrefix), servers),
+        ~responseVariants,
+      ),
       "modulesCode": modulesCode,
     },
   )
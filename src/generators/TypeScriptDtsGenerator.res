@@ -3,29 +3,37 @@
 // TypeScriptDtsGenerator.res - Generate TypeScript .d.ts definition files
 open Types
 
-let getFirstJsonSchema = (contentDict: dict<mediaType>): option<jsonSchema> =>
-  Dict.keysToArray(contentDict)
-  ->Array.get(0)
-  ->Option.flatMap(contentType => Dict.get(contentDict, contentType))
-  ->Option.flatMap(mediaType => mediaType.schema)
-
-let generateTypeScriptType = (name, description, schema) => {
+let generateTypeScriptType = (~formatMappings=?, ~transformIR=?, name, description, schema: jsonSchema) => {
   let (irType, _) = SchemaIRParser.parseJsonSchema(schema)
-  IRToTypeScriptGenerator.generateNamedType(~namedSchema={name, description, type_: irType})
+  let namedSchema: SchemaIR.namedSchema = {name, description, type_: irType}
+  let docTags = CodegenUtils.exampleTags(SchemaIRParser.examplesOf(schema))
+  let docTags = schema.deprecated == Some(true) ? Array.concat(docTags, ["@deprecated"]) : docTags
+  IRToTypeScriptGenerator.generateNamedType(
+    ~formatMappings?,
+    ~namedSchema=transformIR->Option.mapOr(namedSchema, transform => transform(namedSchema)),
+    ~docTags,
+  )
 }
 
+// Generate TypeScript type for a body in its selected media type
+let generateBodyType = (~formatMappings=?, name, description, body: EndpointGenerator.body) =>
+  switch (body.kind, body.schema) {
+  | (Text, _) => `export type ${name} = string;`
+  | (Binary, _) => `export type ${name} = Blob;`
+  | (_, Some(schema)) => generateTypeScriptType(~formatMappings?, name, description, schema)
+  | (_, None) => `export type ${name} = unknown;`
+  }
+
 // Generate TypeScript interface for request type
-let generateRequestInterface = (~endpoint: endpoint, ~functionName) => {
+let generateRequestInterface = (~endpoint: endpoint, ~functionName, ~mediaTypePreference=?, ~formatMappings=?) => {
   let requestTypeName = `${CodegenUtils.toPascalCase(functionName)}Request`
-  endpoint.requestBody->Option.flatMap(body =>
-    getFirstJsonSchema(body.content)->Option.map(schema =>
-      generateTypeScriptType(requestTypeName, body.description, schema)
-    )
+  EndpointGenerator.getRequestBody(~mediaTypePreference?, endpoint)->Option.map(body =>
+    generateBodyType(~formatMappings?, requestTypeName, endpoint.requestBody->Option.flatMap(b => b.description), body)
   )
 }
 
 // Generate TypeScript interface for response type
-let generateResponseInterface = (~endpoint: endpoint, ~functionName) => {
+let generateResponseInterface = (~endpoint: endpoint, ~functionName, ~mediaTypePreference=?, ~formatMappings=?) => {
   let responseTypeName = `${CodegenUtils.toPascalCase(functionName)}Response`
   let successCodes = ["200", "201", "202", "204"]
   let successResponse = successCodes
@@ -34,32 +42,111 @@ let generateResponseInterface = (~endpoint: endpoint, ~functionName) => {
 
   successResponse
   ->Option.flatMap(response =>
-    response.content
-    ->Option.flatMap(getFirstJsonSchema)
-    ->Option.map(schema => generateTypeScriptType(responseTypeName, response.description->Some, schema))
+    EndpointGenerator.getResponseBody(~mediaTypePreference?, response)->Option.map(body =>
+      generateBodyType(~formatMappings?, responseTypeName, Some(response.description), body)
+    )
   )
   ->Option.getOr(`export type ${responseTypeName} = void;`)
 }
 
-// Generate method signature for endpoint in an interface
-let generateMethodSignature = (~endpoint: endpoint, ~functionName) => {
-  let params = endpoint.requestBody->Option.isSome
-    ? `client: MisskeyClient, request: ${CodegenUtils.toPascalCase(functionName)}Request`
-    : "client: MisskeyClient"
-
-  let docLines = switch (endpoint.summary, endpoint.description) {
-  | (None, None) => ""
-  | (Some(summary), None) => `  /** ${summary} */`
-  | (None, Some(desc)) => {
-      let lines = desc->String.split("\n")->Array.map(line => line == "" ? "   *" : `   * ${line}`)
-      `  /**\n${lines->Array.join("\n")}\n   */`
-    }
-  | (Some(summary), Some(desc)) if summary == desc => `  /** ${summary} */`
-  | (Some(summary), Some(desc)) => {
-      let descLines = desc->String.split("\n")->Array.map(line => line == "" ? "   *" : `   * ${line}`)
-      `  /**\n   * ${summary}\n   *\n${descLines->Array.join("\n")}\n   */`
+// Generate TypeScript types for response variants, matching the compiled ReScript result:
+// `{TAG: "Ok" | "Error", _0}` wrapping polymorphic variants `{NAME, VAL}` (or a bare string)
+let generateResponseVariantTypes = (~endpoint: endpoint, ~functionName, ~mediaTypePreference=?, ~formatMappings=?) => {
+  let pascalName = CodegenUtils.toPascalCase(functionName)
+  let statuses = OpenAPIParser.getResponseStatuses(endpoint)
+  let payloadTypeName = match_ => `${pascalName}Response${CodegenUtils.statusSuffix(match_)}`
+  let payloadBody = (response: response) => EndpointGenerator.getResponseBody(~mediaTypePreference?, response)
+
+  let payloadTypes = statuses->Array.filterMap(({match_, response}) =>
+    payloadBody(response)->Option.map(body =>
+      generateBodyType(~formatMappings?, payloadTypeName(match_), Some(response.description), body)
+    )
+  )
+  let caseType = ({match_, response}: OpenAPIParser.responseStatus) => {
+    let constructor = CodegenUtils.statusConstructorName(match_)
+    let payload = payloadBody(response)->Option.map(_ => payloadTypeName(match_))
+    switch (CodegenUtils.carriesStatusCode(match_), payload) {
+    | (false, None) => `'${constructor}'`
+    | (false, Some(t)) => `{ NAME: '${constructor}'; VAL: ${t} }`
+    | (true, None) => `{ NAME: '${constructor}'; VAL: number }`
+    | (true, Some(t)) => `{ NAME: '${constructor}'; VAL: [number, ${t}] }`
     }
   }
+  let unionType = (name, cases) =>
+    `export type ${name} =${Array.length(cases) == 0 ? " undefined" : cases->Array.map(c => `\n  | ${c}`)->Array.join("")};`
+
+  let hasDefault = statuses->Array.some(({match_}) => match_ == Default)
+  let successCases =
+    statuses->Array.filter(({match_}) => OpenAPIParser.isSuccessStatus(match_))->Array.map(caseType)
+  let errorCases =
+    statuses
+    ->Array.filter(({match_}) => !OpenAPIParser.isSuccessStatus(match_))
+    ->Array.map(caseType)
+    ->Array.concat(hasDefault ? [] : [
+      "{ NAME: 'UnexpectedStatus'; VAL: [number, { NAME: 'Json'; VAL: unknown } | { NAME: 'Text'; VAL: string } | { NAME: 'Binary'; VAL: Blob }] }",
+    ])
+
+  [
+    ...payloadTypes,
+    unionType(`${pascalName}Success`, successCases),
+    unionType(`${pascalName}Error`, errorCases),
+    `export type ${pascalName}Response =\n  | { TAG: 'Ok'; _0: ${pascalName}Success }\n  | { TAG: 'Error'; _0: ${pascalName}Error };`,
+  ]->Array.join("\n")
+}
+
+// Generate TypeScript interface for path, query, header and cookie parameters
+let generateParamsInterface = (~endpoint: endpoint, ~functionName, ~formatMappings=?) => {
+  let parameters = OpenAPIParser.getRequestParameters(endpoint)
+  if Array.length(parameters) == 0 {
+    None
+  } else {
+    let labels = CodegenUtils.parameterLabels(parameters)
+    let fields =
+      parameters
+      ->Array.mapWithIndex((param, i) => {
+        let tsType = param.schema->Option.mapOr("unknown", schema => {
+          let (_, tsType) = IRToTypeScriptGenerator.generateParameterType(~formatMappings?, ~name=param.name, ~schema)
+          tsType
+        })
+        let optional = param.in_ != "path" && !(param.required->Option.getOr(false))
+        let doc = param.description->Option.mapOr("", d => `  /** ${d} */\n`)
+        `${doc}  ${labels->Array.getUnsafe(i)}${optional ? "?" : ""}: ${tsType};`
+      })
+      ->Array.join("\n")
+    Some(`export interface ${CodegenUtils.toPascalCase(functionName)}Params {\n${fields}\n}`)
+  }
+}
+
+// Params argument for an endpoint ("params" or "params?" when every parameter is optional)
+let paramsArgumentName = (endpoint: endpoint) =>
+  OpenAPIParser.getRequestParameters(endpoint)->Array.some(param =>
+    param.in_ == "path" || param.required->Option.getOr(false)
+  )
+    ? "params"
+    : "params?"
+
+// JSDoc lines for an operation: summary, description and a deprecation tag
+let operationDocLines = (endpoint: endpoint) => {
+  let text = switch (endpoint.summary, endpoint.description) {
+  | (None, None) => []
+  | (Some(summary), None) => [summary]
+  | (None, Some(desc)) => desc->String.split("\n")
+  | (Some(summary), Some(desc)) if summary == desc => [summary]
+  | (Some(summary), Some(desc)) => Array.concat([summary, ""], desc->String.split("\n"))
+  }
+  endpoint.deprecated == Some(true) ? Array.concat(text, ["@deprecated"]) : text
+}
+
+// Generate method signature for endpoint in an interface
+let generateMethodSignature = (~endpoint: endpoint, ~functionName, ~clientName) => {
+  let pascalName = CodegenUtils.toPascalCase(functionName)
+  let requestParam = EndpointGenerator.getRequestBody(endpoint)->Option.isSome ? `, request: ${pascalName}Request` : ""
+  let paramsParam = OpenAPIParser.getRequestParameters(endpoint)->Array.length > 0
+    ? `, ${paramsArgumentName(endpoint)}: ${pascalName}Params`
+    : ""
+  let params = `client: ${clientName}${requestParam}${paramsParam}, options?: RequestOptions`
+
+  let docLines = CodegenUtils.jsDoc(~indent="  ", operationDocLines(endpoint))
 
   Handlebars.render(
     Templates.methodSignature,
@@ -73,7 +160,7 @@ let generateMethodSignature = (~endpoint: endpoint, ~functionName) => {
 }
 
 // Generate .d.ts file for a module (grouped by tag)
-let generateModuleDts = (~moduleName, ~endpoints: array<endpoint>) => {
+let generateModuleDts = (~moduleName, ~endpoints: array<endpoint>, ~clientName, ~responseVariants=false, ~mediaTypePreference=?, ~formatMappings=?) => {
   let interfaces =
     endpoints
     ->Array.map(endpoint => {
@@ -82,10 +169,13 @@ let generateModuleDts = (~moduleName, ~endpoints: array<endpoint>) => {
         endpoint.path,
         endpoint.method,
       )
+      let paramsPart = generateParamsInterface(~endpoint, ~functionName, ~formatMappings?)->Option.getOr("")
       let requestPart =
-        generateRequestInterface(~endpoint, ~functionName)->Option.getOr("")
-      let responsePart = generateResponseInterface(~endpoint, ~functionName)
-      [requestPart, responsePart]->Array.filter(s => s != "")->Array.join("\n")
+        generateRequestInterface(~endpoint, ~functionName, ~mediaTypePreference?, ~formatMappings?)->Option.getOr("")
+      let responsePart = responseVariants
+        ? generateResponseVariantTypes(~endpoint, ~functionName, ~mediaTypePreference?, ~formatMappings?)
+        : generateResponseInterface(~endpoint, ~functionName, ~mediaTypePreference?, ~formatMappings?)
+      [paramsPart, requestPart, responsePart]->Array.filter(s => s != "")->Array.join("\n")
     })
     ->Array.join("\n\n")
 
@@ -99,6 +189,7 @@ let generateModuleDts = (~moduleName, ~endpoints: array<endpoint>) => {
           endpoint.path,
           endpoint.method,
         ),
+        ~clientName,
       )
     )
     ->Array.join("\n")
@@ -107,6 +198,7 @@ let generateModuleDts = (~moduleName, ~endpoints: array<endpoint>) => {
     Templates.moduleDts,
     {
       "moduleName": moduleName,
+      "clientName": clientName,
       "interfaces": interfaces,
       "methodSignatures": methodSignatures,
     },
@@ -114,10 +206,10 @@ let generateModuleDts = (~moduleName, ~endpoints: array<endpoint>) => {
 }
 
 // Generate ComponentSchemas.d.ts
-let generateComponentSchemasDts = (~schemas: Dict.t<jsonSchema>) => {
+let generateComponentSchemasDts = (~schemas: Dict.t<jsonSchema>, ~formatMappings=?, ~transformIR=?) => {
   let content =
     Dict.toArray(schemas)
-    ->Array.map(((name, schema)) => generateTypeScriptType(name, schema.description, schema))
+    ->Array.map(((name, schema)) => generateTypeScriptType(~formatMappings?, ~transformIR?, name, schema.description, schema))
     ->Array.join("\n\n")
 
   Handlebars.render(
@@ -126,18 +218,59 @@ let generateComponentSchemasDts = (~schemas: Dict.t<jsonSchema>) => {
   )
 }
 
-// Generate main index.d.ts with MisskeyClient class
-let generateIndexDts = (~moduleNames) => {
+// Credentials interface for a spec's security schemes, keyed by scheme name like the ReScript record
+let generateCredentialsInterface = (schemes: dict<securityScheme>) => {
+  let fields = schemes->Dict.toArray->Array.filterMap(((name, scheme)) => {
+    let key = RegExp.test(/^[A-Za-z_$][\w$]*$/, name) ? name : `'${CodegenUtils.escapeString(name)}'`
+    let docLine = `  /** ${ApiSecurityGenerator.describe(scheme)} */\n`
+    switch ApiSecurityGenerator.credentialKind(scheme) {
+    | Token => Some(`${docLine}  ${key}?: string;`)
+    | Basic => Some(`${docLine}  ${key}?: { username: string; password: string };`)
+    | Connection => None
+    }
+  })
+  `export interface Credentials {\n${fields->Array.join("\n")}\n}`
+}
+
+// Client class parts (credentials interface, constructor argument): typed credentials when the spec
+// declares security schemes, a bearer token otherwise
+let clientCredentials = (~securitySchemes=?) =>
+  switch securitySchemes {
+  | Some(schemes) if Dict.keysToArray(schemes)->Array.length > 0 =>
+    (Some(generateCredentialsInterface(schemes)), "credentials?: Credentials")
+  | _ => (None, "token?: string")
+  }
+
+// Client class name: the configured one, or the spec title or instance name followed by "Client"
+let clientClassName = (~clientName=?, name) => clientName->Option.getOr(CodegenUtils.toPascalCase(name) ++ "Client")
+
+// Client class with its options and error type, declared by both index.d.ts files
+let generateClientDts = (~clientName, ~securitySchemes=?) => {
+  let (credentialsInterface, credentialsParam) = clientCredentials(~securitySchemes?)
+  Handlebars.render(
+    Templates.clientDts,
+    {
+      "clientName": clientName,
+      "credentialsInterface": credentialsInterface->Null.fromOption,
+      "credentialsParam": credentialsParam,
+    },
+  )
+}
+
+// Generate main index.d.ts with the client class
+let generateIndexDts = (~moduleNames, ~clientName, ~securitySchemes=?) => {
   let modules = moduleNames->Array.map(m => {
     "importLine": `import { ${m}Module } from './${m}';`,
     "exportLine": `export const ${m}: ${m}Module;`,
   })
-
-  Handlebars.render(Templates.indexDts, {"modules": modules})
+  Handlebars.render(
+    Templates.indexDts,
+    {"modules": modules, "clientDts": generateClientDts(~clientName, ~securitySchemes?)},
+  )
 }
 
 // Generate all .d.ts files for a spec
-let generate = (~spec: openAPISpec, ~endpoints, ~outputDir): Pipeline.generationOutput => {
+let generate = (~spec: openAPISpec, ~endpoints, ~outputDir, ~clientName, ~responseVariants=false, ~mediaTypePreference=?, ~formatMappings=?, ~transformIR=?, ~securitySchemes=?): Pipeline.generationOutput => {
   let endpointsByTag = OpenAPIParser.groupByTag(endpoints)
   let moduleNames = []
   let files =
@@ -148,7 +281,7 @@ let generate = (~spec: openAPISpec, ~endpoints, ~outputDir): Pipeline.generation
         moduleNames->Array.push(name)
         Some({
           FileSystem.path: FileSystem.makePath(outputDir, `types/${name}.d.ts`),
-          content: generateModuleDts(~moduleName=name, ~endpoints=tagEndpoints),
+          content: generateModuleDts(~moduleName=name, ~endpoints=tagEndpoints, ~clientName, ~responseVariants, ~mediaTypePreference?, ~formatMappings?),
         })
       } else {
         None
@@ -160,13 +293,13 @@ let generate = (~spec: openAPISpec, ~endpoints, ~outputDir): Pipeline.generation
   ->Option.forEach(schemas =>
     files->Array.push({
       path: FileSystem.makePath(outputDir, "types/ComponentSchemas.d.ts"),
-      content: generateComponentSchemasDts(~schemas=schemas),
+      content: generateComponentSchemasDts(~schemas=schemas, ~formatMappings?, ~transformIR?),
     })
   )
 
   files->Array.push({
     path: FileSystem.makePath(outputDir, "types/index.d.ts"),
-    content: generateIndexDts(~moduleNames),
+    content: generateIndexDts(~moduleNames, ~clientName, ~securitySchemes?),
   })
 
   {files, warnings: []}
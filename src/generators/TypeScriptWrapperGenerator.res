@@ -3,14 +3,29 @@
 // TypeScriptWrapperGenerator.res - Generate TypeScript/JavaScript wrapper
 open Types
 
-let misskeyClientJsCode = {
-  let body: string = %raw(`
-    "export class MisskeyClient {\n  constructor(baseUrl, token) {\n    this.baseUrl = baseUrl;\n    this.token = token;\n  }\n\n  async _fetch(url, method, body) {\n    const headers = { 'Content-Type': 'application/json' };\n    if (this.token) {\n      headers['Authorization'] = \x60Bearer \x24{this.token}\x60;\n    }\n    const response = await fetch(this.baseUrl + url, {\n      method,\n      headers,\n      body: body ? JSON.stringify(body) : undefined,\n    });\n    return response.json();\n  }\n}"
-  `)
-  body
-}
+let clientJsCode = (~clientName, ~responseVariants=false, ~authenticated=false, ~validation: option<Config.validationLibrary>=?) =>
+  Handlebars.render(
+    Templates.wrapperMjsClient,
+    {
+      "clientName": clientName,
+      // Successful JSON responses are checked against the endpoint's schema before ReScript decodes them
+      "validateResponse": switch validation {
+      | Some(Zod) => Some("responseSchema.parse(responseBody.VAL)")
+      | Some(Valibot) => Some("v.parse(responseSchema, responseBody.VAL)")
+      | None => None
+      }->Null.fromOption,
+      // Response variants switch on the status code, so it is returned alongside the body and nothing is thrown
+      "responseVariants": responseVariants,
+      "authenticated": authenticated,
+      "credentialsName": authenticated ? "credentials" : "token",
+    },
+  )
+
+let hasSecuritySchemes = securitySchemes =>
+  securitySchemes->Option.mapOr(false, schemes => Dict.keysToArray(schemes)->Array.length > 0)
 
-let generateWrapperMjs = (~endpoints, ~generatedModulePath) => {
+let generateWrapperMjs = (~endpoints, ~generatedModulePath, ~clientName, ~responseVariants=false, ~securitySchemes=?, ~validation=?, ~mediaTypePreference=?) => {
+  let authenticated = hasSecuritySchemes(securitySchemes)
   let endpointsByTag = OpenAPIParser.groupByTag(endpoints)
   let tags = Dict.keysToArray(endpointsByTag)
 
@@ -18,7 +33,9 @@ let generateWrapperMjs = (~endpoints, ~generatedModulePath) => {
     tags
     ->Array.map(tag => {
       let moduleName = CodegenUtils.toPascalCase(tag)
-      let importLine = `import * as ${moduleName} from '${generatedModulePath}/${moduleName}.mjs';`
+      // The namespace exported for the tag takes the module's name, so the import needs another
+      let importName = `${moduleName}Api`
+      let importLine = `import * as ${importName} from '${generatedModulePath}/${moduleName}.mjs';`
       let methods =
         Dict.get(endpointsByTag, tag)
         ->Option.getOr([])
@@ -28,14 +45,30 @@ let generateWrapperMjs = (~endpoints, ~generatedModulePath) => {
             endpoint.path,
             endpoint.method,
           )
-          let hasRequestBody = endpoint.requestBody->Option.isSome
+          let hasRequestBody = EndpointGenerator.getRequestBody(endpoint)->Option.isSome
+          let parameters = OpenAPIParser.getRequestParameters(endpoint)
+          let hasParameters = Array.length(parameters) > 0
+          // Compiled ReScript functions take labeled arguments positionally, in declaration order
+          let paramArgs =
+            CodegenUtils.parameterLabels(parameters)
+            ->Array.map(label => `params?.${label}, `)
+            ->Array.join("")
+          let requiresCredentials = authenticated && Array.length(OpenAPIParser.getSecurityRequirements(endpoint)) > 0
           Handlebars.render(
             Templates.wrapperMjsMethod,
             {
               "functionName": functionName,
               "moduleName": moduleName,
-              "requestArg": hasRequestBody ? ", request" : "",
-              "bodyArg": hasRequestBody ? "body: request, " : "",
+              "importName": importName,
+              "requestArg": (hasRequestBody ? ", request" : "") ++ (hasParameters ? ", params" : ""),
+              "paramArgs": paramArgs,
+              "bodyArg": hasRequestBody ? "request, " : "",
+              // The endpoint's own server default applies
+              "serverArg": OpenAPIParser.getServerOverrides(endpoint)->Array.length > 0 ? "undefined, " : "",
+              "credentialsArg": requiresCredentials ? "client.credentials, " : "",
+              "responseSchemaArg": validation->Option.flatMap(_ =>
+                ValidatorSchemaGenerator.responseSchemaPath(~moduleName, ~mediaTypePreference?, endpoint)
+              )->Option.mapOr("", path => `, Schemas.${path}`),
             },
           )
         })
@@ -50,11 +83,23 @@ let generateWrapperMjs = (~endpoints, ~generatedModulePath) => {
 
   Handlebars.render(
     Templates.wrapperMjs,
-    {"tags": tagData, "clientCode": misskeyClientJsCode},
+    {
+      "runtimeImportLine": `import * as ApiRuntime from '${generatedModulePath}/ApiRuntime.mjs';`,
+      "validationImportLines": switch validation {
+      | Some(library) =>
+        Array.concat(
+          library == Valibot ? ["import * as v from 'valibot';"] : [],
+          [`import * as Schemas from '../${ValidatorSchemaGenerator.directoryName(library)}/index.mjs';`],
+        )
+      | None => []
+      },
+      "tags": tagData,
+      "clientCode": clientJsCode(~clientName, ~responseVariants, ~authenticated, ~validation?),
+    },
   )
 }
 
-let generateWrapperDts = (~endpoints) => {
+let generateWrapperDts = (~endpoints, ~clientName, ~securitySchemes=?) => {
   let endpointsByTag = OpenAPIParser.groupByTag(endpoints)
   let tags = Dict.keysToArray(endpointsByTag)
 
@@ -69,11 +114,12 @@ let generateWrapperDts = (~endpoints) => {
           let pascalName = CodegenUtils.toPascalCase(
             CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method),
           )
-          if endpoint.requestBody->Option.isSome {
-            [`  ${pascalName}Request,`, `  ${pascalName}Response,`]
-          } else {
-            [`  ${pascalName}Response,`]
-          }
+          let hasParameters = OpenAPIParser.getRequestParameters(endpoint)->Array.length > 0
+          [
+            hasParameters ? Some(`  ${pascalName}Params,`) : None,
+            EndpointGenerator.getRequestBody(endpoint)->Option.map(_ => `  ${pascalName}Request,`),
+            Some(`  ${pascalName}Response,`),
+          ]->Array.filterMap(x => x)
         })
         ->Array.join("\n")
       let importBlock = `import type {\n${typesToImport}\n} from '../types/${moduleName}.d.ts';`
@@ -88,25 +134,20 @@ let generateWrapperDts = (~endpoints) => {
             endpoint.method,
           )
           let pascalName = CodegenUtils.toPascalCase(functionName)
-          let docComment = switch (endpoint.summary, endpoint.description) {
-          | (None, None) => ""
-          | (Some(summary), None) => `  /** ${summary} */\n`
-          | (None, Some(desc)) => {
-              let lines = desc->String.split("\n")->Array.map(line => line == "" ? "   *" : `   * ${line}`)
-              `  /**\n${lines->Array.join("\n")}\n   */\n`
-            }
-          | (Some(summary), Some(desc)) if summary == desc => `  /** ${summary} */\n`
-          | (Some(summary), Some(desc)) => {
-              let descLines = desc->String.split("\n")->Array.map(line => line == "" ? "   *" : `   * ${line}`)
-              `  /**\n   * ${summary}\n   *\n${descLines->Array.join("\n")}\n   */\n`
-            }
+          let docComment = switch CodegenUtils.jsDoc(~indent="  ", TypeScriptDtsGenerator.operationDocLines(endpoint)) {
+          | "" => ""
+          | doc => doc ++ "\n"
           }
-          let requestParam = endpoint.requestBody->Option.isSome ? `, request: ${pascalName}Request` : ""
+          let requestParam = EndpointGenerator.getRequestBody(endpoint)->Option.isSome ? `, request: ${pascalName}Request` : ""
+          let requestParam = OpenAPIParser.getRequestParameters(endpoint)->Array.length > 0
+            ? `${requestParam}, ${TypeScriptDtsGenerator.paramsArgumentName(endpoint)}: ${pascalName}Params`
+            : requestParam
           Handlebars.render(
             Templates.wrapperDtsFunction,
             {
               "docComment": docComment,
               "functionName": functionName,
+              "clientName": clientName,
               "requestParam": requestParam,
               "pascalName": pascalName,
             },
@@ -121,19 +162,31 @@ let generateWrapperDts = (~endpoints) => {
       {"importBlock": importBlock, "namespace": namespace}
     })
 
-  Handlebars.render(Templates.wrapperDts, {"tags": tagData})
+  Handlebars.render(
+    Templates.wrapperDts,
+    {"tags": tagData, "clientDts": TypeScriptDtsGenerator.generateClientDts(~clientName, ~securitySchemes?)},
+  )
 }
 
-let generate = (~endpoints, ~outputDir, ~generatedModulePath="../generated") => {
+let generate = (
+  ~endpoints,
+  ~outputDir,
+  ~clientName,
+  ~generatedModulePath="../generated",
+  ~responseVariants=false,
+  ~securitySchemes=?,
+  ~validation=?,
+  ~mediaTypePreference=?,
+) => {
   Pipeline.fromFilesAndWarnings(
     [
       {
         FileSystem.path: FileSystem.makePath(outputDir, "wrapper/index.mjs"),
-        content: generateWrapperMjs(~endpoints, ~generatedModulePath),
+        content: generateWrapperMjs(~endpoints, ~generatedModulePath, ~clientName, ~responseVariants, ~securitySchemes?, ~validation?, ~mediaTypePreference?),
       },
       {
         path: FileSystem.makePath(outputDir, "wrapper/index.d.ts"),
-        content: generateWrapperDts(~endpoints),
+        content: generateWrapperDts(~endpoints, ~clientName, ~securitySchemes?),
       },
     ],
     [],
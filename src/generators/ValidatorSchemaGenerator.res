@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MPL-2.0
+
+// ValidatorSchemaGenerator.res - Generate Zod or Valibot schemas for component schemas and endpoint bodies
+open Types
+
+// Output subdirectory for a library's schemas (e.g., "zod/index.mjs")
+let directoryName = (library: Config.validationLibrary) =>
+  switch library {
+  | Zod => "zod"
+  | Valibot => "valibot"
+  }
+
+// Libraries to generate schemas for: the enabled targets, plus the one the TypeScript wrapper validates with
+let libraries = (~targets: Config.generationTargets, ~wrapperValidation: option<Config.validationLibrary>) =>
+  [(Config.Zod, targets.zodSchemas), (Config.Valibot, targets.valibotSchemas)]->Array.filterMap(((library, enabled)) =>
+    enabled || wrapperValidation == Some(library) ? Some(library) : None
+  )
+
+let bodySchema = (~library, body: EndpointGenerator.body) => {
+  let irType: SchemaIR.irType = switch (body.kind, body.schema) {
+  | (Text, _) => String({constraints: {minLength: None, maxLength: None, pattern: None, format: None}})
+  | (Binary, _) => Binary
+  | (_, Some(schema)) =>
+    let (irType, _) = SchemaIRParser.parseJsonSchema(schema)
+    irType
+  | (_, None) => Unknown
+  }
+  IRToValidatorGenerator.generateSchema(~library, irType)
+}
+
+let successResponseBody = (~mediaTypePreference=?, endpoint: endpoint) =>
+  ["200", "201", "202", "204"]
+  ->Array.filterMap(code => Dict.get(endpoint.responses, code))
+  ->Array.get(0)
+  ->Option.flatMap(response => EndpointGenerator.getResponseBody(~mediaTypePreference?, response))
+
+// Request and response body schemas of an endpoint
+let operationSchemas = (~library, ~mediaTypePreference=?, endpoint: endpoint) => (
+  EndpointGenerator.getRequestBody(~mediaTypePreference?, endpoint)->Option.map(body => bodySchema(~library, body)),
+  successResponseBody(~mediaTypePreference?, endpoint)->Option.map(body => bodySchema(~library, body)),
+)
+
+// Expression for an endpoint's response schema in the generated module (e.g., "Pets.createPet.response")
+let responseSchemaPath = (~moduleName, ~mediaTypePreference=?, endpoint: endpoint) =>
+  successResponseBody(~mediaTypePreference?, endpoint)->Option.map(_ =>
+    `${moduleName}.${CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method)}.response`
+  )
+
+let schemaType = (library: Config.validationLibrary) =>
+  switch library {
+  | Zod => "z.ZodTypeAny"
+  | Valibot => "v.GenericSchema"
+  }
+
+let generateFiles = (~library: Config.validationLibrary, ~spec: openAPISpec, ~endpoints, ~mediaTypePreference=?, ~transformIR=?) => {
+  let componentSchemas =
+    spec.components
+    ->Option.flatMap(c => c.schemas)
+    ->Option.mapOr([], schemas => schemas->Dict.toArray)
+    ->Array.map(((name, schema)) => {
+      let (irType, _) = SchemaIRParser.parseJsonSchema(schema)
+      let namedSchema: SchemaIR.namedSchema = {name, description: schema.description, type_: irType}
+      (name, IRToValidatorGenerator.generateNamedSchema(~library, ~namedSchema=transformIR->Option.mapOr(namedSchema, transform => transform(namedSchema))))
+    })
+
+  let endpointsByTag = OpenAPIParser.groupByTag(endpoints)
+  let tags =
+    endpointsByTag
+    ->Dict.toArray
+    ->Array.filterMap(((tag, tagEndpoints)) => {
+      let operations = tagEndpoints->Array.filterMap(endpoint =>
+        switch operationSchemas(~library, ~mediaTypePreference?, endpoint) {
+        | (None, None) => None
+        | (request, response) =>
+          Some((CodegenUtils.generateOperationName(endpoint.operationId, endpoint.path, endpoint.method), endpoint.summary, request, response))
+        }
+      )
+      Array.length(operations) == 0 ? None : Some((CodegenUtils.toPascalCase(tag), operations))
+    })
+
+  // Continuation lines of a body schema line up under its key
+  let entry = (key, schema) => `    ${key}: ${CodegenUtils.indent(schema, 2)->String.trimStart},\n`
+  let mjs = Handlebars.render(
+    Templates.validatorSchemasMjs,
+    {
+      "libraryName": (library :> string),
+      "title": spec.info.title,
+      "importLine": switch library {
+      | Zod => "import { z } from 'zod';"
+      | Valibot => "import * as v from 'valibot';"
+      },
+      "schemas": componentSchemas->Array.map(((_, code)) => code),
+      "tags": tags->Array.map(((moduleName, operations)) => {
+        "moduleName": moduleName,
+        "operations": operations
+        ->Array.map(((functionName, summary, request, response)) =>
+          `${summary->Option.mapOr("", s => `  /** ${s} */\n`)}  ${functionName}: {\n${request->Option.mapOr("", s => entry("request", s))}${response->Option.mapOr("", s => entry("response", s))}  },`
+        )
+        ->Array.join("\n"),
+      }),
+    },
+  )
+
+  let dts = Handlebars.render(
+    Templates.validatorSchemasDts,
+    {
+      "libraryName": (library :> string),
+      "title": spec.info.title,
+      "typeImportLine": switch library {
+      | Zod => "import type { z } from 'zod';"
+      | Valibot => "import type * as v from 'valibot';"
+      },
+      "schemaType": schemaType(library),
+      "schemas": componentSchemas->Array.map(((name, _)) => IRToValidatorGenerator.schemaName(name)),
+      "tags": tags->Array.map(((moduleName, operations)) => {
+        "moduleName": moduleName,
+        "operations": operations
+        ->Array.map(((functionName, _, request, response)) => {
+          let fields =
+            [request->Option.map(_ => "request"), response->Option.map(_ => "response")]
+            ->Array.filterMap(key => key)
+            ->Array.map(key => `${key}: ${schemaType(library)}`)
+            ->Array.join("; ")
+          `  ${functionName}: { ${fields} };`
+        })
+        ->Array.join("\n"),
+      }),
+    },
+  )
+  (mjs, dts)
+}
+
+let generate = (~library, ~spec, ~endpoints, ~outputDir, ~mediaTypePreference=?, ~transformIR=?) => {
+  let (mjs, dts) = generateFiles(~library, ~spec, ~endpoints, ~mediaTypePreference?, ~transformIR?)
+  Pipeline.fromFiles([
+    {FileSystem.path: FileSystem.makePath(outputDir, `${directoryName(library)}/index.mjs`), content: mjs},
+    {path: FileSystem.makePath(outputDir, `${directoryName(library)}/index.d.ts`), content: dts},
+  ])
+}
@@ -20,6 +20,8 @@ type t =
   | CircularSchemaError({ref: string, depth: int, path: string})
   | FileWriteError({filePath: string, message: string})
   | InvalidConfigError({field: string, message: string})
+  | BreakingChangeError({forkName: string, changes: array<string>})
+  | LintError({issues: array<string>})
   | UnknownError({message: string, context: option<context>})
 
 // Warning types
@@ -32,6 +34,10 @@ module Warning = {
     | MissingSchema({ref: string, location: string})
     | IntersectionNotFullySupported({location: string, note: string})
     | ComplexUnionSimplified({location: string, types: string})
+    | StaleFileKept({path: string})
+    | BreakingChange({location: string, message: string})
+    | LintIssue({rule: string, location: string, message: string})
+    | StaleDocOverride({path: string, message: string})
 
   let toString = w =>
     switch w {
@@ -47,6 +53,14 @@ module Warning = {
       `⚠️  Intersection type at '${location}' not fully supported: ${note}`
     | ComplexUnionSimplified({location, types}) =>
       `⚠️  Complex union at '${location}' simplified (types: ${types})`
+    | StaleFileKept({path}) =>
+      `⚠️  '${path}' is no longer generated but was edited since generation, so it was not deleted`
+    | BreakingChange({location, message}) =>
+      `⚠️  Breaking change at '${location}': ${message}`
+    | LintIssue({rule, location, message}) =>
+      `⚠️  Lint ${rule} at '${location}': ${message}`
+    | StaleDocOverride({path, message}) =>
+      `⚠️  Documentation override '${path}' ${message}`
     }
 
   let print = warnings =>
@@ -70,6 +84,10 @@ let toString = e =>
     `Circular schema detected for '${ref}' at depth ${depth->Int.toString} (path: ${path})`
   | FileWriteError({filePath, message}) => `Failed to write file '${filePath}': ${message}`
   | InvalidConfigError({field, message}) => `Invalid configuration for field '${field}': ${message}`
+  | BreakingChangeError({forkName, changes}) =>
+    `Fork '${forkName}' has ${changes->Array.length->Int.toString} breaking change(s):\n${changes->Array.map(change => `  - ${change}`)->Array.join("\n")}`
+  | LintError({issues}) =>
+    `Lint found ${issues->Array.length->Int.toString} error(s):\n${issues->Array.map(issue => `  - ${issue}`)->Array.join("\n")}`
   | UnknownError({message, context}) =>
     switch context {
     | Some(ctx) => `Unknown error at '${ctx.path}' (${ctx.operation}): ${message}`
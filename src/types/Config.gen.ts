@@ -0,0 +1,74 @@
+/* TypeScript file generated from Config.res by genType. */
+
+/* eslint-disable */
+/* tslint:disable */
+
+import * as ConfigJS from './Config.mjs';
+
+import type {t as $$plugin} from '../core/Plugin.gen';
+
+export type generationStrategy = "Separate" | "SharedBase" | "CommonCore";
+
+export type breakingChangeHandling = "Error" | "Warn" | "Ignore";
+
+export type lintLevel = breakingChangeHandling;
+
+export type reportFormat = "Markdown" | "Json" | "Sarif" | "Html";
+
+export type validationLibrary = "Zod" | "Valibot";
+
+export type forkSpecConfig = { readonly name: string; readonly specPath: string };
+
+export type generationTargets = {
+  readonly rescriptApi: boolean; 
+  readonly rescriptWrapper: boolean; 
+  readonly typescriptDts: boolean; 
+  readonly typescriptWrapper: boolean; 
+  readonly zodSchemas: boolean; 
+  readonly valibotSchemas: boolean; 
+  readonly conformanceTests: boolean; 
+  readonly mockServer: boolean
+};
+
+export type credentialLocation = { readonly in: string; readonly name: string };
+
+export type formatMapping = {
+  readonly rescriptType: string; 
+  readonly surySchema: string; 
+  readonly typescriptType: string
+};
+
+export type plugin = $$plugin;
+
+export type t = {
+  readonly specPath: string; 
+  readonly forkSpecs: (undefined | forkSpecConfig[]); 
+  readonly outputDir: string; 
+  readonly strategy: generationStrategy; 
+  readonly modulePerTag: boolean; 
+  readonly includeTags: (undefined | string[]); 
+  readonly excludeTags: (undefined | string[]); 
+  readonly generateDiffReport: boolean; 
+  readonly breakingChangeHandling: breakingChangeHandling; 
+  readonly generateDocOverrides: (undefined | boolean); 
+  readonly docOverrideDir: (undefined | string); 
+  readonly targets: (undefined | generationTargets); 
+  readonly dtsOutputDir: (undefined | string); 
+  readonly wrapperOutputDir: (undefined | string); 
+  readonly baseInstanceName: (undefined | string); 
+  readonly baseModulePrefix: (undefined | string); 
+  readonly commonInstanceName: (undefined | string); 
+  readonly responseVariants: (undefined | boolean); 
+  readonly mediaTypePreference: (undefined | string[]); 
+  readonly formatMappings: (undefined | {[id: string]: formatMapping}); 
+  readonly reportFormats: (undefined | reportFormat[]); 
+  readonly credentialLocations: (undefined | {[id: string]: credentialLocation}); 
+  readonly clientName: (undefined | string); 
+  readonly wrapperValidation: (undefined | validationLibrary); 
+  readonly templateDir: (undefined | string); 
+  readonly plugins: (undefined | plugin[]); 
+  readonly lintRules: (undefined | {[id: string]: lintLevel}); 
+  readonly mockSeed: (undefined | number)
+};
+
+export const make: (specPath:string, outputDir:string, strategy:(undefined | generationStrategy), modulePerTag:(undefined | boolean), includeTags:(undefined | string[]), excludeTags:(undefined | string[]), generateDiffReport:(undefined | boolean), breakingChangeHandling:(undefined | breakingChangeHandling), forkSpecs:(undefined | forkSpecConfig[]), generateDocOverrides:(undefined | boolean), docOverrideDir:(undefined | string), targets:(undefined | generationTargets), dtsOutputDir:(undefined | string), wrapperOutputDir:(undefined | string), baseInstanceName:(undefined | string), baseModulePrefix:(undefined | string), commonInstanceName:(undefined | string), responseVariants:(undefined | boolean), mediaTypePreference:(undefined | string[]), formatMappings:(undefined | {[id: string]: formatMapping}), reportFormats:(undefined | reportFormat[]), credentialLocations:(undefined | {[id: string]: credentialLocation}), clientName:(undefined | string), wrapperValidation:(undefined | validationLibrary), templateDir:(undefined | string), plugins:(undefined | plugin[]), lintRules:(undefined | {[id: string]: lintLevel}), mockSeed:(undefined | number), _29:void) => t = ConfigJS.make as any;
@@ -6,6 +6,7 @@
 type generationStrategy =
   | Separate
   | SharedBase
+  | CommonCore // SharedBase plus one layer with what every fork adds or changes identically
 
 @genType
 type breakingChangeHandling =
@@ -13,6 +14,24 @@ type breakingChangeHandling =
   | Warn
   | Ignore
 
+// Level of a lint rule (see SpecLinter): Error fails generation before anything is written
+@genType
+type lintLevel = breakingChangeHandling
+
+// Output formats for fork diff reports
+@genType
+type reportFormat =
+  | Markdown
+  | Json
+  | Sarif
+  | Html
+
+// Runtime validation libraries TypeScript consumers can get schemas for
+@genType
+type validationLibrary =
+  | Zod
+  | Valibot
+
 @genType
 type forkSpecConfig = {
   name: string,
@@ -25,8 +44,31 @@ type generationTargets = {
   rescriptWrapper: bool,          // Generate ReScript thin wrapper (pipe-first)
   typescriptDts: bool,            // Generate .d.ts type definitions
   typescriptWrapper: bool,        // Generate TypeScript/JavaScript wrapper
+  zodSchemas: bool,               // Generate Zod schemas for component schemas and endpoint bodies
+  valibotSchemas: bool,           // Generate Valibot schemas for component schemas and endpoint bodies
+  conformanceTests: bool,         // Generate node:test files checking the spec's examples against the Sury schemas
+  mockServer: bool,               // Generate a node:http mock server answering with examples or fake data
 }
 
+// Where to send a security scheme's credential instead of where the spec puts it
+@genType
+type credentialLocation = {
+  @as("in") in_: string, // header, query, cookie or body (a field of the JSON body, like Misskey's `i`)
+  name: string,
+}
+
+// Custom representation for a JSON Schema `format` (see FormatMapping)
+@genType
+type formatMapping = {
+  rescriptType: string,   // ReScript type (e.g., "Date.t")
+  surySchema: string,     // Sury schema template; {{base}} is the plain schema, {{runtime}} the runtime module
+  typescriptType: string, // TypeScript type (e.g., "Date")
+}
+
+// A plugin's hooks; the record is Plugin.t, which needs the spec types that depend on this module
+@genType.import(("../core/Plugin.gen", "t"))
+type plugin
+
 @genType
 type t = {
   specPath: string,
@@ -45,6 +87,18 @@ type t = {
   wrapperOutputDir: option<string>,    // Output directory for wrapper files (default: "wrapper")
   baseInstanceName: option<string>,    // Subdirectory name for base instance (e.g., "misskey-io")
   baseModulePrefix: option<string>,    // Module prefix for base instance (e.g., "MisskeyIo")
+  commonInstanceName: option<string>,  // Subdirectory name for the layer shared by all forks with CommonCore (default: "common")
+  responseVariants: option<bool>,      // Return a result with one variant case per declared status
+  mediaTypePreference: option<array<string>>, // Media type patterns in order of preference (e.g., ["application/json", "*/*"])
+  formatMappings: option<dict<formatMapping>>, // Format name to custom type, on top of the built-in mappings
+  reportFormats: option<array<reportFormat>>, // Diff report formats to write for each fork (default: Markdown)
+  credentialLocations: option<dict<credentialLocation>>, // Security scheme name to where its credential is sent
+  clientName: option<string>, // TypeScript client class name (default: spec title, or instance name, + "Client")
+  wrapperValidation: option<validationLibrary>, // Validate TypeScript wrapper responses with these schemas
+  templateDir: option<string>, // Directory of template overrides (<name>.hbs), partials/*.hbs and helpers.mjs
+  plugins: option<array<plugin>>, // Hooks into the pipeline, run in order (see Plugin)
+  lintRules: option<dict<lintLevel>>, // Lint rule name to level, on top of each rule's default (see SpecLinter)
+  mockSeed: option<int>, // Seed of the mock server's generated data (default: 1)
 }
 
 // Default configuration
@@ -66,6 +120,18 @@ let make = (
   ~wrapperOutputDir=?,
   ~baseInstanceName=?,
   ~baseModulePrefix=?,
+  ~commonInstanceName=?,
+  ~responseVariants=?,
+  ~mediaTypePreference=?,
+  ~formatMappings=?,
+  ~reportFormats=?,
+  ~credentialLocations=?,
+  ~clientName=?,
+  ~wrapperValidation=?,
+  ~templateDir=?,
+  ~plugins=?,
+  ~lintRules=?,
+  ~mockSeed=?,
   (),
 ) => {
   specPath,
@@ -84,6 +150,18 @@ let make = (
   wrapperOutputDir,
   baseInstanceName,
   baseModulePrefix,
+  commonInstanceName,
+  responseVariants,
+  mediaTypePreference,
+  formatMappings,
+  reportFormats,
+  credentialLocations,
+  clientName,
+  wrapperValidation,
+  templateDir,
+  plugins,
+  lintRules,
+  mockSeed,
 }
 
 // Default generation targets
@@ -92,4 +170,12 @@ let defaultTargets = (): generationTargets => {
   rescriptWrapper: false,
   typescriptDts: false,
   typescriptWrapper: false,
+  zodSchemas: false,
+  valibotSchemas: false,
+  conformanceTests: false,
+  mockServer: false,
 }
+
+// Breaking change handling, defaulting to Warn when a JavaScript config leaves it out
+let breakingChangeHandlingOf = (config: t): breakingChangeHandling =>
+  (Obj.magic(config.breakingChangeHandling): option<breakingChangeHandling>)->Option.getOr(Warn)
@@ -18,9 +18,11 @@ type t = {
   availableSchemas: option<array<string>>, // Schemas available in current module (for fork schemas)
   modulePrefix: string, // Module prefix for qualified references (e.g., "MisskeyIo")
   selfRefName: option<string>, // Schema name for self-referential type detection (e.g., "DriveFolder")
+  formatMappings: option<dict<Config.formatMapping>>, // User format mappings (see FormatMapping)
+  inputSchemas: array<string>, // Schemas referenced through their request variant (`input` / `inputSchema`)
 }
 
-let make = (~path, ~insideComponentSchemas=false, ~availableSchemas=?, ~modulePrefix="", ~selfRefName=?, ()): t => {
+let make = (~path, ~insideComponentSchemas=false, ~availableSchemas=?, ~modulePrefix="", ~selfRefName=?, ~formatMappings=?, ~inputSchemas=[], ()): t => {
   warnings: [],
   extractedTypes: [],
   extractCounter: 0,
@@ -29,6 +31,8 @@ let make = (~path, ~insideComponentSchemas=false, ~availableSchemas=?, ~modulePr
   availableSchemas,
   modulePrefix,
   selfRefName,
+  formatMappings,
+  inputSchemas,
 }
 
 let addWarning = (ctx: t, warning: CodegenError.Warning.t): unit => {
@@ -1,10 +1,15 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { resolve } from '../lib/es6/src/core/SchemaRefResolver.mjs';
-import { compareSpecs, generateFromFile, generateFromUrl } from '../lib/es6/src/Codegen.mjs';
+import { auditDocOverrides, check, compareSpecs, generateDocOverrideFiles, generateFromFile, generateFromUrl, hasDrift, lint } from '../lib/es6/src/Codegen.mjs';
+import { writeFiles } from '../lib/es6/src/core/FileSystem.mjs';
 import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { existsSync, rmSync, mkdirSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { existsSync, rmSync, mkdirSync, readFileSync, readdirSync, writeFileSync, appendFileSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import * as S from 'sury';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -14,6 +19,36 @@ const testOutputDir = join(__dirname, 'output');
 
 const petstorePath = join(fixturesDir, 'petstore.json');
 const extendedPath = join(fixturesDir, 'petstore-extended.json');
+const mediaTypesPath = join(fixturesDir, 'media-types.json');
+const discriminatedUnionsPath = join(fixturesDir, 'discriminated-unions.json');
+const formatsPath = join(fixturesDir, 'formats.json');
+const securityPath = join(fixturesDir, 'security.json');
+const serversPath = join(fixturesDir, 'servers.json');
+const validationPath = join(fixturesDir, 'validation.json');
+const readWritePath = join(fixturesDir, 'read-write.json');
+const defaultsPath = join(fixturesDir, 'defaults.json');
+const swagger2Path = join(fixturesDir, 'swagger2.json');
+const openapi30Path = join(fixturesDir, 'openapi30.json');
+const lintPath = join(fixturesDir, 'lint.json');
+const examplesPath = join(fixturesDir, 'examples.json');
+const mockPath = join(fixturesDir, 'mock.json');
+const responseVariantsPath = join(fixturesDir, 'response-variants.json');
+const parametersPath = join(fixturesDir, 'parameters.json');
+const additionalPropertiesPath = join(fixturesDir, 'additional-properties.json');
+const templatesDir = join(fixturesDir, 'templates');
+const cliPath = join(rootDir, 'bin/rescript-autogen-openapi.mjs');
+
+// Compile generated ReScript in place (next to the .res files) against Sury
+const compileOutput = (dir, { subdirs = false } = {}) => {
+  writeFileSync(join(dir, 'rescript.json'), JSON.stringify({
+    name: 'generated',
+    sources: [{ dir: '.', subdirs }],
+    dependencies: ['sury'],
+    'package-specs': { module: 'esmodule', 'in-source': true },
+    suffix: '.mjs',
+  }));
+  return spawnSync(join(rootDir, 'node_modules/.bin/rescript'), ['build'], { cwd: dir, encoding: 'utf8' });
+};
 
 test('Codegen Integration', async (t) => {
   // Setup output dir
@@ -32,6 +67,72 @@ test('Codegen Integration', async (t) => {
     assert.equal(diff.modifiedSchemas.length, 1);
   });
 
+  await t.test('Reports: diff reports as JSON, SARIF and HTML', async () => {
+    const baseSpec = (await resolve(petstorePath))._0;
+    const forkSpec = (await resolve(extendedPath))._0;
+    const reportsDir = join(testOutputDir, 'reports');
+    const specUri = 'examples/fixtures/petstore-extended.json';
+
+    await compareSpecs(baseSpec, forkSpec, 'base', 'extended', join(reportsDir, 'extended-diff.json'), 'Json');
+    await compareSpecs(baseSpec, forkSpec, 'base', 'extended', join(reportsDir, 'extended-diff.sarif'), 'Sarif', specUri);
+    await compareSpecs(baseSpec, forkSpec, 'base', 'extended', join(reportsDir, 'extended-diff.html'), 'Html');
+
+    const json = JSON.parse(readFileSync(join(reportsDir, 'extended-diff.json'), 'utf8'));
+    assert.equal(json.version, 1);
+    assert.equal(json.summary.addedEndpoints, 1);
+    assert.equal(json.endpoints.added[0].path, '/store/inventory');
+    assert.equal(json.schemas.modified[0].name, 'Pet');
+
+    const sarif = JSON.parse(readFileSync(join(reportsDir, 'extended-diff.sarif'), 'utf8'));
+    assert.equal(sarif.version, '2.1.0');
+    const [run] = sarif.runs;
+    assert.equal(run.results.length, json.changes.length);
+    assert.ok(run.results.every(result => result.level === 'note'));
+    assert.equal(run.results[0].locations[0].physicalLocation.artifactLocation.uri, specUri);
+
+    const html = readFileSync(join(reportsDir, 'extended-diff.html'), 'utf8');
+    assert.match(html, /<details open>/);
+    assert.match(html, /\/store\/inventory/);
+  });
+
+  await t.test('Breaking Changes: classified by direction and enforced by breakingChangeHandling', async () => {
+    const outputDir = join(testOutputDir, 'breaking');
+    mkdirSync(outputDir, { recursive: true });
+    const fork = JSON.parse(readFileSync(petstorePath, 'utf8'));
+    const pet = fork.components.schemas.Pet;
+    delete pet.properties.tag;
+    pet.properties.species = { type: 'string' };
+    pet.required.push('species');
+    fork.paths['/pets'].get.parameters = [{ name: 'limit', in: 'query', required: true, schema: { type: 'integer' } }];
+    const forkPath = join(outputDir, 'petstore-breaking.json');
+    writeFileSync(forkPath, JSON.stringify(fork, null, 2));
+
+    const diff = await compareSpecs((await resolve(petstorePath))._0, (await resolve(forkPath))._0);
+    const breaking = diff.changes.filter(change => change.breaking).map(({ pointer, direction }) => `${direction} ${pointer}`);
+    assert.deepEqual(breaking, [
+      'Request /paths/~1pets/get/parameters/query/limit',
+      'Request /components/schemas/Pet/properties/species',
+      'Response /components/schemas/Pet/properties/tag',
+    ]);
+
+    const config = handling => ({
+      outputDir,
+      strategy: 'Separate',
+      baseInstanceName: 'petstore',
+      generateDiffReport: false,
+      breakingChangeHandling: handling,
+      forkSpecs: [{ name: 'breaking', specPath: forkPath }],
+    });
+    const failed = await generateFromFile(petstorePath, outputDir, config('Error'));
+    assert.equal(failed.TAG, 'Error');
+    assert.equal(failed._0.TAG, 'BreakingChangeError');
+    assert.equal(failed._0.changes.length, 3);
+
+    const warned = await generateFromFile(petstorePath, outputDir, config('Warn'));
+    assert.equal(warned.TAG, 'Ok');
+    assert.equal(warned._0.warnings.filter(w => w.TAG === 'BreakingChange').length, 3);
+  });
+
   await t.test('Multi-Fork Mode: SharedBase strategy with fixtures', async () => {
     const outputDir = join(testOutputDir, 'multi-fork-fixtures');
     
@@ -56,4 +157,1074 @@ test('Codegen Integration', async (t) => {
     assert.ok(existsSync(join(outputDir, 'petstore-base/api/PetstoreBasePets.res')));
     assert.ok(existsSync(join(outputDir, 'extended/api/ExtendedStore.res')));
   });
-});
\ No newline at end of file
+
+  await t.test('Multi-Fork Mode: the base wrapper takes the same options as the forks', async () => {
+    const outputDir = join(testOutputDir, 'multi-fork-variants');
+    mkdirSync(outputDir, { recursive: true });
+    const archive = JSON.parse(readFileSync(responseVariantsPath, 'utf8'));
+    archive.paths['/widgets/{id}/archive'] = {
+      post: {
+        operationId: 'archiveWidget',
+        tags: ['widgets'],
+        parameters: archive.paths['/widgets/{id}'].get.parameters,
+        responses: {
+          '200': { description: 'Archived', content: { 'application/json': { schema: { $ref: '#/components/schemas/Widget' } } } },
+          '404': { description: 'No such widget', content: { 'application/json': { schema: { $ref: '#/components/schemas/Problem' } } } },
+        },
+      },
+    };
+    const archivePath = join(outputDir, 'archive.json');
+    writeFileSync(archivePath, JSON.stringify(archive, null, 2));
+
+    const generatedDir = join(outputDir, 'generated');
+    const result = await generateFromFile(responseVariantsPath, generatedDir, {
+      outputDir: generatedDir,
+      strategy: 'SharedBase',
+      baseInstanceName: 'widgets',
+      modulePerTag: true,
+      responseVariants: true,
+      generateDiffReport: false,
+      targets: { rescriptApi: true, rescriptWrapper: true, typescriptDts: false, typescriptWrapper: false },
+      forkSpecs: [{ name: 'archive', specPath: archivePath }],
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    for (const [dir, prefix] of [['widgets', 'Widgets'], ['archive', 'Archive']]) {
+      const wrapper = readFileSync(join(generatedDir, dir, `${prefix}Wrapper.res`), 'utf8');
+      assert.match(wrapper, new RegExp(`=> Promise\\.t<\\(int, ${prefix}ApiRuntime\\.responseBody\\)>`));
+    }
+
+    const build = compileOutput(generatedDir, { subdirs: true });
+    assert.equal(build.status, 0, build.stdout + build.stderr);
+  });
+
+  await t.test('Common Core: what every fork adds is generated once', async () => {
+    const outputDir = join(testOutputDir, 'common-core');
+    mkdirSync(outputDir, { recursive: true });
+    const shop = JSON.parse(readFileSync(extendedPath, 'utf8'));
+    shop.paths['/store/orders'] = {
+      get: {
+        operationId: 'listOrders',
+        tags: ['store'],
+        responses: { '200': { description: 'Orders', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Order' } } } } } },
+      },
+    };
+    shop.components.schemas.Order = { type: 'object', required: ['id'], properties: { id: { type: 'integer' }, petId: { type: 'integer' } } };
+    const shopPath = join(outputDir, 'petstore-shop.json');
+    writeFileSync(shopPath, JSON.stringify(shop, null, 2));
+
+    const result = await generateFromFile(petstorePath, outputDir, {
+      outputDir,
+      strategy: 'CommonCore',
+      baseInstanceName: 'petstore',
+      modulePerTag: true,
+      generateDiffReport: true,
+      reportFormats: ['Json'],
+      targets: { rescriptApi: true, rescriptWrapper: true, typescriptDts: false, typescriptWrapper: false },
+      forkSpecs: [
+        { name: 'extended', specPath: extendedPath },
+        { name: 'shop', specPath: shopPath },
+      ],
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const common = readFileSync(join(outputDir, 'common/api/CommonStore.res'), 'utf8');
+    assert.match(common, /\/store\/inventory/);
+    assert.ok(!common.includes('/store/orders'));
+    assert.ok(!existsSync(join(outputDir, 'extended/api/ExtendedStore.res')));
+    const shopStore = readFileSync(join(outputDir, 'shop/api/ShopStore.res'), 'utf8');
+    assert.match(shopStore, /\/store\/orders/);
+    assert.ok(!shopStore.includes('/store/inventory'));
+    assert.match(readFileSync(join(outputDir, 'shop/ShopWrapper.res'), 'utf8'), /CommonStore\.getstoreinventory/);
+
+    const matrix = readFileSync(join(outputDir, 'instance-matrix.md'), 'utf8');
+    assert.match(matrix, /\| petstore \| extended \| shop \|/);
+    assert.match(matrix, /\| `GET \/store\/inventory` \| – \| common \| common \|/);
+    assert.match(matrix, /\| `GET \/store\/orders` \| – \| – \| own \|/);
+    assert.match(matrix, /\| `Pet` \| ✓ \| common \| common \|/);
+  });
+
+  await t.test('Separate Forks: each fork gets its own security, servers and support modules', async () => {
+    const outputDir = join(testOutputDir, 'separate-forks');
+    mkdirSync(outputDir, { recursive: true });
+    const writeFork = (name, schemes, servers) => {
+      const spec = JSON.parse(readFileSync(responseVariantsPath, 'utf8'));
+      spec.components.securitySchemes = schemes;
+      spec.security = [Object.fromEntries(Object.keys(schemes).map(scheme => [scheme, []]))];
+      spec.servers = servers;
+      const specPath = join(outputDir, `${name}.json`);
+      writeFileSync(specPath, JSON.stringify(spec, null, 2));
+      return { name, specPath };
+    };
+    const forkSpecs = [
+      writeFork('bearer', { bearerAuth: { type: 'http', scheme: 'bearer' } }, [{ url: 'https://bearer.example.com' }]),
+      writeFork('keyed', { apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' } }, [{ url: 'https://keyed.example.com' }]),
+    ];
+    const keyed = JSON.parse(readFileSync(forkSpecs[1].specPath, 'utf8'));
+    keyed.paths['/widgets/{id}/label'].get.servers = [{ url: 'https://labels.example.com' }];
+    writeFileSync(forkSpecs[1].specPath, JSON.stringify(keyed, null, 2));
+
+    const generatedDir = join(outputDir, 'generated');
+    const result = await generateFromFile(responseVariantsPath, generatedDir, {
+      outputDir: generatedDir,
+      strategy: 'Separate',
+      baseInstanceName: 'widgets',
+      generateDiffReport: false,
+      forkSpecs,
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    assert.match(readFileSync(join(generatedDir, 'bearer.res'), 'utf8'), /\[BearerApiSecurity\.bearerAuth\(credentials\)\]/);
+    assert.match(readFileSync(join(generatedDir, 'BearerApiSecurity.res'), 'utf8'), /let bearerAuth = /);
+    assert.match(readFileSync(join(generatedDir, 'keyed.res'), 'utf8'), /\[KeyedApiSecurity\.apiKey\(credentials\)\]/);
+    assert.match(readFileSync(join(generatedDir, 'KeyedApiSecurity.res'), 'utf8'), /let apiKey = /);
+    assert.ok(!existsSync(join(generatedDir, 'ApiSecurity.res')));
+
+    // Servers, and per-operation server overrides, come from each fork's own spec
+    assert.match(readFileSync(join(generatedDir, 'BearerServers.res'), 'utf8'), /https:\/\/bearer\.example\.com/);
+    const keyedServers = readFileSync(join(generatedDir, 'KeyedServers.res'), 'utf8');
+    assert.match(keyedServers, /https:\/\/keyed\.example\.com/);
+    assert.match(keyedServers, /https:\/\/labels\.example\.com/);
+    assert.match(readFileSync(join(generatedDir, 'keyed.res'), 'utf8'), /~server: string=KeyedServers\.GetWidgetLabel\.server1\(\)/);
+    assert.ok(!existsSync(join(generatedDir, 'Servers.res')));
+
+    const build = compileOutput(generatedDir);
+    assert.equal(build.status, 0, build.stdout + build.stderr);
+  });
+
+  await t.test('Parameters: labeled arguments serialized by location, style and explode', async () => {
+    const apiDir = join(testOutputDir, 'multi-fork-fixtures/petstore-base/api');
+    const code = readFileSync(join(apiDir, 'PetstoreBasePets.res'), 'utf8');
+
+    assert.ok(existsSync(join(apiDir, 'PetstoreBaseApiRuntime.res')));
+    assert.match(code, /~petId: string, ~fetch:/);
+    assert.match(code, /PetstoreBaseApiRuntime\.pathParam\(~name="petId"\)/);
+    assert.ok(!code.includes('{petId}'));
+
+    // Query, header and cookie parameters are serialized by their style and explode
+    const outputDir = join(testOutputDir, 'parameters');
+    const result = await generateFromFile(parametersPath, outputDir, { outputDir, strategy: 'Separate', modulePerTag: true, generateDiffReport: false });
+    assert.equal(result.TAG, 'Ok');
+    const search = readFileSync(join(outputDir, 'Search.res'), 'utf8');
+    assert.match(search, /->ApiRuntime\.queryParam\(~name="tag"\)/);
+    assert.match(search, /->ApiRuntime\.queryParam\(~name="ids", ~explode=false\)/);
+    assert.match(search, /->ApiRuntime\.queryParam\(~name="filter", ~style="deepObject"\)/);
+    assert.match(search, /->ApiRuntime\.headerParam\(~name="X-Trace", ~explode=true\)/);
+    assert.match(search, /Some\(session->S\.reverseConvertToJsonOrThrow\(S\.string\)\)->ApiRuntime\.cookieParam\(~name="session"\)/);
+
+    const build = compileOutput(outputDir);
+    assert.equal(build.status, 0, build.stdout + build.stderr);
+    const endpoints = await import(pathToFileURL(join(outputDir, 'Search.mjs')).href);
+    let request;
+    const fetch = async (url, method, body, headers) => {
+      request = { url, headers };
+      return { NAME: 'Json', VAL: [] };
+    };
+    await endpoints.search(['a b', 'c'], [1, 2], { status: 'open', owner: 'me' }, { id: 't1', sampled: true }, 's=1', 'dark', fetch);
+    assert.equal(request.url, '/search?tag=a%20b&tag=c&ids=1,2&filter[status]=open&filter[owner]=me');
+    assert.deepEqual(request.headers, { 'X-Trace': 'id=t1,sampled=true', Cookie: 'session=s%3D1; theme=dark' });
+
+    await endpoints.search(undefined, undefined, undefined, undefined, 's', undefined, fetch);
+    assert.equal(request.url, '/search');
+    assert.deepEqual(request.headers, { Cookie: 'session=s' });
+  });
+
+  await t.test('Additional Properties: map-shaped schemas become typed dicts and closed objects are strict', async () => {
+    const code = readFileSync(join(testOutputDir, 'multi-fork-fixtures/extended/api/ExtendedStore.res'), 'utf8');
+
+    assert.match(code, /type getstoreinventoryResponse = dict<int>/);
+    assert.match(code, /let getstoreinventoryResponseSchema = S\.dict\(S\.int\)/);
+
+    // Declared properties alongside additional or pattern properties, and closed objects
+    const outputDir = join(testOutputDir, 'additional-properties');
+    const result = await generateFromFile(additionalPropertiesPath, outputDir, { outputDir, strategy: 'Separate', modulePerTag: true, generateDiffReport: false });
+    assert.equal(result.TAG, 'Ok');
+    const schemas = readFileSync(join(outputDir, 'ComponentSchemas.res'), 'utf8');
+    assert.match(schemas, /module Limits = \{\n  type t = \{\n  default: int,\n  additionalProperties: dict<int>,\n\}/);
+    assert.match(schemas, /ApiRuntime\.objectWithAdditionalProperties\(\n    S\.int,\n    ~known=\["default"\],/);
+    assert.match(schemas, /let schema = S\.dict\(S\.string\)->ApiRuntime\.restrictKeys\(~patterns=\[\/\^x-\/\]\)/);
+    assert.match(schemas, /y: s\.field\("y", S\.float\),\n  \}\)->S\.strict/);
+
+    const build = compileOutput(outputDir);
+    assert.equal(build.status, 0, build.stdout + build.stderr);
+    const { Limits, Labels, Point } = await import(pathToFileURL(join(outputDir, 'ComponentSchemas.mjs')).href);
+    assert.deepEqual(S.parseOrThrow({ default: 1, burst: 5 }, Limits.schema), { default: 1, additionalProperties: { burst: 5 } });
+    assert.throws(() => S.parseOrThrow({ default: 1, burst: 'high' }, Limits.schema));
+    assert.deepEqual(S.reverseConvertOrThrow({ default: 1, additionalProperties: { burst: 5 } }, Limits.schema), { default: 1, burst: 5 });
+    assert.deepEqual(S.parseOrThrow({ 'x-team': 'core' }, Labels.schema), { 'x-team': 'core' });
+    assert.throws(() => S.parseOrThrow({ team: 'core' }, Labels.schema));
+    assert.throws(() => S.parseOrThrow({ x: 1, y: 2, z: 3 }, Point.schema));
+  });
+
+  await t.test('Response Variants: endpoints return a result over declared statuses', async () => {
+    const outputDir = join(testOutputDir, 'response-variants');
+
+    const result = await generateFromFile(responseVariantsPath, outputDir, {
+      outputDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      responseVariants: true,
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const code = readFileSync(join(outputDir, 'Widgets.res'), 'utf8');
+    assert.match(code, /type getWidgetSuccess = \[\n  \| #Status200\(getWidgetResponse200\)\n\]/);
+    assert.match(code, /type getWidgetError = \[\n  \| #Status304\n  \| #Status404\(getWidgetResponse404\)\n  \| #Status5XX\(int, getWidgetResponse5XX\)\n  \| #UnexpectedStatus\(int, ApiRuntime\.responseBody\)\n\]/);
+    assert.match(code, /type getWidgetResponse = result<getWidgetSuccess, getWidgetError>/);
+    assert.match(code, /Promise\.t<\(int, ApiRuntime\.responseBody\)>/);
+
+    // Each status is decoded with its own schema
+    assert.match(code, /\| 200 => Ok\(#Status200\(response->ApiRuntime\.jsonBody->S\.parseOrThrow\(getWidgetResponse200Schema\)\)\)/);
+    assert.match(code, /\| 304 => Error\(#Status304\)/);
+    assert.match(code, /\| 404 => Error\(#Status404\(response->ApiRuntime\.jsonBody->S\.parseOrThrow\(getWidgetResponse404Schema\)\)\)/);
+    assert.match(code, /\| status if status >= 500 && status < 600 => Error\(#Status5XX\(status, response->ApiRuntime\.jsonBody->S\.parseOrThrow\(getWidgetResponse5XXSchema\)\)\)/);
+    assert.match(code, /\| status => Error\(#UnexpectedStatus\(status, response\)\)/);
+    assert.match(code, /\| 200 => Ok\(#Status200\(response->ApiRuntime\.textBody\)\)/);
+
+    // A default response replaces the unexpected status case
+    assert.match(code, /type deleteWidgetError = \[\n  \| #Default\(int, deleteWidgetResponseDefault\)\n\]/);
+    assert.match(code, /\| status => Error\(#Default\(status, response->ApiRuntime\.jsonBody->S\.parseOrThrow\(deleteWidgetResponseDefaultSchema\)\)\)/);
+
+    // The output compiles against Sury
+    const build = compileOutput(outputDir);
+    assert.equal(build.status, 0, build.stdout + build.stderr);
+  });
+
+  await t.test('Media Types: non-JSON bodies are encoded by media type', async () => {
+    const outputDir = join(testOutputDir, 'media-types');
+
+    const result = await generateFromFile(mediaTypesPath, outputDir, {
+      outputDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      mediaTypePreference: ['text/plain', 'application/json'],
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const files = readFileSync(join(outputDir, 'Files.res'), 'utf8');
+    assert.match(files, /file: ApiRuntime\.file,/);
+    assert.match(files, /#Multipart\(body->S\.reverseConvertOrThrow\(uploadFileRequestSchema\)->ApiRuntime\.formFields\)/);
+    assert.match(files, /#Binary\(body, "application\/octet-stream"\)/);
+    assert.match(files, /response->ApiRuntime\.binaryBody/);
+    const auth = readFileSync(join(outputDir, 'Auth.res'), 'utf8');
+    assert.match(auth, /#UrlEncoded\(body->S\.reverseConvertToJsonOrThrow\(loginRequestSchema\)->ApiRuntime\.formPairs\)/);
+    assert.match(auth, /response->ApiRuntime\.textBody/);
+    const notes = readFileSync(join(outputDir, 'Notes.res'), 'utf8');
+    assert.match(notes, /type createNoteRequest = string/);
+  });
+
+  await t.test('Discriminated Unions: tagged oneOf/anyOf become variants', async () => {
+    const outputDir = join(testOutputDir, 'discriminated-unions');
+
+    const result = await generateFromFile(discriminatedUnionsPath, outputDir, {
+      outputDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const components = readFileSync(join(outputDir, 'ComponentSchemas.res'), 'utf8');
+    assert.match(components, /type t = Circle\(Circle\.t\) \| Square\(Square\.t\)/);
+    assert.match(components, /Circle\.schema->ApiRuntime\.tagged\(~propertyName="kind", ~tag="circle"\)->S\.shape\(v => Circle\(v\)\)/);
+    assert.match(components, /type t = Cat\(Cat\.t\) \| Dog\(Dog\.t\)/);
+    const pets = readFileSync(join(outputDir, 'Pets.res'), 'utf8');
+    assert.match(pets, /type adoptPetResponse = Adopted\(\{adoptionId: string\}\) \| Waitlisted\(\{position: option<int>\}\)/);
+    assert.match(pets, /s\.tag\("status", "adopted"\)/);
+  });
+
+  await t.test('Formats: schema formats map to custom types and schemas', async () => {
+    const outputDir = join(testOutputDir, 'formats');
+
+    const result = await generateFromFile(formatsPath, outputDir, {
+      outputDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      targets: { rescriptApi: true, typescriptDts: true },
+      formatMappings: {
+        date: { rescriptType: 'string', surySchema: '{{base}}->S.pattern(/^\\d{4}-\\d{2}-\\d{2}$/)', typescriptType: 'string' },
+      },
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const components = readFileSync(join(outputDir, 'ComponentSchemas.res'), 'utf8');
+    assert.match(components, /startsAt: Date\.t,/);
+    assert.match(components, /s\.field\("startsAt", S\.string->S\.datetime\)/);
+    assert.match(components, /sequence: bigint,/);
+    assert.match(components, /s\.field\("sequence", ApiRuntime\.int64\)/);
+    assert.match(components, /s\.field\("id", S\.string->S\.uuid\)/);
+    assert.match(components, /S\.string->S\.pattern\(\/\^\\d\{4\}-\\d\{2\}-\\d\{2\}\$\/\)/);
+    const dts = readFileSync(join(outputDir, 'types/ComponentSchemas.d.ts'), 'utf8');
+    assert.match(dts, /startsAt: Date;/);
+    assert.match(dts, /sequence: bigint;/);
+  });
+
+  await t.test('Security: schemes become typed credentials applied per endpoint', async () => {
+    const outputDir = join(testOutputDir, 'security');
+
+    const result = await generateFromFile(securityPath, outputDir, {
+      outputDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      targets: { rescriptApi: true, rescriptWrapper: true, typescriptDts: true },
+      credentialLocations: { bearerAuth: { in: 'body', name: 'i' } },
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const security = readFileSync(join(outputDir, 'ApiSecurity.res'), 'utf8');
+    assert.match(security, /bearerAuth\?: string,/);
+    assert.match(security, /basicAuth\?: ApiRuntime\.basicCredentials,/);
+    assert.match(security, /ApiRuntime\.BodyField\("i", token\)/);
+    assert.match(security, /ApiRuntime\.Header\("X-API-Key", token\)/);
+    assert.match(security, /ApiRuntime\.Query\("api_key", token\)/);
+    assert.match(security, /ApiRuntime\.Cookie\("session", token\)/);
+    assert.match(security, /scopes: admin:read, notes:write/);
+
+    const admin = readFileSync(join(outputDir, 'Admin.res'), 'utf8');
+    assert.match(admin, /~credentials: option<ApiSecurity\.credentials>=\?, ~fetch:/);
+    assert.match(admin, /\[ApiSecurity\.apiKey\(credentials\), ApiSecurity\.basicAuth\(credentials\)\],/);
+    assert.match(admin, /Authentication: apiKey and basicAuth or oauth \(admin:read\) or oidc/);
+    const meta = readFileSync(join(outputDir, 'Meta.res'), 'utf8');
+    assert.ok(!meta.includes('credentials'));
+    assert.match(meta, /Authentication: none/);
+
+    assert.match(readFileSync(join(outputDir, 'SecurityApiWrapper.res'), 'utf8'), /~credentials=\?client\.credentials, ~fetch=client\.fetch/);
+    const dts = readFileSync(join(outputDir, 'types/index.d.ts'), 'utf8');
+    assert.match(dts, /basicAuth\?: \{ username: string; password: string \};/);
+    assert.match(dts, /constructor\(baseUrl: string, credentials\?: Credentials, options\?: ClientOptions\);/);
+  });
+
+  await t.test('Servers: typed base URLs and per-operation server overrides', async () => {
+    const outputDir = join(testOutputDir, 'servers');
+
+    const result = await generateFromFile(serversPath, outputDir, {
+      outputDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      targets: { rescriptApi: true, rescriptWrapper: true },
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const servers = readFileSync(join(outputDir, 'Servers.res'), 'utf8');
+    assert.match(servers, /let production = \(~region: \[#"us-east" \| #"eu-west"\]=#"us-east", ~version: string="v1", \(\)\) =>/);
+    assert.match(servers, /"https:\/\/" \+\+ \(region :> string\) \+\+ "\.api\.example\.com\/" \+\+ version/);
+    assert.match(servers, /let server3 = \(\) => "http:\/\/localhost:3000"/);
+    assert.match(servers, /module UploadFile = \{\n[\s\S]*let uploads = \(\) => "https:\/\/uploads\.example\.com"/);
+
+    const files = readFileSync(join(outputDir, 'Files.res'), 'utf8');
+    assert.match(files, /~server: string=Servers\.ListFiles\.cdn\(\), ~fetch:/);
+    assert.match(files, /~url=ApiRuntime\.joinUrl\(server, "\/files"\)/);
+    assert.ok(!readFileSync(join(outputDir, 'Meta.res'), 'utf8').includes('server'));
+    assert.match(readFileSync(join(outputDir, 'ServersApiWrapper.res'), 'utf8'), /~baseUrl: string=Servers\.production\(\)/);
+  });
+
+  await t.test('TypeScript Client: configurable name, options and typed errors', async () => {
+    const outputDir = join(testOutputDir, 'typescript-client');
+
+    const result = await generateFromFile(petstorePath, outputDir, {
+      outputDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      targets: { rescriptApi: true, typescriptDts: true, typescriptWrapper: true },
+      clientName: 'PetClient',
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const wrapper = readFileSync(join(outputDir, 'wrapper/index.mjs'), 'utf8');
+    assert.match(wrapper, /export class ApiError extends Error \{/);
+    assert.match(wrapper, /export class PetClient \{\n  constructor\(baseUrl, token, options = \{\}\)/);
+    assert.match(wrapper, /client\._fetch\(url, method, body, headers, options\)/);
+    assert.match(wrapper, /throw new ApiError\(response\.status, responseBody\.VAL, response\);/);
+    assert.ok(!wrapper.includes('MisskeyClient'));
+
+    const wrapperDts = readFileSync(join(outputDir, 'wrapper/index.d.ts'), 'utf8');
+    assert.match(wrapperDts, /constructor\(baseUrl: string, token\?: string, options\?: ClientOptions\);/);
+    assert.match(wrapperDts, /\(client: PetClient[^)]*, options\?: RequestOptions\): Promise</);
+    assert.match(wrapperDts, /retry\?: RetryOptions;/);
+    assert.match(readFileSync(join(outputDir, 'types/index.d.ts'), 'utf8'), /export class ApiError extends Error/);
+
+    // Without clientName the class is named after the spec title
+    const defaultDir = join(testOutputDir, 'typescript-client-default');
+    await generateFromFile(petstorePath, defaultDir, {
+      outputDir: defaultDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      targets: { rescriptApi: false, typescriptWrapper: true },
+    });
+    assert.match(readFileSync(join(defaultDir, 'wrapper/index.mjs'), 'utf8'), /export class PetstoreApiClient \{/);
+
+    // The wrapper runs against the compiled modules, which it imports from ../generated
+    const runtimeDir = join(testOutputDir, 'typescript-client-runtime');
+    const generatedDir = join(runtimeDir, 'generated');
+    const runtime = await generateFromFile(responseVariantsPath, generatedDir, {
+      outputDir: generatedDir,
+      wrapperOutputDir: runtimeDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      targets: { rescriptApi: true, typescriptWrapper: true },
+      clientName: 'WidgetClient',
+    });
+    assert.equal(runtime.TAG, 'Ok');
+    const build = compileOutput(generatedDir);
+    assert.equal(build.status, 0, build.stdout + build.stderr);
+    const { ApiError, WidgetClient, Widgets } = await import(pathToFileURL(join(runtimeDir, 'wrapper/index.mjs')).href);
+
+    const widget = { id: 'w1', name: 'Sprocket' };
+    const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+    const calls = [];
+    const stubFetch = (responses, latency = 0) => (url, init) => {
+      calls.push({ url, init });
+      const response = responses[Math.min(calls.length - 1, responses.length - 1)];
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(response()), latency);
+        init.signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(init.signal.reason);
+        });
+      });
+    };
+
+    // Retryable statuses are retried up to the configured count, each attempt with its own timeout
+    const hooks = [];
+    const retrying = new WidgetClient('https://api.example.com', 'secret', {
+      fetch: stubFetch([() => json(503, {}), () => json(502, {}), () => json(200, widget)], 30),
+      retry: { retries: 2, backoff: 1 },
+      timeout: 50,
+      headers: { 'X-Client': 'test' },
+      middleware: [{
+        onRequest: request => {
+          hooks.push('request');
+          return { ...request, init: { ...request.init, headers: { ...request.init.headers, 'X-Hook': '1' } } };
+        },
+        onResponse: response => {
+          hooks.push(`response ${response.status}`);
+        },
+      }],
+    });
+    assert.deepEqual(await Widgets.getWidget(retrying, { id: 'w1' }), widget);
+    assert.equal(calls.length, 3);
+    assert.equal(calls[0].url, 'https://api.example.com/widgets/w1');
+    assert.deepEqual(calls[2].init.headers, { 'X-Client': 'test', Authorization: 'Bearer secret', 'X-Hook': '1' });
+    assert.notEqual(calls[0].init.signal, calls[1].init.signal);
+    assert.deepEqual(hooks, ['request', 'response 200']);
+
+    // A timed out attempt is not retried
+    calls.length = 0;
+    const slow = new WidgetClient('https://api.example.com', undefined, { fetch: stubFetch([() => json(200, widget)], 1000), retry: { retries: 2, backoff: 1 } });
+    await assert.rejects(Widgets.getWidget(slow, { id: 'w1' }, { timeout: 20 }), { name: 'TimeoutError' });
+    assert.equal(calls.length, 1);
+
+    // Statuses outside 200-299 throw ApiError once retries are used up
+    calls.length = 0;
+    const failing = new WidgetClient('https://api.example.com', undefined, { fetch: stubFetch([() => json(404, { title: 'Not found' })]), retry: { retries: 1, backoff: 1 } });
+    const error = await Widgets.getWidget(failing, { id: 'missing' }).catch(error => error);
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.status, 404);
+    assert.deepEqual(error.body, { title: 'Not found' });
+    assert.equal(calls.length, 1);
+  });
+
+  await t.test('Validation Schemas: Zod and Valibot schemas keep constraints', async () => {
+    // The wrapper imports the compiled modules from ../generated and the schemas from ../zod
+    const outputDir = join(testOutputDir, 'validation');
+    const generatedDir = join(outputDir, 'generated');
+
+    const result = await generateFromFile(validationPath, generatedDir, {
+      outputDir: generatedDir,
+      dtsOutputDir: outputDir,
+      wrapperOutputDir: outputDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      targets: { rescriptApi: true, typescriptWrapper: true, zodSchemas: true, valibotSchemas: true },
+      wrapperValidation: 'Zod',
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const zod = readFileSync(join(outputDir, 'zod/index.mjs'), 'utf8');
+    assert.match(zod, /name: z\.string\(\)\.min\(1\)\.max\(40\),/);
+    assert.match(zod, /slug: z\.string\(\)\.regex\(new RegExp\("\^\[a-z0-9-\]\+\$"\)\),/);
+    assert.match(zod, /tags: z\.array\(z\.string\(\)\)\.min\(1\)\.refine\(/);
+    assert.match(zod, /weight: z\.number\(\)\.gte\(0\)\.lte\(1\)\.multipleOf\(0\.25\)\.optional\(\),/);
+    assert.match(zod, /parent: z\.string\(\)\.nullable\(\)\.optional\(\),/);
+    assert.match(zod, /children: z\.array\(z\.lazy\(\(\) => CategorySchema\)\)\.optional\(\),/);
+    assert.match(zod, /createCategory: \{\n    request: z\.lazy\(\(\) => CategorySchema\),\n    response: z\.lazy\(\(\) => CategorySchema\),/);
+
+    const valibot = readFileSync(join(outputDir, 'valibot/index.mjs'), 'utf8');
+    assert.match(valibot, /name: v\.pipe\(v\.string\(\), v\.minLength\(1\), v\.maxLength\(40\)\),/);
+    assert.match(valibot, /weight: v\.optional\(v\.pipe\(v\.number\(\), v\.minValue\(0\), v\.maxValue\(1\), v\.multipleOf\(0\.25\)\)\),/);
+    assert.match(valibot, /v\.check\(value => Object\.keys\(value\)\.every\(/);
+    assert.match(readFileSync(join(outputDir, 'valibot/index.d.ts'), 'utf8'), /export const CategorySchema: v\.GenericSchema;/);
+
+    const wrapper = readFileSync(join(outputDir, 'wrapper/index.mjs'), 'utf8');
+    assert.match(wrapper, /import \* as Schemas from '\.\.\/zod\/index\.mjs';/);
+    assert.match(wrapper, /client\._fetch\(url, method, body, headers, options, Schemas\.Categories\.createCategory\.response\)/);
+    assert.match(wrapper, /responseSchema\.parse\(responseBody\.VAL\);/);
+
+    const build = compileOutput(generatedDir);
+    assert.equal(build.status, 0, build.stdout + build.stderr);
+    const { Categories, ValidationApiClient } = await import(pathToFileURL(join(outputDir, 'wrapper/index.mjs')).href);
+    const clientReturning = body => new ValidationApiClient('https://api.example.com', undefined, {
+      fetch: async () => new Response(JSON.stringify(body), { status: 201, headers: { 'content-type': 'application/json' } }),
+    });
+    const category = { name: 'Tools', slug: 'tools', tags: ['hardware'] };
+    assert.equal((await Categories.createCategory(clientReturning(category), category)).slug, 'tools');
+    await assert.rejects(Categories.createCategory(clientReturning({ ...category, slug: 'Not A Slug' }), category), { name: 'ZodError' });
+  });
+
+  await t.test('Templates: overrides, partials and helpers from templateDir', async () => {
+    const outputDir = join(testOutputDir, 'templates');
+    const config = { outputDir, strategy: 'Separate', modulePerTag: true, generateDiffReport: false, templateDir: templatesDir };
+
+    const result = await generateFromFile(petstorePath, outputDir, config);
+    assert.equal(result.TAG, 'Ok');
+    const pets = readFileSync(join(outputDir, 'Pets.res'), 'utf8');
+    assert.match(pets, /^\/\/ Generated for ACME - do not edit\n\/\/ API endpoints for pets\n/);
+    assert.doesNotMatch(pets, /DO NOT EDIT/);
+
+    // Templates are restored after generation
+    const plain = await generateFromFile(petstorePath, outputDir, { ...config, templateDir: undefined });
+    assert.match(readFileSync(join(outputDir, 'Pets.res'), 'utf8'), /DO NOT EDIT/);
+    assert.equal(plain.TAG, 'Ok');
+
+    const unknownDir = join(testOutputDir, 'templates-unknown');
+    mkdirSync(unknownDir, { recursive: true });
+    writeFileSync(join(unknownDir, 'endpoint.hbs'), '{{{functionName}}}');
+    const unknown = await generateFromFile(petstorePath, outputDir, { ...config, templateDir: unknownDir });
+    assert.equal(unknown.TAG, 'Error');
+    assert.equal(unknown._0.TAG, 'InvalidConfigError');
+    assert.match(unknown._0.message, /endpoint\.hbs does not name a built-in template/);
+  });
+
+  await t.test('Plugins: hooks transform the spec, endpoints, IR and files', async () => {
+    const outputDir = join(testOutputDir, 'plugins');
+    const written = [];
+    const renameOperations = {
+      name: 'rename-operations',
+      transformEndpoints: endpoints => endpoints.map(endpoint =>
+        endpoint.path === '/pets/{petId}' ? { ...endpoint, operationId: 'getPet' } : endpoint),
+    };
+    const catalog = {
+      name: 'catalog',
+      transformSpec: spec => ({ ...spec, info: { ...spec.info, title: 'Pet Catalog' } }),
+      transformIR: schema => schema.name === 'Pet' ? { ...schema, description: 'A pet in the catalog' } : schema,
+      generateFiles: ({ spec, endpoints }) => [
+        { path: 'operations.json', content: JSON.stringify({ title: spec.info.title, operations: endpoints.map(e => e.operationId) }) },
+      ],
+      transformFiles: output => ({
+        ...output,
+        files: output.files.map(file => file.path.endsWith('.res') ? { ...file, content: `// Catalog build\n${file.content}` } : file),
+      }),
+      afterWrite: async result => { written.push(...result.generatedFiles); },
+    };
+
+    const result = await generateFromFile(petstorePath, outputDir, {
+      outputDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      targets: { rescriptApi: true, typescriptWrapper: true },
+      plugins: [renameOperations, catalog],
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const operations = JSON.parse(readFileSync(join(outputDir, 'operations.json'), 'utf8'));
+    assert.equal(operations.title, 'Pet Catalog');
+    assert.deepEqual(operations.operations.filter(Boolean), ['getPet']);
+
+    const pets = readFileSync(join(outputDir, 'Pets.res'), 'utf8');
+    assert.match(pets, /^\/\/ Catalog build\n/);
+    assert.match(pets, /let getPet = async/);
+    assert.match(readFileSync(join(outputDir, 'ComponentSchemas.res'), 'utf8'), /A pet in the catalog/);
+    assert.match(readFileSync(join(outputDir, 'wrapper/index.mjs'), 'utf8'), /class PetCatalogClient/);
+    assert.deepEqual(written, result._0.generatedFiles);
+    assert.ok(written.includes(join(outputDir, 'operations.json')));
+
+    const failing = await generateFromFile(petstorePath, outputDir, {
+      outputDir,
+      strategy: 'Separate',
+      generateDiffReport: false,
+      plugins: [{ name: 'broken', afterWrite: async () => { throw new Error('upload failed'); } }],
+    });
+    assert.equal(failing.TAG, 'Error');
+    assert.match(failing._0.message, /Plugin broken failed after writing: upload failed/);
+  });
+
+  await t.test('Read/Write Split: request bodies use input types without readOnly properties', async () => {
+    const outputDir = join(testOutputDir, 'read-write');
+
+    const result = await generateFromFile(readWritePath, outputDir, {
+      outputDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const schemas = readFileSync(join(outputDir, 'ComponentSchemas.res'), 'utf8');
+    assert.match(schemas, /type t = \{\n  id: string,\n  email: string,\n  createdAt: option<Date\.t>,\n\}/);
+    assert.match(schemas, /type input = \{\n  email: string,\n  password: string,\n\}/);
+    assert.match(schemas, /let inputSchema = S\.object/);
+    // Schemas referencing a split schema are split too, recursive ones included
+    assert.match(schemas, /type rec input = \{\n  name: string,\n  owner: Account\.input,\n  subteams: option<array<input>>,/);
+    assert.match(schemas, /S\.recursive\("TeamInput", inputSchema => /);
+    assert.doesNotMatch(schemas.slice(schemas.indexOf('module Label')), /module Label = \{[^}]*type input/);
+
+    const accounts = readFileSync(join(outputDir, 'Accounts.res'), 'utf8');
+    assert.match(accounts, /type createAccountRequest = ComponentSchemas\.Account\.input/);
+    assert.match(accounts, /let createAccountRequestSchema = ComponentSchemas\.Account\.inputSchema/);
+    assert.match(accounts, /type createAccountResponse = ComponentSchemas\.Account\.t/);
+  });
+
+  await t.test('Defaults and Deprecation: defaults decode into required fields and deprecations are marked', async () => {
+    const outputDir = join(testOutputDir, 'defaults');
+
+    const result = await generateFromFile(defaultsPath, outputDir, {
+      outputDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      targets: { rescriptApi: true, typescriptDts: true },
+    });
+
+    assert.equal(result.TAG, 'Ok');
+    const schemas = readFileSync(join(outputDir, 'ComponentSchemas.res'), 'utf8');
+    assert.match(schemas, /  pageSize: int,\n  ratio: float,\n  notifications: bool,/);
+    assert.match(schemas, /s\.fieldOr\("pageSize", S\.int, 20\)/);
+    assert.match(schemas, /s\.fieldOr\("ratio", S\.float, 1\.\)/);
+    assert.match(schemas, /s\.field\("nickname", S\.option\(S\.null\(S\.string\)\)->S\.transform/);
+    // Defaults the field's type can't hold leave it optional
+    assert.match(schemas, /since: option<Date\.t>/);
+    assert.match(schemas, /@deprecated\("Deprecated in the OpenAPI spec"\) legacyMode: option<bool>/);
+    assert.match(schemas, /Legacy settings\n\nSettings in the old format\n@example \{"theme":"dark"\}\n\*\/\nmodule LegacySettings = \{\n  @deprecated/);
+    assert.match(schemas, /\/\*\* @example "dark" \*\/ theme: string/);
+
+    const settings = readFileSync(join(outputDir, 'Settings.res'), 'utf8');
+    assert.match(settings, /\*\/\n@deprecated\("Deprecated in the OpenAPI spec"\)\nlet replaceSettings/);
+
+    const dts = readFileSync(join(outputDir, 'types/ComponentSchemas.d.ts'), 'utf8');
+    assert.match(dts, /\/\*\* @default 20 \*\/\n  pageSize\?: number;/);
+    assert.match(dts, /  \/\*\* @deprecated \*\/\n  legacyMode\?: boolean;/);
+    assert.match(dts, / \* @deprecated\n \*\/\nexport interface LegacySettings/);
+    assert.match(readFileSync(join(outputDir, 'types/Settings.d.ts'), 'utf8'), /   \* @deprecated\n   \*\/\n  replaceSettings\(/);
+
+    // Only files that declare or use deprecated schemas and operations turn the deprecation warning off
+    assert.match(schemas, /DO NOT EDIT - This file is auto-generated\n@@warning\("-3"\)\n/);
+    assert.match(settings, /DO NOT EDIT - This file is auto-generated\n@@warning\("-3"\)\n/);
+    assert.ok(!readFileSync(join(outputDir, 'ApiRuntime.res'), 'utf8').includes('@@warning("-3")'));
+
+    const build = compileOutput(outputDir);
+    assert.equal(build.status, 0, build.stdout + build.stderr);
+    assert.ok(!(build.stdout + build.stderr).includes('Warning number 3'), build.stdout + build.stderr);
+  });
+
+  await t.test('Up-Conversion: Swagger 2.0 and OpenAPI 3.0 specs are read as OpenAPI 3.1', async () => {
+    const swaggerDir = join(testOutputDir, 'swagger2');
+    const swagger = await generateFromFile(swagger2Path, swaggerDir, {
+      outputDir: swaggerDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+      targets: { rescriptApi: true, typescriptDts: true },
+    });
+
+    assert.equal(swagger.TAG, 'Ok');
+    assert.deepEqual(
+      swagger._0.warnings.filter(w => w.TAG === 'UnsupportedFeature').map(w => [w.feature, w.location]),
+      [['collectionFormat: tsv', '/paths/~1pets/get/parameters/0']],
+    );
+    const schemas = readFileSync(join(swaggerDir, 'ComponentSchemas.res'), 'utf8');
+    assert.match(readFileSync(join(swaggerDir, 'types/ComponentSchemas.d.ts'), 'utf8'), /nickname\?: string \| null;/);
+    assert.match(schemas, /owner: s\.field\("owner", S\.option\(Owner\.schema\)\)/);
+    const pets = readFileSync(join(swaggerDir, 'Pets.res'), 'utf8');
+    assert.match(pets, /type createPetRequest = ComponentSchemas\.NewPet\.t/);
+    assert.match(pets, /type listPetsResponse = array<ComponentSchemas\.Pet\.t>/);
+    // Path-level parameter refs are inlined and form fields become a multipart body
+    assert.match(pets, /let getPet = async \(~petId: bigint,/);
+    assert.match(pets, /type uploadPhotoRequest = \{\n  file: ApiRuntime\.file,\n  caption: option<string>,\n\}/);
+    assert.match(pets, /#Multipart\(/);
+    assert.match(pets, /queryParam\(~name="tags", ~style="form", ~explode=false\)/);
+    assert.match(readFileSync(join(swaggerDir, 'Servers.res'), 'utf8'), /https:\/\/legacy\.example\.com\/v1/);
+
+    const nullableDir = join(testOutputDir, 'openapi30');
+    const nullable = await generateFromFile(openapi30Path, nullableDir, {
+      outputDir: nullableDir,
+      strategy: 'Separate',
+      modulePerTag: true,
+      generateDiffReport: false,
+    });
+
+    assert.equal(nullable.TAG, 'Ok');
+    const orders = readFileSync(join(nullableDir, 'ComponentSchemas.res'), 'utf8');
+    assert.match(orders, /note: s\.field\("note", S\.nullableAsOption\(S\.string\)\)/);
+    assert.match(orders, /customer: s\.field\("customer", S\.nullableAsOption\(Customer\.schema\)\)/);
+  });
+
+  await t.test('Lint: spec problems are located and enforced by lintRules before writing', async () => {
+    const outputDir = join(testOutputDir, 'lint');
+    const config = { specPath: lintPath, outputDir, strategy: 'Separate', modulePerTag: true, generateDiffReport: false };
+
+    const linted = await lint(config);
+    assert.equal(linted.TAG, 'Ok');
+    assert.deepEqual(linted._0.map(issue => [issue.rule, issue.location]), [
+      ['missing-operation-id', '/paths/~1runtime/get'],
+      ['operation-name-collision', '/paths/~1users~1me/get'],
+      ['module-name-collision', '/paths/~1admin~1users/delete/tags'],
+      ['module-name-collision', '/paths/~1runtime/get/tags'],
+      ['schema-name-collision', '/components/schemas/PetItem'],
+      ['unresolved-ref', '/components/schemas/User/properties/managerId'],
+      ['degrades-to-json', '/components/schemas/User/properties/settings'],
+    ]);
+    assert.ok(linted._0.every(issue => issue.severity === 'Warn'));
+
+    const ignored = await lint({ ...config, lintRules: { 'module-name-collision': 'Ignore', 'missing-operation-id': 'Error' } });
+    assert.ok(!ignored._0.some(issue => issue.rule === 'module-name-collision'));
+    assert.equal(ignored._0.find(issue => issue.rule === 'missing-operation-id').severity, 'Error');
+
+    const failed = await generateFromFile(lintPath, outputDir, { ...config, lintRules: { 'operation-name-collision': 'Error' } });
+    assert.equal(failed.TAG, 'Error');
+    assert.equal(failed._0.TAG, 'LintError');
+    assert.match(failed._0.issues[0], /operation-name-collision at '\/paths\/~1users~1me\/get'/);
+    assert.ok(!existsSync(outputDir));
+
+    const warned = await generateFromFile(lintPath, outputDir, config);
+    assert.equal(warned.TAG, 'Ok');
+    assert.equal(warned._0.warnings.filter(w => w.TAG === 'LintIssue').length, 7);
+  });
+
+  await t.test('Doc Overrides: front-matter docs apply and stale or orphaned files are re-stamped and pruned', async () => {
+    const outputDir = join(testOutputDir, 'doc-overrides/generated');
+    const docsDir = join(testOutputDir, 'doc-overrides/docs');
+    const config = { outputDir, docOverrideDir: docsDir, strategy: 'Separate', modulePerTag: true, generateDiffReport: false };
+    const spec = (await resolve(mediaTypesPath))._0;
+    writeFiles(generateDocOverrideFiles(spec, config));
+
+    const replaceFilePath = join(docsDir, 'Files/replaceFile.md');
+    const edit = (path, replacements) =>
+      writeFileSync(path, replacements.reduce((content, [from, to]) => content.replace(from, to), readFileSync(path, 'utf8')));
+    edit(replaceFilePath, [
+      ['# summary: Replace the file content', 'summary: Overwrite a stored file'],
+      ['# deprecated:', 'deprecated: Use uploadFile instead'],
+      ['# param.fileId:', 'param.fileId: ID returned by uploadFile'],
+      ['# example:', 'example: "report.pdf"'],
+      ['<!-- Empty - no override -->', 'Keeps the file ID.'],
+    ]);
+    edit(join(docsDir, 'Notes/createNote.md'), [['# field.text:', 'field.text: Markdown source']]);
+
+    const generated = await generateFromFile(mediaTypesPath, outputDir, config);
+    assert.equal(generated.TAG, 'Ok');
+    assert.ok(!generated._0.warnings.some(w => w.TAG === 'StaleDocOverride'));
+    const files = readFileSync(join(outputDir, 'Files.res'), 'utf8');
+    assert.match(files, /Overwrite a stored file\n *\n *Keeps the file ID\.\n *\n *Parameters:\n *- `fileId`: ID returned by uploadFile\n *@example "report\.pdf"/);
+    assert.match(files, /@deprecated\("Use uploadFile instead"\)\nlet replaceFile/);
+    assert.match(readFileSync(join(outputDir, 'Notes.res'), 'utf8'), /Body fields:\n *- `text`: Markdown source/);
+
+    // The file goes stale when its endpoint changes, and orphaned when the endpoint goes away
+    edit(replaceFilePath, [[/^hash: .*$/m, 'hash: 0']]);
+    const orphanPath = join(docsDir, 'Files/deleteFile.md');
+    writeFileSync(orphanPath, readFileSync(replaceFilePath, 'utf8').replace('method: PUT', 'method: DELETE'));
+    writeFileSync(join(docsDir, 'Auth/logout.md'), readFileSync(join(docsDir, 'Auth/login.md'), 'utf8').replace('/login', '/logout'));
+
+    const warned = await generateFromFile(mediaTypesPath, outputDir, config);
+    assert.deepEqual(warned._0.warnings.filter(w => w.TAG === 'StaleDocOverride').map(w => w.path), [replaceFilePath, orphanPath]);
+    assert.match(readFileSync(join(outputDir, 'Files.res'), 'utf8'), /Overwrite a stored file/);
+
+    const audit = auditDocOverrides(spec, config)._0;
+    assert.deepEqual(audit.stale.map(f => [f.path, f.endpoint, f.customized]), [[replaceFilePath, 'PUT /files/{fileId}', true]]);
+    assert.deepEqual(audit.orphaned.map(f => [f.path, f.endpoint, f.customized]), [
+      [join(docsDir, 'Auth/logout.md'), 'POST /logout', false],
+      [orphanPath, 'DELETE /files/{fileId}', true],
+    ]);
+    assert.deepEqual(audit.customized, [join(docsDir, 'Files/deleteFile.md'), replaceFilePath, join(docsDir, 'Notes/createNote.md')]);
+    assert.deepEqual(audit.missing, []);
+
+    const maintained = auditDocOverrides(spec, config, true, true)._0;
+    assert.deepEqual(maintained.restamped, [replaceFilePath]);
+    assert.deepEqual(maintained.pruned, [join(docsDir, 'Auth/logout.md')]);
+    const restamped = readFileSync(replaceFilePath, 'utf8');
+    assert.doesNotMatch(restamped, /^hash: 0$/m);
+    assert.match(restamped, /^param\.fileId: ID returned by uploadFile$/m);
+    assert.match(restamped, /```\nKeeps the file ID\.\n```/);
+    const after = auditDocOverrides(spec, config)._0;
+    assert.deepEqual([after.stale, after.orphaned.map(f => f.path)], [[], [orphanPath]]);
+
+    // Override files that can't be written fail the generation like any other output
+    const blockedDir = join(testOutputDir, 'doc-overrides/blocked');
+    writeFileSync(blockedDir, 'not a directory');
+    const blocked = await generateFromFile(mediaTypesPath, outputDir, { ...config, docOverrideDir: blockedDir, generateDocOverrides: true });
+    assert.equal(blocked.TAG, 'Error');
+    assert.match(blocked._0.message, /^Failed to write documentation override files: /);
+  });
+
+  await t.test('Conformance Tests: spec examples are checked against the generated schemas', async () => {
+    const outputDir = join(testOutputDir, 'conformance');
+    const config = { outputDir, strategy: 'Separate', modulePerTag: true, generateDiffReport: false, targets: { rescriptApi: true, conformanceTests: true } };
+    const result = await generateFromFile(examplesPath, outputDir, config);
+
+    assert.equal(result.TAG, 'Ok');
+    const products = readFileSync(join(outputDir, 'test/ProductsConformanceTest.res'), 'utf8');
+    assert.match(products, /@module\("node:test"\) external test/);
+    assert.match(products, /conforms\(Products\.createProductRequestSchema, ~location="\/paths\/~1products\/post\/requestBody\/content\/application~1json\/example", JSON\.parseOrThrow\("\{\\"name\\":\\"Desk lamp\\",\\"price\\":24\.5\}"\)\)/);
+    assert.match(products, /conforms\(Products\.createProductResponseSchema, ~location="[^"]*\/examples\/tagged\/value"/);
+    assert.doesNotMatch(products, /examples\/external|responses\/404/);
+    // Text bodies have no schema to parse examples with
+    assert.ok(!existsSync(join(outputDir, 'test/LabelsConformanceTest.res')));
+    const components = readFileSync(join(outputDir, 'test/ComponentSchemasConformanceTest.res'), 'utf8');
+    assert.match(components, /conforms\(ComponentSchemas\.Product\.schema, ~location="\/components\/schemas\/Product\/example"/);
+    assert.match(components, /conforms\(ComponentSchemas\.Sku\.schema, ~location="\/components\/schemas\/Sku\/examples\/1", JSON\.parseOrThrow\("\\"CH-042\\""\)\)/);
+
+    const variantsDir = join(testOutputDir, 'conformance-variants');
+    await generateFromFile(examplesPath, variantsDir, { ...config, outputDir: variantsDir, responseVariants: true });
+    assert.match(
+      readFileSync(join(variantsDir, 'test/ProductsConformanceTest.res'), 'utf8'),
+      /test\("getProduct 404 response \([^)]*\)", \(\) =>\n  conforms\(Products\.getProductResponse404Schema,/,
+    );
+
+    // With forks every instance gets tests for the modules it owns
+    const forksDir = join(testOutputDir, 'conformance-forks');
+    mkdirSync(forksDir, { recursive: true });
+    const reviews = JSON.parse(readFileSync(examplesPath, 'utf8'));
+    reviews.paths['/products/{id}/reviews'] = {
+      get: {
+        operationId: 'listReviews',
+        tags: ['reviews'],
+        parameters: reviews.paths['/products/{id}'].get.parameters,
+        responses: { '200': { description: 'Reviews', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Review' } }, example: [{ stars: 5 }] } } } },
+      },
+    };
+    reviews.components.schemas.Review = { type: 'object', required: ['stars'], properties: { stars: { type: 'integer', minimum: 1, maximum: 5 } }, example: { stars: 4 } };
+    const reviewsPath = join(forksDir, 'reviews.json');
+    writeFileSync(reviewsPath, JSON.stringify(reviews, null, 2));
+    const forkConfig = strategy => ({ ...config, strategy, outputDir: join(forksDir, strategy), baseInstanceName: 'catalog', forkSpecs: [{ name: 'reviews', specPath: reviewsPath }] });
+
+    const sharedBaseDir = join(forksDir, 'SharedBase');
+    assert.equal((await generateFromFile(examplesPath, sharedBaseDir, forkConfig('SharedBase'))).TAG, 'Ok');
+    assert.match(readFileSync(join(sharedBaseDir, 'catalog/test/CatalogProductsConformanceTest.res'), 'utf8'), /conforms\(CatalogProducts\.createProductRequestSchema,/);
+    assert.match(readFileSync(join(sharedBaseDir, 'catalog/test/CatalogComponentSchemasConformanceTest.res'), 'utf8'), /conforms\(CatalogComponentSchemas\.Sku\.schema,/);
+    assert.match(readFileSync(join(sharedBaseDir, 'reviews/test/ReviewsReviewsConformanceTest.res'), 'utf8'), /conforms\(ReviewsReviews\.listReviewsResponseSchema,/);
+    const build = compileOutput(sharedBaseDir, { subdirs: true });
+    assert.equal(build.status, 0, build.stdout + build.stderr);
+    // Run the compiled tests, then remove them so node --test doesn't collect them from the output directory
+    const compiledTests = ['catalog/test', 'reviews/test'].flatMap(dir =>
+      readdirSync(join(sharedBaseDir, dir)).filter(file => file.endsWith('.mjs')).map(file => join(sharedBaseDir, dir, file))
+    );
+    // Outside this test runner's context, so the child reports on its own
+    const { NODE_TEST_CONTEXT, ...env } = process.env;
+    const run = spawnSync(process.execPath, ['--test', ...compiledTests], { encoding: 'utf8', env });
+    assert.equal(run.status, 0, run.stdout + run.stderr);
+    assert.match(run.stdout, /# pass [1-9]\d*\n# fail 0/);
+    compiledTests.forEach(file => rmSync(file));
+    rmSync(join(sharedBaseDir, 'lib'), { recursive: true });
+
+    const separateDir = join(forksDir, 'Separate');
+    assert.equal((await generateFromFile(examplesPath, separateDir, forkConfig('Separate'))).TAG, 'Ok');
+    assert.match(readFileSync(join(separateDir, 'test/ReviewsAPIConformanceTest.res'), 'utf8'), /conforms\(Reviews\.Reviews\.listReviewsResponseSchema,/);
+    assert.match(readFileSync(join(separateDir, 'test/ReviewsComponentSchemasConformanceTest.res'), 'utf8'), /conforms\(ReviewsComponentSchemas\.Review\.schema,/);
+  });
+
+  await t.test('Mock Server: answers with examples or seeded fake data and validates request bodies', async () => {
+    const outputDir = join(testOutputDir, 'mock');
+    const config = { outputDir, strategy: 'Separate', modulePerTag: true, generateDiffReport: false, targets: { rescriptApi: false, mockServer: true } };
+    const result = await generateFromFile(mockPath, outputDir, config);
+
+    assert.equal(result.TAG, 'Ok');
+    assert.ok(existsSync(join(outputDir, 'mock/server.d.ts')));
+    const serverPath = join(outputDir, 'mock/server.mjs');
+    const { createMockHandler, routes } = await import(pathToFileURL(serverPath).href);
+    // Literal paths are matched before templated ones
+    assert.ok(routes.findIndex(route => route.path === '/tasks/today') < routes.findIndex(route => route.path === '/tasks/{id}'));
+
+    const server = createServer(createMockHandler());
+    await new Promise(listening => server.listen(0, '127.0.0.1', listening));
+    const call = async (method, path, body) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+        method,
+        headers: body === undefined ? {} : { 'content-type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const text = await response.text();
+      return { status: response.status, source: response.headers.get('x-mock-source'), body: text === '' ? undefined : JSON.parse(text) };
+    };
+    try {
+      // Served under the path of the spec's server URL
+      assert.equal((await call('GET', '/tasks')).status, 404);
+
+      const created = await call('POST', '/v1/tasks', { title: 'Plan', estimate: 2.5, labels: ['work'] });
+      assert.deepEqual([created.status, created.source, created.body.id], [201, 'example', 'TSK-0001']);
+
+      const invalid = await call('POST', '/v1/tasks', { title: '', priority: 9, estimate: 0.3, labels: ['a', 'a'], owner: 'me' });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.problems, [
+        '/title: shorter than 1 characters',
+        '/priority: greater than 5',
+        '/estimate: not a multiple of 0.5',
+        '/labels: has duplicate items',
+        '/owner: is not allowed',
+      ]);
+      assert.deepEqual((await call('POST', '/v1/tasks')).body.problems, ['/: a request body is required']);
+
+      const tasks = await call('GET', '/v1/tasks');
+      assert.deepEqual([tasks.status, tasks.source], [200, 'generated']);
+      assert.ok(tasks.body.length >= 2 && tasks.body.length <= 4);
+      for (const task of tasks.body) {
+        assert.match(task.id, /^TSK-\d{4}$/);
+        assert.ok(['open', 'done', 'archived'].includes(task.status));
+        assert.ok(Number.isInteger(task.priority) && task.priority >= 1 && task.priority <= 5);
+        assert.ok(task.estimate === undefined || (task.estimate % 0.5 === 0 && task.estimate <= 40));
+        assert.ok(task.labels === undefined || new Set(task.labels).size === task.labels.length);
+      }
+      assert.deepEqual((await call('GET', '/v1/tasks/today')).body, []);
+      assert.match((await call('GET', '/v1/tasks/TSK-0042')).body.id, /^TSK-\d{4}$/);
+      assert.deepEqual(await call('DELETE', '/v1/tasks/TSK-0042'), { status: 204, source: 'empty', body: undefined });
+
+      const events = (await call('GET', '/v1/events')).body;
+      assert.ok(events.length >= 3);
+      for (const event of events) {
+        assert.ok(event.kind === 'Created' || (event.kind === 'Completed' && /^\d{4}-\d{2}-\d{2}T/.test(event.at)));
+        assert.match(event.taskId, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      }
+    } finally {
+      server.closeAllConnections();
+      await new Promise(closed => server.close(closed));
+    }
+
+    // The same seed generates the same data; another seed different data
+    const sameDir = join(testOutputDir, 'mock-same-seed');
+    await generateFromFile(mockPath, sameDir, { ...config, outputDir: sameDir });
+    assert.equal(readFileSync(join(sameDir, 'mock/server.mjs'), 'utf8'), readFileSync(serverPath, 'utf8'));
+    const seededDir = join(testOutputDir, 'mock-seed-7');
+    await generateFromFile(mockPath, seededDir, { ...config, outputDir: seededDir, mockSeed: 7 });
+    assert.notEqual(readFileSync(join(seededDir, 'mock/server.mjs'), 'utf8'), readFileSync(serverPath, 'utf8'));
+
+    // With forks the base and each fork get a mock of their own spec
+    const forksDir = join(testOutputDir, 'mock-forks');
+    mkdirSync(forksDir, { recursive: true });
+    const projects = JSON.parse(readFileSync(mockPath, 'utf8'));
+    projects.paths['/projects'] = {
+      get: {
+        operationId: 'listProjects',
+        tags: ['projects'],
+        responses: { '200': { description: 'Projects', content: { 'application/json': { schema: { type: 'array', items: { type: 'string' } }, example: ['Roadmap'] } } } },
+      },
+    };
+    const projectsPath = join(forksDir, 'projects.json');
+    writeFileSync(projectsPath, JSON.stringify(projects, null, 2));
+    const forks = await generateFromFile(mockPath, forksDir, {
+      ...config,
+      outputDir: forksDir,
+      strategy: 'SharedBase',
+      baseInstanceName: 'tasks',
+      forkSpecs: [{ name: 'projects', specPath: projectsPath }],
+    });
+    assert.equal(forks.TAG, 'Ok');
+    const routesOf = async instance => (await import(pathToFileURL(join(forksDir, instance, 'mock/server.mjs')).href)).routes.map(route => route.path);
+    assert.ok(!(await routesOf('tasks')).includes('/projects'));
+    assert.ok((await routesOf('projects')).includes('/projects'));
+    assert.ok((await routesOf('projects')).includes('/tasks'));
+  });
+
+  await t.test('Manifest: unchanged files are skipped and stale files removed', async () => {
+    const outputDir = join(testOutputDir, 'incremental');
+    const config = { outputDir, strategy: 'Separate', modulePerTag: true, generateDiffReport: false };
+
+    const first = await generateFromFile(extendedPath, outputDir, config);
+    assert.equal(first.TAG, 'Ok');
+    assert.ok(existsSync(join(outputDir, '.openapi-codegen-manifest.json')));
+    assert.ok(existsSync(join(outputDir, 'Store.res')));
+
+    const second = await generateFromFile(extendedPath, outputDir, config);
+    assert.deepEqual(second._0.unchangedFiles, second._0.generatedFiles);
+
+    writeFileSync(join(outputDir, 'Handwritten.res'), 'let answer = 42\n');
+    const narrowed = await generateFromFile(extendedPath, outputDir, { ...config, includeTags: ['pets'] });
+    assert.deepEqual(narrowed._0.deletedFiles, [join(outputDir, 'Store.res')]);
+    assert.ok(existsSync(join(outputDir, 'Handwritten.res')));
+
+    await generateFromFile(extendedPath, outputDir, config);
+    appendFileSync(join(outputDir, 'Store.res'), '// edited by hand\n');
+    const edited = await generateFromFile(extendedPath, outputDir, { ...config, includeTags: ['pets'] });
+    assert.deepEqual(edited._0.deletedFiles, []);
+    assert.ok(edited._0.warnings.some(w => w.TAG === 'StaleFileKept'));
+    assert.ok(existsSync(join(outputDir, 'Store.res')));
+
+    // dtsOutputDir and wrapperOutputDir keep manifests of their own and are synced the same way
+    const dtsOutputDir = join(testOutputDir, 'incremental-dts');
+    const wrapperOutputDir = join(testOutputDir, 'incremental-wrapper');
+    const typed = { ...config, dtsOutputDir, wrapperOutputDir, targets: { rescriptApi: true, typescriptDts: true, typescriptWrapper: true } };
+    await generateFromFile(extendedPath, outputDir, typed);
+    const manifestPath = join(outputDir, '.openapi-codegen-manifest.json');
+    const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    assert.ok(Object.keys(manifest.files).every(key => !key.startsWith('../')));
+    const dtsManifest = JSON.parse(readFileSync(join(dtsOutputDir, '.openapi-codegen-manifest.json'), 'utf8'));
+    assert.ok(Object.keys(dtsManifest.files).includes('types/Store.d.ts'));
+    const wrapperManifest = JSON.parse(readFileSync(join(wrapperOutputDir, '.openapi-codegen-manifest.json'), 'utf8'));
+    assert.deepEqual(Object.keys(wrapperManifest.files), ['wrapper/index.d.ts', 'wrapper/index.mjs']);
+    const typedNarrowed = await generateFromFile(extendedPath, outputDir, { ...typed, includeTags: ['pets'] });
+    assert.ok(typedNarrowed._0.deletedFiles.includes(join(dtsOutputDir, 'types/Store.d.ts')));
+    assert.ok(!existsSync(join(dtsOutputDir, 'types/Store.d.ts')));
+    assert.ok(existsSync(join(dtsOutputDir, 'types/Pets.d.ts')));
+
+    // Files outside the output directories are neither recorded nor deleted, even when a manifest lists them
+    const outsidePath = join(testOutputDir, 'outside.res');
+    writeFileSync(outsidePath, 'let outside = true\n');
+    manifest.files['../outside.res'] = createHash('sha256').update('let outside = true\n').digest('hex');
+    writeFileSync(manifestPath, JSON.stringify(manifest));
+    const tampered = await generateFromFile(extendedPath, outputDir, config);
+    assert.deepEqual(tampered._0.deletedFiles.filter(path => !path.startsWith(outputDir + '/')), []);
+    assert.ok(existsSync(outsidePath));
+  });
+
+  await t.test('Check: drift between spec and output is reported without writing', async () => {
+    const outputDir = join(testOutputDir, 'drift');
+    const config = { specPath: extendedPath, outputDir, strategy: 'Separate', modulePerTag: true, generateDiffReport: false };
+
+    await generateFromFile(extendedPath, outputDir, config);
+    const clean = await check(config);
+    assert.equal(clean.TAG, 'Ok');
+    assert.equal(hasDrift(clean._0), false);
+
+    const petsPath = join(outputDir, 'Pets.res');
+    writeFileSync(petsPath, readFileSync(petsPath, 'utf8').replace('let postpets', 'let createPet'));
+    rmSync(join(outputDir, 'ComponentSchemas.res'));
+    const drifted = (await check({ ...config, includeTags: ['pets'] }))._0;
+    assert.deepEqual(drifted.added.map(f => f.path), [join(outputDir, 'ComponentSchemas.res')]);
+    assert.deepEqual(drifted.removed.map(f => f.path), [join(outputDir, 'Store.res')]);
+    assert.deepEqual(drifted.changed.map(f => f.path), [petsPath]);
+    assert.match(drifted.changed[0].diff, /^-let createPet/m);
+    assert.match(drifted.changed[0].diff, /^\+let postpets/m);
+    assert.ok(existsSync(join(outputDir, 'Store.res')));
+    assert.ok(!existsSync(join(outputDir, 'ComponentSchemas.res')));
+  });
+
+  await t.test('CLI: config file with flag overrides and exit codes', async () => {
+    const cliDir = join(testOutputDir, 'cli');
+    mkdirSync(cliDir, { recursive: true });
+    writeFileSync(join(cliDir, 'openapi-codegen.config.json'), JSON.stringify({
+      specPath: '../../../examples/fixtures/petstore.json',
+      outputDir: './generated',
+      strategy: 'Separate',
+      generateDiffReport: false,
+    }, null, 2));
+    const run = (...args) => spawnSync(process.execPath, [cliPath, ...args], { cwd: cliDir, encoding: 'utf8' });
+
+    const generated = run('generate', '--flat');
+    assert.equal(generated.status, 0, generated.stderr);
+    assert.ok(existsSync(join(cliDir, 'generated/API.res')));
+    assert.ok(!existsSync(join(cliDir, 'generated/Pets.res')));
+
+    assert.equal(run('check', '--flat').status, 0);
+    assert.equal(run('check').status, 1);
+    assert.equal(run('lint').status, 0);
+    assert.equal(run('lint', '--strict').status, 1);
+    assert.equal(run('generate', '--strategy', 'Sideways').status, 2);
+    assert.equal(run('generate', '--spec', join(fixturesDir, 'missing.json')).status, 1);
+  });
+});
@@ -7,13 +7,13 @@ S.enableJson()
 
 module Pet = {
   type t = {
-  id: int,
+  id: bigint,
   name: string,
   tag: option<string>,
   age: option<int>,
 }
   let schema = S.object(s => {
-    id: s.field("id", S.int),
+    id: s.field("id", ExtendedApiRuntime.int64),
     name: s.field("name", S.string),
     tag: s.field("tag", S.option(S.string)),
     age: s.field("age", S.option(S.int)),
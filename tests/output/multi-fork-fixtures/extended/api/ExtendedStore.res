@@ -5,20 +5,18 @@
 S.enableJson()
 
 
-type getstoreinventoryResponse = dict<JSON.t>
+type getstoreinventoryResponse = dict<int>
 
-let getstoreinventoryResponseSchema = S.dict(S.json)
+let getstoreinventoryResponseSchema = S.dict(S.int)
 
 /** Returns pet inventories by status */
-let getstoreinventory = (~fetch: (~url: string, ~method_: string, ~body: option<JSON.t>) => Promise.t<JSON.t>): promise<getstoreinventoryResponse> => {
+let getstoreinventory = async (~fetch: (~url: string, ~method_: string, ~body: option<ExtendedApiRuntime.requestBody>, ~headers: dict<string>) => Promise.t<ExtendedApiRuntime.responseBody>): getstoreinventoryResponse => {
 
-  fetch(
+  let response = await fetch(
     ~url="/store/inventory",
     ~method_="GET",
     ~body=None,
-  )->Promise.then(response => {
-  let value = response->S.parseOrThrow(getstoreinventoryResponseSchema)
-  value
-    ->Promise.resolve
-  })
+    ~headers=Dict.make(),
+  )
+  response->ExtendedApiRuntime.jsonBody->S.parseOrThrow(getstoreinventoryResponseSchema)
 }
@@ -7,12 +7,12 @@ S.enableJson()
 
 module Pet = {
   type t = {
-  id: int,
+  id: bigint,
   name: string,
   tag: option<string>,
 }
   let schema = S.object(s => {
-    id: s.field("id", S.int),
+    id: s.field("id", PetstoreBaseApiRuntime.int64),
     name: s.field("name", S.string),
     tag: s.field("tag", S.option(S.string)),
   })
@@ -10,17 +10,15 @@ type getpetsResponse = array<PetstoreBaseComponentSchemas.Pet.t>
 let getpetsResponseSchema = S.array(PetstoreBaseComponentSchemas.Pet.schema)
 
 /** List all pets */
-let getpets = (~fetch: (~url: string, ~method_: string, ~body: option<JSON.t>) => Promise.t<JSON.t>): promise<getpetsResponse> => {
+let getpets = async (~fetch: (~url: string, ~method_: string, ~body: option<PetstoreBaseApiRuntime.requestBody>, ~headers: dict<string>) => Promise.t<PetstoreBaseApiRuntime.responseBody>): getpetsResponse => {
 
-  fetch(
+  let response = await fetch(
     ~url="/pets",
     ~method_="GET",
     ~body=None,
-  )->Promise.then(response => {
-  let value = response->S.parseOrThrow(getpetsResponseSchema)
-  value
-    ->Promise.resolve
-  })
+    ~headers=Dict.make(),
+  )
+  response->PetstoreBaseApiRuntime.jsonBody->S.parseOrThrow(getpetsResponseSchema)
 }
 
 type postpetsRequest = PetstoreBaseComponentSchemas.Pet.t
@@ -30,17 +28,15 @@ let postpetsRequestSchema = PetstoreBaseComponentSchemas.Pet.schema
 type postpetsResponse = unit
 
 /** Create a pet */
-let postpets = (~body: postpetsRequest, ~fetch: (~url: string, ~method_: string, ~body: option<JSON.t>) => Promise.t<JSON.t>): promise<postpetsResponse> => {
-  let jsonBody = body->S.reverseConvertToJsonOrThrow(postpetsRequestSchema)
-  fetch(
+let postpets = async (~body: postpetsRequest, ~fetch: (~url: string, ~method_: string, ~body: option<PetstoreBaseApiRuntime.requestBody>, ~headers: dict<string>) => Promise.t<PetstoreBaseApiRuntime.responseBody>): postpetsResponse => {
+  let requestBody = Some(#Json(body->S.reverseConvertToJsonOrThrow(postpetsRequestSchema)))
+  let response = await fetch(
     ~url="/pets",
     ~method_="POST",
-    ~body=Some(jsonBody),
-  )->Promise.then(response => {
+    ~body=requestBody,
+    ~headers=Dict.make(),
+  )
   let _ = response
-  ()
-    ->Promise.resolve
-  })
 }
 
 type getpetsResponse = PetstoreBaseComponentSchemas.Pet.t
@@ -48,15 +44,13 @@ type getpetsResponse = PetstoreBaseComponentSchemas.Pet.t
 let getpetsResponseSchema = PetstoreBaseComponentSchemas.Pet.schema
 
 /** Info for a specific pet */
-let getpets = (~fetch: (~url: string, ~method_: string, ~body: option<JSON.t>) => Promise.t<JSON.t>): promise<getpetsResponse> => {
+let getpets = async (~petId: string, ~fetch: (~url: string, ~method_: string, ~body: option<PetstoreBaseApiRuntime.requestBody>, ~headers: dict<string>) => Promise.t<PetstoreBaseApiRuntime.responseBody>): getpetsResponse => {
 
-  fetch(
-    ~url="/pets/{petId}",
+  let response = await fetch(
+    ~url=`/pets/${petId->S.reverseConvertToJsonOrThrow(S.string)->PetstoreBaseApiRuntime.pathParam(~name="petId")}`,
     ~method_="GET",
     ~body=None,
-  )->Promise.then(response => {
-  let value = response->S.parseOrThrow(getpetsResponseSchema)
-  value
-    ->Promise.resolve
-  })
+    ~headers=Dict.make(),
+  )
+  response->PetstoreBaseApiRuntime.jsonBody->S.parseOrThrow(getpetsResponseSchema)
 }